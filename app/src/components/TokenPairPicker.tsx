@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { FlatList, Modal, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { Token } from '../tokens/registry';
+import { formatUnits } from '../tokens/amounts';
+
+type Side = 'from' | 'to';
+
+interface TokenPairPickerProps {
+  tokens: Token[];
+  from: Token;
+  to: Token;
+  balances?: Record<string, bigint>;
+  onChange: (from: Token, to: Token) => void;
+  onAddToken?: (type: string) => Promise<Token>;
+}
+
+const balanceLabel = (token: Token, balances?: Record<string, bigint>) => {
+  const balance = balances?.[token.type];
+  return balance === undefined ? '—' : formatUnits(balance, token.decimals, 6);
+};
+
+/**
+ * From/to token selector with a direction toggle. Picking the token already
+ * on the other side flips the pair instead of quoting X -> X.
+ */
+const TokenPairPicker: React.FC<TokenPairPickerProps> = ({ tokens, from, to, balances, onChange, onAddToken }) => {
+  const [picking, setPicking] = useState<Side | null>(null);
+  const [customType, setCustomType] = useState('');
+  const [addError, setAddError] = useState<string | null>(null);
+
+  const select = (token: Token) => {
+    if (picking === 'from') {
+      onChange(token, token.type === to.type ? from : to);
+    } else if (picking === 'to') {
+      onChange(token.type === from.type ? to : from, token);
+    }
+    setPicking(null);
+    setCustomType('');
+    setAddError(null);
+  };
+
+  const addCustom = async () => {
+    if (!onAddToken) return;
+    try {
+      setAddError(null);
+      select(await onAddToken(customType));
+    } catch (err) {
+      setAddError(err instanceof Error ? err.message : 'Could not load that coin');
+    }
+  };
+
+  const renderSide = (side: Side, token: Token) => (
+    <TouchableOpacity style={styles.side} onPress={() => setPicking(side)}>
+      <Text style={styles.sideLabel}>{side === 'from' ? 'From' : 'To'}</Text>
+      <View style={styles.tokenRow}>
+        <View style={styles.tokenIcon}>
+          <Text style={styles.tokenIconText}>{token.symbol.slice(0, 1)}</Text>
+        </View>
+        <Text style={styles.tokenSymbol}>{token.symbol}</Text>
+        {!token.verified && <Text style={styles.unverified}>unverified</Text>}
+        <Text style={styles.chevron}>▾</Text>
+      </View>
+      <Text style={styles.balance}>Balance: {balanceLabel(token, balances)}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      {renderSide('from', from)}
+      <TouchableOpacity style={styles.switchButton} onPress={() => onChange(to, from)}>
+        <Text style={styles.switchText}>⇅</Text>
+      </TouchableOpacity>
+      {renderSide('to', to)}
+
+      <Modal visible={picking !== null} animationType="slide" transparent onRequestClose={() => setPicking(null)}>
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modal}>
+            <Text style={styles.modalTitle}>Select {picking === 'from' ? 'input' : 'output'} token</Text>
+            <FlatList
+              data={tokens}
+              keyExtractor={(token) => token.type}
+              renderItem={({ item }) => (
+                <TouchableOpacity style={styles.listItem} onPress={() => select(item)}>
+                  <View>
+                    <Text style={styles.tokenSymbol}>
+                      {item.symbol} {item.verified ? '✓' : ''}
+                    </Text>
+                    <Text style={styles.tokenName}>{item.name}</Text>
+                  </View>
+                  <Text style={styles.balance}>{balanceLabel(item, balances)}</Text>
+                </TouchableOpacity>
+              )}
+            />
+            {onAddToken && (
+              <View style={styles.addRow}>
+                <TextInput
+                  style={styles.input}
+                  value={customType}
+                  onChangeText={setCustomType}
+                  placeholder="0x...::module::Coin"
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <TouchableOpacity style={styles.addButton} onPress={addCustom} disabled={!customType}>
+                  <Text style={styles.addButtonText}>Add</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+            {addError && <Text style={styles.error}>{addError}</Text>}
+            <TouchableOpacity style={styles.closeButton} onPress={() => setPicking(null)}>
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  side: {
+    backgroundColor: '#0a0e1a',
+    borderWidth: 1,
+    borderColor: '#2a3550',
+    borderRadius: 8,
+    padding: 12,
+  },
+  sideLabel: {
+    fontSize: 12,
+    color: '#8892b0',
+    marginBottom: 6,
+  },
+  tokenRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tokenIcon: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#5a67d8',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+  },
+  tokenIconText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  tokenSymbol: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  tokenName: {
+    fontSize: 12,
+    color: '#8892b0',
+  },
+  unverified: {
+    fontSize: 11,
+    color: '#f59e0b',
+    marginLeft: 8,
+  },
+  chevron: {
+    marginLeft: 'auto',
+    color: '#8892b0',
+  },
+  balance: {
+    fontSize: 12,
+    color: '#8892b0',
+    marginTop: 6,
+  },
+  switchButton: {
+    alignSelf: 'center',
+    backgroundColor: '#1a1f35',
+    borderWidth: 1,
+    borderColor: '#2a3550',
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 6,
+  },
+  switchText: {
+    color: '#64ffda',
+    fontSize: 16,
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: '#1a1f35',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 15,
+  },
+  listItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2a3550',
+  },
+  addRow: {
+    flexDirection: 'row',
+    marginTop: 15,
+    gap: 10,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#0a0e1a',
+    borderWidth: 1,
+    borderColor: '#2a3550',
+    borderRadius: 8,
+    padding: 10,
+    color: '#fff',
+    fontSize: 13,
+  },
+  addButton: {
+    backgroundColor: '#5a67d8',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    justifyContent: 'center',
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  closeButton: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  closeText: {
+    color: '#8892b0',
+  },
+});
+
+export default TokenPairPicker;
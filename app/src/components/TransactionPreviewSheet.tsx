@@ -0,0 +1,212 @@
+import React from 'react';
+import { ActivityIndicator, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { APTOS_COIN } from '@aptos-labs/ts-sdk';
+import { SimulationPreview } from '../transactions/simulate';
+import { formatUnits } from '../tokens/amounts';
+
+interface PreviewLine {
+  label: string;
+  value: string;
+}
+
+interface TransactionPreviewSheetProps {
+  visible: boolean;
+  title: string;
+  preview: SimulationPreview | null;
+  simulating: boolean;
+  /** The simulation could not run (network, no wallet). */
+  error: string | null;
+  /** Request details and simulated outputs, shown above balance changes. */
+  lines?: PreviewLine[];
+  /** Symbol and decimals for a coin type; unknown types show raw units. */
+  describeToken: (type: string) => { symbol: string; decimals: number } | undefined;
+  /** Blocks confirming even after a successful simulation, e.g. a stale quote. */
+  blockedReason?: string | null;
+  confirmLabel?: string;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+const signedAmount = (delta: bigint, token?: { symbol: string; decimals: number }, type?: string) => {
+  const sign = delta > 0n ? '+' : delta < 0n ? '−' : '';
+  const absolute = delta < 0n ? -delta : delta;
+  return token ? `${sign}${formatUnits(absolute, token.decimals, 6)} ${token.symbol}` : `${sign}${absolute} (${type})`;
+};
+
+/**
+ * Bottom sheet showing what a transaction will do, from a simulation as the
+ * connected wallet, before the user signs it.
+ */
+const TransactionPreviewSheet: React.FC<TransactionPreviewSheetProps> = ({
+  visible,
+  title,
+  preview,
+  simulating,
+  error,
+  lines = [],
+  describeToken,
+  blockedReason,
+  confirmLabel = 'Confirm',
+  onConfirm,
+  onCancel,
+}) => {
+  const canConfirm = Boolean(preview?.success) && !simulating && !blockedReason;
+  const apt = describeToken(APTOS_COIN);
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+
+          {lines.map((line) => (
+            <View key={line.label} style={styles.row}>
+              <Text style={styles.label}>{line.label}</Text>
+              <Text style={styles.value}>{line.value}</Text>
+            </View>
+          ))}
+
+          {simulating && (
+            <View style={styles.simulating}>
+              <ActivityIndicator color="#64ffda" />
+              <Text style={styles.label}>Simulating…</Text>
+            </View>
+          )}
+          {error && <Text style={styles.error}>{error}</Text>}
+
+          {preview && (
+            <>
+              {!preview.success && <Text style={styles.error}>Would fail: {preview.error}</Text>}
+
+              {preview.success && (
+                <>
+                  <Text style={styles.section}>Balance changes</Text>
+                  {Object.entries(preview.balanceChanges).map(([type, delta]) => (
+                    <View key={type} style={styles.row}>
+                      <Text style={styles.label}>{describeToken(type)?.symbol || type}</Text>
+                      <Text style={[styles.value, delta > 0n ? styles.positive : styles.negative]}>
+                        {signedAmount(delta, describeToken(type), type)}
+                      </Text>
+                    </View>
+                  ))}
+                </>
+              )}
+
+              <View style={styles.row}>
+                <Text style={styles.label}>Network fee</Text>
+                <Text style={styles.value}>
+                  {formatUnits(preview.gasFee, apt?.decimals ?? 8)} APT ({preview.gasUsed.toString()} gas)
+                </Text>
+              </View>
+            </>
+          )}
+
+          {blockedReason && <Text style={styles.warning}>{blockedReason}</Text>}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.cancel]} onPress={onCancel}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.confirm, !canConfirm && styles.disabled]}
+              onPress={onConfirm}
+              disabled={!canConfirm}
+            >
+              <Text style={styles.buttonText}>{confirmLabel}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#1a1f35',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 15,
+  },
+  section: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  label: {
+    fontSize: 13,
+    color: '#8892b0',
+  },
+  value: {
+    fontSize: 13,
+    color: '#fff',
+    flexShrink: 1,
+    textAlign: 'right',
+  },
+  positive: {
+    color: '#10b981',
+  },
+  negative: {
+    color: '#f59e0b',
+  },
+  simulating: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginVertical: 10,
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  warning: {
+    color: '#f59e0b',
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  cancel: {
+    backgroundColor: '#2a3550',
+  },
+  confirm: {
+    backgroundColor: '#5a67d8',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default TransactionPreviewSheet;
@@ -0,0 +1,52 @@
+import React, { createContext, useContext, useMemo, useState } from 'react';
+import { Aptos, AptosConfig, Network } from '@aptos-labs/ts-sdk';
+import {
+  DEFAULT_NETWORK,
+  NetworkConfig,
+  NetworkName,
+  NetworkOverrides,
+  aptosSettings,
+  resolveNetwork,
+} from './network';
+
+interface NetworkContextValue {
+  profile: NetworkName;
+  config: NetworkConfig;
+  aptos: Aptos;
+  setProfile: (profile: NetworkName) => void;
+}
+
+const NetworkContext = createContext<NetworkContextValue | null>(null);
+
+interface NetworkProviderProps {
+  profile?: NetworkName;
+  overrides?: NetworkOverrides;
+  children: React.ReactNode;
+}
+
+/**
+ * Provides the active network profile and a matching Aptos client to the
+ * app. Switching profiles rebuilds the client.
+ */
+export const NetworkProvider: React.FC<NetworkProviderProps> = ({ profile: initialProfile, overrides, children }) => {
+  const [profile, setProfile] = useState<NetworkName>(initialProfile || DEFAULT_NETWORK);
+
+  const config = useMemo(() => resolveNetwork(profile, overrides), [profile, overrides]);
+
+  const aptos = useMemo(() => {
+    const settings = aptosSettings(config);
+    return new Aptos(new AptosConfig({ ...settings, network: settings.network as Network }));
+  }, [config]);
+
+  const value = useMemo(() => ({ profile, config, aptos, setProfile }), [profile, config, aptos]);
+
+  return <NetworkContext.Provider value={value}>{children}</NetworkContext.Provider>;
+};
+
+export const useNetwork = (): NetworkContextValue => {
+  const context = useContext(NetworkContext);
+  if (!context) {
+    throw new Error('useNetwork must be used within a NetworkProvider');
+  }
+  return context;
+};
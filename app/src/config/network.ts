@@ -0,0 +1,115 @@
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import networks from '../../../config/networks.json';
+
+// Same profiles as the Node tools (config/networks.json); see config/index.js
+
+export type NetworkName = 'local' | 'devnet' | 'testnet' | 'mainnet' | 'custom';
+
+export interface CoinInfo {
+  type: string;
+  decimals: number;
+  name?: string;
+  icon?: string | null;
+  verified?: boolean;
+}
+
+export interface NetworkAddresses {
+  cresca: string | null;
+  calendarPayments: string | null;
+  bucket: string | null;
+}
+
+export type ModuleKey = keyof typeof networks.modules;
+
+export interface NetworkConfig {
+  profile: NetworkName;
+  network: NetworkName;
+  fullnodeUrl: string;
+  faucetUrl: string | null;
+  addresses: NetworkAddresses;
+  modules: Record<ModuleKey, string>;
+  coins: Record<string, CoinInfo>;
+}
+
+export interface NetworkOverrides {
+  fullnodeUrl?: string;
+  faucetUrl?: string;
+  addresses?: Partial<NetworkAddresses>;
+}
+
+export const NETWORK_NAMES: NetworkName[] = ['local', 'devnet', 'testnet', 'mainnet', 'custom'];
+export const DEFAULT_NETWORK = networks.defaultProfile as NetworkName;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{1,64}$/;
+
+/**
+ * Resolve a profile plus overrides into a validated network config.
+ * `custom` needs at least a fullnodeUrl override.
+ */
+export const resolveNetwork = (profile: NetworkName, overrides: NetworkOverrides = {}): NetworkConfig => {
+  const base =
+    profile === 'custom'
+      ? { ...networks.profiles.local, network: 'custom', fullnodeUrl: '', faucetUrl: null }
+      : (networks.profiles as Record<string, typeof networks.profiles.local>)[profile];
+
+  if (!base) {
+    throw new Error(`Unknown network profile "${profile}"`);
+  }
+
+  const config: NetworkConfig = {
+    profile,
+    network: base.network as NetworkName,
+    fullnodeUrl: overrides.fullnodeUrl || base.fullnodeUrl,
+    faucetUrl: overrides.faucetUrl || base.faucetUrl,
+    addresses: {
+      ...(profile === 'custom' ? { cresca: null, calendarPayments: null, bucket: null } : base.addresses),
+      ...overrides.addresses,
+    },
+    modules: { ...networks.modules },
+    coins: { ...base.coins },
+  };
+
+  const problems: string[] = [];
+  if (!/^https?:\/\//.test(config.fullnodeUrl)) {
+    problems.push('fullnodeUrl must be an http(s) URL');
+  }
+  Object.entries(config.addresses).forEach(([key, address]) => {
+    if (address !== null && address !== undefined && !ADDRESS_PATTERN.test(address)) {
+      problems.push(`addresses.${key} is not an account address: ${address}`);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid network config for "${profile}": ${problems.join('; ')}`);
+  }
+
+  return config;
+};
+
+export const requireAddress = (config: NetworkConfig, key: keyof NetworkAddresses): string => {
+  const address = config.addresses[key];
+  if (!address) {
+    throw new Error(`No ${key} address configured for network "${config.profile}"`);
+  }
+  return address;
+};
+
+/** Address equality across short ("0x1", "0xbeef") and long forms. */
+export const sameAddress = (a: string, b: string): boolean =>
+  AccountAddress.from(a, { maxMissingChars: 63 }).equals(AccountAddress.from(b, { maxMissingChars: 63 }));
+
+export const moduleId = (
+  config: NetworkConfig,
+  moduleKey: ModuleKey,
+  addressKey: keyof NetworkAddresses = 'cresca'
+): string => `${requireAddress(config, addressKey)}::${config.modules[moduleKey]}`;
+
+/** Settings for `new AptosConfig(...)`. */
+export const aptosSettings = (config: NetworkConfig) => ({
+  network: config.network,
+  fullnode: config.fullnodeUrl,
+  faucet: config.faucetUrl || undefined,
+});
+
+/** Explorer link for a transaction; null for custom networks. */
+export const explorerTxUrl = (config: NetworkConfig, hash: string): string | null =>
+  config.network === 'custom' ? null : `https://explorer.aptoslabs.com/txn/${hash}?network=${config.network}`;
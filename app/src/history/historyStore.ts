@@ -0,0 +1,60 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NetworkConfig, requireAddress } from '../config/network';
+import { HistorySource, SwapHistoryEntry } from './swapHistory';
+
+/**
+ * Scan position in one source's event stream. Sequences `oldest ..
+ * newest - 1` have been read; `oldest` reaching 0 means nothing older is left.
+ */
+export interface ScanCursor {
+  oldest: number;
+  newest: number;
+}
+
+export interface StoredHistory {
+  entries: SwapHistoryEntry[];
+  cursors: Record<HistorySource, ScanCursor>;
+}
+
+const VERSION = 'v1';
+const BIGINT_FIELDS = new Set(['amountIn', 'amountOut', 'fee', 'minAmountOut']);
+
+// One cache per deployment, so a redeploy or network switch starts clean
+const historyKey = (config: NetworkConfig, user: string) =>
+  `cresca.history.${VERSION}|${config.fullnodeUrl}|${requireAddress(config, 'cresca')}|${user.toLowerCase()}`;
+
+const quotesKey = (config: NetworkConfig) => `cresca.quotes.${VERSION}|${config.fullnodeUrl}`;
+
+const serialize = (value: unknown) =>
+  JSON.stringify(value, (_key, field) => (typeof field === 'bigint' ? field.toString() : field));
+
+const deserialize = <T>(json: string): T =>
+  JSON.parse(json, (key, field) => (BIGINT_FIELDS.has(key) && typeof field === 'string' ? BigInt(field) : field));
+
+export const loadHistory = async (config: NetworkConfig, user: string): Promise<StoredHistory | null> => {
+  const json = await AsyncStorage.getItem(historyKey(config, user));
+  return json ? deserialize<StoredHistory>(json) : null;
+};
+
+export const saveHistory = (config: NetworkConfig, user: string, history: StoredHistory): Promise<void> =>
+  AsyncStorage.setItem(historyKey(config, user), serialize(history));
+
+export const clearHistory = (config: NetworkConfig, user: string): Promise<void> =>
+  AsyncStorage.removeItem(historyKey(config, user));
+
+/**
+ * The chain keeps only `min_out`, so the output quoted when the user signed is
+ * recorded here by transaction hash. Swaps from other devices have none.
+ */
+export const loadQuotes = async (config: NetworkConfig): Promise<Record<string, bigint>> => {
+  const json = await AsyncStorage.getItem(quotesKey(config));
+  const stored: Record<string, string> = json ? JSON.parse(json) : {};
+  return Object.fromEntries(Object.entries(stored).map(([hash, amount]) => [hash, BigInt(amount)]));
+};
+
+export const recordQuote = async (config: NetworkConfig, hash: string, quotedAmountOut: bigint): Promise<void> => {
+  const json = await AsyncStorage.getItem(quotesKey(config));
+  const stored: Record<string, string> = json ? JSON.parse(json) : {};
+  stored[hash] = quotedAmountOut.toString();
+  await AsyncStorage.setItem(quotesKey(config), JSON.stringify(stored));
+};
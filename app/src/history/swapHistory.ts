@@ -0,0 +1,170 @@
+import { Aptos, TransactionResponseType, UserTransactionResponse } from '@aptos-labs/ts-sdk';
+import { ModuleKey, NetworkConfig, requireAddress } from '../config/network';
+import { sameCoinType } from '../tokens/registry';
+
+/** Which event store a trade came from. */
+export type HistorySource = 'aggregator' | 'escrow';
+
+export interface SwapHistoryEntry {
+  /** `source:sequence`, unique per network. */
+  id: string;
+  source: HistorySource;
+  sequence: number;
+  version: string;
+  /** Null until the transaction is looked up, or when the node has pruned it. */
+  hash: string | null;
+  user: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  amountOut: bigint;
+  /** Aggregator DEX; null for escrow pool swaps. */
+  dexId: number | null;
+  venue: string;
+  priceImpactBps: number | null;
+  /** Taken from the input token: the aggregator fee, or the pool fee for escrow swaps. */
+  fee: bigint;
+  /** `min_out` the transaction was signed with, from its payload. */
+  minAmountOut: bigint | null;
+  timestamp: number;
+}
+
+export interface HistoryFilter {
+  /** Either side of the trade, in either direction. */
+  tokenA?: string | null;
+  tokenB?: string | null;
+  /** Unix seconds, inclusive. */
+  from?: number | null;
+  to?: number | null;
+}
+
+interface RawEvent {
+  version: string;
+  sequence_number: string;
+  type: string;
+  data: Record<string, any>;
+}
+
+// Both modules keep their handles in an `EventStore` on the admin account,
+// so every user's trades share one stream per module
+const EVENT_HANDLES: Record<HistorySource, { module: ModuleKey; field: string }> = {
+  aggregator: { module: 'dexAggregator', field: 'aggregated_swap_events' },
+  escrow: { module: 'escrowSwap', field: 'swap_events' },
+};
+
+export const HISTORY_SOURCES = Object.keys(EVENT_HANDLES) as HistorySource[];
+
+const eventStoreType = (config: NetworkConfig, source: HistorySource) =>
+  `${requireAddress(config, 'cresca')}::${config.modules[EVENT_HANDLES[source].module]}::EventStore`;
+
+/** Number of events ever emitted to a source's handle; 0 when the module is not set up. */
+export const fetchEventCount = async (aptos: Aptos, config: NetworkConfig, source: HistorySource): Promise<number> => {
+  try {
+    const store = await aptos.getAccountResource<Record<string, { counter: string }>>({
+      accountAddress: requireAddress(config, 'cresca'),
+      resourceType: eventStoreType(config, source),
+    });
+    return Number(store[EVENT_HANDLES[source].field].counter);
+  } catch (err) {
+    if (err instanceof Error && /resource_not_found|not found/i.test(err.message)) {
+      return 0;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Events `start .. start + limit - 1` of a source's handle, oldest first.
+ * The ts-sdk only reads module events through the indexer, which local and
+ * custom nodes do not run, so this goes to the fullnode REST API directly.
+ */
+export const fetchEvents = async (
+  config: NetworkConfig,
+  source: HistorySource,
+  start: number,
+  limit: number
+): Promise<RawEvent[]> => {
+  const url =
+    `${config.fullnodeUrl}/accounts/${requireAddress(config, 'cresca')}/events/` +
+    `${encodeURIComponent(eventStoreType(config, source))}/${EVENT_HANDLES[source].field}?start=${start}&limit=${limit}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load ${source} events (HTTP ${response.status})`);
+  }
+  return response.json();
+};
+
+export const decodeHistoryEvent = (source: HistorySource, event: RawEvent): SwapHistoryEntry => {
+  const { data } = event;
+  const aggregated = source === 'aggregator';
+  return {
+    id: `${source}:${event.sequence_number}`,
+    source,
+    sequence: Number(event.sequence_number),
+    version: event.version,
+    hash: null,
+    user: data.user,
+    tokenIn: data.token_in,
+    tokenOut: data.token_out,
+    amountIn: BigInt(data.amount_in),
+    amountOut: BigInt(data.amount_out),
+    dexId: aggregated ? Number(data.dex_id) : null,
+    venue: aggregated ? data.dex_used : 'Escrow pool',
+    priceImpactBps: aggregated ? Number(data.price_impact_bps) : null,
+    fee: BigInt(aggregated ? data.aggregator_fee : data.fee_collected),
+    minAmountOut: null,
+    timestamp: Number(data.timestamp),
+  };
+};
+
+// Position of `min_out` in each swap entry function's arguments
+const MIN_OUT_ARGUMENT: Record<string, number> = {
+  swap_exact_in_best_route: 1,
+  swap_exact_in_specific_dex: 2,
+  swap_x_to_y: 1,
+  swap_y_to_x: 1,
+};
+
+/**
+ * Fill in the hash and signed `min_out` from the emitting transaction.
+ * Leaves them null when the node no longer serves that version.
+ */
+export const withTransaction = async (aptos: Aptos, entry: SwapHistoryEntry): Promise<SwapHistoryEntry> => {
+  try {
+    const txn = await aptos.getTransactionByVersion({ ledgerVersion: BigInt(entry.version) });
+    if (txn.type !== TransactionResponseType.User) {
+      return entry;
+    }
+    const { hash, payload } = txn as UserTransactionResponse;
+    let minAmountOut: bigint | null = null;
+    if ('function' in payload && 'arguments' in payload) {
+      const index = MIN_OUT_ARGUMENT[payload.function.split('::')[2]];
+      minAmountOut = index === undefined ? null : BigInt(payload.arguments[index]);
+    }
+    return { ...entry, hash, minAmountOut };
+  } catch (err) {
+    return entry;
+  }
+};
+
+export const matchesFilter = (entry: SwapHistoryEntry, filter: HistoryFilter): boolean => {
+  const traded = [entry.tokenIn, entry.tokenOut];
+  for (const token of [filter.tokenA, filter.tokenB]) {
+    if (token && !traded.some((type) => sameCoinType(type, token))) {
+      return false;
+    }
+  }
+  if (filter.from != null && entry.timestamp < filter.from) {
+    return false;
+  }
+  if (filter.to != null && entry.timestamp > filter.to) {
+    return false;
+  }
+  return true;
+};
+
+/** Newest first; events from both sources interleave by ledger version. */
+export const compareEntries = (a: SwapHistoryEntry, b: SwapHistoryEntry): number => {
+  const delta = BigInt(b.version) - BigInt(a.version);
+  return delta > 0n ? 1 : delta < 0n ? -1 : b.sequence - a.sequence;
+};
@@ -0,0 +1,85 @@
+/**
+ * Small in-memory cache for view calls. Concurrent requests for the same key
+ * share one in-flight promise, and settled values are reused while younger
+ * than the caller's `maxAgeMs`.
+ */
+
+export interface CachedValue<T> {
+  value: T;
+  fetchedAt: number;
+}
+
+interface CacheEntry {
+  value?: unknown;
+  fetchedAt?: number;
+  pending?: Promise<CachedValue<unknown>>;
+}
+
+export interface FetchOptions {
+  /** Reuse a settled value younger than this. 0 always refetches. */
+  maxAgeMs?: number;
+  /** Skip the settled value, but still join an in-flight request. */
+  force?: boolean;
+}
+
+export class QueryCache {
+  private entries = new Map<string, CacheEntry>();
+
+  constructor(private maxEntries = 200) {}
+
+  peek<T>(key: string): CachedValue<T> | undefined {
+    const entry = this.entries.get(key);
+    if (!entry || entry.fetchedAt === undefined) {
+      return undefined;
+    }
+    return { value: entry.value as T, fetchedAt: entry.fetchedAt };
+  }
+
+  fetch<T>(key: string, fetcher: () => Promise<T>, { maxAgeMs = 0, force = false }: FetchOptions = {}): Promise<CachedValue<T>> {
+    const entry = this.entries.get(key) || {};
+    const cached = this.peek<T>(key);
+
+    if (!force && cached && Date.now() - cached.fetchedAt < maxAgeMs) {
+      return Promise.resolve(cached);
+    }
+    if (entry.pending) {
+      return entry.pending as Promise<CachedValue<T>>;
+    }
+
+    const pending = fetcher()
+      .then((value) => {
+        const settled = { value, fetchedAt: Date.now() };
+        this.entries.set(key, settled);
+        this.evict();
+        return settled;
+      })
+      .finally(() => {
+        const current = this.entries.get(key);
+        if (current && current.pending === pending) {
+          delete current.pending;
+        }
+      });
+
+    this.entries.set(key, { ...entry, pending });
+    return pending;
+  }
+
+  /** Drop settled values whose key starts with `prefix` (all when omitted). */
+  invalidate(prefix = ''): void {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  private evict(): void {
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+}
+
+/** Shared by every hook instance so screens mounted together reuse quotes. */
+export const viewCache = new QueryCache();
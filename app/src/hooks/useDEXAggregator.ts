@@ -1,10 +1,11 @@
-import { useState, useCallback } from 'react';
-import { Aptos, AptosConfig, Network } from '@aptos-labs/ts-sdk';
-
-const ADMIN_ADDRESS = '0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b';
-const DEX_MODULE = `${ADMIN_ADDRESS}::dex_aggregator`;
-
-interface SwapRoute {
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useNetwork } from '../config/NetworkContext';
+import { moduleId, requireAddress } from '../config/network';
+import { viewCache } from './queryCache';
+import { useScreenActive } from './useScreenActive';
+import { applySlippage, formatBps as formatBpsPercent, formatUnits, parsePercentBps } from '../tokens/amounts';
+
+export interface SwapRoute {
   dex_id: number;
   dex_name: string;
   amount_in: string;
@@ -13,7 +14,7 @@ interface SwapRoute {
   estimated_fee: string;
 }
 
-interface DEXInfo {
+export interface DEXInfo {
   dex_id: number;
   name: string;
   enabled: boolean;
@@ -21,253 +22,226 @@ interface DEXInfo {
   swap_count: string;
 }
 
-interface AggregatorStats {
+export interface AggregatorStats {
   total_volume: string;
   total_swaps: string;
   fees_collected: string;
 }
 
-interface PriceComparison {
+export interface PriceComparison {
   best_dex_id: number;
   best_output: string;
   worst_output: string;
   price_diff_bps: string;
 }
 
+export interface BestRoute {
+  dex_id: number;
+  amount_out: string;
+  price_impact: string;
+}
+
+export type QueryName =
+  | 'supportedDexs'
+  | 'aggregatorStats'
+  | 'dexStats'
+  | 'bestRoute'
+  | 'allRoutes'
+  | 'comparePrices';
+
+export interface QueryStatus {
+  loading: boolean;
+  error: string | null;
+  fetchedAt: number | null;
+}
+
+const IDLE: QueryStatus = { loading: false, error: null, fetchedAt: null };
+
+// Registry data changes rarely; quotes are only reused to dedupe bursts
+const REGISTRY_MAX_AGE_MS = 30_000;
+const QUOTE_MAX_AGE_MS = 2_000;
+
+export const QUOTE_TTL_MS = 15_000;
+export const QUOTE_DEBOUNCE_MS = 400;
+export const PRICE_MOVE_TOLERANCE_BPS = 10;
+
 export const useDEXAggregator = () => {
-  const [aptos] = useState(() => {
-    const config = new AptosConfig({ network: Network.TESTNET });
-    return new Aptos(config);
-  });
+  const { aptos, config } = useNetwork();
+  const adminAddress = requireAddress(config, 'cresca');
+  const dexModule = moduleId(config, 'dexAggregator');
 
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState<string | null>(null);
+  const [queries, setQueries] = useState<Partial<Record<QueryName, QueryStatus>>>({});
 
   /**
-   * Fetch all supported DEXs with their stats
+   * Run a view through the shared cache, tracking loading/error for `name`
+   * only. Concurrent identical calls share one request.
    */
-  const getSupportedDexs = useCallback(async (): Promise<DEXInfo[]> => {
-    try {
-      setLoading(true);
-      setError(null);
+  const runQuery = useCallback(
+    async <T>(
+      name: QueryName,
+      fn: string,
+      typeArguments: string[],
+      functionArguments: string[],
+      maxAgeMs: number,
+      force = false
+    ): Promise<T[]> => {
+      const key = `${config.fullnodeUrl}|${dexModule}::${fn}|${typeArguments.join(',')}|${functionArguments.join(',')}`;
+      setQueries((prev) => ({ ...prev, [name]: { ...(prev[name] || IDLE), loading: true, error: null } }));
+      try {
+        const { value, fetchedAt } = await viewCache.fetch(
+          key,
+          () => aptos.view({ payload: { function: `${dexModule}::${fn}`, typeArguments, functionArguments } }),
+          { maxAgeMs, force }
+        );
+        setQueries((prev) => ({ ...prev, [name]: { loading: false, error: null, fetchedAt } }));
+        return value as T[];
+      } catch (err) {
+        const errorMsg = err instanceof Error ? err.message : `Failed to load ${name}`;
+        setQueries((prev) => ({ ...prev, [name]: { ...(prev[name] || IDLE), loading: false, error: errorMsg } }));
+        throw err;
+      }
+    },
+    [aptos, config.fullnodeUrl, dexModule]
+  );
 
-      const result = await aptos.view({
-        payload: {
-          function: `${DEX_MODULE}::get_supported_dexs`,
-          typeArguments: [],
-          functionArguments: [ADMIN_ADDRESS],
-        },
-      });
-
-      return (result[0] || []) as DEXInfo[];
-    } catch (err) {
-      const errorMsg = err instanceof Error ? err.message : 'Failed to fetch supported DEXs';
-      setError(errorMsg);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [aptos]);
+  /**
+   * Fetch all supported DEXs with their stats
+   */
+  const getSupportedDexs = useCallback(
+    async (force = false): Promise<DEXInfo[]> => {
+      const result = await runQuery<DEXInfo[]>('supportedDexs', 'get_supported_dexs', [], [adminAddress], REGISTRY_MAX_AGE_MS, force);
+      return result[0] || [];
+    },
+    [runQuery, adminAddress]
+  );
 
   /**
    * Get aggregator statistics
    */
-  const getAggregatorStats = useCallback(async (): Promise<AggregatorStats> => {
-    try {
-      setLoading(true);
-      setError(null);
-
-      const result = await aptos.view({
-        payload: {
-          function: `${DEX_MODULE}::get_aggregator_stats`,
-          typeArguments: [],
-          functionArguments: [ADMIN_ADDRESS],
-        },
-      });
-
+  const getAggregatorStats = useCallback(
+    async (force = false): Promise<AggregatorStats> => {
+      const result = await runQuery<string>('aggregatorStats', 'get_aggregator_stats', [], [adminAddress], REGISTRY_MAX_AGE_MS, force);
       return {
-        total_volume: result[0] as string,
-        total_swaps: result[1] as string,
-        fees_collected: result[2] as string,
+        total_volume: result[0],
+        total_swaps: result[1],
+        fees_collected: result[2],
       };
-    } catch (err) {
-      const errorMsg = err instanceof Error ? err.message : 'Failed to fetch aggregator stats';
-      setError(errorMsg);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, [aptos]);
+    },
+    [runQuery, adminAddress]
+  );
 
   /**
    * Get stats for a specific DEX
    */
   const getDexStats = useCallback(
     async (dexId: number): Promise<{ volume: string; swaps: string; enabled: boolean }> => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const result = await aptos.view({
-          payload: {
-            function: `${DEX_MODULE}::get_dex_stats`,
-            typeArguments: [],
-            functionArguments: [ADMIN_ADDRESS, dexId.toString()],
-          },
-        });
-
-        return {
-          volume: result[0] as string,
-          swaps: result[1] as string,
-          enabled: result[2] as boolean,
-        };
-      } catch (err) {
-        const errorMsg = err instanceof Error ? err.message : 'Failed to fetch DEX stats';
-        setError(errorMsg);
-        throw err;
-      } finally {
-        setLoading(false);
-      }
+      const result = await runQuery<string | boolean>(
+        'dexStats',
+        'get_dex_stats',
+        [],
+        [adminAddress, dexId.toString()],
+        REGISTRY_MAX_AGE_MS
+      );
+      return {
+        volume: result[0] as string,
+        swaps: result[1] as string,
+        enabled: result[2] as boolean,
+      };
     },
-    [aptos]
+    [runQuery, adminAddress]
   );
 
   /**
    * Find the best route for a swap
    */
   const findBestRoute = useCallback(
-    async (
-      tokenInType: string,
-      tokenOutType: string,
-      amountIn: number
-    ): Promise<{ dex_id: number; amount_out: string; price_impact: string }> => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        // Convert to smallest unit (8 decimals for APT)
-        const amountInOctas = Math.floor(amountIn * 100000000);
-
-        const result = await aptos.view({
-          payload: {
-            function: `${DEX_MODULE}::find_best_route`,
-            typeArguments: [tokenInType, tokenOutType],
-            functionArguments: [ADMIN_ADDRESS, amountInOctas.toString()],
-          },
-        });
-
-        return {
-          dex_id: result[0] as number,
-          amount_out: result[1] as string,
-          price_impact: result[2] as string,
-        };
-      } catch (err) {
-        const errorMsg = err instanceof Error ? err.message : 'Failed to find best route';
-        setError(errorMsg);
-        throw err;
-      } finally {
-        setLoading(false);
-      }
+    async (tokenInType: string, tokenOutType: string, amountIn: bigint, force = false): Promise<BestRoute> => {
+      const result = await runQuery<number | string>(
+        'bestRoute',
+        'find_best_route',
+        [tokenInType, tokenOutType],
+        [adminAddress, amountIn.toString()],
+        QUOTE_MAX_AGE_MS,
+        force
+      );
+      return {
+        dex_id: result[0] as number,
+        amount_out: result[1] as string,
+        price_impact: result[2] as string,
+      };
     },
-    [aptos]
+    [runQuery, adminAddress]
   );
 
   /**
    * Get all available routes for a swap
    */
   const getAllRoutes = useCallback(
-    async (tokenInType: string, tokenOutType: string, amountIn: number): Promise<SwapRoute[]> => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const amountInOctas = Math.floor(amountIn * 100000000);
-
-        const result = await aptos.view({
-          payload: {
-            function: `${DEX_MODULE}::get_all_routes`,
-            typeArguments: [tokenInType, tokenOutType],
-            functionArguments: [ADMIN_ADDRESS, amountInOctas.toString()],
-          },
-        });
-
-        return (result[0] || []) as SwapRoute[];
-      } catch (err) {
-        const errorMsg = err instanceof Error ? err.message : 'Failed to get all routes';
-        setError(errorMsg);
-        throw err;
-      } finally {
-        setLoading(false);
-      }
+    async (tokenInType: string, tokenOutType: string, amountIn: bigint, force = false): Promise<SwapRoute[]> => {
+      const result = await runQuery<SwapRoute[]>(
+        'allRoutes',
+        'get_all_routes',
+        [tokenInType, tokenOutType],
+        [adminAddress, amountIn.toString()],
+        QUOTE_MAX_AGE_MS,
+        force
+      );
+      return result[0] || [];
     },
-    [aptos]
+    [runQuery, adminAddress]
   );
 
   /**
    * Compare prices across all DEXs
    */
   const comparePrices = useCallback(
-    async (tokenInType: string, tokenOutType: string, amountIn: number): Promise<PriceComparison> => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const amountInOctas = Math.floor(amountIn * 100000000);
-
-        const result = await aptos.view({
-          payload: {
-            function: `${DEX_MODULE}::compare_prices`,
-            typeArguments: [tokenInType, tokenOutType],
-            functionArguments: [ADMIN_ADDRESS, amountInOctas.toString()],
-          },
-        });
-
-        return {
-          best_dex_id: result[0] as number,
-          best_output: result[1] as string,
-          worst_output: result[2] as string,
-          price_diff_bps: result[3] as string,
-        };
-      } catch (err) {
-        const errorMsg = err instanceof Error ? err.message : 'Failed to compare prices';
-        setError(errorMsg);
-        throw err;
-      } finally {
-        setLoading(false);
-      }
+    async (tokenInType: string, tokenOutType: string, amountIn: bigint, force = false): Promise<PriceComparison> => {
+      const result = await runQuery<number | string>(
+        'comparePrices',
+        'compare_prices',
+        [tokenInType, tokenOutType],
+        [adminAddress, amountIn.toString()],
+        QUOTE_MAX_AGE_MS,
+        force
+      );
+      return {
+        best_dex_id: result[0] as number,
+        best_output: result[1] as string,
+        worst_output: result[2] as string,
+        price_diff_bps: result[3] as string,
+      };
     },
-    [aptos]
+    [runQuery, adminAddress]
   );
 
   /**
    * Format amount from smallest unit to decimal
    */
-  const formatAmount = useCallback((amount: string, decimals: number = 8): string => {
-    const value = parseFloat(amount) / Math.pow(10, decimals);
-    return value.toFixed(6);
+  const formatAmount = useCallback((amount: string | bigint, decimals: number = 8): string => {
+    return formatUnits(amount, decimals, 6);
   }, []);
 
   /**
    * Format basis points to percentage
    */
   const formatBps = useCallback((bps: string): string => {
-    return (parseFloat(bps) / 100).toFixed(2);
+    return formatBpsPercent(bps);
   }, []);
 
   /**
-   * Calculate minimum output with slippage
+   * Calculate minimum output with slippage entered as a percentage ("0.5").
+   * Throws AmountError for empty or invalid input.
    */
-  const calculateMinOutput = useCallback((expectedOutput: string, slippagePercent: number): string => {
-    const output = parseFloat(expectedOutput);
-    const slippageBps = slippagePercent * 100;
-    const minOutput = Math.floor(output * (10000 - slippageBps) / 10000);
-    return minOutput.toString();
+  const calculateMinOutput = useCallback((expectedOutput: string, slippagePercent: string): string => {
+    return applySlippage(expectedOutput, parsePercentBps(slippagePercent)).toString();
   }, []);
 
+  const queryStatus = useCallback((name: QueryName): QueryStatus => queries[name] || IDLE, [queries]);
+
   return {
-    // State
-    loading,
-    error,
+    // Per-query state
+    queries,
+    queryStatus,
 
     // Read functions
     getSupportedDexs,
@@ -287,4 +261,208 @@ export const useDEXAggregator = () => {
   };
 };
 
+export interface SwapQuote {
+  key: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  routes: SwapRoute[];
+  bestRoute: BestRoute | null;
+  fetchedAt: number;
+}
+
+/**
+ * Why a quote may not be executed right now:
+ * - no_quote:      nothing quoted yet (or no amount entered)
+ * - requoting:     the input changed and the new quote has not arrived
+ * - stale:         the quote is older than the TTL
+ * - price_moved:   a refresh moved the output beyond the tolerance; the user
+ *                  must accept the new quote
+ */
+export type QuoteBlockReason = 'no_quote' | 'requoting' | 'stale' | 'price_moved';
+
+export interface SwapQuoteOptions {
+  ttlMs?: number;
+  debounceMs?: number;
+  priceMoveToleranceBps?: number;
+}
+
+const quoteKey = (tokenIn: string, tokenOut: string, amountIn: bigint | null) => `${tokenIn}|${tokenOut}|${amountIn ?? ''}`;
+
+/** Signed change from `from` to `to` in basis points. */
+export const priceMoveBps = (from: string, to: string): number => {
+  const previous = BigInt(from);
+  if (previous === 0n) {
+    return 0;
+  }
+  return Number(((BigInt(to) - previous) * 10000n) / previous);
+};
+
+/**
+ * Debounced, auto-refreshing quote for one pair and amount (in base units of
+ * `tokenIn`; null while the input is empty or invalid). The quote the
+ * user sees (`quote`) only changes silently while refreshes stay within
+ * `priceMoveToleranceBps`; larger moves are held in `latest` until
+ * `acceptLatest()`. `blockedReason` is null only when `quote` is safe to
+ * execute against.
+ */
+export const useSwapQuote = (
+  tokenIn: string,
+  tokenOut: string,
+  amountIn: bigint | null,
+  {
+    ttlMs = QUOTE_TTL_MS,
+    debounceMs = QUOTE_DEBOUNCE_MS,
+    priceMoveToleranceBps = PRICE_MOVE_TOLERANCE_BPS,
+  }: SwapQuoteOptions = {}
+) => {
+  const { getAllRoutes } = useDEXAggregator();
+  const active = useScreenActive();
+
+  const [debouncedAmount, setDebouncedAmount] = useState(amountIn);
+  const [quote, setQuote] = useState<SwapQuote | null>(null);
+  const [latest, setLatest] = useState<SwapQuote | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const controllerRef = useRef<AbortController | null>(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedAmount(amountIn), debounceMs);
+    return () => clearTimeout(timer);
+  }, [amountIn, debounceMs]);
+
+  const fetchQuote = useCallback(
+    async (force: boolean) => {
+      controllerRef.current?.abort();
+      if (debouncedAmount === null || debouncedAmount <= 0n) {
+        setLoading(false);
+        return;
+      }
+
+      // aptos.view cannot be aborted; a superseded request still settles
+      // (and warms the cache) but its result is dropped here
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setLoading(true);
+      setError(null);
+
+      try {
+        const routes = await getAllRoutes(tokenIn, tokenOut, debouncedAmount, force);
+        if (controller.signal.aborted) {
+          return;
+        }
+
+        const best = routes.reduce<SwapRoute | null>(
+          (prev, current) => (!prev || BigInt(current.amount_out) > BigInt(prev.amount_out) ? current : prev),
+          null
+        );
+        const next: SwapQuote = {
+          key: quoteKey(tokenIn, tokenOut, debouncedAmount),
+          tokenIn,
+          tokenOut,
+          amountIn: debouncedAmount,
+          routes,
+          bestRoute: best && { dex_id: best.dex_id, amount_out: best.amount_out, price_impact: best.price_impact },
+          fetchedAt: Date.now(),
+        };
+
+        setLatest(next);
+        setQuote((current) => {
+          if (!current || current.key !== next.key || !current.bestRoute || !next.bestRoute) {
+            return next;
+          }
+          const moved = priceMoveBps(current.bestRoute.amount_out, next.bestRoute.amount_out);
+          return Math.abs(moved) <= priceMoveToleranceBps ? next : current;
+        });
+        setNow(Date.now());
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          setError(err instanceof Error ? err.message : 'Failed to fetch quote');
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    },
+    [getAllRoutes, tokenIn, tokenOut, debouncedAmount, priceMoveToleranceBps]
+  );
+
+  // New pair or amount: quote it, reusing a very fresh cached result
+  useEffect(() => {
+    fetchQuote(false);
+  }, [fetchQuote]);
+
+  // Refresh ahead of expiry while the screen is on top; on return from the
+  // background an expired quote is refreshed immediately
+  useEffect(() => {
+    if (!active || !latest) {
+      return undefined;
+    }
+    const refreshInMs = Math.max(0, latest.fetchedAt + ttlMs * 0.75 - Date.now());
+    const timer = setTimeout(() => fetchQuote(true), refreshInMs);
+    return () => clearTimeout(timer);
+  }, [active, latest, ttlMs, fetchQuote]);
+
+  // Clock for the age / expiry display
+  useEffect(() => {
+    if (!active || !quote) {
+      return undefined;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [active, quote]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const acceptLatest = useCallback(() => {
+    if (latest) {
+      setQuote(latest);
+      setNow(Date.now());
+    }
+  }, [latest]);
+
+  const refresh = useCallback(() => fetchQuote(true), [fetchQuote]);
+
+  const state = useMemo(() => {
+    const ageMs = quote ? now - quote.fetchedAt : null;
+    const isStale = ageMs !== null && ageMs >= ttlMs;
+    const moveBps =
+      quote?.bestRoute && latest?.bestRoute && latest.key === quote.key && latest !== quote
+        ? priceMoveBps(quote.bestRoute.amount_out, latest.bestRoute.amount_out)
+        : null;
+    const priceMoved = moveBps !== null && Math.abs(moveBps) > priceMoveToleranceBps;
+
+    let blockedReason: QuoteBlockReason | null = null;
+    if (!quote || !quote.bestRoute) {
+      blockedReason = 'no_quote';
+    } else if (quote.key !== quoteKey(tokenIn, tokenOut, amountIn)) {
+      blockedReason = 'requoting';
+    } else if (priceMoved) {
+      blockedReason = 'price_moved';
+    } else if (isStale) {
+      blockedReason = 'stale';
+    }
+
+    return {
+      ageMs,
+      expiresInMs: ageMs === null ? null : Math.max(0, ttlMs - ageMs),
+      isStale,
+      priceMoveBps: priceMoved ? moveBps : null,
+      blockedReason,
+    };
+  }, [quote, latest, now, ttlMs, priceMoveToleranceBps, tokenIn, tokenOut, amountIn]);
+
+  return {
+    quote,
+    latest,
+    loading,
+    error,
+    ...state,
+    refresh,
+    acceptLatest,
+  };
+};
+
 export default useDEXAggregator;
@@ -0,0 +1,313 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Aptos, InputEntryFunctionData, TransactionResponseType, UserTransactionResponse } from '@aptos-labs/ts-sdk';
+import { useNetwork } from '../config/NetworkContext';
+import { NetworkConfig, explorerTxUrl, moduleId, requireAddress, sameAddress } from '../config/network';
+import { useWallet } from '../wallet/WalletContext';
+import { WalletError } from '../wallet/signers';
+import { describeVmStatus } from '../transactions/abortCodes';
+import { SwapHistoryEntry, decodeHistoryEvent, fetchEventCount, fetchEvents } from '../history/swapHistory';
+import { PoolPair, PoolReserves, estimateAprBps } from '../swaps/escrowPool';
+import { SWAP_DEADLINE_SECS, swapExpiration } from '../swaps/aggregatorSwap';
+import { Token, sameCoinType } from '../tokens/registry';
+import { viewCache } from './queryCache';
+
+// Reserves move with every swap; fee activity only needs to be roughly current
+const POOL_MAX_AGE_MS = 10_000;
+const ACTIVITY_MAX_AGE_MS = 60_000;
+
+/** Fees over this window are annualized into the estimated APR. */
+export const FEE_WINDOW_SECS = 7 * 24 * 60 * 60;
+
+// Fullnodes serve at most 100 events per request; the swap stream is shared
+// by every pool and user, so bound how far one load scans
+const SCAN_BATCH = 100;
+const MAX_SCAN_BATCHES = 10;
+
+const CONFIRMATION_GRACE_SECS = 30;
+
+const isMissingVenue = (err: unknown) =>
+  /abort|not[ _]found|LINKER_ERROR/i.test(err instanceof Error ? err.message : String(err));
+
+export interface PoolSummary extends PoolPair, PoolReserves {
+  /** `x|y` in on-chain order. */
+  id: string;
+  swapCount: number;
+  /** Input volume and fees per side over `windowSecs`, from SwapExecutedEvent. */
+  volumeX: bigint;
+  volumeY: bigint;
+  windowFeesX: bigint;
+  windowFeesY: bigint;
+  windowSwaps: number;
+  aprBps: number | null;
+  /** The connected wallet's share of the liquidity. */
+  shareBps: number;
+}
+
+interface FeeActivity {
+  entries: SwapHistoryEntry[];
+  /** FEE_WINDOW_SECS, or less when the scan stopped before reaching its start. */
+  windowSecs: number;
+}
+
+/**
+ * - signing:   waiting for the wallet to sign and submit
+ * - pending:   submitted, waiting for the transaction to commit
+ * - confirmed: committed successfully
+ * - failed:    rejected, expired or aborted on chain; `error` says why
+ */
+export interface PoolAction {
+  status: 'idle' | 'signing' | 'pending' | 'confirmed' | 'failed';
+  hash: string | null;
+  explorerUrl: string | null;
+  error: string | null;
+}
+
+const IDLE: PoolAction = { status: 'idle', hash: null, explorerUrl: null, error: null };
+
+/** Escrow pool swaps newer than the fee window, scanning back from the head. */
+const scanFeeActivity = async (aptos: Aptos, config: NetworkConfig): Promise<FeeActivity> => {
+  const now = Math.floor(Date.now() / 1000);
+  const since = now - FEE_WINDOW_SECS;
+  const entries: SwapHistoryEntry[] = [];
+  let oldest = await fetchEventCount(aptos, config, 'escrow');
+  let reachedStart = oldest === 0;
+
+  for (let batch = 0; batch < MAX_SCAN_BATCHES && !reachedStart; batch++) {
+    const from = Math.max(0, oldest - SCAN_BATCH);
+    const events = await fetchEvents(config, 'escrow', from, oldest - from);
+    for (const event of events) {
+      const entry = decodeHistoryEvent('escrow', event);
+      if (entry.timestamp >= since) {
+        entries.push(entry);
+      } else {
+        reachedStart = true;
+      }
+    }
+    oldest = from;
+    reachedStart = reachedStart || oldest === 0;
+  }
+
+  const earliest = entries.reduce((min, entry) => Math.min(min, entry.timestamp), now);
+  return { entries, windowSecs: reachedStart ? FEE_WINDOW_SECS : Math.max(1, now - earliest) };
+};
+
+/**
+ * CrescaEscrowSwap pools between `tokens`, with reserves, accrued fees, fee
+ * volume over FEE_WINDOW_SECS and an estimated APR, plus `submit` for
+ * liquidity transactions. Pools are probed per pair because the module keeps
+ * no pool list. The module has no LP shares: every pool belongs to the admin
+ * account, so the admin holds all of it and only the admin can add or remove.
+ */
+export const usePools = (tokens: Token[], accountAddress: string | null | undefined) => {
+  const { aptos, config } = useNetwork();
+  const { signer } = useWallet();
+  const escrowModule = moduleId(config, 'escrowSwap');
+  const adminAddress = requireAddress(config, 'cresca');
+  const isProvider = Boolean(accountAddress && sameAddress(accountAddress, adminAddress));
+
+  const [pools, setPools] = useState<PoolSummary[]>([]);
+  const [windowSecs, setWindowSecs] = useState(FEE_WINDOW_SECS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [action, setAction] = useState<PoolAction>(IDLE);
+  const requestRef = useRef(0);
+  const busyRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+    },
+    []
+  );
+
+  const probePool = useCallback(
+    (a: string, b: string, force: boolean) =>
+      viewCache.fetch(
+        `${config.fullnodeUrl}|${escrowModule}::pool_info|${a}|${b}`,
+        async (): Promise<(PoolPair & PoolReserves & { swapCount: number }) | null> => {
+          // LiquidityPool<X, Y> exists in at most one orientation
+          for (const [x, y] of [
+            [a, b],
+            [b, a],
+          ]) {
+            try {
+              const [reserveX, reserveY, feesX, feesY, swapCount] = await aptos.view<
+                [string, string, string, string, string]
+              >({
+                payload: {
+                  function: `${escrowModule}::get_pool_info`,
+                  typeArguments: [x as `${string}::${string}::${string}`, y as `${string}::${string}::${string}`],
+                  functionArguments: [adminAddress],
+                },
+              });
+              return {
+                x,
+                y,
+                reserveX: BigInt(reserveX),
+                reserveY: BigInt(reserveY),
+                feesX: BigInt(feesX),
+                feesY: BigInt(feesY),
+                swapCount: Number(swapCount),
+              };
+            } catch (err) {
+              if (!isMissingVenue(err)) {
+                throw err;
+              }
+            }
+          }
+          return null;
+        },
+        { maxAgeMs: POOL_MAX_AGE_MS, force }
+      ),
+    [aptos, config.fullnodeUrl, escrowModule, adminAddress]
+  );
+
+  const load = useCallback(
+    async (force = false) => {
+      const request = ++requestRef.current;
+      setLoading(true);
+      setError(null);
+      try {
+        const pairs: [Token, Token][] = [];
+        tokens.forEach((a, i) => tokens.slice(i + 1).forEach((b) => pairs.push([a, b])));
+
+        const [probed, activity] = await Promise.all([
+          Promise.all(pairs.map(([a, b]) => probePool(a.type, b.type, force))),
+          viewCache.fetch(`${config.fullnodeUrl}|${escrowModule}::fee_activity`, () => scanFeeActivity(aptos, config), {
+            maxAgeMs: ACTIVITY_MAX_AGE_MS,
+            force,
+          }),
+        ]);
+        if (request !== requestRef.current) {
+          return;
+        }
+
+        const { entries, windowSecs: covered } = activity.value;
+        const next = probed.flatMap(({ value: pool }): PoolSummary[] => {
+          if (!pool) {
+            return [];
+          }
+          const summary = { volumeX: 0n, volumeY: 0n, windowFeesX: 0n, windowFeesY: 0n, windowSwaps: 0 };
+          for (const entry of entries) {
+            if (sameCoinType(entry.tokenIn, pool.x) && sameCoinType(entry.tokenOut, pool.y)) {
+              summary.volumeX += entry.amountIn;
+              summary.windowFeesX += entry.fee;
+            } else if (sameCoinType(entry.tokenIn, pool.y) && sameCoinType(entry.tokenOut, pool.x)) {
+              summary.volumeY += entry.amountIn;
+              summary.windowFeesY += entry.fee;
+            } else {
+              continue;
+            }
+            summary.windowSwaps += 1;
+          }
+          return [
+            {
+              ...pool,
+              ...summary,
+              id: `${pool.x}|${pool.y}`,
+              aprBps: estimateAprBps(pool, summary.windowFeesX, summary.windowFeesY, covered),
+              shareBps: isProvider ? 10000 : 0,
+            },
+          ];
+        });
+        setPools(next);
+        setWindowSecs(covered);
+      } catch (err) {
+        if (request === requestRef.current) {
+          setError(err instanceof Error ? err.message : 'Could not load pools');
+        }
+      } finally {
+        if (request === requestRef.current) {
+          setLoading(false);
+        }
+      }
+    },
+    [aptos, config, escrowModule, isProvider, probePool, tokens]
+  );
+
+  useEffect(() => {
+    setPools([]);
+    load();
+  }, [load]);
+
+  const update = useCallback((next: PoolAction) => {
+    if (mountedRef.current) {
+      setAction(next);
+    }
+    return next;
+  }, []);
+
+  /**
+   * Sign and submit a liquidity transaction built with `swaps/escrowPool`,
+   * then reload the pools. Resolves with the final state and never throws.
+   */
+  const submit = useCallback(
+    async (data: InputEntryFunctionData): Promise<PoolAction> => {
+      if (busyRef.current) {
+        return { ...IDLE, status: 'failed', error: 'A transaction is already in progress' };
+      }
+      if (!signer) {
+        return update({ ...IDLE, status: 'failed', error: 'Connect a wallet to manage liquidity' });
+      }
+
+      busyRef.current = true;
+      const expireTimestamp = swapExpiration();
+      let state: PoolAction = update({ ...IDLE, status: 'signing' });
+      try {
+        const hash = await signer.signAndSubmit(aptos, data, { expireTimestamp });
+        state = update({ ...state, status: 'pending', hash, explorerUrl: explorerTxUrl(config, hash) });
+
+        const committed = await aptos.waitForTransaction({
+          transactionHash: hash,
+          options: { checkSuccess: false, timeoutSecs: SWAP_DEADLINE_SECS + CONFIRMATION_GRACE_SECS },
+        });
+        if (committed.type !== TransactionResponseType.User) {
+          return update({ ...state, status: 'failed', error: 'Unexpected transaction type' });
+        }
+        const txn = committed as UserTransactionResponse;
+        if (!txn.success) {
+          return update({ ...state, status: 'failed', error: describeVmStatus(config, txn.vm_status) });
+        }
+
+        state = update({ ...state, status: 'confirmed' });
+        await load(true);
+        return state;
+      } catch (err) {
+        let message = err instanceof Error ? err.message : 'Transaction failed';
+        if (err instanceof WalletError && err.code === 'rejected') {
+          message = 'Transaction rejected in wallet';
+        } else if (state.hash && Date.now() / 1000 > expireTimestamp) {
+          message = 'Transaction expired before it was included';
+        }
+        return update({ ...state, status: 'failed', error: message });
+      } finally {
+        busyRef.current = false;
+      }
+    },
+    [aptos, config, load, signer, update]
+  );
+
+  const resetAction = useCallback(() => {
+    if (!busyRef.current) {
+      setAction(IDLE);
+    }
+  }, []);
+
+  const refresh = useCallback(() => load(true), [load]);
+
+  return {
+    pools: useMemo(() => [...pools].sort((a, b) => b.swapCount - a.swapCount), [pools]),
+    windowSecs,
+    isProvider,
+    loading,
+    error,
+    refresh,
+    action,
+    submitting: action.status === 'signing' || action.status === 'pending',
+    submit,
+    resetAction,
+  };
+};
+
+export default usePools;
@@ -0,0 +1,164 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNetwork } from '../config/NetworkContext';
+import { moduleId, requireAddress } from '../config/network';
+import { EscrowPool, Venue, dexVenues, escrowVenues } from '../routing/venues';
+import { PlanOptions, RoutePlan, planRoute } from '../routing/planner';
+import { Token } from '../tokens/registry';
+import { QUOTE_DEBOUNCE_MS, useDEXAggregator } from './useDEXAggregator';
+import { viewCache } from './queryCache';
+
+// Reserves move with every swap; keep them about as fresh as a quote
+const POOL_MAX_AGE_MS = 10_000;
+
+// A missing pool (EPOOL_NOT_FOUND) or an undeployed module just means no
+// venue; anything else is a real failure
+const isMissingVenue = (err: unknown) =>
+  /abort|not[ _]found|LINKER_ERROR/i.test(err instanceof Error ? err.message : String(err));
+
+export interface RoutePlanOptions extends PlanOptions {
+  debounceMs?: number;
+}
+
+/**
+ * Multi-hop / split route plan for `amountIn` of `tokenIn` -> `tokenOut`
+ * over every CrescaEscrowSwap pool between `tokens` and the aggregator's
+ * DEX quotes for each pair. Pools are probed per pair because the module
+ * keeps no pool list. DEX legs other than the direct pair are priced at the
+ * rate quoted for one whole input token.
+ */
+export const useRoutePlan = (
+  tokens: Token[],
+  tokenIn: string,
+  tokenOut: string,
+  amountIn: bigint | null,
+  { debounceMs = QUOTE_DEBOUNCE_MS, maxHops, splits }: RoutePlanOptions = {}
+) => {
+  const { aptos, config } = useNetwork();
+  const { getAllRoutes } = useDEXAggregator();
+  const escrowModule = moduleId(config, 'escrowSwap');
+  const adminAddress = requireAddress(config, 'cresca');
+
+  const [plan, setPlan] = useState<RoutePlan | null>(null);
+  const [poolCount, setPoolCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const requestRef = useRef(0);
+
+  const [debouncedAmount, setDebouncedAmount] = useState(amountIn);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedAmount(amountIn), debounceMs);
+    return () => clearTimeout(timer);
+  }, [amountIn, debounceMs]);
+
+  const probePool = useCallback(
+    (a: string, b: string, force: boolean) =>
+      viewCache.fetch(
+        `${config.fullnodeUrl}|${escrowModule}::pool|${a}|${b}`,
+        async (): Promise<EscrowPool | null> => {
+          // LiquidityPool<X, Y> exists in at most one orientation
+          for (const [x, y] of [
+            [a, b],
+            [b, a],
+          ]) {
+            try {
+              const [reserveX, reserveY] = await aptos.view<[string, string]>({
+                payload: {
+                  function: `${escrowModule}::get_pool_liquidity`,
+                  typeArguments: [x as `${string}::${string}::${string}`, y as `${string}::${string}::${string}`],
+                  functionArguments: [adminAddress],
+                },
+              });
+              return { x, y, reserveX: BigInt(reserveX), reserveY: BigInt(reserveY) };
+            } catch (err) {
+              if (!isMissingVenue(err)) {
+                throw err;
+              }
+            }
+          }
+          return null;
+        },
+        { maxAgeMs: POOL_MAX_AGE_MS, force }
+      ),
+    [aptos, config.fullnodeUrl, escrowModule, adminAddress]
+  );
+
+  const dexQuotes = useCallback(
+    async (a: string, b: string, sampleIn: bigint, force: boolean): Promise<Venue[]> => {
+      try {
+        return dexVenues(a, b, await getAllRoutes(a, b, sampleIn, force));
+      } catch (err) {
+        if (isMissingVenue(err)) {
+          return [];
+        }
+        throw err;
+      }
+    },
+    [getAllRoutes]
+  );
+
+  const load = useCallback(
+    async (force: boolean) => {
+      const request = ++requestRef.current;
+      if (debouncedAmount === null || debouncedAmount <= 0n || tokenIn === tokenOut) {
+        setPlan(null);
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      setError(null);
+      try {
+        const pairs: [Token, Token][] = [];
+        tokens.forEach((a, i) => tokens.slice(i + 1).forEach((b) => pairs.push([a, b])));
+
+        const [pools, dex] = await Promise.all([
+          Promise.all(pairs.map(([a, b]) => probePool(a.type, b.type, force))),
+          Promise.all(
+            pairs.flatMap(([a, b]) =>
+              [
+                [a, b],
+                [b, a],
+              ].map(([from, to]) => {
+                const direct = from.type === tokenIn && to.type === tokenOut;
+                return dexQuotes(from.type, to.type, direct ? debouncedAmount : 10n ** BigInt(from.decimals), force);
+              })
+            )
+          ),
+        ]);
+        if (request !== requestRef.current) {
+          return;
+        }
+
+        const found = pools.map(({ value }) => value).filter((pool): pool is EscrowPool => pool !== null);
+        const escrow = escrowVenues(found);
+        setPoolCount(found.length);
+        setPlan(planRoute([...escrow.venues, ...dex.flat()], escrow.reserves, tokenIn, tokenOut, debouncedAmount, { maxHops, splits }));
+      } catch (err) {
+        if (request === requestRef.current) {
+          setError(err instanceof Error ? err.message : 'Failed to plan route');
+        }
+      } finally {
+        if (request === requestRef.current) {
+          setLoading(false);
+        }
+      }
+    },
+    [tokens, tokenIn, tokenOut, debouncedAmount, probePool, dexQuotes, maxHops, splits]
+  );
+
+  useEffect(() => {
+    load(false);
+  }, [load]);
+
+  const refresh = useCallback(() => load(true), [load]);
+
+  return {
+    plan,
+    poolCount,
+    loading,
+    error,
+    refresh,
+  };
+};
+
+export default useRoutePlan;
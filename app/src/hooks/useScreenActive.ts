@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+import { AppState, AppStateStatus } from 'react-native';
+import { useIsFocused } from '@react-navigation/native';
+
+/**
+ * True while the screen is focused in its navigator and the app is in the
+ * foreground. Used to pause polling that nobody is looking at.
+ */
+export const useScreenActive = (): boolean => {
+  const isFocused = useIsFocused();
+  const [appState, setAppState] = useState<AppStateStatus>(AppState.currentState);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', setAppState);
+    return () => subscription.remove();
+  }, []);
+
+  return isFocused && appState === 'active';
+};
+
+export default useScreenActive;
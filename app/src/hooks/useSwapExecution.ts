@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { TransactionResponseType, UserTransactionResponse } from '@aptos-labs/ts-sdk';
+import { useNetwork } from '../config/NetworkContext';
+import { explorerTxUrl } from '../config/network';
+import { useWallet } from '../wallet/WalletContext';
+import { WalletError } from '../wallet/signers';
+import { describeVmStatus } from '../transactions/abortCodes';
+import { recordQuote } from '../history/historyStore';
+import {
+  AggregatorSwapRequest,
+  SWAP_DEADLINE_SECS,
+  SwapReceipt,
+  buildAggregatorSwap,
+  decodeSwapReceipt,
+  swapExpiration,
+} from '../swaps/aggregatorSwap';
+
+/**
+ * - signing:   waiting for the wallet to sign and submit
+ * - pending:   submitted, waiting for the transaction to commit
+ * - confirmed: committed successfully; `receipt` is set
+ * - failed:    rejected, expired or aborted on chain; `error` says why
+ */
+export type SwapExecutionStatus = 'idle' | 'signing' | 'pending' | 'confirmed' | 'failed';
+
+export interface SwapExecution {
+  status: SwapExecutionStatus;
+  hash: string | null;
+  explorerUrl: string | null;
+  receipt: SwapReceipt | null;
+  error: string | null;
+  /** Unix seconds after which the chain will not include the swap. */
+  expireTimestamp: number | null;
+}
+
+const IDLE: SwapExecution = {
+  status: 'idle',
+  hash: null,
+  explorerUrl: null,
+  receipt: null,
+  error: null,
+  expireTimestamp: null,
+};
+
+// Give the node a little past the deadline to report the expiry itself
+const CONFIRMATION_GRACE_SECS = 30;
+
+/**
+ * Signs, submits and tracks one aggregator swap at a time with the connected
+ * wallet. `execute` resolves with the final state and never throws.
+ */
+export const useSwapExecution = () => {
+  const { aptos, config } = useNetwork();
+  const { signer } = useWallet();
+  const [execution, setExecution] = useState<SwapExecution>(IDLE);
+  const busyRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+    },
+    []
+  );
+
+  const update = useCallback((next: SwapExecution) => {
+    if (mountedRef.current) {
+      setExecution(next);
+    }
+    return next;
+  }, []);
+
+  const execute = useCallback(
+    async (request: AggregatorSwapRequest, deadlineSecs = SWAP_DEADLINE_SECS): Promise<SwapExecution> => {
+      if (busyRef.current) {
+        return { ...IDLE, status: 'failed', error: 'A swap is already in progress' };
+      }
+      if (!signer) {
+        return update({ ...IDLE, status: 'failed', error: 'Connect a wallet to swap' });
+      }
+
+      busyRef.current = true;
+      const expireTimestamp = swapExpiration(deadlineSecs);
+      let state: SwapExecution = update({ ...IDLE, status: 'signing', expireTimestamp });
+
+      try {
+        const data = buildAggregatorSwap(config, request);
+        const hash = await signer.signAndSubmit(aptos, data, { expireTimestamp });
+        state = update({ ...state, status: 'pending', hash, explorerUrl: explorerTxUrl(config, hash) });
+        if (request.quotedAmountOut !== undefined) {
+          recordQuote(config, hash, request.quotedAmountOut).catch(() => {
+            // History falls back to min_out
+          });
+        }
+
+        const committed = await aptos.waitForTransaction({
+          transactionHash: hash,
+          options: { checkSuccess: false, timeoutSecs: deadlineSecs + CONFIRMATION_GRACE_SECS },
+        });
+        if (committed.type !== TransactionResponseType.User) {
+          return update({ ...state, status: 'failed', error: 'Unexpected transaction type' });
+        }
+
+        const txn = committed as UserTransactionResponse;
+        if (!txn.success) {
+          return update({ ...state, status: 'failed', error: describeVmStatus(config, txn.vm_status) });
+        }
+
+        const receipt = decodeSwapReceipt(config, txn);
+        if (!receipt) {
+          return update({ ...state, status: 'failed', error: 'Swap committed but emitted no AggregatedSwapEvent' });
+        }
+        return update({ ...state, status: 'confirmed', receipt });
+      } catch (err) {
+        let error = err instanceof Error ? err.message : 'Swap failed';
+        if (err instanceof WalletError && err.code === 'rejected') {
+          error = 'Swap rejected in wallet';
+        } else if (state.hash && Date.now() / 1000 > expireTimestamp) {
+          error = 'Swap expired before it was included';
+        }
+        return update({ ...state, status: 'failed', error });
+      } finally {
+        busyRef.current = false;
+      }
+    },
+    [aptos, config, signer, update]
+  );
+
+  const reset = useCallback(() => {
+    if (!busyRef.current) {
+      setExecution(IDLE);
+    }
+  }, []);
+
+  return {
+    execution,
+    executing: execution.status === 'signing' || execution.status === 'pending',
+    execute,
+    reset,
+  };
+};
+
+export default useSwapExecution;
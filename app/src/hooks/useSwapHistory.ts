@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Aptos } from '@aptos-labs/ts-sdk';
+import { useNetwork } from '../config/NetworkContext';
+import { NetworkConfig, sameAddress } from '../config/network';
+import {
+  HISTORY_SOURCES,
+  HistoryFilter,
+  HistorySource,
+  SwapHistoryEntry,
+  compareEntries,
+  decodeHistoryEvent,
+  fetchEventCount,
+  fetchEvents,
+  matchesFilter,
+  withTransaction,
+} from '../history/swapHistory';
+import { StoredHistory, loadHistory, loadQuotes, saveHistory } from '../history/historyStore';
+
+// Fullnodes serve at most 100 events per request
+const SCAN_BATCH = 100;
+const PAGE_SIZE = 20;
+// Event streams are shared by all users; bound the requests one load may make
+const MAX_BATCHES_PER_LOAD = 10;
+
+/** User's trades among events `start .. end - 1`, scanning newest first. */
+const scanBackwards = async (
+  config: NetworkConfig,
+  source: HistorySource,
+  user: string,
+  start: number,
+  end: number,
+  wanted: number
+): Promise<{ entries: SwapHistoryEntry[]; oldest: number }> => {
+  const entries: SwapHistoryEntry[] = [];
+  let oldest = end;
+  for (let batch = 0; batch < MAX_BATCHES_PER_LOAD && oldest > start && entries.length < wanted; batch++) {
+    const from = Math.max(start, oldest - SCAN_BATCH);
+    const events = await fetchEvents(config, source, from, oldest - from);
+    for (const event of events) {
+      const entry = decodeHistoryEvent(source, event);
+      if (sameAddress(entry.user, user)) {
+        entries.push(entry);
+      }
+    }
+    oldest = from;
+  }
+  return { entries, oldest };
+};
+
+const merge = (current: SwapHistoryEntry[], added: SwapHistoryEntry[]) => {
+  const byId = new Map(current.map((entry) => [entry.id, entry]));
+  for (const entry of added) {
+    byId.set(entry.id, entry);
+  }
+  return [...byId.values()].sort(compareEntries);
+};
+
+const enrich = (aptos: Aptos, entries: SwapHistoryEntry[]) =>
+  Promise.all(entries.map((entry) => withTransaction(aptos, entry)));
+
+/**
+ * A user's aggregator and escrow pool swaps, read from the modules' event
+ * stores. Loaded history is kept in AsyncStorage, so it shows immediately and
+ * only newer events are fetched on the next visit. `loadMore` pages further
+ * back; `filter` applies to what has been loaded.
+ */
+export const useSwapHistory = (accountAddress: string | null | undefined, filter: HistoryFilter = {}) => {
+  const { aptos, config } = useNetwork();
+  const [history, setHistory] = useState<StoredHistory | null>(null);
+  const [quotes, setQuotes] = useState<Record<string, bigint>>({});
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const historyRef = useRef<StoredHistory | null>(null);
+  const busyRef = useRef(false);
+  // Bumped on account or network change so late results are dropped
+  const generationRef = useRef(0);
+
+  const commit = useCallback(
+    (generation: number, next: StoredHistory) => {
+      if (generation !== generationRef.current || !accountAddress) {
+        return;
+      }
+      historyRef.current = next;
+      setHistory(next);
+      saveHistory(config, accountAddress, next).catch(() => {
+        // Cache only; the next visit rescans
+      });
+    },
+    [accountAddress, config]
+  );
+
+  const loadOlder = useCallback(
+    async (generation: number, current: StoredHistory): Promise<StoredHistory> => {
+      let next = current;
+      for (const source of HISTORY_SOURCES) {
+        const cursor = next.cursors[source];
+        if (cursor.oldest === 0 || !accountAddress) {
+          continue;
+        }
+        const { entries, oldest } = await scanBackwards(config, source, accountAddress, 0, cursor.oldest, PAGE_SIZE);
+        next = {
+          entries: merge(next.entries, await enrich(aptos, entries)),
+          cursors: { ...next.cursors, [source]: { ...cursor, oldest } },
+        };
+        commit(generation, next);
+      }
+      return next;
+    },
+    [accountAddress, aptos, commit, config]
+  );
+
+  const loadNewer = useCallback(
+    async (generation: number, current: StoredHistory | null): Promise<StoredHistory> => {
+      let next: StoredHistory = current || { entries: [], cursors: {} as StoredHistory['cursors'] };
+      for (const source of HISTORY_SOURCES) {
+        const count = await fetchEventCount(aptos, config, source);
+        let cursor = next.cursors[source];
+        // Too far behind to catch up cheaply: start again from the head
+        if (!cursor || cursor.newest > count || count - cursor.newest > SCAN_BATCH * MAX_BATCHES_PER_LOAD) {
+          next = { ...next, entries: next.entries.filter((entry) => entry.source !== source) };
+          cursor = { oldest: count, newest: count };
+        }
+        if (cursor.newest < count && accountAddress) {
+          const { entries } = await scanBackwards(config, source, accountAddress, cursor.newest, count, Infinity);
+          next = { ...next, entries: merge(next.entries, await enrich(aptos, entries)) };
+        }
+        next = { ...next, cursors: { ...next.cursors, [source]: { ...cursor, newest: count } } };
+      }
+      commit(generation, next);
+      return next;
+    },
+    [accountAddress, aptos, commit, config]
+  );
+
+  const refresh = useCallback(async () => {
+    if (!accountAddress || busyRef.current) {
+      return;
+    }
+    const generation = generationRef.current;
+    busyRef.current = true;
+    setLoading(true);
+    setError(null);
+    try {
+      loadQuotes(config)
+        .then((loaded) => {
+          if (generation === generationRef.current) {
+            setQuotes(loaded);
+          }
+        })
+        .catch(() => undefined);
+      const next = await loadNewer(generation, historyRef.current);
+      if (next.entries.length < PAGE_SIZE) {
+        await loadOlder(generation, next);
+      }
+    } catch (err) {
+      if (generation === generationRef.current) {
+        setError(err instanceof Error ? err.message : 'Could not load swap history');
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        busyRef.current = false;
+        setLoading(false);
+      }
+    }
+  }, [accountAddress, config, loadNewer, loadOlder]);
+
+  const loadMore = useCallback(async () => {
+    const current = historyRef.current;
+    if (!accountAddress || !current || busyRef.current) {
+      return;
+    }
+    const generation = generationRef.current;
+    busyRef.current = true;
+    setLoadingMore(true);
+    try {
+      await loadOlder(generation, current);
+    } catch (err) {
+      if (generation === generationRef.current) {
+        setError(err instanceof Error ? err.message : 'Could not load older swaps');
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        busyRef.current = false;
+        setLoadingMore(false);
+      }
+    }
+  }, [accountAddress, loadOlder]);
+
+  // Show the cached history first, then catch up with the chain
+  useEffect(() => {
+    generationRef.current += 1;
+    const generation = generationRef.current;
+    historyRef.current = null;
+    busyRef.current = false;
+    setHistory(null);
+    setQuotes({});
+    setError(null);
+    setLoading(false);
+    setLoadingMore(false);
+    if (!accountAddress) {
+      return;
+    }
+
+    loadHistory(config, accountAddress)
+      .catch(() => null)
+      .then((cached) => {
+        if (generation !== generationRef.current) {
+          return;
+        }
+        historyRef.current = cached;
+        setHistory(cached);
+        refresh();
+      });
+  }, [accountAddress, config, refresh]);
+
+  const { tokenA, tokenB, from, to } = filter;
+  const entries = useMemo(
+    () => (history?.entries || []).filter((entry) => matchesFilter(entry, { tokenA, tokenB, from, to })),
+    [history, tokenA, tokenB, from, to]
+  );
+
+  return {
+    entries,
+    quotes,
+    loading,
+    loadingMore,
+    hasMore: Boolean(history && HISTORY_SOURCES.some((source) => history.cursors[source]?.oldest > 0)),
+    error,
+    refresh,
+    loadMore,
+  };
+};
+
+export default useSwapHistory;
@@ -0,0 +1,144 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNetwork } from '../config/NetworkContext';
+import { Token, fetchCoinInfo, findToken, isCoinType, tokensFromConfig } from '../tokens/registry';
+import { viewCache } from './queryCache';
+
+// CoinInfo never changes after publish; balances move with every swap
+const COIN_INFO_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const BALANCE_MAX_AGE_MS = 10_000;
+
+/**
+ * Tokens for the active network: the config list, with decimals confirmed
+ * against on-chain CoinInfo, plus any coin types the user added. Balances are
+ * loaded for `accountAddress` when given.
+ */
+export const useTokenRegistry = (accountAddress?: string) => {
+  const { aptos, config } = useNetwork();
+  const configured = useMemo(() => tokensFromConfig(config), [config]);
+
+  const [added, setAdded] = useState<Token[]>([]);
+  const [onChain, setOnChain] = useState<Record<string, { decimals: number; name: string }>>({});
+  const [balances, setBalances] = useState<Record<string, bigint>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  const coinInfo = useCallback(
+    (type: string) =>
+      viewCache.fetch(`${config.fullnodeUrl}|coin_info|${type}`, () => fetchCoinInfo(aptos, type), {
+        maxAgeMs: COIN_INFO_MAX_AGE_MS,
+      }),
+    [aptos, config.fullnodeUrl]
+  );
+
+  // A network switch starts from that network's list
+  useEffect(() => {
+    setAdded([]);
+    setBalances({});
+  }, [config]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      configured.map(async (token) => {
+        try {
+          const { value } = await coinInfo(token.type);
+          return [token.type, { decimals: value.decimals, name: value.name }] as const;
+        } catch (err) {
+          // Not published on this network (e.g. a local node); keep the config values
+          return null;
+        }
+      })
+    ).then((entries) => {
+      if (!cancelled) {
+        setOnChain(Object.fromEntries(entries.filter((entry): entry is NonNullable<typeof entry> => entry !== null)));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [configured, coinInfo]);
+
+  const tokens = useMemo<Token[]>(() => {
+    const confirmed = configured.map((token) => {
+      const chain = onChain[token.type];
+      if (chain && chain.decimals !== token.decimals) {
+        console.warn(`networks.json lists ${token.symbol} with ${token.decimals} decimals, chain says ${chain.decimals}`);
+        return { ...token, decimals: chain.decimals };
+      }
+      return token;
+    });
+    return [...confirmed, ...added.filter((token) => !findToken(confirmed, token.type))];
+  }, [configured, onChain, added]);
+
+  /**
+   * Add an unlisted coin by its full type. Its symbol, name and decimals come
+   * from CoinInfo and it is marked unverified.
+   */
+  const addToken = useCallback(
+    async (type: string): Promise<Token> => {
+      const coinType = type.trim();
+      if (!isCoinType(coinType)) {
+        throw new Error('Enter a full coin type, e.g. 0x1::aptos_coin::AptosCoin');
+      }
+      const existing = findToken(tokens, coinType);
+      if (existing) {
+        return existing;
+      }
+
+      const { value } = await coinInfo(coinType);
+      const token: Token = {
+        type: coinType,
+        symbol: value.symbol,
+        name: value.name,
+        decimals: value.decimals,
+        icon: null,
+        verified: false,
+      };
+      setAdded((prev) => [...prev, token]);
+      return token;
+    },
+    [tokens, coinInfo]
+  );
+
+  const refreshBalances = useCallback(
+    async (force = false) => {
+      if (!accountAddress) {
+        setBalances({});
+        return;
+      }
+      try {
+        setError(null);
+        const entries = await Promise.all(
+          tokens.map(async (token) => {
+            const { value } = await viewCache.fetch(
+              `${config.fullnodeUrl}|balance|${accountAddress}|${token.type}`,
+              () => aptos.getAccountCoinAmount({ accountAddress, coinType: token.type as `${string}::${string}::${string}` }),
+              { maxAgeMs: BALANCE_MAX_AGE_MS, force }
+            );
+            return [token.type, BigInt(value)] as const;
+          })
+        );
+        setBalances(Object.fromEntries(entries));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load balances');
+      }
+    },
+    [aptos, config.fullnodeUrl, accountAddress, tokens]
+  );
+
+  useEffect(() => {
+    refreshBalances();
+  }, [refreshBalances]);
+
+  const getToken = useCallback((type: string) => findToken(tokens, type), [tokens]);
+
+  return {
+    tokens,
+    getToken,
+    addToken,
+    balances,
+    refreshBalances,
+    error,
+  };
+};
+
+export default useTokenRegistry;
@@ -0,0 +1,71 @@
+import { useCallback, useRef, useState } from 'react';
+import { InputEntryFunctionData } from '@aptos-labs/ts-sdk';
+import { useNetwork } from '../config/NetworkContext';
+import { useWallet } from '../wallet/WalletContext';
+import { SimulationPreview, simulateTransaction } from '../transactions/simulate';
+
+/**
+ * Simulates a write as the connected wallet before it is signed. `error` is
+ * set when the simulation itself could not run; a transaction that would
+ * fail comes back as a preview with `success: false`.
+ */
+export const useTransactionPreview = () => {
+  const { aptos, config } = useNetwork();
+  const { signer } = useWallet();
+  const [preview, setPreview] = useState<SimulationPreview | null>(null);
+  const [simulating, setSimulating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const requestRef = useRef(0);
+
+  const simulate = useCallback(
+    async (data: InputEntryFunctionData, expireTimestamp?: number): Promise<SimulationPreview | null> => {
+      const request = ++requestRef.current;
+      setPreview(null);
+      setError(null);
+      if (!signer) {
+        setError('Connect a wallet to preview this transaction');
+        return null;
+      }
+
+      setSimulating(true);
+      try {
+        const result = await simulateTransaction(aptos, config, data, {
+          sender: signer.address,
+          publicKey: signer.publicKey,
+          expireTimestamp,
+        });
+        if (request === requestRef.current) {
+          setPreview(result);
+        }
+        return result;
+      } catch (err) {
+        if (request === requestRef.current) {
+          setError(err instanceof Error ? err.message : 'Simulation failed');
+        }
+        return null;
+      } finally {
+        if (request === requestRef.current) {
+          setSimulating(false);
+        }
+      }
+    },
+    [aptos, config, signer]
+  );
+
+  const clear = useCallback(() => {
+    requestRef.current += 1;
+    setPreview(null);
+    setError(null);
+    setSimulating(false);
+  }, []);
+
+  return {
+    preview,
+    simulating,
+    error,
+    simulate,
+    clear,
+  };
+};
+
+export default useTransactionPreview;
@@ -0,0 +1,239 @@
+import { Reserves, Venue, applyFill, venueOutput, venuePriceImpactBps } from './venues';
+
+export interface RouteLeg {
+  venueId: string;
+  kind: Venue['kind'];
+  label: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  amountOut: bigint;
+  priceImpactBps: number;
+}
+
+/** One path through the graph and the share of the input sent along it. */
+export interface PlannedRoute {
+  path: string[];
+  amountIn: bigint;
+  amountOut: bigint;
+  legs: RouteLeg[];
+  priceImpactBps: number;
+}
+
+export interface RoutePlan {
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  amountOut: bigint;
+  routes: PlannedRoute[];
+  /** Output-weighted impact across routes. */
+  priceImpactBps: number;
+  /** Most legs on any route. */
+  hops: number;
+}
+
+export interface PlanOptions {
+  /** Longest path considered, in legs. */
+  maxHops?: number;
+  /** The input is allocated in this many equal parts. */
+  splits?: number;
+}
+
+export const DEFAULT_MAX_HOPS = 3;
+export const DEFAULT_SPLITS = 20;
+
+const cloneReserves = (reserves: Reserves): Reserves =>
+  Object.fromEntries(Object.entries(reserves).map(([id, pool]) => [id, { ...pool }]));
+
+/** Simple token paths from `tokenIn` to `tokenOut` with at most `maxHops` legs. */
+export const findPaths = (venues: Venue[], tokenIn: string, tokenOut: string, maxHops = DEFAULT_MAX_HOPS): string[][] => {
+  const neighbours = new Map<string, Set<string>>();
+  venues.forEach((venue) => {
+    if (!neighbours.has(venue.tokenIn)) {
+      neighbours.set(venue.tokenIn, new Set());
+    }
+    neighbours.get(venue.tokenIn)!.add(venue.tokenOut);
+  });
+
+  const paths: string[][] = [];
+  const walk = (path: string[]) => {
+    const last = path[path.length - 1];
+    if (last === tokenOut) {
+      paths.push(path);
+      return;
+    }
+    if (path.length > maxHops) {
+      return;
+    }
+    neighbours.get(last)?.forEach((next) => {
+      if (!path.includes(next)) {
+        walk([...path, next]);
+      }
+    });
+  };
+  walk([tokenIn]);
+  return paths;
+};
+
+/**
+ * Best venue per hop for `amountIn` along `path` at the current reserves.
+ * Each hop's output only feeds later hops, so taking the best venue at every
+ * hop is optimal for the path.
+ */
+const bestFill = (
+  path: string[],
+  amountIn: bigint,
+  byPair: Map<string, Venue[]>,
+  reserves: Reserves
+): { venues: Venue[]; amounts: bigint[] } | null => {
+  const venues: Venue[] = [];
+  const amounts: bigint[] = [amountIn];
+  for (let i = 0; i < path.length - 1; i += 1) {
+    let best: { venue: Venue; out: bigint } | null = null;
+    for (const venue of byPair.get(`${path[i]}>${path[i + 1]}`) || []) {
+      const out = venueOutput(venue, amounts[i], reserves);
+      if (out !== null && (!best || out > best.out)) {
+        best = { venue, out };
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    venues.push(best.venue);
+    amounts.push(best.out);
+  }
+  return { venues, amounts };
+};
+
+/** Execute one route in full against `reserves` (mutated), leg by leg. */
+const simulateRoute = (path: string[], venues: Venue[], amountIn: bigint, reserves: Reserves): PlannedRoute | null => {
+  const legs: RouteLeg[] = [];
+  let amount = amountIn;
+  let kept = 1;
+
+  for (let i = 0; i < venues.length; i += 1) {
+    const venue = venues[i];
+    const out = venueOutput(venue, amount, reserves);
+    if (out === null) {
+      return null;
+    }
+    const priceImpactBps = venuePriceImpactBps(venue, amount, out, reserves);
+    applyFill(venue, amount, out, reserves);
+    legs.push({
+      venueId: venue.id,
+      kind: venue.kind,
+      label: venue.label,
+      tokenIn: path[i],
+      tokenOut: path[i + 1],
+      amountIn: amount,
+      amountOut: out,
+      priceImpactBps,
+    });
+    kept *= 1 - priceImpactBps / 10000;
+    amount = out;
+  }
+
+  return { path, amountIn, amountOut: amount, legs, priceImpactBps: Math.round((1 - kept) * 10000) };
+};
+
+/**
+ * Place a merged route against `reserves` (mutated only on success). A fill
+ * too large for one swap, e.g. beyond the escrow module's u64 math, is sent
+ * as two.
+ */
+const placeRoute = (path: string[], venues: Venue[], amountIn: bigint, reserves: Reserves): PlannedRoute[] | null => {
+  const attempt = cloneReserves(reserves);
+  const simulated = simulateRoute(path, venues, amountIn, attempt);
+  if (simulated) {
+    Object.assign(reserves, attempt);
+    return [simulated];
+  }
+  if (amountIn < 2n) {
+    return null;
+  }
+  const half = amountIn / 2n;
+  const first = placeRoute(path, venues, amountIn - half, reserves);
+  const second = first && placeRoute(path, venues, half, reserves);
+  return first && second ? [...first, ...second] : null;
+};
+
+/**
+ * Plan `amountIn` of `tokenIn` -> `tokenOut` across every path of up to
+ * `maxHops` legs. The input is handed out in `splits` parts, each to the
+ * path (and per-hop venues) with the best marginal output given the parts
+ * already placed, so large trades spread over pools as their prices move.
+ * Parts that ended up on the same venues are merged into one route and the
+ * plan is re-simulated route by route from the original reserves.
+ *
+ * Returns null when no path can fill the amount.
+ */
+export const planRoute = (
+  venues: Venue[],
+  reserves: Reserves,
+  tokenIn: string,
+  tokenOut: string,
+  amountIn: bigint,
+  { maxHops = DEFAULT_MAX_HOPS, splits = DEFAULT_SPLITS }: PlanOptions = {}
+): RoutePlan | null => {
+  if (amountIn <= 0n || tokenIn === tokenOut) {
+    return null;
+  }
+
+  const byPair = new Map<string, Venue[]>();
+  venues.forEach((venue) => {
+    const key = `${venue.tokenIn}>${venue.tokenOut}`;
+    byPair.set(key, [...(byPair.get(key) || []), venue]);
+  });
+  const paths = findPaths(venues, tokenIn, tokenOut, maxHops);
+
+  // Greedy allocation against a scratch copy of the reserves
+  const parts = BigInt(Math.max(1, Math.min(splits, Number(amountIn))));
+  const part = amountIn / parts;
+  const scratch = cloneReserves(reserves);
+  const allocated = new Map<string, { path: string[]; venues: Venue[]; amountIn: bigint }>();
+
+  for (let i = 0n; i < parts; i += 1n) {
+    // The remainder rides on the first part
+    const size = i === 0n ? part + (amountIn % parts) : part;
+    let best: { path: string[]; venues: Venue[]; amounts: bigint[] } | null = null;
+    for (const path of paths) {
+      const fill = bestFill(path, size, byPair, scratch);
+      if (fill && (!best || fill.amounts[fill.amounts.length - 1] > best.amounts[best.amounts.length - 1])) {
+        best = { path, ...fill };
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const { path, venues: chosen, amounts } = best;
+    chosen.forEach((venue, hop) => applyFill(venue, amounts[hop], amounts[hop + 1], scratch));
+    const key = chosen.map((venue) => venue.id).join('>');
+    allocated.set(key, { path, venues: chosen, amountIn: (allocated.get(key)?.amountIn || 0n) + size });
+  }
+
+  // Each route executes as one swap per leg, which yields a little less than
+  // the parts did; report what the merged routes actually return
+  const final = cloneReserves(reserves);
+  const routes: PlannedRoute[] = [];
+  const merged = [...allocated.values()].sort((a, b) => (b.amountIn > a.amountIn ? 1 : b.amountIn < a.amountIn ? -1 : 0));
+  for (const route of merged) {
+    const placed = placeRoute(route.path, route.venues, route.amountIn, final);
+    if (!placed) {
+      return null;
+    }
+    routes.push(...placed);
+  }
+
+  const amountOut = routes.reduce((sum, route) => sum + route.amountOut, 0n);
+  const weighted = routes.reduce((sum, route) => sum + route.priceImpactBps * Number(route.amountOut), 0);
+  return {
+    tokenIn,
+    tokenOut,
+    amountIn,
+    amountOut,
+    routes,
+    priceImpactBps: amountOut > 0n ? Math.round(weighted / Number(amountOut)) : 0,
+    hops: Math.max(...routes.map((route) => route.legs.length)),
+  };
+};
@@ -0,0 +1,140 @@
+import { U64_MAX } from '../tokens/amounts';
+
+/**
+ * Places a single hop can be filled: a CrescaEscrowSwap pool (either
+ * direction) or one of the aggregator's DEXs for one token pair.
+ */
+export type Venue =
+  | {
+      kind: 'escrow';
+      id: string;
+      label: string;
+      tokenIn: string;
+      tokenOut: string;
+      /** Key into `Reserves`; both directions of a pool share it. */
+      poolId: string;
+      xToY: boolean;
+    }
+  | {
+      kind: 'dex';
+      id: string;
+      label: string;
+      tokenIn: string;
+      tokenOut: string;
+      dexId: number;
+      /** Quoted rate as a ratio: `rateOut` out per `rateIn` in. */
+      rateIn: bigint;
+      rateOut: bigint;
+      priceImpactBps: number;
+    };
+
+export interface EscrowPool {
+  /** Type arguments of `LiquidityPool<X, Y>`, in on-chain order. */
+  x: string;
+  y: string;
+  reserveX: bigint;
+  reserveY: bigint;
+}
+
+export type Reserves = Record<string, { reserveX: bigint; reserveY: bigint }>;
+
+/** Just the fields of an aggregator `SwapRoute` the planner needs. */
+export interface DexQuote {
+  dex_id: number;
+  dex_name: string;
+  amount_in: string;
+  amount_out: string;
+  price_impact: string;
+}
+
+// Mirrors CrescaEscrowSwap
+export const ESCROW_SWAP_FEE_BPS = 30n;
+const BPS = 10000n;
+
+export const poolId = (x: string, y: string) => `${x}|${y}`;
+
+export const escrowVenues = (pools: EscrowPool[]): { venues: Venue[]; reserves: Reserves } => {
+  const venues: Venue[] = [];
+  const reserves: Reserves = {};
+  pools.forEach((pool) => {
+    const id = poolId(pool.x, pool.y);
+    reserves[id] = { reserveX: pool.reserveX, reserveY: pool.reserveY };
+    venues.push(
+      { kind: 'escrow', id: `escrow:${id}:xy`, label: 'Cresca Escrow', tokenIn: pool.x, tokenOut: pool.y, poolId: id, xToY: true },
+      { kind: 'escrow', id: `escrow:${id}:yx`, label: 'Cresca Escrow', tokenIn: pool.y, tokenOut: pool.x, poolId: id, xToY: false }
+    );
+  });
+  return { venues, reserves };
+};
+
+/** One venue per DEX from an aggregator quote for `tokenIn` -> `tokenOut`. */
+export const dexVenues = (tokenIn: string, tokenOut: string, quotes: DexQuote[]): Venue[] =>
+  quotes
+    .filter((quote) => BigInt(quote.amount_in) > 0n && BigInt(quote.amount_out) > 0n)
+    .map((quote) => ({
+      kind: 'dex' as const,
+      id: `dex:${quote.dex_id}:${tokenIn}|${tokenOut}`,
+      label: quote.dex_name,
+      tokenIn,
+      tokenOut,
+      dexId: quote.dex_id,
+      rateIn: BigInt(quote.amount_in),
+      rateOut: BigInt(quote.amount_out),
+      priceImpactBps: Number(quote.price_impact),
+    }));
+
+const escrowSides = (venue: Extract<Venue, { kind: 'escrow' }>, reserves: Reserves) => {
+  const pool = reserves[venue.poolId];
+  return venue.xToY
+    ? { reserveIn: pool.reserveX, reserveOut: pool.reserveY }
+    : { reserveIn: pool.reserveY, reserveOut: pool.reserveX };
+};
+
+/**
+ * Output of `amountIn` through `venue` at the given reserves, or null when
+ * the venue cannot fill it. Escrow pools use the module's own integer math,
+ * including its u64 intermediate products, which abort on overflow.
+ */
+export const venueOutput = (venue: Venue, amountIn: bigint, reserves: Reserves): bigint | null => {
+  if (amountIn <= 0n) {
+    return null;
+  }
+  if (venue.kind === 'dex') {
+    return (amountIn * venue.rateOut) / venue.rateIn;
+  }
+
+  const { reserveIn, reserveOut } = escrowSides(venue, reserves);
+  if (amountIn * (BPS - ESCROW_SWAP_FEE_BPS) > U64_MAX) {
+    return null;
+  }
+  const amountInWithFee = (amountIn * (BPS - ESCROW_SWAP_FEE_BPS)) / BPS;
+  if (reserveOut * amountInWithFee > U64_MAX) {
+    return null;
+  }
+  const amountOut = (reserveOut * amountInWithFee) / (reserveIn + amountInWithFee);
+  return amountOut > 0n && amountOut < reserveOut ? amountOut : null;
+};
+
+/** Apply a fill to the reserves (in place). DEX venues hold no state here. */
+export const applyFill = (venue: Venue, amountIn: bigint, amountOut: bigint, reserves: Reserves) => {
+  if (venue.kind !== 'escrow') {
+    return;
+  }
+  const pool = reserves[venue.poolId];
+  reserves[venue.poolId] = venue.xToY
+    ? { reserveX: pool.reserveX + amountIn, reserveY: pool.reserveY - amountOut }
+    : { reserveX: pool.reserveX - amountOut, reserveY: pool.reserveY + amountIn };
+};
+
+/**
+ * Loss against the venue's spot rate (after its fee) for this fill. For DEX
+ * venues this is the impact the aggregator reports.
+ */
+export const venuePriceImpactBps = (venue: Venue, amountIn: bigint, amountOut: bigint, reserves: Reserves): number => {
+  if (venue.kind === 'dex') {
+    return venue.priceImpactBps;
+  }
+  const { reserveIn, reserveOut } = escrowSides(venue, reserves);
+  const ideal = (amountIn * (BPS - ESCROW_SWAP_FEE_BPS) * reserveOut) / (BPS * reserveIn);
+  return ideal > 0n ? Number(((ideal - amountOut) * BPS) / ideal) : 0;
+};
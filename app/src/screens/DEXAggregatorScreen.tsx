@@ -10,11 +10,32 @@ import {
   Alert,
   RefreshControl,
 } from 'react-native';
-import { Aptos, AptosConfig, Network } from '@aptos-labs/ts-sdk';
-
-// DEX Aggregator Configuration
-const ADMIN_ADDRESS = '0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b';
-const DEX_MODULE = `${ADMIN_ADDRESS}::dex_aggregator`;
+import { useNetwork } from '../config/NetworkContext';
+import {
+  AggregatorStats,
+  DEXInfo,
+  PriceComparison,
+  QuoteBlockReason,
+  priceMoveBps,
+  useDEXAggregator,
+  useSwapQuote,
+} from '../hooks/useDEXAggregator';
+import { useRoutePlan } from '../hooks/useRoutePlan';
+import { useTokenRegistry } from '../hooks/useTokenRegistry';
+import { useSwapExecution } from '../hooks/useSwapExecution';
+import { useWallet } from '../wallet/WalletContext';
+import TokenPairPicker from '../components/TokenPairPicker';
+import { Token } from '../tokens/registry';
+import { applySlippage, formatBps, formatUnits, parseUnits, tryParsePercentBps, tryParseUnits } from '../tokens/amounts';
+import {
+  AggregatorSwapRequest,
+  SWAP_DEADLINE_SECS,
+  buildAggregatorSwap,
+  decodeSwapReceipt,
+  swapExpiration,
+} from '../swaps/aggregatorSwap';
+import TransactionPreviewSheet from '../components/TransactionPreviewSheet';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
 
 // DEX IDs
 const DEX_IDS = {
@@ -33,71 +54,98 @@ const DEX_NAMES = {
   5: 'Cellana',
 };
 
-interface SwapRoute {
-  dex_id: number;
-  dex_name: string;
-  amount_in: string;
-  amount_out: string;
-  price_impact: string;
-  estimated_fee: string;
-}
-
-interface DEXInfo {
-  dex_id: number;
-  name: string;
-  enabled: boolean;
-  total_volume: string;
-  swap_count: string;
-}
+const SLIPPAGE_HINT = 'Slippage must be a percentage from 0 to 99.99 with at most 2 decimals';
+
+const BLOCKED_MESSAGES: Record<QuoteBlockReason, string> = {
+  no_quote: 'Enter an amount to get a quote',
+  requoting: 'Updating quote for the new amount…',
+  stale: 'Quote expired. Refresh to get the current price',
+  price_moved: 'Price moved since this quote. Review the new quote before swapping',
+};
+
+const EXECUTION_MESSAGES = {
+  signing: 'Waiting for wallet signature…',
+  pending: 'Swap submitted, waiting for confirmation…',
+};
+
+const shortAddress = (address: string) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+const defaultOutputType = (coins: Record<string, { type: string }>): string =>
+  (Object.values(coins).find((coin) => coin.type !== coins.APT.type) || coins.APT).type;
+
+const describeAmountError = (value: string, decimals: number): string => {
+  try {
+    parseUnits(value, decimals);
+    return 'Enter a valid amount';
+  } catch (error) {
+    return error instanceof Error ? error.message : 'Enter a valid amount';
+  }
+};
 
 const DEXAggregatorScreen: React.FC = () => {
-  const [aptos, setAptos] = useState<Aptos | null>(null);
-  const [loading, setLoading] = useState(false);
+  // DEX Aggregator configuration comes from the active network profile
+  const { aptos, config } = useNetwork();
+  const aptDecimals = config.coins.APT.decimals;
+  const wallet = useWallet();
+  const { tokens, getToken, addToken, balances, refreshBalances } = useTokenRegistry(wallet.address || undefined);
+  const { execution, executing, execute, reset: resetExecution } = useSwapExecution();
+  const transactionPreview = useTransactionPreview();
+  const [pendingSwap, setPendingSwap] = useState<AggregatorSwapRequest | null>(null);
+  const { getSupportedDexs, getAggregatorStats, comparePrices: fetchComparison, queryStatus } = useDEXAggregator();
   const [refreshing, setRefreshing] = useState(false);
   
   // Form state
   const [amountIn, setAmountIn] = useState('');
   const [slippageTolerance, setSlippageTolerance] = useState('1.0');
   const [selectedDex, setSelectedDex] = useState<number | null>(null);
-  
-  // Routes and comparison
-  const [allRoutes, setAllRoutes] = useState<SwapRoute[]>([]);
-  const [bestRoute, setBestRoute] = useState<{
-    dex_id: number;
-    amount_out: string;
-    price_impact: string;
-  } | null>(null);
-  const [priceComparison, setPriceComparison] = useState<{
-    best_dex_id: number;
-    best_output: string;
-    worst_output: string;
-    price_diff_bps: string;
-  } | null>(null);
+
+  // Token pair; defaults to APT -> the first other listed token
+  const [fromType, setFromType] = useState(config.coins.APT.type);
+  const [toType, setToType] = useState(defaultOutputType(config.coins));
+  const fromToken = getToken(fromType) || tokens[0];
+  const toToken = getToken(toType) || tokens[0];
+
+  useEffect(() => {
+    setFromType(config.coins.APT.type);
+    setToType(defaultOutputType(config.coins));
+  }, [config]);
+
+  // Amounts are exact base units of the input token; null while invalid
+  const parsedAmount = tryParseUnits(amountIn, fromToken.decimals);
+  const amountError = amountIn && parsedAmount === null ? describeAmountError(amountIn, fromToken.decimals) : null;
+  const slippageBps = tryParsePercentBps(slippageTolerance);
+  const slippageError = slippageBps === null ? SLIPPAGE_HINT : null;
+
+  // Quotes refresh themselves as the amount changes and before they expire
+  const swapQuote = useSwapQuote(fromToken.type, toToken.type, parsedAmount);
+  const { quote, blockedReason } = swapQuote;
+  const allRoutes = quote?.routes || [];
+  const bestRoute = quote?.bestRoute || null;
+  const [priceComparison, setPriceComparison] = useState<PriceComparison | null>(null);
+
+  // Multi-hop / split plan over escrow pools and DEXs, shown next to the single-DEX route
+  const routePlan = useRoutePlan(tokens, fromToken.type, toToken.type, parsedAmount);
+  const plan = routePlan.plan;
+  const planGainBps = plan && bestRoute ? priceMoveBps(bestRoute.amount_out, plan.amountOut.toString()) : null;
+  // A plan that is one DEX leg is just the best route again
+  const planIsSingleDex = plan?.routes.length === 1 && plan.hops === 1 && plan.routes[0].legs[0].kind === 'dex';
+  const comparing = queryStatus('comparePrices').loading;
   
   // DEX stats
   const [supportedDexs, setSupportedDexs] = useState<DEXInfo[]>([]);
-  const [aggregatorStats, setAggregatorStats] = useState<{
-    total_volume: string;
-    total_swaps: string;
-    fees_collected: string;
-  } | null>(null);
+  const [aggregatorStats, setAggregatorStats] = useState<AggregatorStats | null>(null);
 
-  // Initialize Aptos SDK
+  // Reload whenever the network (and with it the Aptos client) changes
   useEffect(() => {
-    const config = new AptosConfig({ network: Network.TESTNET });
-    const aptosClient = new Aptos(config);
-    setAptos(aptosClient);
-    
-    loadInitialData(aptosClient);
-  }, []);
-
-  const loadInitialData = async (aptosClient: Aptos) => {
+    loadInitialData(false);
+  }, [aptos]);
+
+  const loadInitialData = async (force: boolean) => {
     try {
       setRefreshing(true);
-      await Promise.all([
-        fetchSupportedDexs(aptosClient),
-        fetchAggregatorStats(aptosClient),
-      ]);
+      const [dexs, stats] = await Promise.all([getSupportedDexs(force), getAggregatorStats(force)]);
+      setSupportedDexs(dexs);
+      setAggregatorStats(stats);
     } catch (error) {
       console.error('Error loading initial data:', error);
     } finally {
@@ -105,198 +153,133 @@ const DEXAggregatorScreen: React.FC = () => {
     }
   };
 
-  const fetchSupportedDexs = async (aptosClient?: Aptos) => {
-    try {
-      const client = aptosClient || aptos;
-      if (!client) return;
-
-      const result = await client.view({
-        payload: {
-          function: `${DEX_MODULE}::get_supported_dexs`,
-          typeArguments: [],
-          functionArguments: [ADMIN_ADDRESS],
-        },
-      });
-
-      if (result && result[0]) {
-        setSupportedDexs(result[0] as DEXInfo[]);
-      }
-    } catch (error) {
-      console.error('Error fetching supported DEXs:', error);
+  const comparePrices = async () => {
+    if (!parsedAmount) {
+      Alert.alert('Invalid Input', amountError || 'Please enter a valid amount');
+      return;
     }
-  };
 
-  const fetchAggregatorStats = async (aptosClient?: Aptos) => {
     try {
-      const client = aptosClient || aptos;
-      if (!client) return;
-
-      const result = await client.view({
-        payload: {
-          function: `${DEX_MODULE}::get_aggregator_stats`,
-          typeArguments: [],
-          functionArguments: [ADMIN_ADDRESS],
-        },
-      });
-
-      if (result && result.length >= 3) {
-        setAggregatorStats({
-          total_volume: result[0] as string,
-          total_swaps: result[1] as string,
-          fees_collected: result[2] as string,
-        });
-      }
+      setPriceComparison(await fetchComparison(fromToken.type, toToken.type, parsedAmount));
     } catch (error) {
-      console.error('Error fetching aggregator stats:', error);
+      console.error('Error comparing prices:', error);
+      Alert.alert('Error', 'Failed to compare prices. Please try again.');
     }
   };
 
-  const fetchAllRoutes = async () => {
-    if (!aptos || !amountIn || parseFloat(amountIn) <= 0) {
-      Alert.alert('Invalid Input', 'Please enter a valid amount');
+  const executeSwap = async (useBestRoute: boolean) => {
+    if (!parsedAmount) {
+      Alert.alert('Invalid Input', amountError || 'Please enter a valid amount');
       return;
     }
 
-    try {
-      setLoading(true);
-      
-      // Convert amount to smallest unit (assuming 8 decimals for APT)
-      const amountInOctas = Math.floor(parseFloat(amountIn) * 100000000);
-
-      const result = await aptos.view({
-        payload: {
-          function: `${DEX_MODULE}::get_all_routes`,
-          typeArguments: [
-            '0x1::aptos_coin::AptosCoin',
-            '0x1::aptos_coin::AptosCoin', // Replace with actual USDC type
-          ],
-          functionArguments: [ADMIN_ADDRESS, amountInOctas.toString()],
-        },
-      });
-
-      if (result && result[0]) {
-        const routes = result[0] as SwapRoute[];
-        setAllRoutes(routes);
-        
-        // Find best route
-        if (routes.length > 0) {
-          const best = routes.reduce((prev, current) => 
-            parseFloat(current.amount_out) > parseFloat(prev.amount_out) ? current : prev
-          );
-          setBestRoute({
-            dex_id: best.dex_id,
-            amount_out: best.amount_out,
-            price_impact: best.price_impact,
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error fetching routes:', error);
-      Alert.alert('Error', 'Failed to fetch routes. Please try again.');
-    } finally {
-      setLoading(false);
+    if (!useBestRoute && !selectedDex) {
+      Alert.alert('No DEX Selected', 'Please select a DEX for swap');
+      return;
     }
-  };
 
-  const comparePrices = async () => {
-    if (!aptos || !amountIn || parseFloat(amountIn) <= 0) {
-      Alert.alert('Invalid Input', 'Please enter a valid amount');
+    // Never build a swap from an expired or superseded quote
+    if (blockedReason || !quote) {
+      Alert.alert('Quote not current', BLOCKED_MESSAGES[blockedReason || 'no_quote']);
       return;
     }
 
-    try {
-      setLoading(true);
-      
-      const amountInOctas = Math.floor(parseFloat(amountIn) * 100000000);
-
-      const result = await aptos.view({
-        payload: {
-          function: `${DEX_MODULE}::compare_prices`,
-          typeArguments: [
-            '0x1::aptos_coin::AptosCoin',
-            '0x1::aptos_coin::AptosCoin',
-          ],
-          functionArguments: [ADMIN_ADDRESS, amountInOctas.toString()],
-        },
-      });
-
-      if (result && result.length >= 4) {
-        setPriceComparison({
-          best_dex_id: result[0] as number,
-          best_output: result[1] as string,
-          worst_output: result[2] as string,
-          price_diff_bps: result[3] as string,
-        });
-      }
-    } catch (error) {
-      console.error('Error comparing prices:', error);
-      Alert.alert('Error', 'Failed to compare prices. Please try again.');
-    } finally {
-      setLoading(false);
+    const route = useBestRoute ? bestRoute : allRoutes.find((candidate) => candidate.dex_id === selectedDex);
+    if (!route) {
+      Alert.alert('Route unavailable', 'The selected DEX has no route in the current quote');
+      return;
     }
-  };
 
-  const executeSwap = async (useBestRoute: boolean) => {
-    if (!aptos || !amountIn || parseFloat(amountIn) <= 0) {
-      Alert.alert('Invalid Input', 'Please enter a valid amount');
+    if (slippageBps === null) {
+      Alert.alert('Invalid Input', SLIPPAGE_HINT);
       return;
     }
+    const minAmountOut = applySlippage(route.amount_out, slippageBps);
 
-    if (!useBestRoute && !selectedDex) {
-      Alert.alert('No DEX Selected', 'Please select a DEX for swap');
+    if (!wallet.signer) {
+      Alert.alert('No Wallet', 'Connect a wallet to execute swaps');
       return;
     }
 
-    try {
-      setLoading(true);
-      
-      const amountInOctas = Math.floor(parseFloat(amountIn) * 100000000);
-      const slippageBps = Math.floor(parseFloat(slippageTolerance) * 100);
-      const minAmountOut = bestRoute 
-        ? Math.floor(parseFloat(bestRoute.amount_out) * (10000 - slippageBps) / 10000)
-        : 0;
-
-      // NOTE: This requires wallet integration (Petra, Martian, etc.)
-      // For now, showing alert that this would execute the swap
-      
-      Alert.alert(
-        'Swap Preview',
-        `Swap ${amountIn} APT\n` +
-        `Via: ${useBestRoute ? DEX_NAMES[bestRoute?.dex_id || 1] : DEX_NAMES[selectedDex || 1]}\n` +
-        `Min Output: ${(minAmountOut / 100000000).toFixed(6)} APT\n` +
-        `Slippage: ${slippageTolerance}%\n\n` +
-        'Wallet integration required for execution',
-        [
-          { text: 'Cancel', style: 'cancel' },
-          {
-            text: 'Execute',
-            onPress: () => {
-              // TODO: Integrate wallet SDK
-              Alert.alert('Info', 'Connect wallet to execute swap');
-            },
-          },
-        ]
+    const request = {
+      tokenIn: fromToken.type,
+      tokenOut: toToken.type,
+      amountIn: parsedAmount,
+      minAmountOut,
+      quotedAmountOut: BigInt(route.amount_out),
+      // The best-route entry re-picks the DEX on chain; min output still holds
+      dexId: useBestRoute ? null : route.dex_id,
+    };
+
+    // Simulate as the connected wallet; the sheet only confirms a swap that would succeed
+    setPendingSwap(request);
+    transactionPreview.simulate(buildAggregatorSwap(config, request), swapExpiration());
+  };
+
+  const confirmSwap = async () => {
+    const request = pendingSwap;
+    closePreview();
+    if (!request) {
+      return;
+    }
+    const result = await execute(request);
+    if (result.status === 'confirmed') {
+      setAmountIn('');
+      await Promise.all([refreshBalances(true), loadInitialData(true)]);
+    }
+  };
+
+  const closePreview = () => {
+    setPendingSwap(null);
+    transactionPreview.clear();
+  };
+
+  const previewLines = () => {
+    if (!pendingSwap) {
+      return [];
+    }
+    const lines = [
+      { label: 'Swap', value: `${formatUnits(pendingSwap.amountIn, fromToken.decimals)} ${fromToken.symbol}` },
+      {
+        label: 'Via',
+        value: pendingSwap.dexId === null ? 'Best route' : DEX_NAMES[pendingSwap.dexId as keyof typeof DEX_NAMES],
+      },
+      { label: 'Min Output', value: `${formatUnits(pendingSwap.minAmountOut, toToken.decimals)} ${toToken.symbol}` },
+      { label: 'Slippage', value: `${slippageTolerance}%` },
+      { label: 'Expires', value: `${SWAP_DEADLINE_SECS}s after signing` },
+      { label: 'Wallet', value: wallet.signer?.label || '—' },
+    ];
+    const simulated = transactionPreview.preview?.success && decodeSwapReceipt(config, transactionPreview.preview.transaction);
+    if (simulated) {
+      lines.push(
+        { label: 'Simulated Output', value: receiptAmount(simulated.amountOut, simulated.tokenOut) },
+        { label: 'Simulated DEX', value: simulated.dexUsed }
       );
-    } catch (error) {
-      console.error('Error executing swap:', error);
-      Alert.alert('Error', 'Failed to execute swap. Please try again.');
-    } finally {
-      setLoading(false);
     }
+    return lines;
   };
 
-  const formatAmount = (amount: string, decimals: number = 8): string => {
-    return (parseFloat(amount) / Math.pow(10, decimals)).toFixed(6);
+  const formatAmount = (amount: string, decimals: number = aptDecimals): string => {
+    return formatUnits(amount, decimals, 6);
   };
 
-  const formatBps = (bps: string): string => {
-    return (parseFloat(bps) / 100).toFixed(2);
+  // Receipts name the coins the swap actually used, which may no longer be the selected pair
+  const receiptAmount = (units: bigint, type: string): string => {
+    const token = getToken(type);
+    return token ? `${formatUnits(units, token.decimals, 6)} ${token.symbol}` : `${units} (base units of ${type})`;
+  };
+
+  const symbolOf = (type: string) => getToken(type)?.symbol || type.split('::').pop();
+
+  const selectPair = (from: Token, to: Token) => {
+    setFromType(from.type);
+    setToType(to.type);
+    setSelectedDex(null);
+    setPriceComparison(null);
   };
 
   const onRefresh = async () => {
-    if (aptos) {
-      await loadInitialData(aptos);
-    }
+    await Promise.all([loadInitialData(true), swapQuote.refresh(), routePlan.refresh()]);
   };
 
   return (
@@ -312,6 +295,81 @@ const DEXAggregatorScreen: React.FC = () => {
         <Text style={styles.headerSubtitle}>Find Best Prices Across 5 DEXs</Text>
       </View>
 
+      {/* Wallet */}
+      <View style={styles.walletContainer}>
+        {wallet.address ? (
+          <View style={styles.walletRow}>
+            <Text style={styles.walletText}>
+              {wallet.signer?.label}: {shortAddress(wallet.address)}
+            </Text>
+            <TouchableOpacity onPress={wallet.disconnect} disabled={executing}>
+              <Text style={styles.walletAction}>Disconnect</Text>
+            </TouchableOpacity>
+          </View>
+        ) : wallet.connectors.length > 0 ? (
+          <View style={styles.buttonRow}>
+            {wallet.connectors.map((connector) => (
+              <TouchableOpacity
+                key={connector.label}
+                style={[styles.button, styles.buttonSecondary]}
+                onPress={() => wallet.connect(connector)}
+                disabled={wallet.connecting}
+              >
+                <Text style={styles.buttonText}>Connect {connector.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ) : (
+          <Text style={styles.walletText}>No wallet configured; quotes only</Text>
+        )}
+        {wallet.error && <Text style={styles.quoteError}>{wallet.error}</Text>}
+      </View>
+
+      {/* Swap status / receipt */}
+      {execution.status !== 'idle' && (
+        <View style={styles.receiptContainer}>
+          {(execution.status === 'signing' || execution.status === 'pending') && (
+            <View style={styles.walletRow}>
+              <ActivityIndicator color="#64ffda" />
+              <Text style={styles.receiptText}>{EXECUTION_MESSAGES[execution.status]}</Text>
+            </View>
+          )}
+          {execution.status === 'confirmed' && execution.receipt && (
+            <>
+              <Text style={styles.sectionTitle}>✅ Swap Confirmed</Text>
+              <Text style={styles.receiptText}>
+                Sent: {receiptAmount(execution.receipt.amountIn, execution.receipt.tokenIn)}
+              </Text>
+              <Text style={styles.receiptText}>
+                Received: {receiptAmount(execution.receipt.amountOut, execution.receipt.tokenOut)}
+              </Text>
+              <Text style={styles.receiptText}>Via: {execution.receipt.dexUsed}</Text>
+              <Text style={styles.receiptText}>Price Impact: {formatBps(String(execution.receipt.priceImpactBps))}%</Text>
+              <Text style={styles.receiptText}>
+                Aggregator Fee: {receiptAmount(execution.receipt.aggregatorFee, execution.receipt.tokenIn)}
+              </Text>
+              <Text style={styles.receiptText}>Gas: {formatUnits(execution.receipt.gasFee, aptDecimals)} APT</Text>
+            </>
+          )}
+          {execution.status === 'failed' && (
+            <>
+              <Text style={styles.sectionTitle}>❌ Swap Failed</Text>
+              <Text style={styles.quoteError}>{execution.error}</Text>
+            </>
+          )}
+          {execution.hash && (
+            <Text style={styles.receiptHash} selectable>
+              {execution.explorerUrl || execution.hash}
+            </Text>
+          )}
+          {!executing && (
+            <TouchableOpacity onPress={resetExecution}>
+              <Text style={styles.walletAction}>Dismiss</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {/* Aggregator Stats */}
       {aggregatorStats && (
         <View style={styles.statsContainer}>
@@ -339,7 +397,18 @@ const DEXAggregatorScreen: React.FC = () => {
         <Text style={styles.sectionTitle}>Swap Amount</Text>
         
         <View style={styles.inputGroup}>
-          <Text style={styles.inputLabel}>Amount (APT)</Text>
+          <TokenPairPicker
+            tokens={tokens}
+            from={fromToken}
+            to={toToken}
+            balances={balances}
+            onChange={selectPair}
+            onAddToken={addToken}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Amount ({fromToken.symbol})</Text>
           <TextInput
             style={styles.input}
             value={amountIn}
@@ -348,6 +417,7 @@ const DEXAggregatorScreen: React.FC = () => {
             keyboardType="decimal-pad"
             placeholderTextColor="#999"
           />
+          {amountError && <Text style={styles.quoteError}>{amountError}</Text>}
         </View>
 
         <View style={styles.inputGroup}>
@@ -360,35 +430,66 @@ const DEXAggregatorScreen: React.FC = () => {
             keyboardType="decimal-pad"
             placeholderTextColor="#999"
           />
+          {slippageError && <Text style={styles.quoteError}>{slippageError}</Text>}
         </View>
 
         <View style={styles.buttonRow}>
           <TouchableOpacity
             style={[styles.button, styles.buttonSecondary]}
-            onPress={fetchAllRoutes}
-            disabled={loading}
+            onPress={swapQuote.refresh}
+            disabled={swapQuote.loading || !parsedAmount}
           >
-            {loading ? (
+            {swapQuote.loading ? (
               <ActivityIndicator color="#fff" />
             ) : (
-              <Text style={styles.buttonText}>Find All Routes</Text>
+              <Text style={styles.buttonText}>Refresh Quote</Text>
             )}
           </TouchableOpacity>
 
           <TouchableOpacity
             style={[styles.button, styles.buttonSecondary]}
             onPress={comparePrices}
-            disabled={loading}
+            disabled={comparing}
           >
-            {loading ? (
+            {comparing ? (
               <ActivityIndicator color="#fff" />
             ) : (
               <Text style={styles.buttonText}>Compare Prices</Text>
             )}
           </TouchableOpacity>
         </View>
+
+        {quote && (
+          <Text style={styles.quoteAge}>
+            {swapQuote.isStale
+              ? 'Quote expired'
+              : `Quote refreshes automatically · expires in ${Math.ceil((swapQuote.expiresInMs || 0) / 1000)}s`}
+          </Text>
+        )}
+        {swapQuote.error && <Text style={styles.quoteError}>{swapQuote.error}</Text>}
       </View>
 
+      {/* Stale / moved quote warning */}
+      {quote && blockedReason && blockedReason !== 'no_quote' && (
+        <View style={styles.quoteWarning}>
+          <Text style={styles.quoteWarningText}>
+            {blockedReason === 'price_moved'
+              ? `Price moved by ${formatBps(String(swapQuote.priceMoveBps))}% since this quote`
+              : BLOCKED_MESSAGES[blockedReason]}
+          </Text>
+          {blockedReason === 'price_moved' && (
+            <TouchableOpacity style={[styles.button, styles.buttonPrimary, styles.swapButton]} onPress={swapQuote.acceptLatest}>
+              <Text style={styles.buttonText}>Accept New Quote</Text>
+            </TouchableOpacity>
+          )}
+          {blockedReason === 'stale' && (
+            <TouchableOpacity style={[styles.button, styles.buttonPrimary, styles.swapButton]} onPress={swapQuote.refresh}>
+              <Text style={styles.buttonText}>Refresh Quote</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {/* Best Route Display */}
       {bestRoute && (
         <View style={styles.bestRouteContainer}>
@@ -398,7 +499,7 @@ const DEXAggregatorScreen: React.FC = () => {
               {DEX_NAMES[bestRoute.dex_id]}
             </Text>
             <Text style={styles.bestRouteAmount}>
-              Output: {formatAmount(bestRoute.amount_out)} APT
+              Output: {formatAmount(bestRoute.amount_out, toToken.decimals)} {toToken.symbol}
             </Text>
             <Text style={styles.bestRouteImpact}>
               Price Impact: {formatBps(bestRoute.price_impact)}%
@@ -406,7 +507,7 @@ const DEXAggregatorScreen: React.FC = () => {
             <TouchableOpacity
               style={[styles.button, styles.buttonPrimary, styles.swapButton]}
               onPress={() => executeSwap(true)}
-              disabled={loading}
+              disabled={blockedReason !== null || executing}
             >
               <Text style={styles.buttonText}>
                 Swap via {DEX_NAMES[bestRoute.dex_id]}
@@ -416,6 +517,52 @@ const DEXAggregatorScreen: React.FC = () => {
         </View>
       )}
 
+      {/* Multi-hop / split plan */}
+      {plan && !planIsSingleDex && (
+        <View style={styles.bestRouteContainer}>
+          <Text style={styles.sectionTitle}>🧭 Smart Route</Text>
+          <View style={styles.comparisonCard}>
+            <View style={styles.comparisonRow}>
+              <Text style={styles.comparisonLabel}>Output:</Text>
+              <Text style={styles.comparisonValue}>
+                {formatAmount(plan.amountOut.toString(), toToken.decimals)} {toToken.symbol}
+              </Text>
+            </View>
+            {planGainBps !== null && (
+              <View style={styles.comparisonRow}>
+                <Text style={styles.comparisonLabel}>vs. Best Single DEX:</Text>
+                <Text style={[styles.comparisonValue, planGainBps > 0 && styles.priceDiff]}>
+                  {planGainBps > 0 ? '+' : ''}
+                  {formatBps(String(planGainBps))}%
+                </Text>
+              </View>
+            )}
+            <View style={styles.comparisonRow}>
+              <Text style={styles.comparisonLabel}>Price Impact:</Text>
+              <Text style={styles.comparisonValue}>{formatBps(String(plan.priceImpactBps))}%</Text>
+            </View>
+            {plan.routes.map((route) => (
+              <View key={route.legs.map((leg) => leg.venueId).join('>')} style={styles.planRoute}>
+                <Text style={styles.routeDexName}>
+                  {formatBps(((route.amountIn * 10000n) / plan.amountIn).toString())}% · {route.path.map(symbolOf).join(' → ')}
+                </Text>
+                {route.legs.map((leg) => (
+                  <Text key={leg.venueId} style={styles.routeLabel}>
+                    {leg.label}: {formatAmount(leg.amountIn.toString(), getToken(leg.tokenIn)?.decimals)} {symbolOf(leg.tokenIn)} →{' '}
+                    {formatAmount(leg.amountOut.toString(), getToken(leg.tokenOut)?.decimals)} {symbolOf(leg.tokenOut)}
+                  </Text>
+                ))}
+              </View>
+            ))}
+            <Text style={styles.quoteAge}>
+              {routePlan.poolCount} escrow pool{routePlan.poolCount === 1 ? '' : 's'} considered. Plans with several legs are
+              shown for comparison; swaps execute on the single-DEX route.
+            </Text>
+          </View>
+        </View>
+      )}
+      {routePlan.error && <Text style={[styles.quoteError, styles.planError]}>{routePlan.error}</Text>}
+
       {/* Price Comparison */}
       {priceComparison && (
         <View style={styles.comparisonContainer}>
@@ -430,13 +577,13 @@ const DEXAggregatorScreen: React.FC = () => {
             <View style={styles.comparisonRow}>
               <Text style={styles.comparisonLabel}>Best Output:</Text>
               <Text style={styles.comparisonValue}>
-                {formatAmount(priceComparison.best_output)} APT
+                {formatAmount(priceComparison.best_output, toToken.decimals)} {toToken.symbol}
               </Text>
             </View>
             <View style={styles.comparisonRow}>
               <Text style={styles.comparisonLabel}>Worst Output:</Text>
               <Text style={styles.comparisonValue}>
-                {formatAmount(priceComparison.worst_output)} APT
+                {formatAmount(priceComparison.worst_output, toToken.decimals)} {toToken.symbol}
               </Text>
             </View>
             <View style={styles.comparisonRow}>
@@ -471,7 +618,7 @@ const DEXAggregatorScreen: React.FC = () => {
               <View style={styles.routeDetails}>
                 <Text style={styles.routeLabel}>Output:</Text>
                 <Text style={styles.routeValue}>
-                  {formatAmount(route.amount_out)} APT
+                  {formatAmount(route.amount_out, toToken.decimals)} {toToken.symbol}
                 </Text>
               </View>
               <View style={styles.routeDetails}>
@@ -483,7 +630,7 @@ const DEXAggregatorScreen: React.FC = () => {
               <View style={styles.routeDetails}>
                 <Text style={styles.routeLabel}>Aggregator Fee:</Text>
                 <Text style={styles.routeValue}>
-                  {formatAmount(route.estimated_fee)} APT
+                  {formatAmount(route.estimated_fee, fromToken.decimals)} {fromToken.symbol}
                 </Text>
               </View>
             </TouchableOpacity>
@@ -493,7 +640,7 @@ const DEXAggregatorScreen: React.FC = () => {
             <TouchableOpacity
               style={[styles.button, styles.buttonPrimary, styles.swapButton]}
               onPress={() => executeSwap(false)}
-              disabled={loading}
+              disabled={blockedReason !== null || executing}
             >
               <Text style={styles.buttonText}>
                 Swap via {DEX_NAMES[selectedDex]}
@@ -535,6 +682,20 @@ const DEXAggregatorScreen: React.FC = () => {
         </View>
       )}
 
+      <TransactionPreviewSheet
+        visible={pendingSwap !== null}
+        title="Review Swap"
+        preview={transactionPreview.preview}
+        simulating={transactionPreview.simulating}
+        error={transactionPreview.error}
+        lines={previewLines()}
+        describeToken={getToken}
+        blockedReason={blockedReason ? BLOCKED_MESSAGES[blockedReason] : null}
+        confirmLabel="Sign & Swap"
+        onConfirm={confirmSwap}
+        onCancel={closePreview}
+      />
+
       {/* Info Footer */}
       <View style={styles.infoFooter}>
         <Text style={styles.infoText}>
@@ -651,6 +812,28 @@ const styles = StyleSheet.create({
   swapButton: {
     marginTop: 15,
   },
+  quoteAge: {
+    fontSize: 12,
+    color: '#8892b0',
+    marginTop: 12,
+  },
+  quoteError: {
+    fontSize: 12,
+    color: '#ef4444',
+    marginTop: 6,
+  },
+  quoteWarning: {
+    backgroundColor: '#3b2a12',
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+    borderRadius: 12,
+    marginHorizontal: 15,
+    padding: 15,
+  },
+  quoteWarningText: {
+    fontSize: 14,
+    color: '#fbbf24',
+  },
   bestRouteContainer: {
     padding: 15,
   },
@@ -791,6 +974,53 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#8892b0',
   },
+  planRoute: {
+    borderTopWidth: 1,
+    borderTopColor: '#2a3550',
+    paddingTop: 8,
+    marginTop: 8,
+  },
+  planError: {
+    marginHorizontal: 15,
+  },
+  walletContainer: {
+    padding: 15,
+    backgroundColor: '#1a1f35',
+    marginTop: 10,
+    marginHorizontal: 15,
+    borderRadius: 12,
+  },
+  walletRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  walletText: {
+    fontSize: 13,
+    color: '#8892b0',
+  },
+  walletAction: {
+    fontSize: 13,
+    color: '#64ffda',
+    marginTop: 6,
+  },
+  receiptContainer: {
+    padding: 15,
+    backgroundColor: '#1a1f35',
+    marginTop: 10,
+    marginHorizontal: 15,
+    borderRadius: 12,
+  },
+  receiptText: {
+    fontSize: 14,
+    color: '#fff',
+    marginBottom: 4,
+  },
+  receiptHash: {
+    fontSize: 11,
+    color: '#8892b0',
+    marginTop: 8,
+  },
   infoFooter: {
     padding: 20,
     backgroundColor: '#1a1f35',
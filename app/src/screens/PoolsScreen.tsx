@@ -0,0 +1,510 @@
+import React, { useState } from 'react';
+import {
+  ActivityIndicator,
+  FlatList,
+  Linking,
+  RefreshControl,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { InputEntryFunctionData } from '@aptos-labs/ts-sdk';
+import { useNetwork } from '../config/NetworkContext';
+import { PoolSummary, usePools } from '../hooks/usePools';
+import { useTokenRegistry } from '../hooks/useTokenRegistry';
+import { useTransactionPreview } from '../hooks/useTransactionPreview';
+import { useWallet } from '../wallet/WalletContext';
+import TransactionPreviewSheet from '../components/TransactionPreviewSheet';
+import {
+  buildAddLiquidity,
+  buildCollectFees,
+  buildRemoveLiquidity,
+  pairedAmount,
+  removalAmounts,
+} from '../swaps/escrowPool';
+import { swapExpiration } from '../swaps/aggregatorSwap';
+import { formatUnits, tryParseUnits } from '../tokens/amounts';
+
+const PRICE_DECIMALS = 8;
+const REMOVE_STEPS = [25, 50, 75, 100];
+
+type PendingAction =
+  | { kind: 'add'; pool: PoolSummary; amountX: bigint; amountY: bigint }
+  | { kind: 'remove'; pool: PoolSummary; amountX: bigint; amountY: bigint; percent: number }
+  | { kind: 'collect'; pool: PoolSummary };
+
+const TITLES: Record<PendingAction['kind'], string> = {
+  add: 'Review Deposit',
+  remove: 'Review Withdrawal',
+  collect: 'Review Fee Collection',
+};
+
+const percent = (bps: number) => `${(bps / 100).toFixed(2)}%`;
+
+const windowLabel = (secs: number) =>
+  secs >= 24 * 60 * 60 ? `${Math.round(secs / (24 * 60 * 60))}d` : `${Math.max(1, Math.round(secs / 3600))}h`;
+
+/**
+ * CrescaEscrowSwap pools with reserves, price, fee volume and estimated APR.
+ * The admin account that owns the pools can deposit and withdraw at the
+ * pool ratio and collect fees; every write is previewed before signing.
+ */
+const PoolsScreen: React.FC = () => {
+  const { config } = useNetwork();
+  const wallet = useWallet();
+  const { tokens, getToken, balances, refreshBalances } = useTokenRegistry(wallet.address || undefined);
+  const { pools, windowSecs, isProvider, loading, error, refresh, action, submitting, submit, resetAction } = usePools(
+    tokens,
+    wallet.address
+  );
+  const transactionPreview = useTransactionPreview();
+
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [inputX, setInputX] = useState('');
+  const [inputY, setInputY] = useState('');
+  const [removePercent, setRemovePercent] = useState(REMOVE_STEPS[1]);
+  const [pending, setPending] = useState<PendingAction | null>(null);
+
+  const symbolOf = (type: string) => getToken(type)?.symbol || type.split('::').pop();
+  const decimalsOf = (type: string) => getToken(type)?.decimals ?? 0;
+
+  const amount = (units: bigint, type: string) => {
+    const token = getToken(type);
+    return token ? `${formatUnits(units, token.decimals, 6)} ${token.symbol}` : `${units} (${type})`;
+  };
+
+  /** Y per one whole X, exact to PRICE_DECIMALS. */
+  const price = (pool: PoolSummary) => {
+    if (pool.reserveX === 0n) {
+      return '—';
+    }
+    const scaled =
+      (pool.reserveY * 10n ** BigInt(decimalsOf(pool.x) + PRICE_DECIMALS)) /
+      (pool.reserveX * 10n ** BigInt(decimalsOf(pool.y)));
+    return `1 ${symbolOf(pool.x)} = ${formatUnits(scaled, PRICE_DECIMALS, 6)} ${symbolOf(pool.y)}`;
+  };
+
+  const selectPool = (id: string) => {
+    setSelectedId((current) => (current === id ? null : id));
+    setInputX('');
+    setInputY('');
+    resetAction();
+  };
+
+  // Typing either side fills in the other at the pool's current ratio
+  const changeDeposit = (pool: PoolSummary, side: 'x' | 'y', text: string) => {
+    const [ownType, otherType] = side === 'x' ? [pool.x, pool.y] : [pool.y, pool.x];
+    const setOther = side === 'x' ? setInputY : setInputX;
+    (side === 'x' ? setInputX : setInputY)(text);
+    const units = tryParseUnits(text, decimalsOf(ownType));
+    setOther(units === null ? '' : formatUnits(pairedAmount(pool, units, side), decimalsOf(otherType)));
+  };
+
+  const open = (next: PendingAction, data: InputEntryFunctionData) => {
+    setPending(next);
+    transactionPreview.simulate(data, swapExpiration());
+  };
+
+  const buildPending = (next: PendingAction): InputEntryFunctionData => {
+    if (next.kind === 'add') {
+      return buildAddLiquidity(config, next.pool, next.amountX, next.amountY);
+    }
+    if (next.kind === 'remove') {
+      return buildRemoveLiquidity(config, next.pool, next.amountX, next.amountY);
+    }
+    return buildCollectFees(config, next.pool);
+  };
+
+  const previewAdd = (pool: PoolSummary) => {
+    const amountX = tryParseUnits(inputX, decimalsOf(pool.x));
+    const amountY = tryParseUnits(inputY, decimalsOf(pool.y));
+    if (!amountX || !amountY) {
+      return;
+    }
+    const next: PendingAction = { kind: 'add', pool, amountX, amountY };
+    open(next, buildPending(next));
+  };
+
+  const previewRemove = (pool: PoolSummary) => {
+    const { amountX, amountY } = removalAmounts(pool, removePercent * 100);
+    const next: PendingAction = { kind: 'remove', pool, amountX, amountY, percent: removePercent };
+    open(next, buildPending(next));
+  };
+
+  const previewCollect = (pool: PoolSummary) => {
+    const next: PendingAction = { kind: 'collect', pool };
+    open(next, buildPending(next));
+  };
+
+  const closePreview = () => {
+    setPending(null);
+    transactionPreview.clear();
+  };
+
+  const confirm = async () => {
+    const next = pending;
+    closePreview();
+    if (!next) {
+      return;
+    }
+    const result = await submit(buildPending(next));
+    if (result.status === 'confirmed') {
+      setInputX('');
+      setInputY('');
+      await refreshBalances(true);
+    }
+  };
+
+  const previewLines = () => {
+    if (!pending) {
+      return [];
+    }
+    const { pool } = pending;
+    const lines = [{ label: 'Pool', value: `${symbolOf(pool.x)} / ${symbolOf(pool.y)}` }];
+    if (pending.kind === 'add') {
+      lines.push(
+        { label: 'Deposit', value: amount(pending.amountX, pool.x) },
+        { label: 'And', value: amount(pending.amountY, pool.y) },
+        { label: 'Price', value: price(pool) }
+      );
+    } else if (pending.kind === 'remove') {
+      lines.push(
+        { label: 'Withdraw', value: `${pending.percent}% of liquidity` },
+        { label: symbolOf(pool.x) || 'X', value: amount(pending.amountX, pool.x) },
+        { label: symbolOf(pool.y) || 'Y', value: amount(pending.amountY, pool.y) }
+      );
+    } else {
+      lines.push(
+        { label: 'Fees', value: amount(pool.feesX, pool.x) },
+        { label: 'And', value: amount(pool.feesY, pool.y) }
+      );
+    }
+    lines.push({ label: 'Wallet', value: wallet.signer?.label || '—' });
+    return lines;
+  };
+
+  const renderForms = (pool: PoolSummary) => {
+    if (!isProvider) {
+      return (
+        <Text style={styles.note}>
+          Escrow pools have no LP shares: all liquidity belongs to the Cresca admin account, and only it can add
+          or remove. Connect that account to manage this pool.
+        </Text>
+      );
+    }
+
+    const amountX = tryParseUnits(inputX, decimalsOf(pool.x));
+    const amountY = tryParseUnits(inputY, decimalsOf(pool.y));
+    const removal = removalAmounts(pool, removePercent * 100);
+    const hasFees = pool.feesX > 0n || pool.feesY > 0n;
+
+    return (
+      <View style={styles.forms}>
+        <Text style={styles.sectionLabel}>Add liquidity</Text>
+        {[
+          { side: 'x' as const, type: pool.x, value: inputX },
+          { side: 'y' as const, type: pool.y, value: inputY },
+        ].map(({ side, type, value }) => (
+          <View key={side} style={styles.inputRow}>
+            <TextInput
+              style={styles.input}
+              value={value}
+              onChangeText={(text) => changeDeposit(pool, side, text)}
+              placeholder="0.0"
+              placeholderTextColor="#8892b0"
+              keyboardType="decimal-pad"
+            />
+            <View>
+              <Text style={styles.inputToken}>{symbolOf(type)}</Text>
+              {balances[type] !== undefined && <Text style={styles.muted}>Bal {amount(balances[type], type)}</Text>}
+            </View>
+          </View>
+        ))}
+        <TouchableOpacity
+          style={[styles.button, (!amountX || !amountY || submitting) && styles.buttonDisabled]}
+          disabled={!amountX || !amountY || submitting}
+          onPress={() => previewAdd(pool)}
+        >
+          <Text style={styles.buttonText}>Preview deposit</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.sectionLabel}>Remove liquidity</Text>
+        <View style={styles.chips}>
+          {REMOVE_STEPS.map((step) => (
+            <TouchableOpacity
+              key={step}
+              style={[styles.chip, removePercent === step && styles.chipActive]}
+              onPress={() => setRemovePercent(step)}
+            >
+              <Text style={styles.chipText}>{step}%</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.detail}>
+          You receive {amount(removal.amountX, pool.x)} + {amount(removal.amountY, pool.y)}
+        </Text>
+        <TouchableOpacity
+          style={[styles.button, (removal.amountX === 0n || submitting) && styles.buttonDisabled]}
+          disabled={removal.amountX === 0n || submitting}
+          onPress={() => previewRemove(pool)}
+        >
+          <Text style={styles.buttonText}>Preview withdrawal</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.buttonSecondary, (!hasFees || submitting) && styles.buttonDisabled]}
+          disabled={!hasFees || submitting}
+          onPress={() => previewCollect(pool)}
+        >
+          <Text style={styles.buttonText}>Collect fees</Text>
+        </TouchableOpacity>
+
+        {action.status !== 'idle' && (
+          <View style={styles.status}>
+            {submitting && <ActivityIndicator color="#64ffda" />}
+            <Text style={action.status === 'failed' ? styles.error : styles.detail}>
+              {action.status === 'signing' && 'Waiting for wallet…'}
+              {action.status === 'pending' && 'Submitted, waiting for confirmation…'}
+              {action.status === 'confirmed' && 'Confirmed'}
+              {action.status === 'failed' && action.error}
+            </Text>
+            {action.explorerUrl && (
+              <TouchableOpacity onPress={() => action.explorerUrl && Linking.openURL(action.explorerUrl)}>
+                <Text style={styles.link}>View transaction</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderPool = ({ item }: { item: PoolSummary }) => {
+    const expanded = item.id === selectedId;
+    return (
+      <TouchableOpacity style={styles.card} activeOpacity={0.8} onPress={() => selectPool(item.id)}>
+        <View style={styles.row}>
+          <Text style={styles.pair}>
+            {symbolOf(item.x)} / {symbolOf(item.y)}
+          </Text>
+          <Text style={styles.apr}>{item.aprBps === null ? 'APR —' : `APR ~${percent(item.aprBps)}`}</Text>
+        </View>
+        <Text style={styles.amounts}>
+          {amount(item.reserveX, item.x)} + {amount(item.reserveY, item.y)}
+        </Text>
+        <Text style={styles.detail}>Price: {price(item)}</Text>
+        <Text style={styles.detail}>
+          {windowLabel(windowSecs)} volume: {amount(item.volumeX, item.x)} + {amount(item.volumeY, item.y)} (
+          {item.windowSwaps} swaps)
+        </Text>
+        <Text style={styles.detail}>
+          {windowLabel(windowSecs)} fees: {amount(item.windowFeesX, item.x)} + {amount(item.windowFeesY, item.y)}
+        </Text>
+        <Text style={styles.detail}>
+          Uncollected fees: {amount(item.feesX, item.x)} + {amount(item.feesY, item.y)}
+        </Text>
+        <Text style={styles.detail}>Your share: {percent(item.shareBps)}</Text>
+        {expanded && renderForms(item)}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Liquidity Pools</Text>
+        <Text style={styles.headerSubtitle}>Escrow swap pools, fees and estimated APR</Text>
+      </View>
+
+      <FlatList
+        data={pools}
+        keyExtractor={(pool) => pool.id}
+        renderItem={renderPool}
+        extraData={[selectedId, inputX, inputY, removePercent, action, balances]}
+        refreshControl={<RefreshControl refreshing={loading} onRefresh={refresh} />}
+        ListHeaderComponent={
+          <View style={styles.intro}>
+            <Text style={styles.muted}>
+              APR is estimated from the last {windowLabel(windowSecs)} of swap fees at today's price and reserves.
+            </Text>
+            {error && <Text style={styles.error}>{error}</Text>}
+          </View>
+        }
+        ListEmptyComponent={loading ? null : <Text style={[styles.muted, styles.empty]}>No pools for these tokens</Text>}
+      />
+
+      <TransactionPreviewSheet
+        visible={pending !== null}
+        title={pending ? TITLES[pending.kind] : ''}
+        preview={transactionPreview.preview}
+        simulating={transactionPreview.simulating}
+        error={transactionPreview.error}
+        lines={previewLines()}
+        describeToken={getToken}
+        confirmLabel="Sign & Submit"
+        onConfirm={confirm}
+        onCancel={closePreview}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0e1a',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: '#1a1f35',
+    borderBottomWidth: 1,
+    borderBottomColor: '#2a3550',
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+  },
+  intro: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#1a1f35',
+    marginHorizontal: 15,
+    marginBottom: 10,
+    padding: 15,
+    borderRadius: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  pair: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  apr: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  amounts: {
+    fontSize: 14,
+    color: '#64ffda',
+    marginBottom: 6,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#ccd6f6',
+    marginBottom: 3,
+  },
+  note: {
+    fontSize: 13,
+    color: '#f59e0b',
+    marginTop: 10,
+  },
+  forms: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#2a3550',
+  },
+  sectionLabel: {
+    fontSize: 12,
+    color: '#8892b0',
+    textTransform: 'uppercase',
+    marginTop: 6,
+    marginBottom: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+    gap: 10,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#0a0e1a',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2a3550',
+    color: '#fff',
+    fontSize: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  inputToken: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#0a0e1a',
+    borderWidth: 1,
+    borderColor: '#2a3550',
+  },
+  chipActive: {
+    borderColor: '#64ffda',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  button: {
+    backgroundColor: '#5a67d8',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  buttonSecondary: {
+    backgroundColor: '#2a3550',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  status: {
+    marginTop: 6,
+    gap: 4,
+  },
+  link: {
+    color: '#5a67d8',
+  },
+  muted: {
+    fontSize: 12,
+    color: '#8892b0',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 30,
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: 13,
+  },
+});
+
+export default PoolsScreen;
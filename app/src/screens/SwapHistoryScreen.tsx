@@ -0,0 +1,324 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  FlatList,
+  Linking,
+  RefreshControl,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { useNetwork } from '../config/NetworkContext';
+import { explorerTxUrl } from '../config/network';
+import { useSwapHistory } from '../hooks/useSwapHistory';
+import { useTokenRegistry } from '../hooks/useTokenRegistry';
+import { useWallet } from '../wallet/WalletContext';
+import { SwapHistoryEntry } from '../history/swapHistory';
+import { Token } from '../tokens/registry';
+import { formatUnits } from '../tokens/amounts';
+
+const DAY_SECS = 24 * 60 * 60;
+
+const DATE_RANGES = [
+  { label: 'All', secs: null },
+  { label: '24h', secs: DAY_SECS },
+  { label: '7d', secs: 7 * DAY_SECS },
+  { label: '30d', secs: 30 * DAY_SECS },
+] as const;
+
+const PRICE_DECIMALS = 8;
+
+/** Output per one whole input token, exact to PRICE_DECIMALS. */
+const unitPrice = (amountIn: bigint, amountOut: bigint, tokenIn?: Token, tokenOut?: Token): string | null => {
+  if (!tokenIn || !tokenOut || amountIn === 0n) {
+    return null;
+  }
+  const scaled =
+    (amountOut * 10n ** BigInt(tokenIn.decimals + PRICE_DECIMALS)) / (amountIn * 10n ** BigInt(tokenOut.decimals));
+  return formatUnits(scaled, PRICE_DECIMALS, 6);
+};
+
+const signedPercent = (bps: bigint) => `${bps >= 0n ? '+' : ''}${(Number(bps) / 100).toFixed(2)}%`;
+
+/**
+ * Past aggregator and escrow pool swaps for the connected wallet, newest
+ * first, with realized price against the quote and a link to each transaction.
+ */
+const SwapHistoryScreen: React.FC = () => {
+  const { config } = useNetwork();
+  const wallet = useWallet();
+  const { tokens, getToken } = useTokenRegistry();
+
+  const [pair, setPair] = useState<string[]>([]);
+  const [rangeSecs, setRangeSecs] = useState<number | null>(null);
+  // Fixed when the range is picked, so the filter does not change every render
+  const [rangeStart, setRangeStart] = useState<number | null>(null);
+
+  const filter = useMemo(
+    () => ({ tokenA: pair[0] || null, tokenB: pair[1] || null, from: rangeStart }),
+    [pair, rangeStart]
+  );
+  const { entries, quotes, loading, loadingMore, hasMore, error, refresh, loadMore } = useSwapHistory(
+    wallet.address,
+    filter
+  );
+
+  const togglePairToken = (type: string) => {
+    setPair((current) =>
+      current.includes(type) ? current.filter((selected) => selected !== type) : [...current, type].slice(-2)
+    );
+  };
+
+  const selectRange = (secs: number | null) => {
+    setRangeSecs(secs);
+    setRangeStart(secs === null ? null : Math.floor(Date.now() / 1000) - secs);
+  };
+
+  const amount = (units: bigint, type: string) => {
+    const token = getToken(type);
+    return token ? `${formatUnits(units, token.decimals, 6)} ${token.symbol}` : `${units} (${type})`;
+  };
+
+  const symbolOf = (type: string) => getToken(type)?.symbol || type.split('::').pop();
+
+  const renderEntry = ({ item }: { item: SwapHistoryEntry }) => {
+    const tokenIn = getToken(item.tokenIn);
+    const tokenOut = getToken(item.tokenOut);
+    const realized = unitPrice(item.amountIn, item.amountOut, tokenIn, tokenOut);
+    const quoted = item.hash ? quotes[item.hash] : undefined;
+    const explorerUrl = item.hash ? explorerTxUrl(config, item.hash) : null;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.pair}>
+            {symbolOf(item.tokenIn)} → {symbolOf(item.tokenOut)}
+          </Text>
+          <Text style={styles.muted}>{new Date(item.timestamp * 1000).toLocaleString()}</Text>
+        </View>
+        <Text style={styles.amounts}>
+          {amount(item.amountIn, item.tokenIn)} → {amount(item.amountOut, item.tokenOut)}
+        </Text>
+        <Text style={styles.detail}>Via: {item.venue}</Text>
+        {realized && (
+          <Text style={styles.detail}>
+            Price: 1 {symbolOf(item.tokenIn)} = {realized} {symbolOf(item.tokenOut)}
+          </Text>
+        )}
+        {quoted !== undefined && quoted > 0n ? (
+          <Text style={styles.detail}>
+            Quoted: {amount(quoted, item.tokenOut)} (
+            <Text style={item.amountOut >= quoted ? styles.positive : styles.negative}>
+              {signedPercent(((item.amountOut - quoted) * 10000n) / quoted)}
+            </Text>
+            )
+          </Text>
+        ) : (
+          item.minAmountOut !== null && (
+            <Text style={styles.detail}>Min accepted: {amount(item.minAmountOut, item.tokenOut)}</Text>
+          )
+        )}
+        {item.priceImpactBps !== null && (
+          <Text style={styles.detail}>Price impact: {(item.priceImpactBps / 100).toFixed(2)}%</Text>
+        )}
+        <Text style={styles.detail}>
+          {item.source === 'aggregator' ? 'Aggregator fee' : 'Pool fee'}: {amount(item.fee, item.tokenIn)}
+        </Text>
+        {item.hash && (
+          <TouchableOpacity disabled={!explorerUrl} onPress={() => explorerUrl && Linking.openURL(explorerUrl)}>
+            <Text style={[styles.hash, explorerUrl ? styles.link : null]} numberOfLines={1}>
+              {item.hash}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderFooter = () => {
+    if (loadingMore) {
+      return <ActivityIndicator style={styles.footer} color="#64ffda" />;
+    }
+    if (!hasMore) {
+      return entries.length > 0 ? <Text style={[styles.muted, styles.footer]}>No older swaps</Text> : null;
+    }
+    return (
+      <TouchableOpacity style={styles.footer} onPress={loadMore}>
+        <Text style={styles.link}>Load older swaps</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Swap History</Text>
+        <Text style={styles.headerSubtitle}>Aggregator and escrow pool trades</Text>
+      </View>
+
+      {!wallet.address ? (
+        <Text style={[styles.muted, styles.empty]}>Connect a wallet to see its swaps</Text>
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(entry) => entry.id}
+          renderItem={renderEntry}
+          refreshControl={<RefreshControl refreshing={loading} onRefresh={refresh} />}
+          onEndReached={() => hasMore && !loading && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListHeaderComponent={
+            <View style={styles.filters}>
+              <Text style={styles.filterLabel}>Pair</Text>
+              <View style={styles.chips}>
+                {tokens.map((token) => (
+                  <TouchableOpacity
+                    key={token.type}
+                    style={[styles.chip, pair.includes(token.type) && styles.chipActive]}
+                    onPress={() => togglePairToken(token.type)}
+                  >
+                    <Text style={styles.chipText}>{token.symbol}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.filterLabel}>Period</Text>
+              <View style={styles.chips}>
+                {DATE_RANGES.map((range) => (
+                  <TouchableOpacity
+                    key={range.label}
+                    style={[styles.chip, rangeSecs === range.secs && styles.chipActive]}
+                    onPress={() => selectRange(range.secs)}
+                  >
+                    <Text style={styles.chipText}>{range.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {error && <Text style={styles.error}>{error}</Text>}
+            </View>
+          }
+          ListEmptyComponent={
+            loading ? null : (
+              <Text style={[styles.muted, styles.empty]}>
+                {hasMore ? 'No matching swaps loaded yet' : 'No swaps found'}
+              </Text>
+            )
+          }
+          ListFooterComponent={renderFooter}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a0e1a',
+  },
+  header: {
+    padding: 20,
+    backgroundColor: '#1a1f35',
+    borderBottomWidth: 1,
+    borderBottomColor: '#2a3550',
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#8892b0',
+  },
+  filters: {
+    padding: 15,
+  },
+  filterLabel: {
+    fontSize: 12,
+    color: '#8892b0',
+    textTransform: 'uppercase',
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#1a1f35',
+    borderWidth: 1,
+    borderColor: '#2a3550',
+  },
+  chipActive: {
+    borderColor: '#64ffda',
+  },
+  chipText: {
+    color: '#fff',
+    fontSize: 13,
+  },
+  card: {
+    backgroundColor: '#1a1f35',
+    marginHorizontal: 15,
+    marginBottom: 10,
+    padding: 15,
+    borderRadius: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  pair: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  amounts: {
+    fontSize: 14,
+    color: '#64ffda',
+    marginBottom: 6,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#ccd6f6',
+    marginBottom: 3,
+  },
+  positive: {
+    color: '#10b981',
+  },
+  negative: {
+    color: '#f59e0b',
+  },
+  hash: {
+    fontSize: 12,
+    color: '#8892b0',
+    marginTop: 6,
+  },
+  link: {
+    color: '#5a67d8',
+  },
+  muted: {
+    fontSize: 12,
+    color: '#8892b0',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 30,
+  },
+  footer: {
+    alignItems: 'center',
+    textAlign: 'center',
+    padding: 20,
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: 13,
+  },
+});
+
+export default SwapHistoryScreen;
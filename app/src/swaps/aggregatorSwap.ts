@@ -0,0 +1,115 @@
+import { InputEntryFunctionData, UserTransactionResponse } from '@aptos-labs/ts-sdk';
+import { NetworkConfig, moduleId, requireAddress, sameAddress } from '../config/network';
+
+/**
+ * Default time a signed swap may wait for inclusion. The Move entry functions
+ * take no deadline, so it is enforced as the transaction's expiration.
+ */
+export const SWAP_DEADLINE_SECS = 60;
+
+export interface AggregatorSwapRequest {
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  minAmountOut: bigint;
+  /** Route through this DEX only; omit to let the module pick the best one. */
+  dexId?: number | null;
+  /** Output the user was quoted. Not sent on chain; kept for swap history. */
+  quotedAmountOut?: bigint;
+}
+
+/**
+ * Entry function call for `swap_exact_in_best_route` or, with a `dexId`,
+ * `swap_exact_in_specific_dex`.
+ */
+export const buildAggregatorSwap = (config: NetworkConfig, request: AggregatorSwapRequest): InputEntryFunctionData => {
+  const dexModule = moduleId(config, 'dexAggregator');
+  const adminAddress = requireAddress(config, 'cresca');
+  const typeArguments = [request.tokenIn, request.tokenOut];
+  const amounts = [request.amountIn.toString(), request.minAmountOut.toString()];
+
+  if (request.dexId !== undefined && request.dexId !== null) {
+    return {
+      function: `${dexModule}::swap_exact_in_specific_dex`,
+      typeArguments,
+      functionArguments: [request.dexId, ...amounts, adminAddress],
+    };
+  }
+  return {
+    function: `${dexModule}::swap_exact_in_best_route`,
+    typeArguments,
+    functionArguments: [...amounts, adminAddress],
+  };
+};
+
+export const swapExpiration = (deadlineSecs = SWAP_DEADLINE_SECS, now = Date.now()): number =>
+  Math.floor(now / 1000) + deadlineSecs;
+
+/** What the user gets back from a confirmed swap, from its AggregatedSwapEvent. */
+export interface SwapReceipt {
+  hash: string;
+  version: string;
+  user: string;
+  tokenIn: string;
+  tokenOut: string;
+  amountIn: bigint;
+  amountOut: bigint;
+  dexId: number;
+  dexUsed: string;
+  priceImpactBps: number;
+  aggregatorFee: bigint;
+  /** Gas paid in octas. */
+  gasFee: bigint;
+  timestamp: number;
+}
+
+interface AggregatedSwapEventData {
+  user: string;
+  token_in: string;
+  token_out: string;
+  amount_in: string;
+  amount_out: string;
+  dex_used: string;
+  dex_id: number | string;
+  price_impact_bps: string;
+  aggregator_fee: string;
+  timestamp: string;
+}
+
+/**
+ * Find the AggregatedSwapEvent this transaction emitted for its sender.
+ * Returns null when there is none (failed or unrelated transaction).
+ */
+export const decodeSwapReceipt = (config: NetworkConfig, txn: UserTransactionResponse): SwapReceipt | null => {
+  const eventType = `::${config.modules.dexAggregator}::AggregatedSwapEvent`;
+  const moduleAddress = requireAddress(config, 'cresca');
+
+  const event = txn.events.find((candidate) => {
+    const [address] = candidate.type.split('::');
+    return (
+      candidate.type.endsWith(eventType) &&
+      sameAddress(address, moduleAddress) &&
+      sameAddress((candidate.data as AggregatedSwapEventData).user, txn.sender)
+    );
+  });
+  if (!event) {
+    return null;
+  }
+
+  const data = event.data as AggregatedSwapEventData;
+  return {
+    hash: txn.hash,
+    version: txn.version,
+    user: data.user,
+    tokenIn: data.token_in,
+    tokenOut: data.token_out,
+    amountIn: BigInt(data.amount_in),
+    amountOut: BigInt(data.amount_out),
+    dexId: Number(data.dex_id),
+    dexUsed: data.dex_used,
+    priceImpactBps: Number(data.price_impact_bps),
+    aggregatorFee: BigInt(data.aggregator_fee),
+    gasFee: BigInt(txn.gas_used) * BigInt(txn.gas_unit_price),
+    timestamp: Number(data.timestamp),
+  };
+};
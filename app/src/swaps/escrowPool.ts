@@ -0,0 +1,105 @@
+import { InputEntryFunctionData } from '@aptos-labs/ts-sdk';
+import { NetworkConfig, moduleId, requireAddress } from '../config/network';
+
+/** A `LiquidityPool<X, Y>`; type arguments must be in on-chain order. */
+export interface PoolPair {
+  x: string;
+  y: string;
+}
+
+export interface EscrowSwapRequest extends PoolPair {
+  /** Direction: X in, Y out when true. */
+  xToY: boolean;
+  amountIn: bigint;
+  minAmountOut: bigint;
+}
+
+/** `swap_x_to_y` / `swap_y_to_x` against the pools at the cresca address. */
+export const buildEscrowSwap = (config: NetworkConfig, request: EscrowSwapRequest): InputEntryFunctionData => ({
+  function: `${moduleId(config, 'escrowSwap')}::${request.xToY ? 'swap_x_to_y' : 'swap_y_to_x'}`,
+  typeArguments: [request.x, request.y],
+  functionArguments: [request.amountIn.toString(), request.minAmountOut.toString(), requireAddress(config, 'cresca')],
+});
+
+/** `add_liquidity`; the module only accepts the pool admin as provider. */
+export const buildAddLiquidity = (
+  config: NetworkConfig,
+  pool: PoolPair,
+  amountX: bigint,
+  amountY: bigint
+): InputEntryFunctionData => ({
+  function: `${moduleId(config, 'escrowSwap')}::add_liquidity`,
+  typeArguments: [pool.x, pool.y],
+  functionArguments: [amountX.toString(), amountY.toString(), requireAddress(config, 'cresca')],
+});
+
+/** `remove_liquidity`; admin only, and the pool lives at the signer's address. */
+export const buildRemoveLiquidity = (
+  config: NetworkConfig,
+  pool: PoolPair,
+  amountX: bigint,
+  amountY: bigint
+): InputEntryFunctionData => ({
+  function: `${moduleId(config, 'escrowSwap')}::remove_liquidity`,
+  typeArguments: [pool.x, pool.y],
+  functionArguments: [amountX.toString(), amountY.toString()],
+});
+
+/** `collect_fees`; admin only. Moves accrued swap fees out of the reserves to the signer. */
+export const buildCollectFees = (config: NetworkConfig, pool: PoolPair): InputEntryFunctionData => ({
+  function: `${moduleId(config, 'escrowSwap')}::collect_fees`,
+  typeArguments: [pool.x, pool.y],
+  functionArguments: [],
+});
+
+export interface PoolReserves {
+  reserveX: bigint;
+  reserveY: bigint;
+  /** Swap fees still held in the reserves until `collect_fees`. */
+  feesX: bigint;
+  feesY: bigint;
+}
+
+/**
+ * The other side of a deposit at the pool's current ratio, rounded down.
+ * `add_liquidity` takes any amounts, so keeping the price is up to the caller.
+ */
+export const pairedAmount = (reserves: PoolReserves, amount: bigint, side: 'x' | 'y'): bigint => {
+  const [reserveIn, reserveOut] = side === 'x' ? [reserves.reserveX, reserves.reserveY] : [reserves.reserveY, reserves.reserveX];
+  return reserveIn === 0n ? 0n : (amount * reserveOut) / reserveIn;
+};
+
+/**
+ * Amounts for removing `bps` of the provided liquidity, in pool ratio.
+ * Accrued fees are left behind: `collect_fees` extracts them from the same
+ * coins and would abort if they had been withdrawn.
+ */
+export const removalAmounts = (reserves: PoolReserves, bps: number): { amountX: bigint; amountY: bigint } => {
+  const share = BigInt(Math.min(10000, Math.max(0, Math.floor(bps))));
+  return {
+    amountX: ((reserves.reserveX - reserves.feesX) * share) / 10000n,
+    amountY: ((reserves.reserveY - reserves.feesY) * share) / 10000n,
+  };
+};
+
+const YEAR_SECS = 365n * 24n * 60n * 60n;
+
+/**
+ * Fee APR in basis points from fees earned over `windowSecs`, valued at the
+ * pool's current price against its current reserves (worth 2 × reserveX in
+ * X). Null when the pool is empty or the window is.
+ */
+export const estimateAprBps = (
+  reserves: Pick<PoolReserves, 'reserveX' | 'reserveY'>,
+  windowFeesX: bigint,
+  windowFeesY: bigint,
+  windowSecs: number
+): number | null => {
+  const { reserveX, reserveY } = reserves;
+  if (reserveX === 0n || reserveY === 0n || windowSecs <= 0) {
+    return null;
+  }
+  // (feesX + feesY · x/y) / 2x, annualized, with everything scaled by y
+  const earned = (windowFeesX * reserveY + windowFeesY * reserveX) * 10000n * YEAR_SECS;
+  return Number(earned / (2n * reserveX * reserveY * BigInt(Math.floor(windowSecs))));
+};
@@ -0,0 +1,111 @@
+/**
+ * Exact conversions between user-entered decimal strings and on-chain base
+ * units. Everything stays in BigInt; never route amounts through `number`.
+ */
+
+export const U64_MAX = (1n << 64n) - 1n;
+
+export class AmountError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AmountError';
+  }
+}
+
+/**
+ * "1.5" with 8 decimals -> 150000000n. Rejects more fractional digits than
+ * the token supports and values that do not fit in a u64.
+ */
+export const parseUnits = (value: string, decimals: number): bigint => {
+  const trimmed = value.trim().replace(/,/g, '.');
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(trimmed);
+  if (!match || trimmed === '' || trimmed === '.') {
+    throw new AmountError('Enter a valid amount');
+  }
+
+  const [, whole = '', fraction = ''] = match;
+  if (fraction.length > decimals) {
+    throw new AmountError(`At most ${decimals} decimal places`);
+  }
+
+  const units = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  if (units > U64_MAX) {
+    throw new AmountError('Amount is too large');
+  }
+  return units;
+};
+
+/** parseUnits that returns null instead of throwing, for live input. */
+export const tryParseUnits = (value: string, decimals: number): bigint | null => {
+  try {
+    return parseUnits(value, decimals);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 150000000n with 8 decimals -> "1.5". `maxFractionDigits` truncates (never
+ * rounds up) for display.
+ */
+export const formatUnits = (units: bigint | string, decimals: number, maxFractionDigits = decimals): string => {
+  const value = typeof units === 'bigint' ? units : BigInt(units);
+  const negative = value < 0n;
+  const absolute = negative ? -value : value;
+  const base = 10n ** BigInt(decimals);
+
+  const whole = (absolute / base).toString();
+  const fraction = (absolute % base)
+    .toString()
+    .padStart(decimals, '0')
+    .slice(0, Math.min(decimals, maxFractionDigits))
+    .replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * A user-entered percentage as whole basis points: "0.5" -> 50n. Rejects
+ * empty input, more than two decimal places and anything not below `maxBps`.
+ */
+export const parsePercentBps = (value: string, maxBps = 10000n): bigint => {
+  let bps: bigint;
+  try {
+    bps = parseUnits(value, 2);
+  } catch (err) {
+    if (err instanceof AmountError && err.message.startsWith('At most')) {
+      throw err;
+    }
+    throw new AmountError('Enter a percentage');
+  }
+  if (bps >= maxBps) {
+    throw new AmountError(`Must be below ${formatBps(maxBps)}%`);
+  }
+  return bps;
+};
+
+/** parsePercentBps that returns null instead of throwing, for live input. */
+export const tryParsePercentBps = (value: string, maxBps?: bigint): bigint | null => {
+  try {
+    return parsePercentBps(value, maxBps);
+  } catch {
+    return null;
+  }
+};
+
+/** Whole basis points as a percentage with two decimals: 1234n -> "12.34". */
+export const formatBps = (bps: bigint | number | string): string => {
+  const value = BigInt(bps);
+  const absolute = value < 0n ? -value : value;
+  return `${value < 0n ? '-' : ''}${absolute / 100n}.${(absolute % 100n).toString().padStart(2, '0')}`;
+};
+
+/** `amount` reduced by `bps` whole basis points (0-10000), rounded down. */
+export const applySlippage = (amount: bigint | string, bps: bigint | number): bigint => {
+  const value = typeof amount === 'bigint' ? amount : BigInt(amount);
+  const basis = BigInt(bps);
+  if (basis < 0n || basis > 10000n) {
+    throw new AmountError('Slippage must be between 0 and 100%');
+  }
+  return (value * (10000n - basis)) / 10000n;
+};
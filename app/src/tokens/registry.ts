@@ -0,0 +1,62 @@
+import { Aptos } from '@aptos-labs/ts-sdk';
+import { NetworkConfig, sameAddress } from '../config/network';
+
+export interface Token {
+  type: string;
+  symbol: string;
+  name: string;
+  decimals: number;
+  icon: string | null;
+  /** Listed in config/networks.json. Tokens added by coin type are unverified. */
+  verified: boolean;
+}
+
+interface CoinInfoResource {
+  name: string;
+  symbol: string;
+  decimals: number;
+}
+
+const COIN_TYPE_PATTERN = /^0x[0-9a-fA-F]{1,64}::\w+::\w+$/;
+
+export const isCoinType = (value: string): boolean => COIN_TYPE_PATTERN.test(value.trim());
+
+/** Tokens listed for the active network, keyed by symbol in networks.json. */
+export const tokensFromConfig = (config: NetworkConfig): Token[] =>
+  Object.entries(config.coins).map(([symbol, coin]) => ({
+    type: coin.type,
+    symbol,
+    name: coin.name || symbol,
+    decimals: coin.decimals,
+    icon: coin.icon || null,
+    verified: coin.verified !== false,
+  }));
+
+/**
+ * Read `0x1::coin::CoinInfo<T>` from the coin's publishing account. This is
+ * the source of truth for decimals.
+ */
+export const fetchCoinInfo = async (aptos: Aptos, type: string): Promise<CoinInfoResource> => {
+  const [address] = type.split('::');
+  const info = await aptos.getAccountResource<CoinInfoResource>({
+    accountAddress: address,
+    resourceType: `0x1::coin::CoinInfo<${type}>`,
+  });
+  return { name: info.name, symbol: info.symbol, decimals: Number(info.decimals) };
+};
+
+/**
+ * `type_info::type_name` (and so event data) writes addresses in long form
+ * while configs usually use the short one; compare the address numerically.
+ */
+export const sameCoinType = (a: string, b: string): boolean => {
+  if (a === b) {
+    return true;
+  }
+  const [addressA, ...restA] = a.split('::');
+  const [addressB, ...restB] = b.split('::');
+  return restA.join('::') === restB.join('::') && isCoinType(a) && isCoinType(b) && sameAddress(addressA, addressB);
+};
+
+export const findToken = (tokens: Token[], type: string): Token | undefined =>
+  tokens.find((token) => sameCoinType(token.type, type));
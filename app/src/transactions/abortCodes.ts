@@ -0,0 +1,117 @@
+import { ModuleKey, NetworkConfig, sameAddress } from '../config/network';
+
+export interface AbortInfo {
+  /** Module name as on chain, e.g. `escrow_swap` or `coin`. */
+  module: string;
+  /** Error constant, when known. */
+  name: string | null;
+  /** Reason without the std::error category. */
+  code: number;
+  /** What to tell the user. */
+  message: string;
+}
+
+interface ErrorEntry {
+  name: string;
+  message: string;
+}
+
+// Mirrors the error constants in move/sources; keep in sync
+const MODULE_ERRORS: Partial<Record<ModuleKey, Record<number, ErrorEntry>>> = {
+  dexAggregator: {
+    1: { name: 'ENOT_INITIALIZED', message: 'The aggregator is not set up on this network' },
+    2: { name: 'EZERO_AMOUNT', message: 'Amount must be greater than zero' },
+    3: { name: 'ENOT_ADMIN', message: 'Only the aggregator admin can do this' },
+    4: { name: 'ENO_ROUTES_FOUND', message: 'No DEX can route this pair' },
+    5: { name: 'ESLIPPAGE_EXCEEDED', message: 'Output would be below your minimum. Raise slippage or refresh the quote' },
+    6: { name: 'EDEX_NOT_AVAILABLE', message: 'The selected DEX is disabled or not available' },
+    7: { name: 'EINVALID_DEX_ID', message: 'Unknown DEX' },
+  },
+  escrowSwap: {
+    1: { name: 'ENOT_INITIALIZED', message: 'Escrow pools are not set up on this network' },
+    2: { name: 'EINSUFFICIENT_LIQUIDITY', message: 'The pool does not have enough liquidity for this amount' },
+    3: { name: 'EZERO_AMOUNT', message: 'Amount must be greater than zero' },
+    4: { name: 'ENOT_ADMIN', message: 'Only the pool admin can do this' },
+    5: { name: 'EPOOL_ALREADY_EXISTS', message: 'A pool for this pair already exists' },
+    6: { name: 'EPOOL_NOT_FOUND', message: 'No pool exists for this pair' },
+    7: { name: 'ESLIPPAGE_EXCEEDED', message: 'Output would be below your minimum. Raise slippage or refresh the quote' },
+    8: { name: 'EINVALID_SLIPPAGE', message: 'Slippage setting is out of range' },
+  },
+  swap: {
+    1: { name: 'ESWAP_NOT_FOUND', message: 'Swap not found' },
+    2: { name: 'ESWAP_ALREADY_EXISTS', message: 'A swap with this id already exists' },
+    3: { name: 'ENOT_INITIATOR', message: 'Only the initiator can do this' },
+    4: { name: 'ENOT_PARTICIPANT', message: 'Only the counterparty can complete this swap' },
+    5: { name: 'EZERO_AMOUNT', message: 'Amount must be greater than zero' },
+    6: { name: 'ESWAP_EXPIRED', message: 'The swap has expired' },
+    7: { name: 'ESWAP_NOT_EXPIRED', message: 'The swap has not expired yet' },
+    8: { name: 'ESWAP_ALREADY_COMPLETED', message: 'The swap is already completed or cancelled' },
+  },
+  payment: {
+    1: { name: 'ENOT_AUTHORIZED', message: 'Not authorized for this payment' },
+    2: { name: 'EINSUFFICIENT_BALANCE', message: 'Insufficient balance' },
+    3: { name: 'EORDER_NOT_FOUND', message: 'Order not found' },
+    4: { name: 'EORDER_ALREADY_PAID', message: 'Order is already paid' },
+    5: { name: 'EINVALID_AMOUNT', message: 'Invalid amount' },
+  },
+};
+
+// Framework aborts users actually hit from these entry functions
+const FRAMEWORK_ERRORS: Record<string, Record<number, ErrorEntry>> = {
+  coin: {
+    5: { name: 'ECOIN_STORE_NOT_PUBLISHED', message: 'Your account does not hold this coin yet' },
+    6: { name: 'EINSUFFICIENT_BALANCE', message: 'Insufficient balance' },
+  },
+  fungible_asset: {
+    4: { name: 'EINSUFFICIENT_BALANCE', message: 'Insufficient balance' },
+  },
+};
+
+// Non-abort VM statuses
+const VM_STATUS_MESSAGES: [RegExp, string][] = [
+  [/ARITHMETIC_ERROR/, 'Amount is too large for the pool math'],
+  [/OUT_OF_GAS/, 'Transaction ran out of gas'],
+  [/INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE/, 'Not enough APT to pay for gas'],
+  [/TRANSACTION_EXPIRED/, 'Transaction expired before it was included'],
+  [/SEQUENCE_NUMBER_TOO_OLD/, 'Another transaction from this account was processed first. Try again'],
+];
+
+const ABORT_PATTERN = /Move abort in (0x[0-9a-fA-F]+)::(\w+): (?:(\w+)\()?(0x[0-9a-fA-F]+|\d+)/;
+
+/**
+ * Parse a `vm_status` into the aborting module and reason, with a message for
+ * Cresca and common framework errors. Null when the status is not an abort.
+ */
+export const parseAbort = (config: NetworkConfig, vmStatus: string): AbortInfo | null => {
+  const match = ABORT_PATTERN.exec(vmStatus || '');
+  if (!match) {
+    return null;
+  }
+  const [, address, module, name, reason] = match;
+  const code = Number(reason) & 0xffff;
+
+  let entry: ErrorEntry | undefined;
+  if (sameAddress(address, '0x1')) {
+    entry = FRAMEWORK_ERRORS[module]?.[code];
+  } else if (config.addresses.cresca && sameAddress(address, config.addresses.cresca)) {
+    const key = (Object.keys(config.modules) as ModuleKey[]).find((candidate) => config.modules[candidate] === module);
+    entry = key ? MODULE_ERRORS[key]?.[code] : undefined;
+  }
+
+  return {
+    module,
+    name: entry?.name || name || null,
+    code,
+    message: entry?.message || `${module} aborted with ${name || `code ${code}`}`,
+  };
+};
+
+/** One line for the user explaining a failed or failing transaction. */
+export const describeVmStatus = (config: NetworkConfig, vmStatus: string): string => {
+  const abort = parseAbort(config, vmStatus);
+  if (abort) {
+    return abort.message;
+  }
+  const known = VM_STATUS_MESSAGES.find(([pattern]) => pattern.test(vmStatus));
+  return known ? known[1] : vmStatus;
+};
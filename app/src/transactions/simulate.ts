@@ -0,0 +1,114 @@
+import { Aptos, InputEntryFunctionData, PublicKey, UserTransactionResponse } from '@aptos-labs/ts-sdk';
+import { NetworkConfig, sameAddress } from '../config/network';
+import { AbortInfo, describeVmStatus, parseAbort } from './abortCodes';
+
+export interface SimulationPreview {
+  success: boolean;
+  /** Human-readable failure reason; null on success. */
+  error: string | null;
+  abort: AbortInfo | null;
+  vmStatus: string;
+  gasUsed: bigint;
+  gasUnitPrice: bigint;
+  /** Gas cost in octas at the estimated price. */
+  gasFee: bigint;
+  maxGasAmount: bigint;
+  /**
+   * Net change per coin type for the sender, from the module's own events
+   * plus gas. Negative is spent.
+   */
+  balanceChanges: Record<string, bigint>;
+  /** The raw simulated transaction, for decoding module-specific events. */
+  transaction: UserTransactionResponse;
+}
+
+interface SimulateOptions {
+  sender: string;
+  /** Passed through when the wallet exposes it; nodes accept simulations without. */
+  publicKey?: PublicKey;
+  expireTimestamp?: number;
+}
+
+type EventData = Record<string, string>;
+
+const add = (changes: Record<string, bigint>, type: string, delta: bigint) => {
+  changes[type] = (changes[type] || 0n) + delta;
+};
+
+// Coin movements the Cresca modules report in their events, by event name.
+// Only events whose user / provider is the sender are counted.
+const EVENT_FLOWS: Record<string, (data: EventData, changes: Record<string, bigint>) => void> = {
+  AggregatedSwapEvent: (data, changes) => {
+    add(changes, data.token_in, -BigInt(data.amount_in));
+    add(changes, data.token_out, BigInt(data.amount_out));
+  },
+  SwapExecutedEvent: (data, changes) => {
+    add(changes, data.token_in, -BigInt(data.amount_in));
+    add(changes, data.token_out, BigInt(data.amount_out));
+  },
+  LiquidityAddedEvent: (data, changes) => {
+    add(changes, data.token_x, -BigInt(data.amount_x));
+    add(changes, data.token_y, -BigInt(data.amount_y));
+  },
+  LiquidityRemovedEvent: (data, changes) => {
+    add(changes, data.token_x, BigInt(data.amount_x));
+    add(changes, data.token_y, BigInt(data.amount_y));
+  },
+};
+
+const balanceChanges = (config: NetworkConfig, txn: UserTransactionResponse, gasFee: bigint) => {
+  const changes: Record<string, bigint> = {};
+  const moduleAddress = config.addresses.cresca;
+
+  txn.events.forEach((event) => {
+    const [address, , name] = event.type.split('::');
+    const flow = EVENT_FLOWS[name];
+    const data = event.data as EventData;
+    const actor = data.user || data.provider;
+    if (flow && moduleAddress && sameAddress(address, moduleAddress) && actor && sameAddress(actor, txn.sender)) {
+      flow(data, changes);
+    }
+  });
+  add(changes, config.coins.APT.type, -gasFee);
+  return changes;
+};
+
+/**
+ * Build `data` for `sender` and simulate it with estimated gas. Never
+ * submits; a failing transaction resolves with `success: false` and a
+ * readable `error`.
+ */
+export const simulateTransaction = async (
+  aptos: Aptos,
+  config: NetworkConfig,
+  data: InputEntryFunctionData,
+  { sender, publicKey, expireTimestamp }: SimulateOptions
+): Promise<SimulationPreview> => {
+  const transaction = await aptos.transaction.build.simple({
+    sender,
+    data,
+    options: expireTimestamp ? { expireTimestamp } : undefined,
+  });
+  const [simulated] = await aptos.transaction.simulate.simple({
+    signerPublicKey: publicKey,
+    transaction,
+    options: { estimateGasUnitPrice: true, estimateMaxGasAmount: true },
+  });
+
+  const gasUsed = BigInt(simulated.gas_used);
+  const gasUnitPrice = BigInt(simulated.gas_unit_price);
+  const gasFee = gasUsed * gasUnitPrice;
+
+  return {
+    success: simulated.success,
+    error: simulated.success ? null : describeVmStatus(config, simulated.vm_status),
+    abort: simulated.success ? null : parseAbort(config, simulated.vm_status),
+    vmStatus: simulated.vm_status,
+    gasUsed,
+    gasUnitPrice,
+    gasFee,
+    maxGasAmount: BigInt(simulated.max_gas_amount),
+    balanceChanges: simulated.success ? balanceChanges(config, simulated, gasFee) : { [config.coins.APT.type]: -gasFee },
+    transaction: simulated,
+  };
+};
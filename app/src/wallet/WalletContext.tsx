@@ -0,0 +1,71 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { WalletConnector, WalletSigner } from './signers';
+
+interface WalletContextValue {
+  signer: WalletSigner | null;
+  address: string | null;
+  connectors: WalletConnector[];
+  connecting: boolean;
+  error: string | null;
+  connect: (connector: WalletConnector) => Promise<void>;
+  disconnect: () => Promise<void>;
+}
+
+const WalletContext = createContext<WalletContextValue | null>(null);
+
+interface WalletProviderProps {
+  /** Connect options offered to the user (dev key, deep-link or injected wallets). */
+  connectors?: WalletConnector[];
+  /** Start already connected, e.g. with a dev key on a local network. */
+  signer?: WalletSigner;
+  children: React.ReactNode;
+}
+
+/**
+ * Holds the connected signer. Which wallets are offered is up to the app;
+ * screens only see `signer` and `address`.
+ */
+export const WalletProvider: React.FC<WalletProviderProps> = ({ connectors = [], signer: initialSigner, children }) => {
+  const [signer, setSigner] = useState<WalletSigner | null>(initialSigner || null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const connect = useCallback(async (connector: WalletConnector) => {
+    try {
+      setConnecting(true);
+      setError(null);
+      setSigner(await connector.connect());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Could not connect ${connector.label}`);
+    } finally {
+      setConnecting(false);
+    }
+  }, []);
+
+  const disconnect = useCallback(async () => {
+    const current = signer;
+    setSigner(null);
+    setError(null);
+    try {
+      await current?.disconnect?.();
+    } catch (err) {
+      // Already forgotten locally; the wallet keeping its session is harmless
+      console.warn('Wallet disconnect failed:', err);
+    }
+  }, [signer]);
+
+  const value = useMemo(
+    () => ({ signer, address: signer?.address || null, connectors, connecting, error, connect, disconnect }),
+    [signer, connectors, connecting, error, connect, disconnect]
+  );
+
+  return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
+};
+
+export const useWallet = (): WalletContextValue => {
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWallet must be used within a WalletProvider');
+  }
+  return context;
+};
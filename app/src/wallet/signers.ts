@@ -0,0 +1,242 @@
+import { Linking } from 'react-native';
+import { Account, Aptos, Ed25519PrivateKey, Ed25519PublicKey, InputEntryFunctionData, Network, PublicKey } from '@aptos-labs/ts-sdk';
+
+export type SignerKind = 'local' | 'deeplink' | 'injected';
+
+export interface SubmitOptions {
+  /** Unix seconds; the chain rejects the transaction after this. */
+  expireTimestamp: number;
+}
+
+/**
+ * Anything that can sign and submit an entry function call for one account.
+ * Resolves with the transaction hash once the wallet has submitted it;
+ * confirmation is tracked by the caller.
+ */
+export interface WalletSigner {
+  kind: SignerKind;
+  label: string;
+  address: string;
+  /** Used for simulation when the wallet shares it. */
+  publicKey?: PublicKey;
+  signAndSubmit: (aptos: Aptos, data: InputEntryFunctionData, options: SubmitOptions) => Promise<string>;
+  disconnect?: () => Promise<void>;
+}
+
+/** A way to obtain a signer, offered to the user as a "connect" option. */
+export interface WalletConnector {
+  kind: SignerKind;
+  label: string;
+  connect: () => Promise<WalletSigner>;
+}
+
+export type WalletErrorCode = 'rejected' | 'unavailable' | 'timeout' | 'failed';
+
+export class WalletError extends Error {
+  code: WalletErrorCode;
+
+  constructor(code: WalletErrorCode, message: string) {
+    super(message);
+    this.name = 'WalletError';
+    this.code = code;
+  }
+}
+
+/** Legacy wallet payload shape (Petra, Martian, ...): snake_case, string args. */
+const legacyPayload = (data: InputEntryFunctionData) => ({
+  type: 'entry_function_payload',
+  function: data.function,
+  type_arguments: (data.typeArguments || []).map(String),
+  arguments: (data.functionArguments || []).map((arg) => (typeof arg === 'bigint' ? arg.toString() : arg)),
+});
+
+// ---------------------------------------------------------------------------
+// Local dev key
+// ---------------------------------------------------------------------------
+
+/**
+ * Signs in-process with a raw Ed25519 key (hex or AIP-80
+ * "ed25519-priv-0x..."). For local/devnet/testnet development only; refuses
+ * to submit on mainnet.
+ */
+export const createLocalKeySigner = (privateKey: string, label = 'Dev key'): WalletSigner => {
+  const account = Account.fromPrivateKey({
+    privateKey: new Ed25519PrivateKey(privateKey.trim().replace(/^ed25519-priv-/, '')),
+  });
+
+  return {
+    kind: 'local',
+    label,
+    address: account.accountAddress.toString(),
+    publicKey: account.publicKey,
+    signAndSubmit: async (aptos, data, { expireTimestamp }) => {
+      if (aptos.config.network === Network.MAINNET) {
+        throw new WalletError('unavailable', 'Dev keys cannot sign on mainnet');
+      }
+      const transaction = await aptos.transaction.build.simple({
+        sender: account.accountAddress,
+        data,
+        options: { expireTimestamp },
+      });
+      const pending = await aptos.signAndSubmitTransaction({ signer: account, transaction });
+      return pending.hash;
+    },
+  };
+};
+
+export const localKeyConnector = (privateKey: string, label = 'Dev key'): WalletConnector => ({
+  kind: 'local',
+  label,
+  connect: async () => createLocalKeySigner(privateKey, label),
+});
+
+// ---------------------------------------------------------------------------
+// Injected wallet (WebView / web builds)
+// ---------------------------------------------------------------------------
+
+/** The provider object a browser wallet injects, e.g. `window.aptos`. */
+export interface InjectedWalletProvider {
+  connect: () => Promise<{ address: string; publicKey?: string }>;
+  disconnect?: () => Promise<void>;
+  signAndSubmitTransaction: (
+    payload: ReturnType<typeof legacyPayload>,
+    options?: { expiration_timestamp_secs?: string }
+  ) => Promise<{ hash: string }>;
+}
+
+// EIP-1193 style "user rejected request", used by Petra and Martian
+const USER_REJECTED = 4001;
+
+const injectedError = (err: unknown): WalletError => {
+  const { code, message } = (err || {}) as { code?: number; message?: string };
+  if (code === USER_REJECTED) {
+    return new WalletError('rejected', 'Request rejected in wallet');
+  }
+  return new WalletError('failed', message || 'Wallet request failed');
+};
+
+export const connectInjectedWallet = async (provider: InjectedWalletProvider, label: string): Promise<WalletSigner> => {
+  let account: { address: string; publicKey?: string };
+  try {
+    account = await provider.connect();
+  } catch (err) {
+    throw injectedError(err);
+  }
+
+  return {
+    kind: 'injected',
+    label,
+    address: account.address,
+    publicKey: account.publicKey ? new Ed25519PublicKey(account.publicKey) : undefined,
+    signAndSubmit: async (_aptos, data, { expireTimestamp }) => {
+      try {
+        const { hash } = await provider.signAndSubmitTransaction(legacyPayload(data), {
+          expiration_timestamp_secs: String(expireTimestamp),
+        });
+        return hash;
+      } catch (err) {
+        throw injectedError(err);
+      }
+    },
+    disconnect: provider.disconnect,
+  };
+};
+
+export const injectedConnector = (getProvider: () => InjectedWalletProvider | undefined, label: string): WalletConnector => ({
+  kind: 'injected',
+  label,
+  connect: async () => {
+    const provider = getProvider();
+    if (!provider) {
+      throw new WalletError('unavailable', `${label} is not installed`);
+    }
+    return connectInjectedWallet(provider, label);
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Deep-link wallet (mobile wallet apps)
+// ---------------------------------------------------------------------------
+
+/**
+ * Wallet-specific URL format. The wallet is opened with the returned URL and
+ * answers by opening `redirectUrl` with its response; any encryption or
+ * session keys the wallet requires live in the protocol object.
+ */
+export interface DeepLinkProtocol {
+  connectUrl: (redirectUrl: string) => string;
+  parseConnect: (responseUrl: string) => { address: string; publicKey?: string };
+  signAndSubmitUrl: (
+    payload: ReturnType<typeof legacyPayload>,
+    options: { expiration_timestamp_secs: string },
+    redirectUrl: string
+  ) => string;
+  parseSignAndSubmit: (responseUrl: string) => { hash: string };
+}
+
+// Long enough to unlock the wallet and review; short of a typical deadline
+const DEEP_LINK_TIMEOUT_MS = 120_000;
+
+/** Open `url` and resolve with the next incoming URL under `redirectUrl`. */
+const roundTrip = (url: string, redirectUrl: string, timeoutMs: number): Promise<string> =>
+  new Promise((resolve, reject) => {
+    const subscription = Linking.addEventListener('url', ({ url: incoming }) => {
+      if (incoming.startsWith(redirectUrl)) {
+        clearTimeout(timer);
+        subscription.remove();
+        resolve(incoming);
+      }
+    });
+    const timer = setTimeout(() => {
+      subscription.remove();
+      reject(new WalletError('timeout', 'No response from wallet'));
+    }, timeoutMs);
+
+    Linking.openURL(url).catch(() => {
+      clearTimeout(timer);
+      subscription.remove();
+      reject(new WalletError('unavailable', 'Wallet app is not installed'));
+    });
+  });
+
+/** Protocols report rejection by throwing WalletError('rejected'); other throws count as failures. */
+const parseResponse = <T>(parse: (url: string) => T, responseUrl: string): T => {
+  try {
+    return parse(responseUrl);
+  } catch (err) {
+    if (err instanceof WalletError) {
+      throw err;
+    }
+    throw new WalletError('failed', err instanceof Error ? err.message : 'Unreadable wallet response');
+  }
+};
+
+export const deepLinkConnector = (
+  protocol: DeepLinkProtocol,
+  label: string,
+  redirectUrl: string,
+  timeoutMs = DEEP_LINK_TIMEOUT_MS
+): WalletConnector => ({
+  kind: 'deeplink',
+  label,
+  connect: async () => {
+    const response = await roundTrip(protocol.connectUrl(redirectUrl), redirectUrl, timeoutMs);
+    const { address, publicKey } = parseResponse(protocol.parseConnect, response);
+
+    return {
+      kind: 'deeplink',
+      label,
+      address,
+      publicKey: publicKey ? new Ed25519PublicKey(publicKey) : undefined,
+      signAndSubmit: async (_aptos, data, { expireTimestamp }) => {
+        const url = protocol.signAndSubmitUrl(
+          legacyPayload(data),
+          { expiration_timestamp_secs: String(expireTimestamp) },
+          redirectUrl
+        );
+        const { hash } = parseResponse(protocol.parseSignAndSubmit, await roundTrip(url, redirectUrl, timeoutMs));
+        return hash;
+      },
+    };
+  },
+});
@@ -0,0 +1,195 @@
+// Cresca Network Config
+// Loads a network profile from networks.json, applies environment overrides
+// and validates the result. Shared by cresca-vm and the move/ scripts; the
+// app reads the same networks.json through app/src/config.
+//
+// Environment:
+//   CRESCA_NETWORK          local | devnet | testnet | mainnet | custom
+//   CRESCA_FULLNODE_URL     fullnode override (required for custom)
+//   CRESCA_FAUCET_URL       faucet override
+//   CRESCA_ADDRESS          cresca module address (dex_aggregator, swap, escrow_swap)
+//   CRESCA_CALENDAR_ADDRESS calendar_payments address
+//   CRESCA_BUCKET_ADDRESS   bucket_protocol address
+//   CRESCA_DEPLOYMENTS_DIR  where move/deploy.js manifests live (default config/deployments)
+//
+// Address precedence: environment, then the profile's deployment manifest,
+// then networks.json.
+
+const fs = require("fs");
+const path = require("path");
+const networks = require("./networks.json");
+
+const NETWORKS = ["local", "devnet", "testnet", "mainnet", "custom"];
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{1,64}$/;
+
+const ADDRESS_ENV = {
+    cresca: "CRESCA_ADDRESS",
+    calendarPayments: "CRESCA_CALENDAR_ADDRESS",
+    bucket: "CRESCA_BUCKET_ADDRESS"
+};
+
+class NetworkConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join("\n  - ")}` : message);
+        this.name = "NetworkConfigError";
+        this.problems = problems;
+    }
+}
+
+function baseProfile(name) {
+    if (name === "custom") {
+        return {
+            network: "custom",
+            fullnodeUrl: null,
+            faucetUrl: null,
+            addresses: { cresca: null, calendarPayments: null, bucket: null },
+            coins: networks.profiles.local.coins
+        };
+    }
+    const profile = networks.profiles[name];
+    if (!profile) {
+        throw new NetworkConfigError(`Unknown network profile "${name}" (expected one of ${NETWORKS.join(", ")})`);
+    }
+    return profile;
+}
+
+function isUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === "http:" || url.protocol === "https:";
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateNetworkConfig(config) {
+    const problems = [];
+
+    if (!NETWORKS.includes(config.network)) {
+        problems.push(`network must be one of ${NETWORKS.join(", ")}`);
+    }
+    if (!config.fullnodeUrl || !isUrl(config.fullnodeUrl)) {
+        problems.push(`fullnodeUrl must be an http(s) URL${config.network === "custom" ? " (set CRESCA_FULLNODE_URL)" : ""}`);
+    }
+    if (config.faucetUrl && !isUrl(config.faucetUrl)) {
+        problems.push("faucetUrl must be an http(s) URL");
+    }
+    for (const [key, address] of Object.entries(config.addresses)) {
+        if (address !== null && !ADDRESS_PATTERN.test(address)) {
+            problems.push(`addresses.${key} is not an account address: ${address}`);
+        }
+    }
+    for (const [symbol, coin] of Object.entries(config.coins)) {
+        if (!coin || typeof coin.type !== "string" || coin.type.split("::").length < 3) {
+            problems.push(`coins.${symbol}.type must be a fully qualified coin type`);
+        }
+        if (!coin || !Number.isInteger(coin.decimals) || coin.decimals < 0) {
+            problems.push(`coins.${symbol}.decimals must be a non-negative integer`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new NetworkConfigError(`Invalid network config for profile "${config.profile}"`, problems);
+    }
+    return config;
+}
+
+function deploymentManifestPath(profile, env = process.env) {
+    const dir = env.CRESCA_DEPLOYMENTS_DIR || path.join(__dirname, "deployments");
+    return path.join(dir, `${profile}.json`);
+}
+
+/**
+ * Manifest written by move/deploy.js for `profile`, or null if the package
+ * has not been deployed from this checkout.
+ */
+function loadDeploymentManifest(profile, env = process.env) {
+    const manifestPath = deploymentManifestPath(profile, env);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    } catch (error) {
+        throw new NetworkConfigError(`Unreadable deployment manifest ${manifestPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the active profile. `profile` wins over CRESCA_NETWORK, which wins
+ * over the default profile in networks.json.
+ */
+function loadNetworkConfig({ env = process.env, profile } = {}) {
+    const name = profile || env.CRESCA_NETWORK || networks.defaultProfile;
+    const base = baseProfile(name);
+    const manifest = loadDeploymentManifest(name, env);
+
+    const addresses = { ...base.addresses };
+    for (const [key, address] of Object.entries(manifest?.addresses || {})) {
+        if (key in addresses && address) {
+            addresses[key] = address;
+        }
+    }
+    for (const [key, variable] of Object.entries(ADDRESS_ENV)) {
+        if (env[variable]) {
+            addresses[key] = env[variable];
+        }
+    }
+
+    const config = {
+        profile: name,
+        network: base.network,
+        fullnodeUrl: env.CRESCA_FULLNODE_URL || base.fullnodeUrl,
+        faucetUrl: env.CRESCA_FAUCET_URL || base.faucetUrl,
+        addresses,
+        modules: { ...networks.modules },
+        coins: { ...base.coins }
+    };
+
+    return Object.freeze(validateNetworkConfig(config));
+}
+
+/**
+ * Address for `key`, or a NetworkConfigError naming the variable to set.
+ */
+function requireAddress(config, key) {
+    const address = config.addresses[key];
+    if (!address) {
+        throw new NetworkConfigError(`No ${key} address configured for profile "${config.profile}"; set ${ADDRESS_ENV[key]}`);
+    }
+    return address;
+}
+
+/** `<address>::<module>` for a module key such as "dexAggregator". */
+function moduleId(config, moduleKey, addressKey = "cresca") {
+    return `${requireAddress(config, addressKey)}::${config.modules[moduleKey]}`;
+}
+
+/** Settings object for `new AptosConfig(...)`. */
+function aptosSettings(config) {
+    return {
+        network: config.network,
+        fullnode: config.fullnodeUrl,
+        faucet: config.faucetUrl || undefined
+    };
+}
+
+function explorerTxUrl(config, hash) {
+    if (config.network === "custom") {
+        return null;
+    }
+    return `https://explorer.aptoslabs.com/txn/${hash}?network=${config.network}`;
+}
+
+module.exports = {
+    NETWORKS,
+    NetworkConfigError,
+    loadNetworkConfig,
+    validateNetworkConfig,
+    deploymentManifestPath,
+    loadDeploymentManifest,
+    requireAddress,
+    moduleId,
+    aptosSettings,
+    explorerTxUrl
+};
@@ -1,73 +1,454 @@
 // Cresca VM Block Monitor
 // Monitors blockchain for transactions and queues them for VM execution
 
-const { Aptos, AptosConfig, Network } = require("@aptos-labs/ts-sdk");
+const { Aptos, AptosConfig, getAptosFullNode } = require("@aptos-labs/ts-sdk");
+const { loadNetworkConfig, aptosSettings } = require("../../config");
+const { createCrescaDecoder } = require("./events/EventDecoder");
+const { normalizeAddress } = require("./events/fieldTypes");
+const { logger, withLogContext } = require("./observability/logger");
+
+function sameAddress(a, b) {
+    try {
+        return normalizeAddress(a) === normalizeAddress(b);
+    } catch (error) {
+        return false;
+    }
+}
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_ERROR_BACKOFF_MS = 10000;
+const MAX_ERROR_BACKOFF_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_GAP_RETRIES = 3;
+
+const MonitorState = {
+    STOPPED: "stopped",
+    CATCHING_UP: "catching_up",
+    LIVE: "live",
+    PAUSED: "paused"
+};
 
 class BlockMonitor {
     constructor(config) {
-        this.aptosClient = new Aptos(new AptosConfig({ network: Network.TESTNET }));
+        this.aptosClient = config.aptosClient || new Aptos(new AptosConfig(aptosSettings(config.network || loadNetworkConfig())));
         this.contractAddresses = config.contractAddresses || [];
+        this.queue = config.queue || null;
+        this.decoder = config.decoder || createCrescaDecoder({ logger: config.logger });
+        this.pageSize = config.pageSize || DEFAULT_PAGE_SIZE;
+        this.pollIntervalMs = config.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+        this.errorBackoffMs = config.errorBackoffMs || DEFAULT_ERROR_BACKOFF_MS;
+        this.maxGapRetries = config.maxGapRetries || DEFAULT_MAX_GAP_RETRIES;
+        this.logger = config.logger || logger.child({ component: "monitor" });
+        this.metrics = config.metrics || null;
+        this.sources = this.buildSources(config);
         this.isRunning = false;
+        this.isPaused = false;
+        this.state = MonitorState.STOPPED;
+        this.ledgerVersion = null;
         this.lastProcessedVersion = 0;
     }
 
+    /**
+     * Every contract address is watched for the transactions it sends, and every
+     * configured event handle is watched for the events emitted into it. Each
+     * source keeps its own sequence-number cursor.
+     */
+    buildSources(config) {
+        const sources = this.contractAddresses.map(address => ({
+            key: `account:${address}`,
+            kind: "account",
+            address
+        }));
+
+        for (const handle of config.eventHandles || []) {
+            sources.push({
+                key: `events:${handle.address}:${handle.eventHandle}:${handle.field}`,
+                kind: "eventHandle",
+                address: handle.address,
+                eventHandle: handle.eventHandle,
+                field: handle.field
+            });
+        }
+
+        return sources.map(source => ({
+            ...source,
+            sequenceNumber: -1,
+            version: 0,
+            caughtUp: false,
+            // Ledger version this source has seen everything up to
+            syncedVersion: 0,
+            lastPolledAt: null,
+            lastError: null,
+            failures: 0,
+            retryAt: null,
+            gaps: []
+        }));
+    }
+
     async start() {
-        console.log("🚀 Starting Cresca VM Block Monitor...");
+        this.logger.info("Starting block monitor", { sources: this.sources.length });
+        this.restoreCursors();
         this.isRunning = true;
+        this.state = MonitorState.CATCHING_UP;
         await this.monitor();
     }
 
+    restoreCursors() {
+        for (const source of this.sources) {
+            const cursor = this.queue?.getCursor(source.key);
+            if (cursor) {
+                source.sequenceNumber = cursor.sequenceNumber;
+                source.version = cursor.version;
+                source.syncedVersion = Number(cursor.version);
+                this.trackVersion(cursor.version);
+                this.logger.info("Resuming source from cursor", { source: source.key, sequenceNumber: cursor.sequenceNumber, version: cursor.version });
+            }
+        }
+    }
+
     async monitor() {
         while (this.isRunning) {
+            if (this.isPaused) {
+                await this.sleep(this.pollIntervalMs);
+                continue;
+            }
+
             try {
-                // Get latest transactions
-                const transactions = await this.aptosClient.getAccountTransactions({
-                    accountAddress: this.contractAddresses[0],
-                    options: { start: this.lastProcessedVersion }
-                });
-
-                // Process each transaction
-                for (const tx of transactions) {
-                    await this.procesTransaction(tx);
-                    this.lastProcessedVersion = tx.version;
+                const progressed = await this.pollAll();
+
+                // Keep paging while there is a backlog; a round that read
+                // nothing (idle or backing-off sources) waits like a live one
+                if (this.state === MonitorState.LIVE || !progressed) {
+                    await this.sleep(this.pollIntervalMs);
                 }
+            } catch (error) {
+                this.logger.error("Monitor loop failed", { error, backoffMs: this.errorBackoffMs });
+                await this.sleep(this.errorBackoffMs);
+            }
+        }
+    }
 
-                // Wait before next check
-                await this.sleep(5000);
+    /**
+     * Poll every source that is not backing off. Resolves true when any source
+     * read new items. The ledger version is read first, so a source that comes
+     * back caught up has seen everything up to it.
+     */
+    async pollAll(now = Date.now()) {
+        const ledgerVersion = await this.refreshLedgerVersion();
+        let progressed = false;
+
+        for (const source of this.sources) {
+            if (source.retryAt !== null && source.retryAt > now) {
+                continue;
+            }
+            try {
+                progressed = (await this.pollSource(source, ledgerVersion)) > 0 || progressed;
+                source.lastError = null;
+                source.failures = 0;
+                source.retryAt = null;
             } catch (error) {
-                console.error("Monitor error:", error.message);
-                await this.sleep(10000);
+                source.caughtUp = false;
+                source.lastError = error.message;
+                source.failures++;
+                const backoffMs = this.backoffMs(source.failures);
+                source.retryAt = now + backoffMs;
+                this.metrics?.pollErrors.inc({ source: source.key });
+                this.logger.error("Source poll failed", { source: source.key, error, failures: source.failures, backoffMs });
             }
         }
+
+        if (!this.isPaused) {
+            this.state = this.isCaughtUp() ? MonitorState.LIVE : MonitorState.CATCHING_UP;
+        }
+        return progressed;
+    }
+
+    /** Per-source delay before retrying after `failures` consecutive errors. */
+    backoffMs(failures) {
+        return Math.min(this.errorBackoffMs * 2 ** (failures - 1), MAX_ERROR_BACKOFF_MS);
+    }
+
+    /**
+     * Fetch one page for a source and process it; returns the number of items
+     * read. A source is caught up once a page comes back shorter than the page
+     * size, and is then synced to the ledger version read before the fetch.
+     */
+    async pollSource(source, ledgerVersion = null) {
+        const start = source.sequenceNumber + 1;
+        const items = source.kind === "account"
+            ? await this.fetchAccountTransactions(source, start, this.pageSize)
+            : await this.fetchHandleEvents(source, start, this.pageSize);
+
+        source.lastPolledAt = Date.now();
+        const contiguous = await this.resolveGaps(source, start, items);
+
+        for (const item of contiguous) {
+            if (source.kind === "account") {
+                await this.procesTransaction(item, source);
+            } else {
+                await this.processHandleEvent(item, source);
+            }
+        }
+
+        source.caughtUp = items.length < this.pageSize;
+        if (source.caughtUp && ledgerVersion !== null) {
+            source.syncedVersion = Math.max(source.syncedVersion, ledgerVersion);
+        }
+        return items.length;
     }
 
-    async procesTransaction(tx) {
-        console.log(`📦 Processing transaction: ${tx.hash}`);
-        
-        // Extract relevant events
-        const crescaEvents = this.extractCrescaEvents(tx);
-        
-        if (crescaEvents.length > 0) {
-            // Queue for VM execution
-            await this.queueForVM(tx, crescaEvents);
+    /**
+     * Sequence numbers within a source must be contiguous. When the node skips
+     * ahead, refetch the missing range; if it still cannot be served after a few
+     * retries, record the gap as unrecoverable and move past it.
+     */
+    async resolveGaps(source, start, items) {
+        const sorted = [...items].sort((a, b) => this.sequenceOf(a) - this.sequenceOf(b));
+        const result = [];
+        let expected = start;
+
+        for (const item of sorted) {
+            const sequence = this.sequenceOf(item);
+            if (sequence < expected) {
+                continue;
+            }
+
+            if (sequence > expected) {
+                const backfilled = await this.backfill(source, expected, sequence - 1);
+                result.push(...backfilled);
+            }
+
+            result.push(item);
+            expected = sequence + 1;
         }
+
+        return result;
     }
 
+    async backfill(source, from, to) {
+        const gap = { from, to, detectedAt: Date.now(), attempts: 0, status: "open" };
+        source.gaps.push(gap);
+        if (source.gaps.length > 100) {
+            source.gaps.shift();
+        }
+        this.logger.warn("Sequence gap detected, backfilling", { source: source.key, from, to });
+
+        while (gap.attempts < this.maxGapRetries) {
+            gap.attempts++;
+            const limit = to - from + 1;
+            const items = source.kind === "account"
+                ? await this.fetchAccountTransactions(source, from, limit)
+                : await this.fetchHandleEvents(source, from, limit);
+
+            const found = items
+                .filter(item => this.sequenceOf(item) >= from && this.sequenceOf(item) <= to)
+                .sort((a, b) => this.sequenceOf(a) - this.sequenceOf(b));
+
+            if (found.length === limit) {
+                gap.status = "backfilled";
+                this.logger.info("Gap backfilled", { source: source.key, from, to, items: limit });
+                return found;
+            }
+        }
+
+        gap.status = "unrecoverable";
+        this.logger.error("Gap could not be backfilled, skipping", { source: source.key, from, to, attempts: gap.attempts });
+        return [];
+    }
+
+    sequenceOf(item) {
+        return Number(item.sequence_number);
+    }
+
+    async fetchAccountTransactions(source, offset, limit) {
+        return this.aptosClient.getAccountTransactions({
+            accountAddress: source.address,
+            options: { offset, limit }
+        });
+    }
+
+    async fetchHandleEvents(source, start, limit) {
+        // The SDK has no wrapper for events-by-handle; use the client's own when it has one
+        if (typeof this.aptosClient.getEventsByEventHandle === "function") {
+            return this.aptosClient.getEventsByEventHandle({
+                accountAddress: source.address,
+                eventHandle: source.eventHandle,
+                fieldName: source.field,
+                options: { start, limit }
+            });
+        }
+
+        const { data } = await getAptosFullNode({
+            aptosConfig: this.aptosClient.config,
+            originMethod: "getEventsByEventHandle",
+            path: `accounts/${source.address}/events/${source.eventHandle}/${source.field}`,
+            params: { start, limit }
+        });
+        return data;
+    }
+
+    async refreshLedgerVersion() {
+        try {
+            const ledgerInfo = await this.aptosClient.getLedgerInfo();
+            this.ledgerVersion = Number(ledgerInfo.ledger_version);
+            return this.ledgerVersion;
+        } catch (error) {
+            this.metrics?.pollErrors.inc({ source: "ledger_info" });
+            this.logger.error("Ledger info poll failed", { error });
+            return null;
+        }
+    }
+
+    /**
+     * Live once every source has drained its backlog. Idle accounts stay
+     * caught up however far the ledger moves past their last transaction.
+     */
+    isCaughtUp() {
+        return this.sources.every(source => source.caughtUp);
+    }
+
+    /** Versions between the ledger and the least synced source. */
+    getLag() {
+        if (this.ledgerVersion === null || this.sources.length === 0) {
+            return null;
+        }
+        const synced = Math.min(...this.sources.map(source => Math.max(source.syncedVersion, Number(source.version))));
+        return Math.max(0, this.ledgerVersion - synced);
+    }
+
+    async procesTransaction(tx, source) {
+        await withLogContext({ txHash: tx.hash, version: tx.version }, async () => {
+            this.logger.debug("Processing transaction", { source: source.key });
+
+            // Extract relevant events
+            const crescaEvents = this.extractCrescaEvents(tx);
+
+            // Queue for VM execution; the cursor only advances once the jobs are durable
+            await this.queueForVM(tx, crescaEvents, source, this.sequenceOf(tx));
+        });
+    }
+
+    async processHandleEvent(event, source) {
+        // Handle events don't carry the transaction, so load it to get hash and payload
+        const tx = await this.aptosClient.getTransactionByVersion({ ledgerVersion: Number(event.version) });
+        const found = (tx.events || []).findIndex(txEvent =>
+            String(txEvent.sequence_number) === String(event.sequence_number) &&
+            String(txEvent.guid?.creation_number) === String(event.guid?.creation_number) &&
+            sameAddress(txEvent.guid?.account_address, event.guid?.account_address)
+        );
+        // Unmatched events are keyed by their place in the handle, so two of them
+        // in one transaction never share a job
+        const eventIndex = found >= 0 ? found : `${source.key}#${this.sequenceOf(event)}`;
+        if (found < 0) {
+            this.logger.warn("Handle event not found in its transaction", { source: source.key, sequenceNumber: event.sequence_number, version: event.version });
+        }
+
+        // Primary when no watched event, or event of the same contract, comes
+        // before it. An event the transaction does not list never is, so the
+        // entry function cannot run twice from two unmatched events.
+        const moduleAddress = event.type.split("::")[0];
+        const first = (tx.events || []).findIndex(txEvent =>
+            this.isWatched(txEvent) || sameAddress(txEvent.type.split("::")[0], moduleAddress));
+        const primary = found >= 0 && found === first;
+
+        const decoded = this.decoder.decode({ ...event, eventIndex });
+        await withLogContext({ txHash: tx.hash, version: tx.version }, () =>
+            this.queueForVM(tx, [{ ...event, eventIndex, primary, decoded }], source, this.sequenceOf(event)));
+    }
+
+    isWatched(event) {
+        return this.contractAddresses.some(addr => event.type.includes(addr));
+    }
+
+    /**
+     * The transaction's Cresca events. The first one is marked primary: only
+     * it runs the intent of the transaction's entry function, so a call that
+     * emits several events is executed once.
+     */
     extractCrescaEvents(tx) {
         const events = [];
         if (tx.events) {
-            for (const event of tx.events) {
-                if (this.contractAddresses.some(addr => event.type.includes(addr))) {
-                    events.push(event);
+            tx.events.forEach((event, eventIndex) => {
+                if (this.isWatched(event)) {
+                    // Unknown or malformed events are still queued, flagged by decoded.status
+                    const decoded = this.decoder.decode({ ...event, eventIndex });
+                    events.push({ ...event, eventIndex, primary: events.length === 0, decoded });
                 }
-            }
+            });
         }
         return events;
     }
 
-    async queueForVM(tx, events) {
-        console.log(`✅ Queued ${events.length} events for VM execution`);
-        // TODO: Implement VM queue integration
+    async queueForVM(tx, events, source, sequenceNumber) {
+        const cursor = { sequenceNumber, version: tx.version };
+
+        if (this.queue) {
+            const added = this.queue.enqueue(tx, events, { key: source.key, value: cursor });
+            if (added > 0) {
+                this.metrics?.queuedEvents.inc({ source: source.key }, added);
+                this.logger.info("Queued events for VM execution", { source: source.key, events: added });
+            }
+        } else if (events.length > 0) {
+            this.logger.warn("No execution queue configured, dropping events", { source: source.key, events: events.length });
+        }
+
+        source.sequenceNumber = sequenceNumber;
+        source.version = tx.version;
+        this.trackVersion(tx.version);
+    }
+
+    trackVersion(version) {
+        if (Number(version) > Number(this.lastProcessedVersion)) {
+            this.lastProcessedVersion = Number(version);
+        }
+    }
+
+    /**
+     * Snapshot for ops: overall catching-up/live state plus per-source cursors.
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            ledgerVersion: this.ledgerVersion,
+            lastProcessedVersion: this.lastProcessedVersion,
+            lag: this.getLag(),
+            sources: this.sources.map(source => ({
+                key: source.key,
+                kind: source.kind,
+                sequenceNumber: source.sequenceNumber,
+                version: source.version,
+                caughtUp: source.caughtUp,
+                syncedVersion: source.syncedVersion,
+                lastPolledAt: source.lastPolledAt,
+                lastError: source.lastError,
+                failures: source.failures,
+                retryAt: source.retryAt,
+                gaps: source.gaps
+            }))
+        };
+    }
+
+    /**
+     * Stop polling without losing cursors; resume() picks up where it left off.
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) {
+            return false;
+        }
+        this.logger.info("Pausing block monitor");
+        this.isPaused = true;
+        this.state = MonitorState.PAUSED;
+        return true;
+    }
+
+    resume() {
+        if (!this.isRunning || !this.isPaused) {
+            return false;
+        }
+        this.logger.info("Resuming block monitor");
+        this.isPaused = false;
+        this.state = MonitorState.CATCHING_UP;
+        return true;
     }
 
     sleep(ms) {
@@ -75,9 +456,12 @@ class BlockMonitor {
     }
 
     stop() {
-        console.log("⏹️  Stopping Block Monitor...");
+        this.logger.info("Stopping block monitor");
         this.isRunning = false;
+        this.state = MonitorState.STOPPED;
     }
 }
 
+BlockMonitor.MonitorState = MonitorState;
+
 module.exports = BlockMonitor;
@@ -1,90 +1,540 @@
 // Cresca Virtual Machine Core
 // Executes cross-chain transactions with atomic guarantees
 
+const { IntentType, createCrescaRouter } = require("./intents/crescaRoutes");
+const { ExecutionStatus, StepStatus } = require("./ExecutionJournal");
+const { logger, withLogContext } = require("./observability/logger");
+
 class CrescaVM {
-    constructor() {
+    constructor(config = {}) {
         this.isRunning = false;
-        this.executionQueue = [];
+        this.executionQueue = config.queue || null;
+        this.pollIntervalMs = config.pollIntervalMs || 1000;
+        this.isConsuming = false;
         this.stateCache = new Map();
+        this.router = config.router || createCrescaRouter(config.addresses);
+        this.scheduleKeeper = config.scheduleKeeper || null;
+        this.liquidationKeeper = config.liquidationKeeper || null;
+        this.webhooks = config.webhooks || null;
+        this.journal = config.journal || null;
+        this.logger = config.logger || logger.child({ component: "vm" });
+        this.metrics = config.metrics || null;
+        this.handlers = new Map();
+        this.compensations = new Map();
+        this.chains = new Map();
+
+        for (const [name, adapter] of Object.entries(config.chains || {})) {
+            this.registerChain(name, adapter);
+        }
+
+        this.registerHandler(IntentType.CROSS_CHAIN_PAYMENT, (intent, saga) => this.executeCrossChainPayment(intent, saga));
+        this.registerHandler(IntentType.BASKET_TRADE, (intent, saga) => this.executeBasketTrade(intent, saga));
+        this.registerHandler(IntentType.SCHEDULED_PAYMENT, intent => this.executeScheduledPayment(intent));
+        this.registerHandler(IntentType.MERCHANT_PAYMENT, intent => this.executeMerchantPayment(intent));
+
+        this.registerCompensation("release_escrow", params => this.releaseEscrow(params));
+    }
+
+    /**
+     * Register (or replace) the handler for an intent type. Pair with
+     * router.addFunctionRoute / addEventRoute to teach the VM a new intent.
+     * Handlers receive (intent, saga); wrap each side effect in saga.step.
+     */
+    registerHandler(intentType, handler) {
+        this.handlers.set(intentType, handler);
+        return this;
+    }
+
+    /**
+     * Register the function that undoes a journaled step. Compensations are
+     * looked up by name because they are replayed from the journal on disk.
+     */
+    registerCompensation(action, compensate) {
+        this.compensations.set(action, compensate);
+        return this;
+    }
+
+    /**
+     * Register the adapter used for legs on `name` (e.g. "aptos", "solana", "base").
+     */
+    registerChain(name, adapter) {
+        this.chains.set(name, adapter);
+        return this;
+    }
+
+    getChain(name) {
+        const adapter = this.chains.get(name);
+        if (!adapter) {
+            const error = new Error(`No chain adapter registered for ${name}`);
+            error.retryable = false;
+            throw error;
+        }
+        return adapter;
     }
 
     async setup() {
-        console.log("⚙️  Setting up Cresca VM...");
+        this.logger.info("Setting up Cresca VM");
         this.isRunning = true;
-        console.log("✅ Cresca VM ready");
+
+        // Finish any rollback that was interrupted by a restart
+        for (const entry of this.journal?.list(ExecutionStatus.COMPENSATING) || []) {
+            this.logger.info("Resuming interrupted rollback", { correlationId: entry.id });
+            await this.rollback(entry.id);
+        }
+        this.logger.info("Cresca VM ready");
     }
 
-    async execute(transaction) {
+    /**
+     * Execute one queued transaction event. Everything logged while it runs
+     * carries its execution id as `correlationId`.
+     */
+    async execute(transaction, event) {
         if (!this.isRunning) {
             await this.setup();
         }
 
-        console.log(`🔄 Executing transaction: ${transaction.hash}`);
+        const executionId = CrescaVM.executionId(transaction, event);
+        return withLogContext({ correlationId: executionId, txHash: transaction.hash }, async () => {
+            const stopTimer = this.metrics?.executionSeconds.startTimer();
+            let intentType = "unknown";
+            let outcome = "failed";
+            try {
+                const { intent, result } = await this.run(transaction, event, executionId);
+                intentType = intent?.type || intentType;
+                outcome = result.status === "ignored" ? "ignored" : "success";
+                return result;
+            } catch (error) {
+                intentType = error.intentType || intentType;
+                outcome = error.invalidIntent ? "invalid" : "failed";
+                throw error;
+            } finally {
+                this.metrics?.executions.inc({ intent_type: intentType, outcome });
+                stopTimer?.({ intent_type: intentType, outcome });
+            }
+        });
+    }
+
+    async run(transaction, event, executionId) {
+        this.logger.info("Executing transaction", { eventIndex: event?.eventIndex ?? 0 });
 
+        let intent;
         try {
             // Parse transaction intent
-            const intent = this.parseIntent(transaction);
-            
-            // Execute based on type
-            let result;
-            switch (intent.type) {
-                case "CROSS_CHAIN_PAYMENT":
-                    result = await this.executeCrossChainPayment(intent);
-                    break;
-                case "BASKET_TRADE":
-                    result = await this.executeBasketTrade(intent);
-                    break;
-                case "SCHEDULED_PAYMENT":
-                    result = await this.executeScheduledPayment(intent);
-                    break;
-                default:
-                    throw new Error(`Unknown intent type: ${intent.type}`);
+            intent = this.parseIntent(transaction, event);
+        } catch (error) {
+            // Malformed arguments won't parse any better on retry
+            this.logger.error("Invalid intent", { error });
+            error.retryable = false;
+            error.invalidIntent = true;
+            throw error;
+        }
+
+        if (!intent) {
+            this.logger.info("Ignoring transaction: not a Cresca intent");
+            return { intent, result: { status: "ignored", reason: "no_route" } };
+        }
+
+        const handler = this.handlers.get(intent.type);
+        if (!handler) {
+            this.logger.info("Ignoring intent: no handler registered", { intentType: intent.type });
+            return { intent, result: { status: "ignored", reason: "no_handler", type: intent.type } };
+        }
+
+        return withLogContext({ intentType: intent.type, action: intent.action }, async () => {
+            try {
+                const saga = this.beginExecution(executionId, intent);
+
+                // Execute based on type
+                const result = await handler(intent, saga);
+
+                if (saga.opened) {
+                    this.journal.complete(executionId, result);
+                }
+                this.logger.info("Transaction executed", { status: result?.status });
+                return { intent, result };
+
+            } catch (error) {
+                this.logger.error("Execution failed", { error });
+                error.intentType = intent.type;
+                if (error.inDoubt) {
+                    // A transaction that may still land must not be compensated
+                    this.holdInDoubt(executionId, error);
+                } else {
+                    await this.rollback(executionId, error);
+                }
+                throw error;
             }
+        });
+    }
 
-            console.log("✅ Transaction executed successfully");
-            return result;
+    static executionId(transaction, event) {
+        // Same key as the execution queue job, so journal and queue line up
+        return `${transaction.hash}:${event?.eventIndex ?? 0}`;
+    }
 
-        } catch (error) {
-            console.error("❌ Execution failed:", error.message);
-            await this.rollback(transaction);
+    /**
+     * Return the saga handle a handler records its steps through. The journal
+     * entry is only opened by the first step, so single-shot intents don't
+     * fill the journal. A step already journaled by an earlier, interrupted
+     * attempt returns its recorded result instead of running again.
+     */
+    beginExecution(executionId, intent) {
+        const existing = this.journal?.get(executionId);
+        if (existing?.status === ExecutionStatus.NEEDS_MANUAL) {
+            const error = new Error(`Execution ${executionId} is waiting for manual intervention`);
+            error.retryable = false;
             throw error;
         }
+
+        let opened = false;
+        const open = () => {
+            if (this.journal && !opened) {
+                this.journal.begin(executionId, { type: intent.type, action: intent.action, txHash: intent.transaction?.hash });
+                opened = true;
+            }
+        };
+        return {
+            id: executionId,
+            step: async (name, run, compensation) => {
+                open();
+
+                const recorded = this.journal?.getStep(executionId, name);
+                if (recorded) {
+                    return recorded.result;
+                }
+
+                const result = await run();
+                this.journal?.recordStep(executionId, name, result,
+                    typeof compensation === "function" ? compensation(result) : compensation);
+                return result;
+            },
+            // Partial progress of a step that has not been recorded yet
+            checkpoint: (name, data) => {
+                open();
+                this.journal?.recordProgress(executionId, name, data);
+            },
+            progress: name => this.journal?.getProgress(executionId, name) || null,
+            get opened() {
+                return opened;
+            }
+        };
+    }
+
+    parseIntent(transaction, event) {
+        // Resolve the payload (or the event that queued it) against the routing table
+        return this.router.route(transaction, event);
+    }
+
+    /**
+     * Execute the next due job from the execution queue.
+     * Jobs are only acked after execution succeeds, so a crash mid-execution
+     * leaves the job claimable again (at-least-once).
+     * Returns false when no job was due.
+     */
+    async processNext() {
+        const job = this.executionQueue.claim();
+        if (!job) {
+            return false;
+        }
+
+        try {
+            const result = await this.execute(job.transaction, job.event);
+            this.executionQueue.ack(job.id, result);
+            this.setState(`job:${job.id}`, { status: "completed", result });
+        } catch (error) {
+            this.executionQueue.nack(job.id, error);
+            this.setState(`job:${job.id}`, { status: "failed", attempts: job.attempts, error: error.message });
+        }
+        return true;
     }
 
-    parseIntent(transaction) {
-        // Extract intent from transaction data
+    async consume() {
+        if (!this.executionQueue) {
+            throw new Error("No execution queue configured");
+        }
+
+        this.logger.info("Consuming execution queue");
+        this.isConsuming = true;
+        while (this.isConsuming) {
+            const processed = await this.processNext();
+            if (!processed) {
+                await this.sleep(this.pollIntervalMs);
+            }
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Pay the recipient on the destination chain against a deposit the payer
+     * made into the source chain's escrow. The deposit is verified on chain
+     * and claimed in the journal, so it backs exactly one payout; if the
+     * payout fails the deposit goes back to the address that sent it. Both
+     * legs are tracked under `payment:<id>`.
+     */
+    async executeCrossChainPayment(intent, saga) {
+        const args = intent.args;
+        const paymentId = args.paymentId || intent.transaction?.hash;
+        const source = this.getChain(args.sourceChain);
+        const destination = this.getChain(args.destinationChain);
+
+        if (!this.journal) {
+            // Deposit claims and refunds are journaled; without one a deposit could pay out twice
+            const error = new Error("Cross-chain payments need an execution journal");
+            error.retryable = false;
+            throw error;
+        }
+        if (!args.depositTx) {
+            const error = new Error(`Cross-chain payment ${paymentId} names no deposit`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const key = `payment:${paymentId}`;
+        const existing = this.getState(key);
+        const payment = existing || {
+            id: paymentId,
+            status: "pending",
+            sourceChain: args.sourceChain,
+            destinationChain: args.destinationChain,
+            recipient: args.recipient,
+            legs: {
+                deposit: { chain: args.sourceChain, txId: args.depositTx, amount: BigInt(args.amount), asset: args.sourceAsset, status: "pending" },
+                payout: { chain: args.destinationChain, to: args.recipient, amount: BigInt(args.amount), asset: args.destinationAsset, status: "pending" }
+            }
+        };
+        this.setState(key, payment);
+
+        try {
+            // A deposit journaled by an earlier attempt comes back from the journal, not the chain
+            payment.legs.deposit = await saga.step("deposit", () => this.verifyDeposit(source, payment.legs.deposit, saga.id), deposit => ({
+                action: "release_escrow",
+                params: { paymentId, chain: deposit.chain, to: deposit.from, amount: deposit.amount, asset: deposit.asset, depositTx: deposit.txId }
+            }));
+            payment.status = "deposited";
+            payment.legs.payout = await saga.step("payout", () => this.runLeg(destination, payment.legs.payout, saga, "payout"));
+            payment.status = "completed";
+            delete payment.error;
+        } catch (error) {
+            payment.status = "failed";
+            payment.error = error.message;
+            throw error;
+        }
+
         return {
-            type: transaction.payload?.function?.split("::").pop() || "UNKNOWN",
-            data: transaction.payload?.arguments || []
+            status: "success",
+            type: "cross_chain_payment",
+            paymentId,
+            depositTx: payment.legs.deposit.txId,
+            payoutTx: payment.legs.payout.txId
         };
     }
 
-    async executeCrossChainPayment(intent) {
-        console.log("💸 Executing cross-chain payment...");
-        // TODO: Implement cross-chain payment logic
-        return { status: "success", type: "cross_chain_payment" };
+    /**
+     * Check the payer's deposit on the source chain and claim it for this
+     * execution. A deposit another execution claimed, or one already
+     * refunded, cannot fund a payout.
+     */
+    async verifyDeposit(adapter, leg, executionId) {
+        const deposit = await adapter.verifyDeposit(leg.txId, { amount: leg.amount, asset: leg.asset });
+
+        const claim = this.journal.claim(CrescaVM.depositKey(leg.chain, leg.txId), executionId);
+        if (claim.id !== executionId || claim.retiredAt) {
+            const error = new Error(claim.retiredAt
+                ? `${leg.chain} deposit ${leg.txId} was ${claim.reason}`
+                : `${leg.chain} deposit ${leg.txId} already funds ${claim.id}`);
+            error.retryable = false;
+            throw error;
+        }
+
+        this.logger.info("Deposit verified", { chain: leg.chain, depositTx: leg.txId, from: deposit.from, amount: deposit.amount });
+        return { ...leg, from: deposit.from, amount: deposit.amount, status: "verified" };
+    }
+
+    static depositKey(chain, txId) {
+        return `deposit:${chain}:${txId}`;
+    }
+
+    /**
+     * Compensation for a deposit: pay it back out of escrow to its sender,
+     * and retire its claim so it cannot fund another attempt.
+     */
+    async releaseEscrow(params) {
+        const receipt = await this.getChain(params.chain).release({ to: params.to, amount: params.amount, asset: params.asset });
+
+        if (params.depositTx) {
+            this.journal?.retireClaim(CrescaVM.depositKey(params.chain, params.depositTx), "refunded");
+        }
+        const payment = this.getState(`payment:${params.paymentId}`);
+        if (payment?.legs.deposit) {
+            payment.status = "refunded";
+            payment.legs.deposit.status = "refunded";
+            payment.legs.deposit.refundTx = receipt.txId;
+        }
+        return receipt;
+    }
+
+    /**
+     * Drive one transfer leg to confirmation. The signed transaction is
+     * journaled before it is sent and its id right after, so a leg that was
+     * already submitted, even by a process that crashed, is only re-confirmed,
+     * never sent twice. A submit the node rejected counts as not sent.
+     */
+    async runLeg(adapter, leg, saga, name) {
+        if (leg.status === "confirmed") {
+            return leg;
+        }
+
+        const saved = saga.progress(name);
+        if (saved && (leg.status === "pending" || leg.status === "failed")) {
+            Object.assign(leg, saved);
+        }
+
+        if (leg.status === "signed") {
+            // Crashed between signing and recording the submit: it may or may not be on chain
+            throw CrescaVM.inDoubt(`${leg.chain} transfer was signed but may not have been submitted`, { needsManual: true });
+        }
+
+        if (leg.status !== "submitted") {
+            const built = await adapter.buildTransfer({ to: leg.to, amount: leg.amount, asset: leg.asset });
+            leg.fee = await adapter.estimateFee(built);
+            const signed = await adapter.sign(built);
+            leg.signedTx = adapter.encodeSigned(signed);
+            saga.checkpoint(name, { status: "signed", fee: leg.fee, signedTx: leg.signedTx });
+            try {
+                leg.txId = await adapter.submit(signed);
+            } catch (error) {
+                saga.checkpoint(name, null);
+                throw error;
+            }
+            leg.signed = signed;
+            leg.status = "submitted";
+            saga.checkpoint(name, { status: "submitted", fee: leg.fee, signedTx: leg.signedTx, txId: leg.txId });
+            this.logger.info("Transfer leg submitted", { chain: leg.chain, legTx: leg.txId });
+        }
+
+        let receipt;
+        try {
+            receipt = await adapter.confirm(leg.txId, leg.signed);
+        } catch (error) {
+            // Timeout or transport error: the transaction may still land
+            throw CrescaVM.inDoubt(`${leg.chain} transfer ${leg.txId} is unconfirmed: ${error.message}`, { cause: error });
+        }
+        if (!receipt.confirmed) {
+            leg.status = "failed";
+            leg.error = receipt.error;
+            saga.checkpoint(name, null);
+            throw new Error(`${leg.chain} transfer ${leg.txId} failed: ${receipt.error}`);
+        }
+
+        leg.status = "confirmed";
+        leg.confirmedAt = Date.now();
+        delete leg.signed;
+        delete leg.signedTx;
+        this.logger.info("Transfer leg confirmed", { chain: leg.chain, legTx: leg.txId });
+        return leg;
     }
 
     async executeBasketTrade(intent) {
-        console.log("📊 Executing basket trade...");
-        // TODO: Implement basket trading logic
-        return { status: "success", type: "basket_trade" };
+        if (!this.liquidationKeeper) {
+            return { status: "ignored", reason: "no_keeper", type: "basket_trade" };
+        }
+        // The keeper tracks positions and re-checks margins when the oracle moves
+        return this.liquidationKeeper.observe(intent);
     }
 
     async executeScheduledPayment(intent) {
-        console.log("⏰ Executing scheduled payment...");
-        // TODO: Implement scheduled payment logic
-        return { status: "success", type: "scheduled_payment" };
+        if (!this.scheduleKeeper) {
+            return { status: "ignored", reason: "no_keeper", type: "scheduled_payment" };
+        }
+        // The keeper indexes the schedule and executes it when it falls due
+        return this.scheduleKeeper.observe(intent);
+    }
+
+    async executeMerchantPayment(intent) {
+        if (!this.webhooks) {
+            return { status: "ignored", reason: "no_webhooks", type: "merchant_payment" };
+        }
+        // Deliveries are queued here and sent by the dispatcher's own loop
+        return this.webhooks.publish(intent);
     }
 
-    async rollback(transaction) {
-        console.log("🔙 Rolling back transaction...");
-        // TODO: Implement rollback logic
+    static inDoubt(message, { needsManual = false, cause } = {}) {
+        const error = new Error(message, cause ? { cause } : undefined);
+        error.inDoubt = true;
+        error.needsManual = needsManual;
+        error.retryable = !needsManual;
+        return error;
+    }
+
+    /**
+     * Leave an execution with an unconfirmed transaction alone: nothing is
+     * compensated. A submitted leg is re-confirmed when the job is retried;
+     * one that may never have been submitted waits for an operator.
+     */
+    holdInDoubt(executionId, error) {
+        if (!this.journal?.get(executionId)) {
+            return;
+        }
+        if (error.needsManual) {
+            this.journal.markNeedsManual(executionId, error);
+            this.logger.error("Execution needs manual intervention", { correlationId: executionId, error });
+        } else {
+            this.logger.warn("Transaction in doubt, will re-confirm on retry", { correlationId: executionId, error });
+        }
+    }
+
+    /**
+     * Run the compensations of every executed step in reverse order. Progress
+     * is journaled per step, so a rollback interrupted by a restart picks up
+     * where it stopped. Steps whose compensation fails leave the execution in
+     * needs_manual for an operator.
+     */
+    async rollback(executionId, error) {
+        const entry = this.journal?.get(executionId);
+        const rollingBack = entry?.status === ExecutionStatus.RUNNING || entry?.status === ExecutionStatus.COMPENSATING;
+        if (!rollingBack || entry.steps.length === 0) {
+            return;
+        }
+
+        this.logger.warn("Rolling back execution", { correlationId: executionId, steps: entry.steps.length, error });
+        this.journal.markCompensating(executionId, error);
+
+        for (const step of [...entry.steps].reverse()) {
+            if (step.status === StepStatus.COMPENSATED || !step.compensation) {
+                continue;
+            }
+
+            try {
+                const compensate = this.compensations.get(step.compensation.action);
+                if (!compensate) {
+                    throw new Error(`No compensation registered for ${step.compensation.action}`);
+                }
+                const result = await compensate(step.compensation.params);
+                this.journal.markStepCompensated(executionId, step.name, result);
+                this.logger.info("Step compensated", { correlationId: executionId, step: step.name, compensation: step.compensation.action });
+            } catch (compensationError) {
+                this.journal.markStepCompensationFailed(executionId, step.name, compensationError);
+                this.logger.error("Step compensation failed", { correlationId: executionId, step: step.name, compensation: step.compensation.action, error: compensationError });
+            }
+        }
+
+        const finished = this.journal.finishRollback(executionId);
+        const result = finished.status === ExecutionStatus.NEEDS_MANUAL ? "needs_manual" : "compensated";
+        this.metrics?.rollbacks.inc({ result });
+        if (result === "needs_manual") {
+            this.logger.error("Execution needs manual intervention", { correlationId: executionId });
+        } else {
+            this.logger.info("Rollback finished", { correlationId: executionId });
+        }
     }
 
     async stop() {
-        console.log("⏹️  Stopping Cresca VM...");
+        this.logger.info("Stopping Cresca VM");
         this.isRunning = false;
+        this.isConsuming = false;
     }
 
     getState(key) {
@@ -0,0 +1,231 @@
+// Cresca VM Execution Journal
+// Durable record of every step a multi-step intent executed, each paired with
+// the compensating action that undoes it. Rollbacks replay compensations in
+// reverse from this file, so they resume after a restart.
+
+const path = require("path");
+const JsonFileStore = require("./storage/JsonFileStore");
+
+const ExecutionStatus = {
+    RUNNING: "running",
+    COMPLETED: "completed",
+    COMPENSATING: "compensating",
+    COMPENSATED: "compensated",
+    NEEDS_MANUAL: "needs_manual",
+    RESOLVED: "resolved"
+};
+
+const StepStatus = {
+    EXECUTED: "executed",
+    COMPENSATED: "compensated",
+    COMPENSATION_FAILED: "compensation_failed"
+};
+
+class ExecutionJournal {
+    constructor(config = {}) {
+        this.store = new JsonFileStore(config.filePath || path.join(process.cwd(), "data", "journal.json"));
+        this.now = config.now || (() => Date.now());
+        this.entries = new Map();
+        this.claims = new Map();
+    }
+
+    load() {
+        const state = this.store.read({ entries: [] });
+        this.entries = new Map(state.entries.map(entry => [entry.id, entry]));
+        this.claims = new Map(state.claims || []);
+        return this;
+    }
+
+    persist() {
+        this.store.write({ entries: Array.from(this.entries.values()), claims: Array.from(this.claims.entries()) });
+    }
+
+    /**
+     * Reserve `resource` (e.g. a payer's deposit transaction) for execution
+     * `id`, so it backs at most one execution. Returns the claim, which names
+     * another execution when it was already taken.
+     */
+    claim(resource, id) {
+        let claim = this.claims.get(resource);
+        if (!claim) {
+            claim = { id, claimedAt: this.now(), retiredAt: null, reason: null };
+            this.claims.set(resource, claim);
+            this.persist();
+        }
+        return claim;
+    }
+
+    getClaim(resource) {
+        return this.claims.get(resource) || null;
+    }
+
+    /** Mark a claimed resource as used up, e.g. a deposit that was refunded. */
+    retireClaim(resource, reason) {
+        const claim = this.claims.get(resource);
+        if (claim && !claim.retiredAt) {
+            claim.retiredAt = this.now();
+            claim.reason = reason;
+            this.persist();
+        }
+        return claim || null;
+    }
+
+    /**
+     * Open (or reopen) the entry for an execution. A running entry is resumed
+     * as-is so steps recorded before a crash are not executed twice; a
+     * compensated one is archived and a fresh attempt starts.
+     */
+    begin(id, details = {}) {
+        let entry = this.entries.get(id);
+
+        if (entry && entry.status === ExecutionStatus.COMPENSATED) {
+            entry.previousAttempts.push({
+                steps: entry.steps,
+                progress: entry.progress,
+                error: entry.error,
+                startedAt: entry.startedAt,
+                finishedAt: entry.finishedAt
+            });
+            entry.steps = [];
+            entry.progress = {};
+            entry.error = null;
+            entry.finishedAt = null;
+            entry.startedAt = this.now();
+            entry.status = ExecutionStatus.RUNNING;
+        }
+
+        if (!entry) {
+            entry = {
+                id,
+                ...details,
+                status: ExecutionStatus.RUNNING,
+                steps: [],
+                progress: {},
+                error: null,
+                startedAt: this.now(),
+                finishedAt: null,
+                previousAttempts: []
+            };
+            this.entries.set(id, entry);
+        }
+
+        this.persist();
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    getStep(id, name) {
+        return this.entries.get(id)?.steps.find(step => step.name === name);
+    }
+
+    /**
+     * Record a step that has taken effect. `compensation` is { action, params }
+     * and must be plain data, since it is replayed from disk.
+     */
+    recordStep(id, name, result, compensation) {
+        const entry = this.entries.get(id);
+        entry.steps.push({
+            name,
+            status: StepStatus.EXECUTED,
+            result,
+            compensation: compensation || null,
+            executedAt: this.now()
+        });
+        this.persist();
+    }
+
+    /**
+     * Save how far a step that has not finished yet got, e.g. the id of a
+     * transaction it submitted, so a retry can pick it up instead of redoing it.
+     */
+    recordProgress(id, name, data) {
+        const entry = this.entries.get(id);
+        entry.progress = { ...entry.progress, [name]: data };
+        this.persist();
+    }
+
+    getProgress(id, name) {
+        return this.entries.get(id)?.progress?.[name] || null;
+    }
+
+    /**
+     * Stop an execution whose outcome cannot be determined automatically,
+     * without compensating anything.
+     */
+    markNeedsManual(id, error) {
+        const entry = this.entries.get(id);
+        entry.status = ExecutionStatus.NEEDS_MANUAL;
+        entry.error = error?.message || String(error);
+        entry.finishedAt = this.now();
+        this.persist();
+        return entry;
+    }
+
+    complete(id, result) {
+        const entry = this.entries.get(id);
+        entry.status = ExecutionStatus.COMPLETED;
+        entry.result = result;
+        entry.finishedAt = this.now();
+        this.persist();
+    }
+
+    markCompensating(id, error) {
+        const entry = this.entries.get(id);
+        entry.status = ExecutionStatus.COMPENSATING;
+        entry.error = entry.error || error?.message || String(error);
+        this.persist();
+    }
+
+    markStepCompensated(id, name, result) {
+        const step = this.getStep(id, name);
+        step.status = StepStatus.COMPENSATED;
+        step.compensationResult = result;
+        step.compensationError = null;
+        step.compensatedAt = this.now();
+        this.persist();
+    }
+
+    markStepCompensationFailed(id, name, error) {
+        const step = this.getStep(id, name);
+        step.status = StepStatus.COMPENSATION_FAILED;
+        step.compensationError = error.message;
+        this.persist();
+    }
+
+    finishRollback(id) {
+        const entry = this.entries.get(id);
+        const failed = entry.steps.some(step => step.status === StepStatus.COMPENSATION_FAILED);
+        entry.status = failed ? ExecutionStatus.NEEDS_MANUAL : ExecutionStatus.COMPENSATED;
+        entry.finishedAt = this.now();
+        this.persist();
+        return entry;
+    }
+
+    /**
+     * Close out an entry that needed manual intervention once an operator has
+     * fixed it up by hand.
+     */
+    resolve(id, note) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.status !== ExecutionStatus.NEEDS_MANUAL) {
+            return false;
+        }
+        entry.status = ExecutionStatus.RESOLVED;
+        entry.resolution = { note, resolvedAt: this.now() };
+        this.persist();
+        return true;
+    }
+
+    list(status) {
+        const entries = Array.from(this.entries.values());
+        return status ? entries.filter(entry => entry.status === status) : entries;
+    }
+}
+
+ExecutionJournal.ExecutionStatus = ExecutionStatus;
+ExecutionJournal.StepStatus = StepStatus;
+
+module.exports = ExecutionJournal;
@@ -0,0 +1,327 @@
+// Cresca VM Execution Queue
+// Durable, file-backed queue between the Block Monitor and the VM.
+// Jobs are keyed by tx hash + event index so replays after a crash are
+// idempotent, and the monitor cursor is checkpointed alongside the jobs.
+// Completed keys and dead letters live in a separate history file that is
+// only rewritten when a job finishes, so claims and retries stay small writes.
+
+const path = require("path");
+const JsonFileStore = require("./storage/JsonFileStore");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_LEASE_MS = 60 * 1000;
+const DEFAULT_COMPLETED_HISTORY = 10000;
+const DEFAULT_DEAD_LETTER_HISTORY = 1000;
+
+function historyPathFor(filePath) {
+    const { dir, name } = path.parse(filePath);
+    return path.join(dir, `${name}.history.json`);
+}
+
+class ExecutionQueue {
+    constructor(config = {}) {
+        this.filePath = config.filePath || path.join(process.cwd(), "data", "queue.json");
+        this.store = new JsonFileStore(this.filePath);
+        this.historyStore = new JsonFileStore(config.historyPath || historyPathFor(this.filePath));
+        this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.baseDelayMs = config.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+        this.maxDelayMs = config.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+        this.leaseMs = config.leaseMs || DEFAULT_LEASE_MS;
+        this.completedHistory = config.completedHistory || DEFAULT_COMPLETED_HISTORY;
+        this.deadLetterHistory = config.deadLetterHistory || DEFAULT_DEAD_LETTER_HISTORY;
+        this.now = config.now || (() => Date.now());
+
+        this.cursors = {};
+        this.jobs = new Map();
+        this.completed = new Map();
+        // Insertion-ordered, so the oldest entry is evicted first
+        this.deadLetters = new Map();
+        this.loaded = false;
+    }
+
+    static jobKey(txHash, eventIndex) {
+        return `${txHash}:${eventIndex}`;
+    }
+
+    load() {
+        const state = this.store.read();
+        // Queue files written before the history split carry it inline
+        const history = this.historyStore.read() || state || {};
+        if (state) {
+            this.cursors = state.cursors || {};
+            this.jobs = new Map((state.jobs || []).map(job => [job.id, job]));
+        }
+        this.completed = new Map(history.completed || []);
+        this.deadLetters = new Map((history.deadLetters || []).map(job => [job.id, job]));
+
+        // History is written first; a crash before the queue write leaves the
+        // finished job in both, and the history wins
+        for (const id of this.jobs.keys()) {
+            if (this.completed.has(id) || this.deadLetters.has(id)) {
+                this.jobs.delete(id);
+            }
+        }
+
+        // Anything in flight when the process died goes back to pending
+        for (const job of this.jobs.values()) {
+            if (job.status === "in_flight") {
+                job.status = "pending";
+                job.leaseExpiresAt = null;
+            }
+        }
+
+        this.loaded = true;
+        this.persistHistory();
+        this.persist();
+        return this;
+    }
+
+    ensureLoaded() {
+        if (!this.loaded) {
+            this.load();
+        }
+    }
+
+    persist() {
+        const state = {
+            cursors: this.cursors,
+            jobs: Array.from(this.jobs.values())
+        };
+
+        this.store.write(state);
+    }
+
+    persistHistory() {
+        this.historyStore.write({
+            completed: Array.from(this.completed.entries()),
+            deadLetters: Array.from(this.deadLetters.values())
+        });
+    }
+
+    has(id) {
+        return this.jobs.has(id) || this.completed.has(id) || this.deadLetters.has(id);
+    }
+
+    /** Record a finished job's outcome, keeping a bounded window of keys for idempotency checks. */
+    complete(id, status) {
+        this.completed.delete(id);
+        this.completed.set(id, { completedAt: this.now(), status });
+        while (this.completed.size > this.completedHistory) {
+            const oldest = this.completed.keys().next().value;
+            this.completed.delete(oldest);
+        }
+    }
+
+    /**
+     * Enqueue one job per event of a transaction.
+     * Returns the number of jobs that were actually added (duplicates are skipped).
+     */
+    enqueue(transaction, events, cursor) {
+        this.ensureLoaded();
+
+        let added = 0;
+        events.forEach((event, position) => {
+            const eventIndex = event.eventIndex ?? position;
+            const id = ExecutionQueue.jobKey(transaction.hash, eventIndex);
+            if (this.has(id)) {
+                return;
+            }
+
+            this.jobs.set(id, {
+                id,
+                txHash: transaction.hash,
+                version: transaction.version,
+                eventIndex,
+                transaction: {
+                    hash: transaction.hash,
+                    version: transaction.version,
+                    sender: transaction.sender,
+                    payload: transaction.payload,
+                    timestamp: transaction.timestamp
+                },
+                event,
+                status: "pending",
+                attempts: 0,
+                nextAttemptAt: this.now(),
+                leaseExpiresAt: null,
+                lastError: null,
+                enqueuedAt: this.now()
+            });
+            added++;
+        });
+
+        // Jobs and cursor land in the same write, so a restart resumes exactly here
+        if (cursor) {
+            this.cursors[cursor.key] = cursor.value;
+        }
+
+        if (added > 0 || cursor) {
+            this.persist();
+        }
+
+        return added;
+    }
+
+    /**
+     * Claim the next job that is due. Returns null when nothing is ready.
+     */
+    claim() {
+        this.ensureLoaded();
+
+        const now = this.now();
+        let next = null;
+        for (const job of this.jobs.values()) {
+            if (job.status === "in_flight" && job.leaseExpiresAt <= now) {
+                // Lease expired: the consumer crashed or hung, make it claimable again
+                job.status = "pending";
+            }
+            if (job.status !== "pending" || job.nextAttemptAt > now) {
+                continue;
+            }
+            if (!next || job.nextAttemptAt < next.nextAttemptAt) {
+                next = job;
+            }
+        }
+
+        if (!next) {
+            return null;
+        }
+
+        next.status = "in_flight";
+        next.attempts++;
+        next.leaseExpiresAt = now + this.leaseMs;
+        this.persist();
+        return next;
+    }
+
+    ack(id, result) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return;
+        }
+
+        this.jobs.delete(id);
+        this.complete(id, result?.status || "success");
+        this.persistHistory();
+        this.persist();
+    }
+
+    nack(id, error) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return;
+        }
+
+        job.lastError = error?.message || String(error);
+        job.leaseExpiresAt = null;
+
+        if (job.attempts >= this.maxAttempts || error?.retryable === false) {
+            this.jobs.delete(id);
+            job.status = "dead";
+            job.deadAt = this.now();
+            this.deadLetters.set(id, job);
+            // The oldest dead letters drop out; their keys stay in the completed window
+            while (this.deadLetters.size > this.deadLetterHistory) {
+                const oldest = this.deadLetters.keys().next().value;
+                this.deadLetters.delete(oldest);
+                this.complete(oldest, "dead");
+            }
+            this.persistHistory();
+        } else {
+            job.status = "pending";
+            job.nextAttemptAt = this.now() + this.backoff(job.attempts);
+        }
+
+        this.persist();
+    }
+
+    backoff(attempts) {
+        const delay = this.baseDelayMs * Math.pow(2, attempts - 1);
+        return Math.min(delay, this.maxDelayMs);
+    }
+
+    /**
+     * Move a dead-lettered job back onto the queue with a fresh attempt budget.
+     */
+    retryDeadLetter(id) {
+        this.ensureLoaded();
+
+        const job = this.deadLetters.get(id);
+        if (!job) {
+            return false;
+        }
+
+        // Queue first: a crash before the history write leaves the job in
+        // both, which load() resolves as still dead
+        this.deadLetters.delete(id);
+        job.status = "pending";
+        job.attempts = 0;
+        job.nextAttemptAt = this.now();
+        delete job.deadAt;
+        this.jobs.set(job.id, job);
+        this.persist();
+        this.persistHistory();
+        return true;
+    }
+
+    /**
+     * Look a job up wherever it currently lives. Completed jobs only keep
+     * their outcome, within the completed history window.
+     */
+    getJob(id) {
+        this.ensureLoaded();
+
+        const job = this.jobs.get(id) || this.deadLetters.get(id);
+        if (job) {
+            return job;
+        }
+        const completed = this.completed.get(id);
+        return completed ? { id, ...completed, status: "completed", result: completed.status } : null;
+    }
+
+    findByTxHash(txHash) {
+        this.ensureLoaded();
+
+        const prefix = `${txHash}:`;
+        const ids = new Set([
+            ...this.jobs.keys(),
+            ...this.completed.keys(),
+            ...this.deadLetters.keys()
+        ]);
+        return Array.from(ids).filter(id => id.startsWith(prefix)).map(id => this.getJob(id));
+    }
+
+    list({ status, limit = 100 } = {}) {
+        this.ensureLoaded();
+
+        const jobs = status === "dead"
+            ? Array.from(this.deadLetters.values())
+            : Array.from(this.jobs.values()).filter(job => !status || job.status === status);
+        return jobs.slice(0, limit);
+    }
+
+    getCursor(key) {
+        this.ensureLoaded();
+        return this.cursors[key];
+    }
+
+    setCursor(key, value) {
+        this.ensureLoaded();
+        this.cursors[key] = value;
+        this.persist();
+    }
+
+    getDeadLetters() {
+        this.ensureLoaded();
+        return Array.from(this.deadLetters.values());
+    }
+
+    size() {
+        this.ensureLoaded();
+        return this.jobs.size;
+    }
+}
+
+module.exports = ExecutionQueue;
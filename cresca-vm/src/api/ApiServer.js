@@ -0,0 +1,182 @@
+// Cresca VM API Server
+// JSON-RPC 2.0 over HTTP (POST /rpc) for the app and backend, plus
+// unauthenticated GET /health and /ready probes for the process supervisor
+// and GET /metrics for Prometheus.
+
+const http = require("http");
+const crypto = require("crypto");
+const RpcError = require("./RpcError");
+const { validate } = require("./validate");
+const { logger } = require("../observability/logger");
+const { MetricsRegistry } = require("../observability/metrics");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => typeof item === "bigint" ? item.toString() : item);
+}
+
+function digest(value) {
+    return crypto.createHash("sha256").update(value).digest();
+}
+
+class ApiServer {
+    constructor(config) {
+        this.methods = config.methods;
+        this.port = config.port ?? DEFAULT_PORT;
+        this.host = config.host || DEFAULT_HOST;
+        this.isReady = config.isReady || (() => true);
+        this.metrics = config.metrics || null;
+        this.logger = config.logger || logger.child({ component: "api" });
+        // Keys are compared as digests so the comparison is constant-time
+        this.apiKeys = (config.apiKeys || []).filter(Boolean).map(digest);
+        this.server = null;
+
+        if (this.apiKeys.length === 0) {
+            throw new Error("ApiServer requires at least one API key");
+        }
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.logger.error("API request failed", { method: req.method, path: req.url, error });
+                this.send(res, 500, { error: "internal error" });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.logger.info("VM API listening", { url: `http://${this.host}:${this.port}` });
+                resolve(this);
+            });
+        });
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+
+        if (req.method === "GET" && url.pathname === "/health") {
+            return this.send(res, 200, { status: "ok" });
+        }
+        if (req.method === "GET" && url.pathname === "/ready") {
+            const ready = this.isReady();
+            return this.send(res, ready ? 200 : 503, { status: ready ? "ready" : "not_ready" });
+        }
+        if (req.method === "GET" && url.pathname === "/metrics" && this.metrics) {
+            const payload = this.metrics.render();
+            res.writeHead(200, { "Content-Type": MetricsRegistry.CONTENT_TYPE, "Content-Length": Buffer.byteLength(payload) });
+            return res.end(payload);
+        }
+        if (url.pathname !== "/rpc") {
+            return this.send(res, 404, { error: "not found" });
+        }
+        if (req.method !== "POST") {
+            return this.send(res, 405, { error: "method not allowed" });
+        }
+        if (!this.isAuthorized(req)) {
+            return this.send(res, 401, this.errorResponse(null, new RpcError(RpcError.Code.UNAUTHORIZED, "Invalid or missing API key")));
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await this.readBody(req));
+        } catch (error) {
+            const status = error instanceof RpcError ? 413 : 400;
+            return this.send(res, status, this.errorResponse(null, error instanceof RpcError
+                ? error
+                : new RpcError(RpcError.Code.PARSE_ERROR, "Parse error")));
+        }
+
+        if (Array.isArray(body)) {
+            if (body.length === 0) {
+                return this.send(res, 400, this.errorResponse(null, new RpcError(RpcError.Code.INVALID_REQUEST, "Empty batch")));
+            }
+            const responses = [];
+            for (const call of body) {
+                responses.push(await this.dispatch(call));
+            }
+            return this.send(res, 200, responses);
+        }
+
+        return this.send(res, 200, await this.dispatch(body));
+    }
+
+    isAuthorized(req) {
+        const header = req.headers["x-api-key"] || (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        if (!header) {
+            return false;
+        }
+        const candidate = digest(header);
+        return this.apiKeys.some(key => crypto.timingSafeEqual(key, candidate));
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on("data", chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new RpcError(RpcError.Code.INVALID_REQUEST, "Request body too large"));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+            req.on("error", reject);
+        });
+    }
+
+    async dispatch(call) {
+        const id = call && (typeof call.id === "string" || typeof call.id === "number") ? call.id : null;
+
+        try {
+            if (!call || call.jsonrpc !== "2.0" || typeof call.method !== "string") {
+                throw new RpcError(RpcError.Code.INVALID_REQUEST, "Invalid request");
+            }
+
+            const method = Object.prototype.hasOwnProperty.call(this.methods, call.method) && this.methods[call.method];
+            if (!method) {
+                throw new RpcError(RpcError.Code.METHOD_NOT_FOUND, `Method not found: ${call.method}`);
+            }
+
+            const params = validate(call.params ?? {}, method.params);
+            const result = await method.handler(params);
+            return { jsonrpc: "2.0", id, result };
+        } catch (error) {
+            if (!(error instanceof RpcError)) {
+                this.logger.error("API method failed", { rpcMethod: call?.method, error });
+                return this.errorResponse(id, new RpcError(RpcError.Code.INTERNAL_ERROR, "Internal error"));
+            }
+            return this.errorResponse(id, error);
+        }
+    }
+
+    errorResponse(id, error) {
+        return { jsonrpc: "2.0", id, error: error.toJSON() };
+    }
+
+    send(res, status, body) {
+        const payload = toJson(body);
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,32 @@
+// Cresca VM RPC Error
+// JSON-RPC 2.0 error with its standard code.
+
+const RpcErrorCode = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    UNAUTHORIZED: -32001,
+    NOT_FOUND: -32004,
+    CONFLICT: -32009
+};
+
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = "RpcError";
+        this.code = code;
+        this.data = data;
+    }
+
+    toJSON() {
+        return this.data === undefined
+            ? { code: this.code, message: this.message }
+            : { code: this.code, message: this.message, data: this.data };
+    }
+}
+
+RpcError.Code = RpcErrorCode;
+
+module.exports = RpcError;
@@ -0,0 +1,50 @@
+// Cresca VM API Validation
+// Minimal schema checks for RPC params. A schema maps each field to
+// { type, required?, enum? }; unknown fields are rejected.
+
+const RpcError = require("./RpcError");
+
+const checks = {
+    string: value => typeof value === "string" && value.length > 0,
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === "boolean",
+    object: value => value !== null && typeof value === "object" && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    // Token amounts travel as decimal strings so they survive JSON without losing precision
+    amount: value => typeof value === "string" && /^[0-9]+$/.test(value) && BigInt(value) > 0n
+};
+
+function validate(params, schema, path = "params") {
+    if (!checks.object(params)) {
+        throw new RpcError(RpcError.Code.INVALID_PARAMS, `${path} must be an object`);
+    }
+
+    const errors = [];
+    for (const field of Object.keys(params)) {
+        if (!schema[field]) {
+            errors.push(`${path}.${field} is not allowed`);
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = params[field];
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push(`${path}.${field} is required`);
+            }
+            continue;
+        }
+        if (!checks[rule.type](value)) {
+            errors.push(`${path}.${field} must be ${rule.type === "amount" ? "a positive integer string" : rule.type === "array" ? "an array" : `a ${rule.type}`}`);
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${path}.${field} must be one of ${rule.enum.join(", ")}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new RpcError(RpcError.Code.INVALID_PARAMS, "Invalid params", errors);
+    }
+    return params;
+}
+
+module.exports = { validate };
@@ -0,0 +1,310 @@
+// Cresca VM API Methods
+// The JSON-RPC method table: param schema + handler per method.
+
+const crypto = require("crypto");
+const RpcError = require("./RpcError");
+const { validate } = require("./validate");
+const CrescaVM = require("../CrescaVM");
+const { IntentType } = require("../intents/crescaRoutes");
+const { normalizeAddress } = require("../events/fieldTypes");
+
+// Intent types that can be submitted off-chain, with their argument schemas
+const OFFCHAIN_INTENTS = {
+    [IntentType.CROSS_CHAIN_PAYMENT]: {
+        sourceChain: { type: "string", required: true },
+        destinationChain: { type: "string", required: true },
+        recipient: { type: "string", required: true },
+        amount: { type: "amount", required: true },
+        // The payer's transfer of `amount` into the source chain's escrow
+        depositTx: { type: "string", required: true },
+        sourceAsset: { type: "string" },
+        destinationAsset: { type: "string" }
+    }
+};
+
+function offchainTxHash(id) {
+    return `intent:${id}`;
+}
+
+function createVmMethods({ vm, queue, monitor, journal, liquidationKeeper, oracleFeeder, swapWatcher, webhooks }) {
+    function describeJob(job) {
+        return {
+            ...job,
+            state: vm.getState(`job:${job.id}`) || null,
+            journal: journal?.get(job.id) || null
+        };
+    }
+
+    // Account address params are normalized; malformed ones are rejected up front
+    function addressParam(field, address) {
+        try {
+            return normalizeAddress(address);
+        } catch (error) {
+            throw new RpcError(RpcError.Code.INVALID_PARAMS, `params.${field}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reject a payment the VM would refuse anyway: an unknown chain, or a
+     * deposit already claimed by another execution or refunded. The deposit
+     * itself is verified on chain when the payment executes.
+     */
+    function checkPayment(args, executionId) {
+        for (const field of ["sourceChain", "destinationChain"]) {
+            if (!vm.chains.has(args[field])) {
+                throw new RpcError(RpcError.Code.INVALID_PARAMS, `params.args.${field}: no chain adapter for ${args[field]}`);
+            }
+        }
+
+        const claim = journal?.getClaim(CrescaVM.depositKey(args.sourceChain, args.depositTx));
+        if (claim && (claim.id !== executionId || claim.retiredAt)) {
+            throw new RpcError(RpcError.Code.CONFLICT, claim.retiredAt
+                ? `Deposit ${args.depositTx} was ${claim.reason}`
+                : `Deposit ${args.depositTx} already funds ${claim.id}`);
+        }
+    }
+
+    function swapAccount(address) {
+        if (!swapWatcher) {
+            throw new RpcError(RpcError.Code.NOT_FOUND, "Swap watcher is not running");
+        }
+        return addressParam("address", address);
+    }
+
+    function requireWebhooks() {
+        if (!webhooks) {
+            throw new RpcError(RpcError.Code.NOT_FOUND, "Webhook dispatcher is not running");
+        }
+        return webhooks;
+    }
+
+    return {
+        submitIntent: {
+            params: {
+                type: { type: "string", required: true, enum: Object.keys(OFFCHAIN_INTENTS) },
+                action: { type: "string" },
+                args: { type: "object", required: true },
+                sender: { type: "string" },
+                id: { type: "string" }
+            },
+            handler: params => {
+                validate(params.args, OFFCHAIN_INTENTS[params.type], "params.args");
+                if (!vm.handlers.has(params.type)) {
+                    throw new RpcError(RpcError.Code.INVALID_PARAMS, `No handler registered for ${params.type}`);
+                }
+
+                // A client-supplied id makes resubmission idempotent
+                const id = params.id || crypto.randomUUID();
+                if (params.type === IntentType.CROSS_CHAIN_PAYMENT) {
+                    checkPayment(params.args, CrescaVM.executionId({ hash: offchainTxHash(id) }));
+                }
+                const transaction = {
+                    hash: offchainTxHash(id),
+                    version: null,
+                    sender: params.sender || null,
+                    payload: null,
+                    timestamp: Date.now().toString()
+                };
+                const intent = { type: params.type, action: params.action || null, args: params.args };
+                const added = queue.enqueue(transaction, [{ eventIndex: 0, intent }]);
+
+                return { id, txHash: transaction.hash, duplicate: added === 0 };
+            }
+        },
+
+        getIntentStatus: {
+            params: {
+                id: { type: "string" },
+                txHash: { type: "string" }
+            },
+            handler: params => {
+                if (Boolean(params.id) === Boolean(params.txHash)) {
+                    throw new RpcError(RpcError.Code.INVALID_PARAMS, "Pass exactly one of id or txHash");
+                }
+
+                const txHash = params.id ? offchainTxHash(params.id) : params.txHash;
+                const jobs = queue.findByTxHash(txHash);
+                if (jobs.length === 0) {
+                    throw new RpcError(RpcError.Code.NOT_FOUND, `No executions found for ${txHash}`);
+                }
+
+                return {
+                    txHash,
+                    jobs: jobs.map(describeJob),
+                    payment: vm.getState(`payment:${txHash}`) || null
+                };
+            }
+        },
+
+        listQueue: {
+            params: {
+                status: { type: "string", enum: ["pending", "in_flight", "dead"] },
+                limit: { type: "integer" }
+            },
+            handler: params => {
+                const limit = Math.min(Math.max(params.limit || 100, 1), 1000);
+                return {
+                    size: queue.size(),
+                    deadLetters: queue.getDeadLetters().length,
+                    jobs: queue.list({ status: params.status, limit })
+                };
+            }
+        },
+
+        getState: {
+            params: {
+                key: { type: "string", required: true }
+            },
+            handler: params => {
+                const value = vm.getState(params.key);
+                if (value === undefined) {
+                    throw new RpcError(RpcError.Code.NOT_FOUND, `No state for ${params.key}`);
+                }
+                return { key: params.key, value };
+            }
+        },
+
+        getLiquidationWarnings: {
+            params: {
+                owner: { type: "string" }
+            },
+            handler: params => {
+                if (!liquidationKeeper) {
+                    throw new RpcError(RpcError.Code.NOT_FOUND, "Liquidation keeper is not running");
+                }
+                return {
+                    markPrice: liquidationKeeper.markPrice,
+                    checkedAt: liquidationKeeper.checkedAt,
+                    warnings: liquidationKeeper.getWarnings({ owner: params.owner })
+                };
+            }
+        },
+
+        listSwaps: {
+            params: {
+                address: { type: "string", required: true },
+                role: { type: "string", enum: ["initiator", "participant"] },
+                status: { type: "string", enum: ["open", "expired", "completed", "cancelled"] }
+            },
+            handler: params => ({
+                swaps: swapWatcher.listSwaps({ address: swapAccount(params.address), role: params.role, status: params.status })
+            })
+        },
+
+        getSwapNotifications: {
+            params: {
+                address: { type: "string", required: true },
+                after: { type: "integer" }
+            },
+            handler: params => ({
+                notifications: swapWatcher.getNotifications(swapAccount(params.address), { after: params.after || 0 })
+            })
+        },
+
+        registerWebhook: {
+            params: {
+                merchant: { type: "string", required: true },
+                url: { type: "string", required: true },
+                secret: { type: "string" },
+                events: { type: "array" }
+            },
+            handler: params => {
+                const dispatcher = requireWebhooks();
+                const merchant = addressParam("merchant", params.merchant);
+                try {
+                    return dispatcher.registerEndpoint({ ...params, merchant });
+                } catch (error) {
+                    throw new RpcError(RpcError.Code.INVALID_PARAMS, error.message);
+                }
+            }
+        },
+
+        listWebhooks: {
+            params: {
+                merchant: { type: "string" }
+            },
+            handler: params => ({
+                endpoints: requireWebhooks().listEndpoints({ merchant: params.merchant && addressParam("merchant", params.merchant) })
+            })
+        },
+
+        removeWebhook: {
+            params: {
+                id: { type: "string", required: true }
+            },
+            handler: params => {
+                if (!requireWebhooks().removeEndpoint(params.id)) {
+                    throw new RpcError(RpcError.Code.NOT_FOUND, `No webhook ${params.id}`);
+                }
+                return { id: params.id, removed: true };
+            }
+        },
+
+        listWebhookDeliveries: {
+            params: {
+                merchant: { type: "string" },
+                eventId: { type: "string" },
+                status: { type: "string", enum: ["pending", "delivered", "failed"] },
+                limit: { type: "integer" }
+            },
+            handler: params => ({
+                deliveries: requireWebhooks().listDeliveries({
+                    merchant: params.merchant && addressParam("merchant", params.merchant),
+                    eventId: params.eventId,
+                    status: params.status,
+                    limit: Math.min(Math.max(params.limit || 100, 1), 1000)
+                })
+            })
+        },
+
+        replayWebhook: {
+            params: {
+                deliveryId: { type: "string" },
+                eventId: { type: "string" }
+            },
+            handler: params => {
+                if (Boolean(params.deliveryId) === Boolean(params.eventId)) {
+                    throw new RpcError(RpcError.Code.INVALID_PARAMS, "Pass exactly one of deliveryId or eventId");
+                }
+                const replayed = requireWebhooks().replay(params);
+                if (replayed.length === 0) {
+                    throw new RpcError(RpcError.Code.NOT_FOUND, `No deliveries found for ${params.deliveryId || params.eventId}`);
+                }
+                return { deliveries: replayed };
+            }
+        },
+
+        pauseMonitor: {
+            params: {},
+            handler: () => {
+                if (!monitor.pause()) {
+                    throw new RpcError(RpcError.Code.CONFLICT, `Monitor is ${monitor.state}, cannot pause`);
+                }
+                return monitor.getStatus();
+            }
+        },
+
+        resumeMonitor: {
+            params: {},
+            handler: () => {
+                if (!monitor.resume()) {
+                    throw new RpcError(RpcError.Code.CONFLICT, `Monitor is ${monitor.state}, cannot resume`);
+                }
+                return monitor.getStatus();
+            }
+        },
+
+        getHealth: {
+            params: {},
+            handler: () => ({
+                vm: { running: vm.isRunning, consuming: vm.isConsuming },
+                monitor: monitor.getStatus(),
+                queue: { size: queue.size(), deadLetters: queue.getDeadLetters().length },
+                journal: journal ? { needsManual: journal.list("needs_manual").length } : null,
+                oracle: oracleFeeder ? oracleFeeder.getStatus() : null
+            })
+        }
+    };
+}
+
+module.exports = { createVmMethods, OFFCHAIN_INTENTS };
@@ -0,0 +1,116 @@
+// Cresca VM Aptos Adapter
+
+const { Aptos, AptosConfig, Account, AccountAddress, Ed25519PrivateKey } = require("@aptos-labs/ts-sdk");
+const ChainAdapter = require("./ChainAdapter");
+
+const APT_COIN_TYPE = "0x1::aptos_coin::AptosCoin";
+// Entry functions that take (to, amount) and move the coin in their type argument
+const TRANSFER_FUNCTIONS = ["0x1::aptos_account::transfer_coins", "0x1::aptos_account::transfer", "0x1::coin::transfer"];
+
+class AptosAdapter extends ChainAdapter {
+    constructor(config = {}) {
+        super("aptos", config);
+        this.client = config.client || new Aptos(new AptosConfig(config.settings));
+        this.signer = config.signer || (config.privateKey
+            ? Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(config.privateKey) })
+            : null);
+    }
+
+    sameAddress(a, b) {
+        try {
+            return AccountAddress.from(a).equals(AccountAddress.from(b));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    assetKey(asset) {
+        return asset && asset !== APT_COIN_TYPE ? asset : null;
+    }
+
+    getSignerAddress() {
+        return this.signer.accountAddress.toString();
+    }
+
+    async getBalance(address, asset) {
+        const amount = asset && asset !== APT_COIN_TYPE
+            ? await this.client.getAccountCoinAmount({ accountAddress: address, coinType: asset })
+            : await this.client.getAccountAPTAmount({ accountAddress: address });
+        return BigInt(amount);
+    }
+
+    async buildTransfer({ to, amount, asset }) {
+        return this.client.transaction.build.simple({
+            sender: this.signer.accountAddress,
+            data: {
+                function: "0x1::aptos_account::transfer_coins",
+                typeArguments: [asset || APT_COIN_TYPE],
+                functionArguments: [to, amount.toString()]
+            }
+        });
+    }
+
+    async estimateFee(built) {
+        const [simulation] = await this.client.transaction.simulate.simple({
+            signerPublicKey: this.signer.publicKey,
+            transaction: built
+        });
+        if (!simulation.success) {
+            throw new Error(`aptos: simulation failed: ${simulation.vm_status}`);
+        }
+        return BigInt(simulation.gas_used) * BigInt(simulation.gas_unit_price);
+    }
+
+    async sign(built) {
+        const senderAuthenticator = this.client.transaction.sign({ signer: this.signer, transaction: built });
+        return { transaction: built, senderAuthenticator };
+    }
+
+    encodeSigned(signed) {
+        return {
+            transaction: signed.transaction.bcsToHex().toString(),
+            senderAuthenticator: signed.senderAuthenticator.bcsToHex().toString()
+        };
+    }
+
+    async submit(signed) {
+        const pending = await this.client.transaction.submit.simple(signed);
+        return pending.hash;
+    }
+
+    async getTransfers(txId) {
+        let tx;
+        try {
+            tx = await this.client.getTransactionByHash({ transactionHash: txId });
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+        if (tx.type === "pending_transaction") {
+            return { txId, confirmed: false, error: null, transfers: [] };
+        }
+
+        const payload = tx.payload || {};
+        const [to, amount] = payload.arguments || [];
+        const transfers = TRANSFER_FUNCTIONS.includes(payload.function) && to !== undefined
+            ? [{ from: tx.sender, to, amount: BigInt(amount), asset: payload.type_arguments?.[0] || APT_COIN_TYPE }]
+            : [];
+        return { txId, confirmed: tx.success, error: tx.success ? null : tx.vm_status, transfers };
+    }
+
+    async confirm(txId) {
+        const result = await this.client.waitForTransaction({
+            transactionHash: txId,
+            options: { timeoutSecs: Math.ceil(this.confirmTimeoutMs / 1000), checkSuccess: false }
+        });
+        return {
+            txId,
+            confirmed: result.success,
+            error: result.success ? null : result.vm_status
+        };
+    }
+}
+
+module.exports = AptosAdapter;
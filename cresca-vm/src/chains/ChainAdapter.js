@@ -0,0 +1,147 @@
+// Cresca VM Chain Adapter
+// Common interface every chain integration implements. Amounts are always
+// BigInt in the chain's smallest unit (octas, lamports, wei).
+
+function depositError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+class ChainAdapter {
+    constructor(name, config = {}) {
+        this.name = name;
+        // Adapter signing as the escrow account, used to refund deposits
+        this.escrow = config.escrow || null;
+        this.escrowAddress = config.escrowAddress || (this.escrow ? this.escrow.getSignerAddress() : null);
+        this.confirmTimeoutMs = config.confirmTimeoutMs || 60000;
+    }
+
+    /** Whether two addresses name the same account. */
+    sameAddress(a, b) {
+        return Boolean(a) && a === b;
+    }
+
+    /** Comparable form of an asset id; the native asset is null. */
+    assetKey(asset) {
+        return asset || null;
+    }
+
+    /** Address of the account this adapter signs with. */
+    getSignerAddress() {
+        throw new Error(`${this.name}: getSignerAddress not implemented`);
+    }
+
+    /** Balance of `address` in the native asset, or in `asset` when given. */
+    async getBalance(address, asset) {
+        throw new Error(`${this.name}: getBalance not implemented`);
+    }
+
+    /** Build an unsigned transfer of `amount` to `to`. */
+    async buildTransfer({ to, amount, asset }) {
+        throw new Error(`${this.name}: buildTransfer not implemented`);
+    }
+
+    /** Estimated fee for a built transaction, in the native asset. */
+    async estimateFee(built) {
+        throw new Error(`${this.name}: estimateFee not implemented`);
+    }
+
+    async sign(built) {
+        throw new Error(`${this.name}: sign not implemented`);
+    }
+
+    /**
+     * Signed transaction as plain data (hex or base64) for the journal, so an
+     * operator can inspect or rebroadcast it after a crash.
+     */
+    encodeSigned(signed) {
+        throw new Error(`${this.name}: encodeSigned not implemented`);
+    }
+
+    /** Submit a signed transaction and return its id (hash or signature). */
+    async submit(signed) {
+        throw new Error(`${this.name}: submit not implemented`);
+    }
+
+    /**
+     * Wait for a submitted transaction.
+     * Resolves to { txId, confirmed, error } and only rejects on timeout or transport errors.
+     */
+    async confirm(txId, signed) {
+        throw new Error(`${this.name}: confirm not implemented`);
+    }
+
+    /**
+     * Look up a transaction someone else sent. Resolves to
+     * { txId, confirmed, error, transfers: [{ from, to, amount, asset }] },
+     * with confirmed false and no error while it is still pending, or null
+     * when the chain does not know it.
+     */
+    async getTransfers(txId) {
+        throw new Error(`${this.name}: getTransfers not implemented`);
+    }
+
+    /**
+     * Check that `txId` moved at least `amount` of `asset` into this chain's
+     * escrow address. Returns that transfer; its sender is who a refund goes
+     * to. A deposit that is not found or not confirmed yet throws a retryable
+     * error, one that can never qualify a non-retryable one.
+     */
+    async verifyDeposit(txId, { amount, asset }) {
+        if (!this.escrowAddress) {
+            throw depositError(`${this.name}: no escrow address configured`, false);
+        }
+
+        const result = await this.getTransfers(txId);
+        if (!result) {
+            throw depositError(`${this.name}: deposit ${txId} not found`, true);
+        }
+        if (!result.confirmed) {
+            throw result.error
+                ? depositError(`${this.name}: deposit ${txId} failed: ${result.error}`, false)
+                : depositError(`${this.name}: deposit ${txId} is not confirmed yet`, true);
+        }
+
+        const deposit = result.transfers.find(transfer =>
+            this.sameAddress(transfer.to, this.escrowAddress) && this.assetKey(transfer.asset) === this.assetKey(asset));
+        if (!deposit) {
+            throw depositError(`${this.name}: ${txId} is not a deposit of ${asset || "the native asset"} into escrow ${this.escrowAddress}`, false);
+        }
+        if (deposit.amount < BigInt(amount)) {
+            throw depositError(`${this.name}: deposit ${txId} is ${deposit.amount}, less than ${amount}`, false);
+        }
+        return { txId, ...deposit };
+    }
+
+    /**
+     * Build, price, sign, submit and confirm a transfer in one go.
+     */
+    async transfer({ to, amount, asset }) {
+        const built = await this.buildTransfer({ to, amount: BigInt(amount), asset });
+        const fee = await this.estimateFee(built);
+        const signed = await this.sign(built);
+        const txId = await this.submit(signed);
+        const receipt = await this.confirm(txId, signed);
+        return { ...receipt, fee };
+    }
+
+    /**
+     * Pay `amount` out of the escrow account, e.g. to refund a deposit.
+     */
+    async release({ to, amount, asset }) {
+        if (!this.escrow) {
+            throw new Error(`${this.name}: no escrow signer configured`);
+        }
+        if (!to) {
+            throw new Error(`${this.name}: no address to release escrow funds to`);
+        }
+        const receipt = await this.escrow.transfer({ to, amount, asset });
+        if (!receipt.confirmed) {
+            throw new Error(`${this.name}: escrow release ${receipt.txId} failed: ${receipt.error}`);
+        }
+        return receipt;
+    }
+}
+
+module.exports = ChainAdapter;
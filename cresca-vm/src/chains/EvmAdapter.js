@@ -0,0 +1,117 @@
+// Cresca VM EVM Adapter
+// Native and ERC-20 transfers on any EVM chain (Base, anvil, hardhat) via ethers v6.
+
+const { Contract, Interface, JsonRpcProvider, Wallet, getAddress } = require("ethers");
+const ChainAdapter = require("./ChainAdapter");
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8545";
+const ERC20_ABI = [
+    "function balanceOf(address owner) view returns (uint256)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+class EvmAdapter extends ChainAdapter {
+    constructor(config = {}) {
+        super(config.name || "evm", config);
+        this.provider = config.provider || new JsonRpcProvider(config.rpcUrl || DEFAULT_RPC_URL);
+        this.signer = config.signer || (config.privateKey ? new Wallet(config.privateKey, this.provider) : null);
+        this.confirmations = config.confirmations || 1;
+        this.erc20 = new Interface(ERC20_ABI);
+    }
+
+    sameAddress(a, b) {
+        try {
+            return getAddress(a) === getAddress(b);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    assetKey(asset) {
+        return asset ? getAddress(asset) : null;
+    }
+
+    getSignerAddress() {
+        return this.signer.address;
+    }
+
+    async getBalance(address, asset) {
+        if (asset) {
+            const token = new Contract(asset, ERC20_ABI, this.provider);
+            return BigInt(await token.balanceOf(address));
+        }
+        return BigInt(await this.provider.getBalance(address));
+    }
+
+    async buildTransfer({ to, amount, asset }) {
+        const request = asset
+            ? { to: asset, data: this.erc20.encodeFunctionData("transfer", [to, amount]) }
+            : { to, value: amount };
+        return this.signer.populateTransaction(request);
+    }
+
+    async estimateFee(built) {
+        const feeData = await this.provider.getFeeData();
+        const gasPrice = built.maxFeePerGas ?? built.gasPrice ?? feeData.maxFeePerGas ?? feeData.gasPrice;
+        return BigInt(built.gasLimit) * BigInt(gasPrice);
+    }
+
+    async sign(built) {
+        return { raw: await this.signer.signTransaction(built) };
+    }
+
+    encodeSigned(signed) {
+        return signed.raw;
+    }
+
+    async submit(signed) {
+        const response = await this.provider.broadcastTransaction(signed.raw);
+        return response.hash;
+    }
+
+    /** Native value plus every ERC-20 Transfer log of the transaction. */
+    async getTransfers(txId) {
+        const tx = await this.provider.getTransaction(txId);
+        if (!tx) {
+            return null;
+        }
+        const receipt = await this.provider.getTransactionReceipt(txId);
+        if (!receipt || (await receipt.confirmations()) < this.confirmations) {
+            return { txId, confirmed: false, error: null, transfers: [] };
+        }
+        if (receipt.status !== 1) {
+            return { txId, confirmed: false, error: "transaction reverted", transfers: [] };
+        }
+
+        const transfers = tx.value > 0n ? [{ from: tx.from, to: tx.to, amount: BigInt(tx.value), asset: undefined }] : [];
+        for (const log of receipt.logs) {
+            const event = this.parseTransferLog(log);
+            if (event) {
+                transfers.push({ from: event.args.from, to: event.args.to, amount: BigInt(event.args.value), asset: log.address });
+            }
+        }
+        return { txId, confirmed: true, error: null, transfers };
+    }
+
+    parseTransferLog(log) {
+        try {
+            const event = this.erc20.parseLog(log);
+            return event?.name === "Transfer" ? event : null;
+        } catch (error) {
+            // ERC-721 Transfer shares the topic but indexes the token id
+            return null;
+        }
+    }
+
+    async confirm(txId) {
+        const receipt = await this.provider.waitForTransaction(txId, this.confirmations, this.confirmTimeoutMs);
+        return {
+            txId,
+            confirmed: receipt?.status === 1,
+            error: receipt?.status === 1 ? null : "transaction reverted"
+        };
+    }
+}
+
+module.exports = EvmAdapter;
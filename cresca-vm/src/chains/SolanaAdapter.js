@@ -0,0 +1,123 @@
+// Cresca VM Solana Adapter
+// Native SOL transfers through @solana/web3.js.
+
+const { Connection, Keypair, PublicKey, SystemProgram, Transaction } = require("@solana/web3.js");
+const ChainAdapter = require("./ChainAdapter");
+
+const DEFAULT_RPC_URL = "http://127.0.0.1:8899";
+const DEFAULT_SIGNATURE_POLL_MS = 1000;
+
+function parseSecretKey(secretKey) {
+    if (secretKey instanceof Uint8Array) {
+        return secretKey;
+    }
+    // solana-keygen writes keypairs as a JSON array of bytes
+    return Uint8Array.from(typeof secretKey === "string" ? JSON.parse(secretKey) : secretKey);
+}
+
+class SolanaAdapter extends ChainAdapter {
+    constructor(config = {}) {
+        super("solana", config);
+        this.connection = config.connection || new Connection(config.rpcUrl || DEFAULT_RPC_URL, "confirmed");
+        this.signer = config.signer || (config.secretKey
+            ? Keypair.fromSecretKey(parseSecretKey(config.secretKey))
+            : null);
+        this.signaturePollMs = config.signaturePollMs || DEFAULT_SIGNATURE_POLL_MS;
+    }
+
+    getSignerAddress() {
+        return this.signer.publicKey.toBase58();
+    }
+
+    async getBalance(address, asset) {
+        if (asset) {
+            throw new Error("solana: SPL token balances are not supported yet");
+        }
+        return BigInt(await this.connection.getBalance(new PublicKey(address)));
+    }
+
+    async buildTransfer({ to, amount, asset }) {
+        if (asset) {
+            throw new Error("solana: SPL token transfers are not supported yet");
+        }
+
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+        const transaction = new Transaction({
+            feePayer: this.signer.publicKey,
+            blockhash,
+            lastValidBlockHeight
+        }).add(SystemProgram.transfer({
+            fromPubkey: this.signer.publicKey,
+            toPubkey: new PublicKey(to),
+            lamports: amount
+        }));
+
+        return { transaction, blockhash, lastValidBlockHeight };
+    }
+
+    async estimateFee(built) {
+        const { value } = await this.connection.getFeeForMessage(built.transaction.compileMessage());
+        return BigInt(value ?? 0);
+    }
+
+    async sign(built) {
+        built.transaction.sign(this.signer);
+        return { ...built, serialized: built.transaction.serialize() };
+    }
+
+    encodeSigned(signed) {
+        return Buffer.from(signed.serialized).toString("base64");
+    }
+
+    async submit(signed) {
+        return this.connection.sendRawTransaction(signed.serialized);
+    }
+
+    /** System program SOL transfers in the transaction's top-level instructions. */
+    async getTransfers(txId) {
+        const tx = await this.connection.getParsedTransaction(txId, { commitment: "confirmed", maxSupportedTransactionVersion: 0 });
+        if (!tx) {
+            return null;
+        }
+        if (tx.meta?.err) {
+            return { txId, confirmed: false, error: JSON.stringify(tx.meta.err), transfers: [] };
+        }
+
+        const transfers = tx.transaction.message.instructions
+            .filter(instruction => instruction.program === "system" && instruction.parsed?.type === "transfer")
+            .map(({ parsed: { info } }) => ({ from: info.source, to: info.destination, amount: BigInt(info.lamports), asset: undefined }));
+        return { txId, confirmed: true, error: null, transfers };
+    }
+
+    async confirm(txId, signed) {
+        if (!signed) {
+            // Resuming after a restart: the blockhash is gone, so poll the signature instead
+            return this.confirmBySignature(txId);
+        }
+
+        const { value } = await this.connection.confirmTransaction({
+            signature: txId,
+            blockhash: signed.blockhash,
+            lastValidBlockHeight: signed.lastValidBlockHeight
+        }, "confirmed");
+        return {
+            txId,
+            confirmed: !value.err,
+            error: value.err ? JSON.stringify(value.err) : null
+        };
+    }
+
+    async confirmBySignature(txId) {
+        const deadline = Date.now() + this.confirmTimeoutMs;
+        while (Date.now() < deadline) {
+            const { value: [status] } = await this.connection.getSignatureStatuses([txId], { searchTransactionHistory: true });
+            if (status && (status.confirmationStatus === "confirmed" || status.confirmationStatus === "finalized")) {
+                return { txId, confirmed: !status.err, error: status.err ? JSON.stringify(status.err) : null };
+            }
+            await new Promise(resolve => setTimeout(resolve, this.signaturePollMs));
+        }
+        throw new Error(`solana: ${txId} not confirmed within ${this.confirmTimeoutMs}ms`);
+    }
+}
+
+module.exports = SolanaAdapter;
@@ -0,0 +1,49 @@
+// Cresca VM Chain Adapters
+// Builds the adapter set from the environment. Aptos follows the active
+// network profile; Solana and EVM default to local validators
+// (solana-test-validator, anvil).
+
+const AptosAdapter = require("./AptosAdapter");
+const SolanaAdapter = require("./SolanaAdapter");
+const EvmAdapter = require("./EvmAdapter");
+const ChainAdapter = require("./ChainAdapter");
+const { loadNetworkConfig, aptosSettings } = require("../../../config");
+
+function createChainAdapters(env = process.env, network = loadNetworkConfig({ env })) {
+    const chains = {};
+
+    // With an escrow key set the escrow address is derived from it and locks can be refunded
+    if (env.APTOS_VM_PRIVATE_KEY) {
+        const settings = aptosSettings(network);
+        chains.aptos = new AptosAdapter({
+            settings,
+            privateKey: env.APTOS_VM_PRIVATE_KEY,
+            escrow: env.APTOS_ESCROW_PRIVATE_KEY ? new AptosAdapter({ settings, privateKey: env.APTOS_ESCROW_PRIVATE_KEY }) : null,
+            escrowAddress: env.APTOS_ESCROW_ADDRESS
+        });
+    }
+
+    if (env.SOLANA_VM_SECRET_KEY) {
+        chains.solana = new SolanaAdapter({
+            rpcUrl: env.SOLANA_RPC_URL,
+            secretKey: env.SOLANA_VM_SECRET_KEY,
+            escrow: env.SOLANA_ESCROW_SECRET_KEY ? new SolanaAdapter({ rpcUrl: env.SOLANA_RPC_URL, secretKey: env.SOLANA_ESCROW_SECRET_KEY }) : null,
+            escrowAddress: env.SOLANA_ESCROW_ADDRESS
+        });
+    }
+
+    if (env.EVM_VM_PRIVATE_KEY) {
+        const name = env.EVM_CHAIN_NAME || "evm";
+        chains[name] = new EvmAdapter({
+            name,
+            rpcUrl: env.EVM_RPC_URL,
+            privateKey: env.EVM_VM_PRIVATE_KEY,
+            escrow: env.EVM_ESCROW_PRIVATE_KEY ? new EvmAdapter({ name, rpcUrl: env.EVM_RPC_URL, privateKey: env.EVM_ESCROW_PRIVATE_KEY }) : null,
+            escrowAddress: env.EVM_ESCROW_ADDRESS
+        });
+    }
+
+    return chains;
+}
+
+module.exports = { ChainAdapter, AptosAdapter, SolanaAdapter, EvmAdapter, createChainAdapters };
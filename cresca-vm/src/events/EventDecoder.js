@@ -0,0 +1,130 @@
+// Cresca VM Event Decoder
+// Registry of typed decoders for Cresca Move events. Every downstream consumer
+// (queue, VM, keepers) works off the decoded shape produced here.
+
+const { EventFieldError, parseTypeName } = require("./fieldTypes");
+const { CRESCA_EVENT_SCHEMAS } = require("./crescaEvents");
+const { logger } = require("../observability/logger");
+
+const DecodeStatus = {
+    DECODED: "decoded",
+    UNKNOWN: "unknown",
+    INVALID: "invalid"
+};
+
+class EventDecoder {
+    constructor(config = {}) {
+        this.logger = config.logger || logger.child({ component: "decoder" });
+        this.schemas = new Map();
+        this.unknownTypes = new Map();
+        this.invalidTypes = new Map();
+    }
+
+    static keyOf(module, name) {
+        return `${module}::${name}`;
+    }
+
+    /**
+     * Register a schema: { module, name, fields: { field: parser } }.
+     * Schemas are keyed by module + struct name so the same decoder works for
+     * every address the package is published under.
+     */
+    register(schema) {
+        if (!schema.module || !schema.name || !schema.fields) {
+            throw new Error("Event schema requires module, name and fields");
+        }
+        this.schemas.set(EventDecoder.keyOf(schema.module, schema.name), schema);
+        return this;
+    }
+
+    has(module, name) {
+        return this.schemas.has(EventDecoder.keyOf(module, name));
+    }
+
+    decode(event) {
+        const base = {
+            status: DecodeStatus.UNKNOWN,
+            key: null,
+            module: null,
+            name: null,
+            type: null,
+            data: null,
+            raw: event.data,
+            sequenceNumber: event.sequence_number !== undefined ? BigInt(event.sequence_number) : null,
+            eventIndex: event.eventIndex ?? null,
+            error: null
+        };
+
+        let type;
+        try {
+            type = parseTypeName(event.type);
+        } catch (error) {
+            return this.reportInvalid(event.type, { ...base, error: error.message });
+        }
+
+        const key = EventDecoder.keyOf(type.module, type.name);
+        const decoded = { ...base, key, module: type.module, name: type.name, type };
+        const schema = this.schemas.get(key);
+        if (!schema) {
+            return this.reportUnknown(event.type, decoded);
+        }
+
+        try {
+            decoded.data = this.decodeFields(schema, event.data || {});
+            decoded.status = DecodeStatus.DECODED;
+            return decoded;
+        } catch (error) {
+            return this.reportInvalid(key, { ...decoded, error: error.message });
+        }
+    }
+
+    decodeFields(schema, data) {
+        const result = {};
+        for (const [field, parse] of Object.entries(schema.fields)) {
+            if (!(field in data)) {
+                throw new EventFieldError(`missing field "${field}"`);
+            }
+            try {
+                result[field] = parse(data[field]);
+            } catch (error) {
+                throw new EventFieldError(`${field}: ${error.message}`);
+            }
+        }
+        return result;
+    }
+
+    reportUnknown(type, decoded) {
+        const count = (this.unknownTypes.get(type) || 0) + 1;
+        this.unknownTypes.set(type, count);
+        if (count === 1) {
+            this.logger.info("Unknown event type", { type });
+        }
+        return decoded;
+    }
+
+    reportInvalid(key, decoded) {
+        this.invalidTypes.set(key, (this.invalidTypes.get(key) || 0) + 1);
+        this.logger.warn("Invalid event", { type: key, error: decoded.error });
+        return { ...decoded, status: DecodeStatus.INVALID };
+    }
+
+    /**
+     * Counts of events that could not be decoded, by type.
+     */
+    getReport() {
+        return {
+            unknown: Object.fromEntries(this.unknownTypes),
+            invalid: Object.fromEntries(this.invalidTypes)
+        };
+    }
+}
+
+function createCrescaDecoder(config = {}) {
+    const decoder = new EventDecoder(config);
+    CRESCA_EVENT_SCHEMAS.forEach(schema => decoder.register(schema));
+    return decoder;
+}
+
+EventDecoder.DecodeStatus = DecodeStatus;
+
+module.exports = { EventDecoder, DecodeStatus, createCrescaDecoder };
@@ -0,0 +1,271 @@
+// Cresca VM Event Schemas
+// Field layouts of the events emitted by the Cresca Move modules. Keep these in
+// sync with the structs in move/sources and bucket/.
+
+const { FieldTypes: T, vectorOf } = require("./fieldTypes");
+
+const CRESCA_EVENT_SCHEMAS = [
+    // move/sources/CrescaDEXAggregator.move
+    {
+        module: "dex_aggregator",
+        name: "AggregatedSwapEvent",
+        fields: {
+            user: T.address,
+            token_in: T.typeName,
+            token_out: T.typeName,
+            amount_in: T.u64,
+            amount_out: T.u64,
+            dex_used: T.string,
+            dex_id: T.u8,
+            price_impact_bps: T.u64,
+            aggregator_fee: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "dex_aggregator",
+        name: "RouteComparisonEvent",
+        fields: {
+            user: T.address,
+            token_in: T.typeName,
+            token_out: T.typeName,
+            amount_in: T.u64,
+            routes_found: T.u64,
+            best_dex: T.string,
+            best_output: T.u64,
+            timestamp: T.u64
+        }
+    },
+
+    // move/sources/CrescaSwap.move
+    {
+        module: "swap",
+        name: "SwapInitiatedEvent",
+        fields: {
+            swap_id: T.u64,
+            initiator: T.address,
+            participant: T.address,
+            amount_x: T.u64,
+            amount_y: T.u64,
+            token_x: T.typeName,
+            token_y: T.typeName,
+            timeout: T.u64
+        }
+    },
+    {
+        module: "swap",
+        name: "SwapCompletedEvent",
+        fields: {
+            swap_id: T.u64,
+            initiator: T.address,
+            participant: T.address
+        }
+    },
+    {
+        module: "swap",
+        name: "SwapCancelledEvent",
+        fields: {
+            swap_id: T.u64,
+            initiator: T.address
+        }
+    },
+
+    // move/sources/CrescaEscrowSwap.move
+    {
+        module: "escrow_swap",
+        name: "SwapExecutedEvent",
+        fields: {
+            user: T.address,
+            token_in: T.typeName,
+            token_out: T.typeName,
+            amount_in: T.u64,
+            amount_out: T.u64,
+            fee_collected: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "escrow_swap",
+        name: "LiquidityAddedEvent",
+        fields: {
+            provider: T.address,
+            token_x: T.typeName,
+            token_y: T.typeName,
+            amount_x: T.u64,
+            amount_y: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "escrow_swap",
+        name: "LiquidityRemovedEvent",
+        fields: {
+            provider: T.address,
+            token_x: T.typeName,
+            token_y: T.typeName,
+            amount_x: T.u64,
+            amount_y: T.u64,
+            timestamp: T.u64
+        }
+    },
+
+    // move/sources/Payment.move
+    {
+        module: "Payment",
+        name: "PaymentEvent",
+        fields: {
+            order_id: T.bytes,
+            payer: T.address,
+            merchant: T.address,
+            amount: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "Payment",
+        name: "RefundEvent",
+        fields: {
+            order_id: T.bytes,
+            recipient: T.address,
+            amount: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "Payment",
+        name: "WithdrawalEvent",
+        fields: {
+            merchant: T.address,
+            amount: T.u64,
+            timestamp: T.u64
+        }
+    },
+
+    // calendar_payments (deployed at the Calendar Payments address, source lives
+    // outside this repo). Only the identifying fields are required; schedule
+    // details are read back through the get_schedule view.
+    {
+        module: "calendar_payments",
+        name: "ScheduleCreatedEvent",
+        fields: {
+            schedule_id: T.u64,
+            payer: T.address
+        }
+    },
+    {
+        module: "calendar_payments",
+        name: "PaymentExecutedEvent",
+        fields: {
+            schedule_id: T.u64,
+            payer: T.address
+        }
+    },
+    {
+        module: "calendar_payments",
+        name: "ScheduleCancelledEvent",
+        fields: {
+            schedule_id: T.u64,
+            payer: T.address
+        }
+    },
+
+    // bucket/perps-smart-wallet-/cresca_bucket_protocol.move
+    {
+        module: "bucket_protocol",
+        name: "BucketCreatedEvent",
+        fields: {
+            bucket_id: T.u64,
+            owner: T.address,
+            assets: vectorOf(T.address),
+            weights: vectorOf(T.u64),
+            leverage: T.u8
+        }
+    },
+
+    // bucket/perps-smart-wallet-/cresca_move_project (multi-user buckets)
+    {
+        module: "bucket_defi",
+        name: "BucketCreatedEvent",
+        fields: {
+            bucket_id: T.u64,
+            owner: T.address,
+            leverage: T.u64
+        }
+    },
+    {
+        module: "bucket_layer1",
+        name: "BucketCreatedEvent",
+        fields: {
+            bucket_id: T.u64,
+            owner: T.address,
+            leverage: T.u64
+        }
+    },
+
+    // Position and rebalance events share a layout across both bucket
+    // generations. Only the fields they have in common are listed: the
+    // per-owner module adds a reason to LiquidationEvent and new_weights to
+    // BucketRebalancedEvent, the multi-user ones a profit flag to
+    // PositionClosedEvent, and their pnl types differ.
+    ...["bucket_protocol", "bucket_defi", "bucket_layer1"].flatMap(module => [
+        {
+            module,
+            name: "PositionOpenedEvent",
+            fields: {
+                position_id: T.u64,
+                bucket_id: T.u64,
+                owner: T.address,
+                is_long: T.bool,
+                margin: T.u64,
+                entry_price: T.u64
+            }
+        },
+        {
+            module,
+            name: "PositionClosedEvent",
+            fields: {
+                position_id: T.u64,
+                owner: T.address
+            }
+        },
+        {
+            module,
+            name: "LiquidationEvent",
+            fields: {
+                position_id: T.u64,
+                owner: T.address
+            }
+        },
+        {
+            module,
+            name: "BucketRebalancedEvent",
+            fields: {
+                bucket_id: T.u64
+            }
+        }
+    ]),
+
+    // Only the multi-user modules emit oracle updates, one price per basket asset
+    {
+        module: "bucket_defi",
+        name: "OracleUpdateEvent",
+        fields: {
+            uni_price: T.u64,
+            aave_price: T.u64,
+            link_price: T.u64,
+            timestamp: T.u64
+        }
+    },
+    {
+        module: "bucket_layer1",
+        name: "OracleUpdateEvent",
+        fields: {
+            ada_price: T.u64,
+            avax_price: T.u64,
+            dot_price: T.u64,
+            timestamp: T.u64
+        }
+    }
+];
+
+module.exports = { CRESCA_EVENT_SCHEMAS };
@@ -0,0 +1,160 @@
+// Cresca VM Event Field Types
+// Parsers that turn the JSON the Aptos REST API returns for Move values into
+// validated JS values. Each parser throws EventFieldError on bad input.
+
+const { AccountAddress } = require("@aptos-labs/ts-sdk");
+
+const U8_MAX = 255;
+const U64_MAX = (1n << 64n) - 1n;
+const I64_MIN = -(1n << 63n);
+const I64_MAX = (1n << 63n) - 1n;
+
+class EventFieldError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "EventFieldError";
+    }
+}
+
+function normalizeAddress(value) {
+    if (typeof value !== "string") {
+        throw new EventFieldError(`expected address string, got ${typeof value}`);
+    }
+    try {
+        return AccountAddress.from(value, { maxMissingChars: 63 }).toStringLong();
+    } catch (error) {
+        throw new EventFieldError(`invalid address "${value}"`);
+    }
+}
+
+function parseInteger(value, min, max, label) {
+    if (typeof value !== "string" && typeof value !== "number" && typeof value !== "bigint") {
+        throw new EventFieldError(`expected ${label}, got ${typeof value}`);
+    }
+    let parsed;
+    try {
+        parsed = BigInt(value);
+    } catch (error) {
+        throw new EventFieldError(`invalid ${label} "${value}"`);
+    }
+    if (parsed < min || parsed > max) {
+        throw new EventFieldError(`${label} out of range: ${value}`);
+    }
+    return parsed;
+}
+
+/**
+ * Split a Move type string ("0x1::coin::CoinStore<0x1::aptos_coin::AptosCoin>")
+ * into address, module, name and parsed type arguments.
+ */
+function parseTypeName(value) {
+    if (typeof value !== "string") {
+        throw new EventFieldError(`expected type name string, got ${typeof value}`);
+    }
+
+    const raw = value.trim();
+    const genericStart = raw.indexOf("<");
+    const base = genericStart === -1 ? raw : raw.slice(0, genericStart);
+    const parts = base.split("::");
+    if (parts.length !== 3) {
+        throw new EventFieldError(`invalid type name "${value}"`);
+    }
+
+    const typeArgs = [];
+    if (genericStart !== -1) {
+        if (!raw.endsWith(">")) {
+            throw new EventFieldError(`invalid type name "${value}"`);
+        }
+        for (const arg of splitTypeArgs(raw.slice(genericStart + 1, -1))) {
+            typeArgs.push(parseTypeName(arg));
+        }
+    }
+
+    const address = normalizeAddress(parts[0]);
+    const [, module, name] = parts;
+    const canonicalArgs = typeArgs.length > 0 ? `<${typeArgs.map(arg => arg.canonical).join(", ")}>` : "";
+
+    return {
+        raw,
+        address,
+        module,
+        name,
+        typeArgs,
+        canonical: `${address}::${module}::${name}${canonicalArgs}`
+    };
+}
+
+function splitTypeArgs(value) {
+    const args = [];
+    let depth = 0;
+    let current = "";
+    for (const char of value) {
+        if (char === "<") depth++;
+        if (char === ">") depth--;
+        if (char === "," && depth === 0) {
+            args.push(current.trim());
+            current = "";
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) {
+        args.push(current.trim());
+    }
+    return args;
+}
+
+function parseBytes(value) {
+    if (typeof value !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+        throw new EventFieldError(`expected hex-encoded bytes, got "${value}"`);
+    }
+    const hex = value.toLowerCase();
+    return {
+        hex,
+        utf8: Buffer.from(hex.slice(2), "hex").toString("utf8")
+    };
+}
+
+const FieldTypes = {
+    u8(value) {
+        return Number(parseInteger(value, 0n, BigInt(U8_MAX), "u8"));
+    },
+    u64(value) {
+        return parseInteger(value, 0n, U64_MAX, "u64");
+    },
+    i64(value) {
+        return parseInteger(value, I64_MIN, I64_MAX, "i64");
+    },
+    bool(value) {
+        if (typeof value !== "boolean") {
+            throw new EventFieldError(`expected bool, got ${typeof value}`);
+        }
+        return value;
+    },
+    address: normalizeAddress,
+    string(value) {
+        if (typeof value !== "string") {
+            throw new EventFieldError(`expected string, got ${typeof value}`);
+        }
+        return value;
+    },
+    bytes: parseBytes,
+    typeName: parseTypeName
+};
+
+function vectorOf(parser) {
+    return value => {
+        if (!Array.isArray(value)) {
+            throw new EventFieldError(`expected vector, got ${typeof value}`);
+        }
+        return value.map(parser);
+    };
+}
+
+module.exports = {
+    EventFieldError,
+    FieldTypes,
+    vectorOf,
+    normalizeAddress,
+    parseTypeName
+};
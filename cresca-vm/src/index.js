@@ -1,49 +1,276 @@
 // Cresca VM Main Entry Point
-require('dotenv').config();
+// Requiring this module builds nothing; `main()` loads the configuration,
+// builds the components and starts them when run directly.
+const fs = require('fs');
+const path = require('path');
 const BlockMonitor = require('./BlockMonitor');
 const CrescaVM = require('./CrescaVM');
+const ExecutionQueue = require('./ExecutionQueue');
+const ExecutionJournal = require('./ExecutionJournal');
+const ScheduleKeeper = require('./keepers/ScheduleKeeper');
+const LiquidationKeeper = require('./keepers/LiquidationKeeper');
+const SwapWatcher = require('./keepers/SwapWatcher');
+const { OracleFeeder, createPriceSources } = require('./oracle');
+const { WebhookDispatcher } = require('./webhooks');
+const { createChainAdapters } = require('./chains');
+const ApiServer = require('./api/ApiServer');
+const { createVmMethods } = require('./api/vmMethods');
+const { logger, createVmMetrics } = require('./observability');
+const { Account, AccountAddress, Ed25519PrivateKey } = require('@aptos-labs/ts-sdk');
 
-// Configuration
-const config = {
-    contractAddresses: [
-        "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606", // Calendar Payments
-        "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b"  // Bucket Protocol V1
-    ]
-};
+const { loadNetworkConfig, requireAddress } = require('../../config');
 
-// Initialize components
-const vm = new CrescaVM();
-const monitor = new BlockMonitor(config);
+// Bucket modules with a shared oracle and position views. bucket_protocol
+// keeps both per signer, so nothing the VM writes or reads there reaches users
+const SHARED_BUCKET_MODULES = ['bucket_defi', 'bucket_layer1'];
+
+function bucketModule(variable, value) {
+    if (value && !SHARED_BUCKET_MODULES.includes(value)) {
+        throw new Error(`${variable} must be one of ${SHARED_BUCKET_MODULES.join(', ')}, got ${value}`);
+    }
+    return value || null;
+}
+
+/** Configuration from the environment (network profile from CRESCA_NETWORK, see config/networks.json). */
+function loadConfig(env = process.env) {
+    const network = loadNetworkConfig({ env });
+    const CRESCA_ADMIN = requireAddress(network, "cresca");
+    const CALENDAR_PAYMENTS = requireAddress(network, "calendarPayments");
+    const BUCKET_PROTOCOL = requireAddress(network, "bucket");
+    const { dexAggregator, escrowSwap, swap, payment } = network.modules;
+    // Payment.move is published with the Cresca modules; its events go to the escrow account
+    const PAYMENT_ESCROW = env.PAYMENT_ESCROW_ADDRESS || CRESCA_ADMIN;
+
+    return {
+        network,
+        contractAddresses: [...new Set([
+            CALENDAR_PAYMENTS, // Calendar Payments
+            CRESCA_ADMIN, // DEX aggregator, swaps
+            BUCKET_PROTOCOL // Bucket Protocol V1
+        ])],
+        // Event stores on the Cresca admin account, watched with their own cursors
+        eventHandles: [
+            { address: CRESCA_ADMIN, eventHandle: `${CRESCA_ADMIN}::${dexAggregator}::EventStore`, field: "aggregated_swap_events" },
+            { address: CRESCA_ADMIN, eventHandle: `${CRESCA_ADMIN}::${dexAggregator}::EventStore`, field: "route_comparison_events" },
+            { address: CRESCA_ADMIN, eventHandle: `${CRESCA_ADMIN}::${escrowSwap}::EventStore`, field: "swap_events" },
+            { address: CRESCA_ADMIN, eventHandle: `${CRESCA_ADMIN}::${escrowSwap}::EventStore`, field: "liquidity_added_events" },
+            { address: CRESCA_ADMIN, eventHandle: `${CRESCA_ADMIN}::${escrowSwap}::EventStore`, field: "liquidity_removed_events" },
+            { address: PAYMENT_ESCROW, eventHandle: `${CRESCA_ADMIN}::${payment}::PaymentEscrow`, field: "payment_events" },
+            { address: PAYMENT_ESCROW, eventHandle: `${CRESCA_ADMIN}::${payment}::PaymentEscrow`, field: "refund_events" },
+            { address: PAYMENT_ESCROW, eventHandle: `${CRESCA_ADMIN}::${payment}::PaymentEscrow`, field: "withdrawal_events" }
+        ],
+        // Module addresses used by the intent routing table
+        addresses: {
+            calendarAddress: CALENDAR_PAYMENTS,
+            bucketAddress: BUCKET_PROTOCOL,
+            paymentAddress: CRESCA_ADMIN
+        },
+        swapAddress: CRESCA_ADMIN,
+        swapModule: swap,
+        queuePath: env.VM_QUEUE_PATH || path.join(__dirname, '..', 'data', 'queue.json'),
+        journalPath: env.VM_JOURNAL_PATH || path.join(__dirname, '..', 'data', 'journal.json'),
+        schedulesPath: env.VM_SCHEDULES_PATH || path.join(__dirname, '..', 'data', 'schedules.json'),
+        positionsPath: env.VM_POSITIONS_PATH || path.join(__dirname, '..', 'data', 'positions.json'),
+        webhooksPath: env.VM_WEBHOOKS_PATH || path.join(__dirname, '..', 'data', 'webhooks.json'),
+        swapsPath: env.VM_SWAPS_PATH || path.join(__dirname, '..', 'data', 'swaps.json'),
+        keeperPrivateKey: env.KEEPER_PRIVATE_KEY,
+        // The calendar_payments ABI the schedule keeper assumes is not in this repo; opt in explicitly
+        scheduleKeeperEnabled: env.SCHEDULE_KEEPER_ENABLED === 'true',
+        // No view exposes bucket leverage; used for buckets created before the monitor's cursor
+        bucketLeverage: env.BUCKET_LEVERAGE,
+        // Positions are read with get_position_details, which only bucket_defi and
+        // bucket_layer1 have; the keeper stays off until one is named
+        bucketKeeperModule: bucketModule('BUCKET_KEEPER_MODULE', env.BUCKET_KEEPER_MODULE),
+        oracle: {
+            // Defaults to the module the liquidation keeper watches; off when neither is set
+            moduleName: bucketModule('ORACLE_MODULE', env.ORACLE_MODULE || env.BUCKET_KEEPER_MODULE),
+            privateKey: env.ORACLE_PRIVATE_KEY,
+            sources: createPriceSources(env.ORACLE_SOURCES),
+            minSources: Number(env.ORACLE_MIN_SOURCES || 1),
+            deviationBps: Number(env.ORACLE_DEVIATION_BPS || 50),
+            heartbeatSecs: Number(env.ORACLE_HEARTBEAT_SECS || 3600),
+            maxAgeSecs: Number(env.ORACLE_MAX_AGE_SECS || 7200)
+        },
+        swaps: {
+            // JSON list of { address, privateKey } signers that initiators delegated for auto-cancel
+            delegatesPath: env.SWAP_DELEGATES_PATH
+        },
+        webhooks: {
+            maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS || 8),
+            concurrency: Number(env.WEBHOOK_CONCURRENCY || 8)
+        },
+        api: {
+            port: Number(env.VM_API_PORT || 8787),
+            host: env.VM_API_HOST || '127.0.0.1',
+            apiKeys: (env.VM_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+        }
+    };
+}
+
+/** Build every component from `config`. Loads their stores but starts nothing. */
+function createSystem(config, env = process.env) {
+    const { addresses } = config;
+    const metrics = createVmMetrics();
+    const queue = new ExecutionQueue({ filePath: config.queuePath }).load();
+    const journal = new ExecutionJournal({ filePath: config.journalPath }).load();
+    const monitor = new BlockMonitor({ ...config, queue, metrics });
+    metrics.watchMonitor(monitor).watchQueue(queue);
+
+    // The schedule keeper only runs when a keeper account is configured
+    const keeperAccount = config.keeperPrivateKey
+        ? Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(config.keeperPrivateKey) })
+        : null;
+
+    const scheduleKeeper = keeperAccount && config.scheduleKeeperEnabled
+        ? new ScheduleKeeper({
+            aptosClient: monitor.aptosClient,
+            keeperAccount,
+            calendarAddress: addresses.calendarAddress,
+            filePath: config.schedulesPath
+        }).load()
+        : null;
+
+    // Warning-only: it reads views and signs nothing, so it needs no keeper account
+    const liquidationKeeper = config.bucketKeeperModule
+        ? new LiquidationKeeper({
+            aptosClient: monitor.aptosClient,
+            bucketAddress: addresses.bucketAddress,
+            moduleName: config.bucketKeeperModule,
+            leverage: config.bucketLeverage,
+            filePath: config.positionsPath
+        }).load()
+        : null;
+
+    // The oracle feeder needs a module, its own signer and at least one price source
+    const oracleFeeder = config.oracle.moduleName && config.oracle.privateKey && config.oracle.sources.length > 0
+        ? new OracleFeeder({
+            aptosClient: monitor.aptosClient,
+            feederAccount: Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(config.oracle.privateKey) }),
+            bucketAddress: addresses.bucketAddress,
+            moduleName: config.oracle.moduleName,
+            sources: config.oracle.sources,
+            minSources: config.oracle.minSources,
+            deviationBps: config.oracle.deviationBps,
+            heartbeatSecs: config.oracle.heartbeatSecs,
+            maxAgeSecs: config.oracle.maxAgeSecs
+        })
+        : null;
+
+    // cancel_swap must come from the initiator's account, so each opted-in
+    // initiator hands over a key that can sign for it
+    const swapDelegates = config.swaps.delegatesPath
+        ? JSON.parse(fs.readFileSync(config.swaps.delegatesPath, 'utf8')).map(delegate => Account.fromPrivateKey({
+            privateKey: new Ed25519PrivateKey(delegate.privateKey),
+            address: AccountAddress.from(delegate.address)
+        }))
+        : [];
+
+    const swapWatcher = new SwapWatcher({
+        aptosClient: monitor.aptosClient,
+        swapAddress: config.swapAddress,
+        moduleName: config.swapModule,
+        delegates: swapDelegates,
+        filePath: config.swapsPath
+    }).load();
+
+    const webhooks = new WebhookDispatcher({ filePath: config.webhooksPath, ...config.webhooks }).load();
+
+    // Chains with a VM key configured take part in cross-chain payments
+    const chains = createChainAdapters(env, config.network);
+
+    const vm = new CrescaVM({ queue, addresses, scheduleKeeper, liquidationKeeper, webhooks, chains, journal, metrics });
+
+    // The API only starts when at least one key is configured
+    const api = config.api.apiKeys.length > 0
+        ? new ApiServer({
+            ...config.api,
+            methods: createVmMethods({ vm, queue, monitor, journal, liquidationKeeper, oracleFeeder, swapWatcher, webhooks }),
+            isReady: () => vm.isRunning && monitor.isRunning,
+            metrics: metrics.registry
+        })
+        : null;
+
+    return { metrics, queue, journal, monitor, keeperAccount, scheduleKeeper, liquidationKeeper, oracleFeeder, swapWatcher, webhooks, chains, vm, api };
+}
 
 // Start the system
-async function start() {
-    console.log("🚀 Starting Cresca VM System...");
-    console.log("═══════════════════════════════════");
-    
+async function start(system, log) {
+    const { vm, monitor, keeperAccount, scheduleKeeper, liquidationKeeper, oracleFeeder, swapWatcher, webhooks, chains, api } = system;
+
+    // Setup VM
+    await vm.setup();
+
+    if (scheduleKeeper) {
+        scheduleKeeper.start();
+    } else if (keeperAccount) {
+        log.warn('SCHEDULE_KEEPER_ENABLED not set, scheduled payments will not be executed');
+    } else {
+        log.warn('KEEPER_PRIVATE_KEY not set, scheduled payments will not be executed');
+    }
+    if (liquidationKeeper) {
+        liquidationKeeper.start();
+    } else {
+        log.warn('BUCKET_KEEPER_MODULE not set, bucket positions will not be watched');
+    }
+    if (oracleFeeder) {
+        oracleFeeder.start();
+    } else {
+        log.warn('ORACLE_MODULE, ORACLE_PRIVATE_KEY or ORACLE_SOURCES not set, oracle prices will not be pushed');
+    }
+    swapWatcher.start();
+    webhooks.start();
+    log.info('Chain adapters configured', { chains: Object.keys(chains) });
+
+    if (api) {
+        await api.start();
+    } else {
+        log.warn('VM_API_KEYS not set, API server and /metrics disabled');
+    }
+
+    // Start queue consumer and block monitor
+    await Promise.all([
+        vm.consume(),
+        monitor.start()
+    ]);
+}
+
+// Graceful shutdown
+async function stop(system) {
+    system.monitor.stop();
+    system.scheduleKeeper?.stop();
+    system.liquidationKeeper?.stop();
+    system.oracleFeeder?.stop();
+    system.swapWatcher.stop();
+    system.webhooks.stop();
+    await system.api?.stop();
+    await system.vm.stop();
+}
+
+async function main() {
+    require('dotenv').config();
+    const log = logger.child({ component: 'main' });
+
     try {
-        // Setup VM
-        await vm.setup();
-        
-        // Start block monitor
-        await monitor.start();
-        
+        const config = loadConfig();
+        const system = createSystem(config);
+
+        process.on('SIGINT', async () => {
+            log.info('Shutting down gracefully');
+            await stop(system);
+            process.exit(0);
+        });
+
+        log.info('Starting Cresca VM system', { network: config.network.profile, fullnodeUrl: config.network.fullnodeUrl });
+        await start(system, log);
     } catch (error) {
-        console.error("❌ Startup failed:", error);
+        log.error('Startup failed', { error });
         process.exit(1);
     }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log("\n🛑 Shutting down gracefully...");
-    monitor.stop();
-    await vm.stop();
-    process.exit(0);
-});
-
 // Run
 if (require.main === module) {
-    start();
+    main();
 }
 
-module.exports = { CrescaVM, BlockMonitor };
+module.exports = { main, loadConfig, createSystem, CrescaVM, BlockMonitor, ExecutionQueue, ExecutionJournal, ScheduleKeeper, LiquidationKeeper, SwapWatcher, OracleFeeder, WebhookDispatcher, ApiServer };
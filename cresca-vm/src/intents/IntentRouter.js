@@ -0,0 +1,168 @@
+// Cresca VM Intent Router
+// Declarative mapping from entry functions and event types to VM intents.
+// Transactions that match no route are not intents and are ignored.
+
+const { normalizeAddress, parseTypeName } = require("../events/fieldTypes");
+
+const ANY_ADDRESS = "*";
+
+class IntentRouter {
+    constructor() {
+        this.functionRoutes = new Map();
+        this.eventRoutes = new Map();
+    }
+
+    static routeKey(address, module, member) {
+        const normalized = address && address !== ANY_ADDRESS ? normalizeAddress(address) : ANY_ADDRESS;
+        return `${normalized}::${module}::${member}`;
+    }
+
+    /**
+     * Route an entry function to an intent.
+     * route: { address?, module, function, intent, action?, args: [{ name, parse }], typeArgs?: [name] }
+     * Omitting the address matches the module under any address.
+     */
+    addFunctionRoute(route) {
+        if (!route.module || !route.function || !route.intent) {
+            throw new Error("Function route requires module, function and intent");
+        }
+        this.functionRoutes.set(IntentRouter.routeKey(route.address, route.module, route.function), route);
+        return this;
+    }
+
+    /**
+     * Route a decoded event to an intent, for events whose transaction payload
+     * did not match a function route. route: { address?, module, name, intent, action? }
+     */
+    addEventRoute(route) {
+        if (!route.module || !route.name || !route.intent) {
+            throw new Error("Event route requires module, name and intent");
+        }
+        this.eventRoutes.set(IntentRouter.routeKey(route.address, route.module, route.name), route);
+        return this;
+    }
+
+    lookup(routes, address, module, member) {
+        return routes.get(IntentRouter.routeKey(address, module, member))
+            || routes.get(IntentRouter.routeKey(ANY_ADDRESS, module, member));
+    }
+
+    /**
+     * Resolve a transaction (and the event that queued it) to an intent, or
+     * null when it is not an intent. The entry function is only routed for the
+     * transaction's primary event (see BlockMonitor.extractCrescaEvents); its
+     * other events go through the event routes.
+     */
+    route(transaction, event) {
+        // Intents submitted over the API carry their type and args directly
+        if (event?.intent) {
+            return this.routeOffchain(transaction, event);
+        }
+
+        const payloadIntent = event?.primary === false ? null : this.routeFunction(transaction, event);
+        if (payloadIntent) {
+            return payloadIntent;
+        }
+        return this.routeEvent(transaction, event);
+    }
+
+    routeFunction(transaction, event) {
+        const fn = transaction.payload?.function;
+        if (!fn) {
+            return null;
+        }
+
+        const [address, module, name] = fn.split("::");
+        if (!address || !module || !name) {
+            return null;
+        }
+
+        const route = this.lookup(this.functionRoutes, address, module, name);
+        if (!route) {
+            return null;
+        }
+
+        return {
+            type: route.intent,
+            action: route.action || name,
+            source: "function",
+            function: fn,
+            sender: transaction.sender ? normalizeAddress(transaction.sender) : null,
+            args: this.parseArgs(route, transaction.payload.arguments || []),
+            typeArgs: this.parseTypeArgs(route, transaction.payload.type_arguments || []),
+            event,
+            transaction
+        };
+    }
+
+    routeOffchain(transaction, event) {
+        return {
+            type: event.intent.type,
+            action: event.intent.action || null,
+            source: "offchain",
+            function: null,
+            sender: transaction.sender || null,
+            args: event.intent.args,
+            typeArgs: {},
+            event,
+            transaction
+        };
+    }
+
+    routeEvent(transaction, event) {
+        const decoded = event?.decoded;
+        if (!decoded || decoded.status !== "decoded") {
+            return null;
+        }
+
+        const route = this.lookup(this.eventRoutes, decoded.type.address, decoded.module, decoded.name);
+        if (!route) {
+            return null;
+        }
+
+        return {
+            type: route.intent,
+            action: route.action || decoded.name,
+            source: "event",
+            function: transaction.payload?.function || null,
+            sender: transaction.sender ? normalizeAddress(transaction.sender) : null,
+            args: decoded.data,
+            typeArgs: {},
+            event,
+            transaction
+        };
+    }
+
+    parseArgs(route, rawArgs) {
+        const schema = route.args || [];
+        if (rawArgs.length !== schema.length) {
+            throw new Error(`${route.module}::${route.function} expects ${schema.length} arguments, got ${rawArgs.length}`);
+        }
+
+        const args = {};
+        schema.forEach((arg, index) => {
+            try {
+                args[arg.name] = arg.parse(rawArgs[index]);
+            } catch (error) {
+                throw new Error(`${route.module}::${route.function} argument ${arg.name}: ${error.message}`);
+            }
+        });
+        return args;
+    }
+
+    parseTypeArgs(route, rawTypeArgs) {
+        const names = route.typeArgs || [];
+        const typeArgs = {};
+        names.forEach((name, index) => {
+            if (rawTypeArgs[index] === undefined) {
+                throw new Error(`${route.module}::${route.function} is missing type argument ${name}`);
+            }
+            typeArgs[name] = parseTypeName(rawTypeArgs[index]);
+        });
+        return typeArgs;
+    }
+}
+
+IntentRouter.ANY_ADDRESS = ANY_ADDRESS;
+
+module.exports = IntentRouter;
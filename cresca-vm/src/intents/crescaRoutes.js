@@ -0,0 +1,178 @@
+// Cresca VM Intent Routes
+// Which Cresca entry functions and events the VM acts on, and the argument
+// layout of each. Anything not listed here is ignored by the VM.
+
+const { FieldTypes: T, vectorOf } = require("../events/fieldTypes");
+const IntentRouter = require("./IntentRouter");
+
+const IntentType = {
+    CROSS_CHAIN_PAYMENT: "CROSS_CHAIN_PAYMENT",
+    BASKET_TRADE: "BASKET_TRADE",
+    SCHEDULED_PAYMENT: "SCHEDULED_PAYMENT",
+    MERCHANT_PAYMENT: "MERCHANT_PAYMENT"
+};
+
+function functionRoutes({ calendarAddress, bucketAddress }) {
+    return [
+        // Calendar payments (see kotlin-sdk-examples/CalendarPaymentViewModel.kt).
+        // Provisional: the contract source is not in this repo, and the Kotlin
+        // example passes recipient as a MoveString where this expects an address
+        {
+            address: calendarAddress,
+            module: "calendar_payments",
+            function: "create_schedule",
+            intent: IntentType.SCHEDULED_PAYMENT,
+            action: "create",
+            args: [
+                { name: "recipient", parse: T.address },
+                { name: "amount", parse: T.u64 },
+                { name: "execute_at", parse: T.u64 },
+                { name: "interval_secs", parse: T.u64 },
+                { name: "occurrences", parse: T.u64 }
+            ]
+        },
+
+        // bucket/perps-smart-wallet-/cresca_bucket_protocol.move
+        {
+            address: bucketAddress,
+            module: "bucket_protocol",
+            function: "create_bucket",
+            intent: IntentType.BASKET_TRADE,
+            action: "create_bucket",
+            args: [
+                { name: "assets", parse: vectorOf(T.address) },
+                { name: "weights", parse: vectorOf(T.u64) },
+                { name: "leverage", parse: T.u8 }
+            ]
+        },
+        {
+            address: bucketAddress,
+            module: "bucket_protocol",
+            function: "open_position",
+            intent: IntentType.BASKET_TRADE,
+            action: "open_position",
+            args: [
+                { name: "bucket_id", parse: T.u64 },
+                { name: "is_long", parse: T.bool },
+                { name: "margin", parse: T.u64 }
+            ]
+        },
+        {
+            address: bucketAddress,
+            module: "bucket_protocol",
+            function: "rebalance_bucket",
+            intent: IntentType.BASKET_TRADE,
+            action: "rebalance_bucket",
+            args: [
+                { name: "bucket_id", parse: T.u64 },
+                { name: "new_weights", parse: vectorOf(T.u64) }
+            ]
+        },
+        {
+            address: bucketAddress,
+            module: "bucket_protocol",
+            function: "close_position",
+            intent: IntentType.BASKET_TRADE,
+            action: "close_position",
+            args: [
+                { name: "position_id", parse: T.u64 }
+            ]
+        },
+
+        // Multi-user buckets are published under different addresses per deployment
+        ...["bucket_defi", "bucket_layer1"].flatMap(module => [
+            {
+                module,
+                function: "open_long",
+                intent: IntentType.BASKET_TRADE,
+                action: "open_position",
+                args: [{ name: "bucket_id", parse: T.u64 }]
+            },
+            {
+                module,
+                function: "open_short",
+                intent: IntentType.BASKET_TRADE,
+                action: "open_position",
+                args: [{ name: "bucket_id", parse: T.u64 }]
+            },
+            {
+                module,
+                function: "close_position",
+                intent: IntentType.BASKET_TRADE,
+                action: "close_position",
+                args: [{ name: "position_id", parse: T.u64 }]
+            }
+        ])
+    ];
+}
+
+function eventRoutes({ calendarAddress, bucketAddress, paymentAddress }) {
+    return [
+        {
+            address: calendarAddress,
+            module: "calendar_payments",
+            name: "ScheduleCreatedEvent",
+            intent: IntentType.SCHEDULED_PAYMENT,
+            action: "created"
+        },
+        {
+            address: calendarAddress,
+            module: "calendar_payments",
+            name: "PaymentExecutedEvent",
+            intent: IntentType.SCHEDULED_PAYMENT,
+            action: "executed"
+        },
+        {
+            address: calendarAddress,
+            module: "calendar_payments",
+            name: "ScheduleCancelledEvent",
+            intent: IntentType.SCHEDULED_PAYMENT,
+            action: "cancelled"
+        },
+        {
+            address: bucketAddress,
+            module: "bucket_protocol",
+            name: "BucketCreatedEvent",
+            intent: IntentType.BASKET_TRADE,
+            action: "create_bucket"
+        },
+
+        // Multi-user buckets are created by init, which has no function route
+        ...["bucket_defi", "bucket_layer1"].map(module => ({
+            module,
+            name: "BucketCreatedEvent",
+            intent: IntentType.BASKET_TRADE,
+            action: "create_bucket"
+        })),
+
+        // Position and oracle events feed the liquidation keeper. Transactions
+        // that also match a function route above arrive under that route instead.
+        ...[
+            { address: bucketAddress, module: "bucket_protocol" },
+            { module: "bucket_defi" },
+            { module: "bucket_layer1" }
+        ].flatMap(({ address, module }) => [
+            { address, module, name: "PositionOpenedEvent", intent: IntentType.BASKET_TRADE, action: "open_position" },
+            { address, module, name: "PositionClosedEvent", intent: IntentType.BASKET_TRADE, action: "close_position" },
+            { address, module, name: "LiquidationEvent", intent: IntentType.BASKET_TRADE, action: "liquidated" }
+        ]),
+        // The per-owner module emits no oracle event
+        ...["bucket_defi", "bucket_layer1"].map(module => (
+            { module, name: "OracleUpdateEvent", intent: IntentType.BASKET_TRADE, action: "oracle_update" }
+        )),
+
+        // move/sources/Payment.move escrow events, delivered to merchant webhooks
+        { address: paymentAddress, module: "Payment", name: "PaymentEvent", intent: IntentType.MERCHANT_PAYMENT, action: "payment" },
+        { address: paymentAddress, module: "Payment", name: "RefundEvent", intent: IntentType.MERCHANT_PAYMENT, action: "refund" },
+        { address: paymentAddress, module: "Payment", name: "WithdrawalEvent", intent: IntentType.MERCHANT_PAYMENT, action: "withdrawal" }
+    ];
+}
+
+function createCrescaRouter(addresses = {}) {
+    const router = new IntentRouter();
+    functionRoutes(addresses).forEach(route => router.addFunctionRoute(route));
+    eventRoutes(addresses).forEach(route => router.addEventRoute(route));
+    return router;
+}
+
+module.exports = { IntentType, createCrescaRouter };
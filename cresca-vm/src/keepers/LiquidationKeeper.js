@@ -0,0 +1,272 @@
+// Cresca VM Liquidation Keeper
+// Warning-only monitor: tracks open bucket positions from bucket events and
+// get_position_details, re-checks their margin at the oracle's basket price on
+// every oracle update, and keeps positions near or past their liquidation
+// price as warnings for the API. It submits nothing: the multi-user modules
+// (bucket_defi, bucket_layer1), the only ones with the views, publish no
+// liquidate_position, and bucket_protocol's only reaches the signer's own state.
+
+const path = require("path");
+const JsonFileStore = require("../storage/JsonFileStore");
+const { normalizeAddress } = require("../events/fieldTypes");
+const { logger } = require("../observability/logger");
+const { BucketClient, isLiquidatable, liquidationPrice, marginRatioBps, unrealizedPnl } = require("../../../sdk/bucket");
+
+const DEFAULT_TICK_MS = 15000;
+const DEFAULT_MAINTENANCE_MARGIN_BPS = 500;
+const DEFAULT_WARNING_DISTANCE_BPS = 500;
+const BPS = 10000n;
+
+// No position or oracle views to monitor with
+const PER_OWNER_MODULE = "bucket_protocol";
+
+const HealthStatus = {
+    HEALTHY: "healthy",
+    WARNING: "warning",
+    LIQUIDATABLE: "liquidatable",
+    UNKNOWN: "unknown"
+};
+
+class LiquidationKeeper {
+    constructor(config) {
+        this.aptosClient = config.aptosClient;
+        this.moduleName = config.moduleName;
+        if (!this.moduleName || this.moduleName === PER_OWNER_MODULE) {
+            throw new Error(`Liquidation keeper needs a bucket module with position views, not ${this.moduleName || "none"}`);
+        }
+        this.client = config.client || new BucketClient({
+            aptosClient: config.aptosClient,
+            address: config.bucketAddress,
+            moduleName: this.moduleName,
+            protocolAddress: config.protocolAddress
+        });
+        // No view exposes bucket leverage: it comes from BucketCreatedEvent, else this default
+        this.defaultLeverage = config.leverage ? BigInt(config.leverage) : null;
+        this.weights = config.weights;
+        this.maintenanceMarginBps = BigInt(config.maintenanceMarginBps ?? DEFAULT_MAINTENANCE_MARGIN_BPS);
+        this.warningDistanceBps = BigInt(config.warningDistanceBps ?? DEFAULT_WARNING_DISTANCE_BPS);
+        this.tickMs = config.tickMs || DEFAULT_TICK_MS;
+        this.store = new JsonFileStore(config.filePath || path.join(process.cwd(), "data", "positions.json"));
+        this.logger = config.logger || logger.child({ component: "liquidation_keeper" });
+
+        this.positions = new Map();
+        this.leverages = new Map();
+        this.markPrice = null;
+        this.checkedAt = null;
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    load() {
+        const state = this.store.read({ positions: [], leverages: [] });
+        this.positions = new Map(state.positions.map(position => [position.positionId.toString(), position]));
+        this.leverages = new Map(state.leverages);
+        return this;
+    }
+
+    persist() {
+        this.store.write({
+            positions: Array.from(this.positions.values()),
+            leverages: Array.from(this.leverages.entries())
+        });
+    }
+
+    /**
+     * Feed a BASKET_TRADE intent into the index. Position events carry the
+     * position id; margin and entry price are re-read with get_position_details.
+     * An oracle update re-checks every tracked position.
+     */
+    async observe(intent) {
+        const decoded = intent.event?.decoded;
+        if (!decoded || decoded.status !== "decoded" || decoded.module !== this.moduleName) {
+            return { status: "ignored", reason: "no_bucket_event" };
+        }
+        const data = decoded.data;
+
+        switch (decoded.name) {
+            case "BucketCreatedEvent":
+                this.leverages.set(data.bucket_id.toString(), BigInt(data.leverage));
+                for (const position of this.positions.values()) {
+                    if (position.bucketId.toString() === data.bucket_id.toString()) {
+                        position.leverage = BigInt(data.leverage);
+                    }
+                }
+                this.persist();
+                return { status: "success", type: "basket_trade", action: "bucket_created", bucketId: data.bucket_id };
+
+            case "PositionOpenedEvent": {
+                const position = await this.refresh(data.position_id, data.owner);
+                return { status: "success", type: "basket_trade", action: "position_opened", positionId: data.position_id, tracked: Boolean(position) };
+            }
+
+            case "PositionClosedEvent":
+            case "LiquidationEvent": {
+                const key = data.position_id.toString();
+                this.positions.delete(key);
+                this.persist();
+                this.logger.info("Position removed from keeper index", { positionId: key, reason: decoded.name === "LiquidationEvent" ? "liquidated" : "closed" });
+                return { status: "success", type: "basket_trade", action: intent.action, positionId: data.position_id };
+            }
+
+            case "OracleUpdateEvent": {
+                const summary = await this.checkAll();
+                return { status: "success", type: "basket_trade", action: "oracle_update", ...summary };
+            }
+
+            default:
+                return { status: "ignored", reason: "no_bucket_event" };
+        }
+    }
+
+    leverageOf(bucketId) {
+        return this.leverages.get(bucketId.toString()) || this.defaultLeverage;
+    }
+
+    /**
+     * Reload a position from chain. Closed positions leave the index.
+     */
+    async refresh(positionId, ownerHint) {
+        const key = positionId.toString();
+        const details = await this.client.getPositionDetails(positionId);
+        if (!details.active) {
+            this.positions.delete(key);
+            this.persist();
+            return null;
+        }
+
+        const existing = this.positions.get(key);
+        // Older deployments do not return the owner; keep the one from the event
+        const owner = details.owner || ownerHint || existing?.owner;
+        const position = {
+            positionId: details.positionId,
+            bucketId: details.bucketId,
+            owner: owner ? normalizeAddress(owner) : null,
+            isLong: details.isLong,
+            margin: details.margin,
+            entryPrice: details.entryPrice,
+            leverage: this.leverageOf(details.bucketId),
+            health: existing?.health || null
+        };
+        this.positions.set(key, position);
+        this.persist();
+        return position;
+    }
+
+    /**
+     * Margin health at `markPrice`. `distanceBps` is how far the mark can
+     * still move against the position before it is liquidatable.
+     */
+    assess(position, markPrice) {
+        if (!position.leverage) {
+            return { status: HealthStatus.UNKNOWN, reason: "unknown_leverage", markPrice };
+        }
+        const options = { maintenanceMarginBps: this.maintenanceMarginBps };
+        try {
+            const threshold = liquidationPrice(position, options);
+            const room = position.isLong ? markPrice - threshold : threshold - markPrice;
+            const distanceBps = room > 0n && markPrice > 0n ? (room * BPS) / markPrice : 0n;
+            const status = isLiquidatable(position, markPrice, options)
+                ? HealthStatus.LIQUIDATABLE
+                : distanceBps <= this.warningDistanceBps ? HealthStatus.WARNING : HealthStatus.HEALTHY;
+            return {
+                status,
+                markPrice,
+                liquidationPrice: threshold,
+                marginRatioBps: marginRatioBps(position, markPrice),
+                pnl: unrealizedPnl(position, markPrice),
+                distanceBps
+            };
+        } catch (error) {
+            return { status: HealthStatus.UNKNOWN, reason: error.message, markPrice };
+        }
+    }
+
+    /**
+     * Re-price every tracked position at the current basket price. A position
+     * that crosses into liquidatable is logged once; the owner or an operator
+     * has to act on it.
+     */
+    async checkAll() {
+        const markPrice = await this.client.getMarkPrice({ weights: this.weights });
+        this.markPrice = markPrice;
+        this.checkedAt = Date.now();
+
+        let liquidatable = 0;
+        for (const position of this.positions.values()) {
+            const previous = position.health?.status;
+            position.health = this.assess(position, markPrice);
+            if (position.health.status === HealthStatus.LIQUIDATABLE) {
+                liquidatable++;
+                if (previous !== HealthStatus.LIQUIDATABLE) {
+                    this.logger.warn("Position is liquidatable", {
+                        positionId: position.positionId,
+                        owner: position.owner,
+                        marginRatioBps: position.health.marginRatioBps,
+                        maintenanceMarginBps: this.maintenanceMarginBps,
+                        markPrice
+                    });
+                }
+            }
+        }
+        this.persist();
+        return { markPrice, checked: this.positions.size, liquidatable, warnings: this.getWarnings().length };
+    }
+
+    start() {
+        this.logger.info("Starting liquidation keeper", { positions: this.positions.size });
+        this.isRunning = true;
+        this.scheduleTick();
+    }
+
+    scheduleTick() {
+        if (!this.isRunning) {
+            return;
+        }
+        // Polling catches oracle updates whose events the monitor has not seen yet
+        this.timer = setTimeout(async () => {
+            try {
+                await this.checkAll();
+            } catch (error) {
+                this.logger.error("Liquidation keeper tick failed", { error });
+            }
+            this.scheduleTick();
+        }, this.tickMs);
+    }
+
+    getPositions() {
+        return Array.from(this.positions.values());
+    }
+
+    /**
+     * Positions at or near their liquidation price as of the last check,
+     * closest first. Pass `owner` to see one account's positions.
+     */
+    getWarnings({ owner } = {}) {
+        const ownerAddress = owner ? normalizeAddress(owner) : null;
+        return this.getPositions()
+            .filter(position =>
+                (position.health?.status === HealthStatus.WARNING || position.health?.status === HealthStatus.LIQUIDATABLE) &&
+                (!ownerAddress || position.owner === ownerAddress))
+            .sort((a, b) => (a.health.distanceBps < b.health.distanceBps ? -1 : a.health.distanceBps > b.health.distanceBps ? 1 : 0))
+            .map(position => ({
+                positionId: position.positionId,
+                bucketId: position.bucketId,
+                owner: position.owner,
+                isLong: position.isLong,
+                margin: position.margin,
+                entryPrice: position.entryPrice,
+                leverage: position.leverage,
+                ...position.health
+            }));
+    }
+
+    stop() {
+        this.logger.info("Stopping liquidation keeper");
+        this.isRunning = false;
+        clearTimeout(this.timer);
+    }
+}
+
+LiquidationKeeper.HealthStatus = HealthStatus;
+
+module.exports = LiquidationKeeper;
@@ -0,0 +1,267 @@
+// Cresca VM Schedule Keeper
+// Keeps an index of active calendar payment schedules and submits
+// execute with the keeper account once a schedule falls due.
+//
+// PROVISIONAL: the calendar_payments source is not in this repo. The entry
+// function, the get_schedule return order and the event names follow
+// kotlin-sdk-examples/CalendarPaymentViewModel.kt; the abort reasons are
+// assumed. The keeper is off unless SCHEDULE_KEEPER_ENABLED=true.
+
+const path = require("path");
+const JsonFileStore = require("../storage/JsonFileStore");
+const { normalizeAddress } = require("../events/fieldTypes");
+const { logger } = require("../observability/logger");
+
+const DEFAULT_TICK_MS = 15000;
+const DEFAULT_RETRY_DELAY_SECS = 60;
+const DEFAULT_MAX_OUTCOMES = 1000;
+
+// Abort reasons that mean someone else already executed or cancelled the
+// schedule. Assumed names, not taken from the contract
+const RACE_ABORTS = ["NOT_ACTIVE", "NOT_DUE", "ALREADY_EXECUTED", "SCHEDULE_NOT_FOUND", "CANCELLED"];
+
+class ScheduleKeeper {
+    constructor(config) {
+        this.aptosClient = config.aptosClient;
+        this.keeperAccount = config.keeperAccount;
+        this.calendarAddress = config.calendarAddress;
+        this.moduleName = config.moduleName || "calendar_payments";
+        this.executeFunction = config.executeFunction || "execute";
+        this.tickMs = config.tickMs || DEFAULT_TICK_MS;
+        this.retryDelaySecs = config.retryDelaySecs || DEFAULT_RETRY_DELAY_SECS;
+        this.maxOutcomes = config.maxOutcomes || DEFAULT_MAX_OUTCOMES;
+        this.store = new JsonFileStore(config.filePath || path.join(process.cwd(), "data", "schedules.json"));
+        this.logger = config.logger || logger.child({ component: "schedule_keeper" });
+
+        this.schedules = new Map();
+        this.outcomes = [];
+        this.inFlight = new Set();
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    static scheduleKey(payer, scheduleId) {
+        return `${normalizeAddress(payer)}:${scheduleId}`;
+    }
+
+    load() {
+        const state = this.store.read({ schedules: [], outcomes: [] });
+        this.schedules = new Map(state.schedules.map(schedule => [schedule.key, schedule]));
+        this.outcomes = state.outcomes;
+        return this;
+    }
+
+    persist() {
+        this.store.write({
+            schedules: Array.from(this.schedules.values()),
+            outcomes: this.outcomes
+        });
+    }
+
+    get functionPrefix() {
+        return `${this.calendarAddress}::${this.moduleName}`;
+    }
+
+    /**
+     * Feed a SCHEDULED_PAYMENT intent into the index. The decoded calendar
+     * event carries payer + schedule id; timing comes from get_schedule.
+     */
+    async observe(intent) {
+        const decoded = intent.event?.decoded;
+        if (!decoded || decoded.status !== "decoded" || decoded.module !== this.moduleName) {
+            return { status: "ignored", reason: "no_schedule_event" };
+        }
+
+        const { payer, schedule_id: scheduleId } = decoded.data;
+        const key = ScheduleKeeper.scheduleKey(payer, scheduleId);
+
+        if (decoded.name === "ScheduleCancelledEvent") {
+            this.schedules.delete(key);
+            this.persist();
+            this.logger.info("Schedule cancelled, removed from keeper index", { schedule: key });
+            return { status: "success", type: "scheduled_payment", action: "cancelled", schedule: key };
+        }
+
+        const schedule = await this.refresh(payer, scheduleId);
+        return { status: "success", type: "scheduled_payment", action: intent.action, schedule: key, active: Boolean(schedule) };
+    }
+
+    /**
+     * Reload a schedule from chain. Inactive or exhausted schedules leave the index.
+     */
+    async refresh(payer, scheduleId) {
+        const key = ScheduleKeeper.scheduleKey(payer, scheduleId);
+        const [recipient, amount, nextExecution, interval, remaining, active] = await this.aptosClient.view({
+            payload: {
+                function: `${this.functionPrefix}::get_schedule`,
+                typeArguments: [],
+                functionArguments: [normalizeAddress(payer), scheduleId.toString()]
+            }
+        });
+
+        if (!active || Number(remaining) === 0) {
+            this.schedules.delete(key);
+            this.persist();
+            return null;
+        }
+
+        const existing = this.schedules.get(key);
+        const schedule = {
+            key,
+            payer: normalizeAddress(payer),
+            scheduleId: scheduleId.toString(),
+            recipient,
+            amount: amount.toString(),
+            nextExecution: Number(nextExecution),
+            interval: Number(interval),
+            remaining: Number(remaining),
+            retryAt: existing && existing.nextExecution === Number(nextExecution) ? existing.retryAt : null
+        };
+        this.schedules.set(key, schedule);
+        this.persist();
+        return schedule;
+    }
+
+    start() {
+        this.logger.info("Starting schedule keeper", { schedules: this.schedules.size });
+        this.isRunning = true;
+        this.scheduleTick();
+    }
+
+    scheduleTick() {
+        if (!this.isRunning) {
+            return;
+        }
+        this.timer = setTimeout(async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                this.logger.error("Schedule keeper tick failed", { error });
+            }
+            this.scheduleTick();
+        }, this.tickMs);
+    }
+
+    async chainNowSecs() {
+        // The contract compares against on-chain time, not the local clock
+        const ledgerInfo = await this.aptosClient.getLedgerInfo();
+        return Math.floor(Number(ledgerInfo.ledger_timestamp) / 1000000);
+    }
+
+    dueSchedules(nowSecs) {
+        return Array.from(this.schedules.values()).filter(schedule =>
+            schedule.nextExecution <= nowSecs &&
+            (!schedule.retryAt || schedule.retryAt <= nowSecs) &&
+            !this.inFlight.has(schedule.key)
+        );
+    }
+
+    async tick() {
+        const nowSecs = await this.chainNowSecs();
+        for (const schedule of this.dueSchedules(nowSecs)) {
+            await this.executeSchedule(schedule, nowSecs);
+        }
+    }
+
+    async executeSchedule(schedule, nowSecs) {
+        this.inFlight.add(schedule.key);
+        try {
+            // Re-read first: the payer may have cancelled, or another keeper got there first
+            const current = await this.refresh(schedule.payer, schedule.scheduleId);
+            if (!current) {
+                return this.recordOutcome(schedule, { status: "skipped", reason: "inactive" });
+            }
+            if (current.nextExecution > nowSecs) {
+                return this.recordOutcome(schedule, { status: "skipped", reason: "already_executed" });
+            }
+
+            this.logger.info("Executing schedule", { schedule: schedule.key });
+            const result = await this.submitExecute(current);
+
+            if (result.success) {
+                await this.refresh(schedule.payer, schedule.scheduleId);
+                return this.recordOutcome(schedule, { status: "executed", txHash: result.hash });
+            }
+
+            if (RACE_ABORTS.some(reason => result.vm_status?.includes(reason))) {
+                await this.refresh(schedule.payer, schedule.scheduleId);
+                return this.recordOutcome(schedule, { status: "skipped", reason: result.vm_status, txHash: result.hash });
+            }
+
+            this.deferRetry(current, nowSecs);
+            return this.recordOutcome(schedule, { status: "failed", error: result.vm_status, txHash: result.hash });
+        } catch (error) {
+            this.deferRetry(schedule, nowSecs);
+            return this.recordOutcome(schedule, { status: "failed", error: error.message });
+        } finally {
+            this.inFlight.delete(schedule.key);
+        }
+    }
+
+    async submitExecute(schedule) {
+        const transaction = await this.aptosClient.transaction.build.simple({
+            sender: this.keeperAccount.accountAddress,
+            data: {
+                function: `${this.functionPrefix}::${this.executeFunction}`,
+                typeArguments: [],
+                functionArguments: [schedule.payer, schedule.scheduleId]
+            }
+        });
+
+        const pending = await this.aptosClient.signAndSubmitTransaction({
+            signer: this.keeperAccount,
+            transaction
+        });
+
+        return this.aptosClient.waitForTransaction({
+            transactionHash: pending.hash,
+            options: { checkSuccess: false }
+        });
+    }
+
+    deferRetry(schedule, nowSecs) {
+        const tracked = this.schedules.get(schedule.key);
+        if (tracked) {
+            tracked.retryAt = nowSecs + this.retryDelaySecs;
+            this.persist();
+        }
+    }
+
+    recordOutcome(schedule, outcome) {
+        const entry = {
+            schedule: schedule.key,
+            payer: schedule.payer,
+            scheduleId: schedule.scheduleId,
+            at: Date.now(),
+            ...outcome
+        };
+        this.outcomes.push(entry);
+        if (this.outcomes.length > this.maxOutcomes) {
+            this.outcomes.splice(0, this.outcomes.length - this.maxOutcomes);
+        }
+        this.persist();
+
+        this.logger[outcome.status === "failed" ? "warn" : "info"]("Schedule attempt recorded", { schedule: schedule.key, status: outcome.status, reason: outcome.reason });
+        return entry;
+    }
+
+    getSchedules() {
+        return Array.from(this.schedules.values());
+    }
+
+    getOutcomes(payer, scheduleId) {
+        if (!payer) {
+            return [...this.outcomes];
+        }
+        const key = ScheduleKeeper.scheduleKey(payer, scheduleId);
+        return this.outcomes.filter(outcome => outcome.schedule === key);
+    }
+
+    stop() {
+        this.logger.info("Stopping schedule keeper");
+        this.isRunning = false;
+        clearTimeout(this.timer);
+    }
+}
+
+module.exports = ScheduleKeeper;
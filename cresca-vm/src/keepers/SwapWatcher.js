@@ -0,0 +1,403 @@
+// Cresca VM Swap Watcher
+// Indexes CrescaSwap atomic swaps from the indexer's stream of swap events,
+// keeps a notification inbox per address (offers for the participant,
+// outcomes for the initiator), and cancels expired swaps for initiators who
+// opted in by delegating a signer to the VM.
+
+const path = require("path");
+const JsonFileStore = require("../storage/JsonFileStore");
+const { createCrescaDecoder } = require("../events/EventDecoder");
+const { normalizeAddress } = require("../events/fieldTypes");
+const { logger } = require("../observability/logger");
+
+const DEFAULT_TICK_MS = 15000;
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_RETRY_DELAY_SECS = 60;
+const DEFAULT_MAX_NOTIFICATIONS = 200;
+const DEFAULT_MAX_OUTCOMES = 1000;
+const DEFAULT_MAX_SETTLED = 1000;
+
+const EVENT_NAMES = ["SwapInitiatedEvent", "SwapCompletedEvent", "SwapCancelledEvent"];
+
+const SwapStatus = {
+    OPEN: "open",
+    EXPIRED: "expired",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled"
+};
+
+class SwapWatcher {
+    constructor(config) {
+        this.aptosClient = config.aptosClient;
+        this.swapAddress = normalizeAddress(config.swapAddress);
+        this.moduleName = config.moduleName || "swap";
+        this.decoder = config.decoder || createCrescaDecoder({ logger: config.logger });
+        this.logger = config.logger || logger.child({ component: "swap_watcher" });
+        this.tickMs = config.tickMs || DEFAULT_TICK_MS;
+        this.pageSize = config.pageSize || DEFAULT_PAGE_SIZE;
+        this.retryDelaySecs = config.retryDelaySecs || DEFAULT_RETRY_DELAY_SECS;
+        this.maxNotifications = config.maxNotifications || DEFAULT_MAX_NOTIFICATIONS;
+        this.maxOutcomes = config.maxOutcomes || DEFAULT_MAX_OUTCOMES;
+        this.maxSettled = config.maxSettled || DEFAULT_MAX_SETTLED;
+        this.onNotify = config.onNotify || null;
+        this.store = new JsonFileStore(config.filePath || path.join(process.cwd(), "data", "swaps.json"));
+
+        // cancel_swap must be signed by the initiator, so opting in means
+        // handing the VM a signer for that account (e.g. a delegated key)
+        this.delegates = new Map((config.delegates || []).map(account =>
+            [normalizeAddress(account.accountAddress.toString()), account]));
+
+        // Events of the three swap types read so far, in indexer order
+        this.cursor = 0;
+        this.swaps = new Map();
+        this.notifications = new Map();
+        this.nextNotificationId = 1;
+        this.outcomes = [];
+        this.chainNowSecs = null;
+        this.inFlight = new Set();
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    static swapKey(initiator, tokenX, tokenY, swapId) {
+        return `${normalizeAddress(initiator)}:${tokenX}:${tokenY}:${swapId}`;
+    }
+
+    load() {
+        const state = this.store.read({ cursor: 0, swaps: [], notifications: [], nextNotificationId: 1, outcomes: [] });
+        this.cursor = state.cursor ?? 0;
+        this.swaps = new Map(state.swaps.map(swap => [swap.key, swap]));
+        this.notifications = new Map(state.notifications);
+        this.nextNotificationId = state.nextNotificationId;
+        this.outcomes = state.outcomes;
+        return this;
+    }
+
+    persist() {
+        this.store.write({
+            cursor: this.cursor,
+            swaps: Array.from(this.swaps.values()),
+            notifications: Array.from(this.notifications.entries()),
+            nextNotificationId: this.nextNotificationId,
+            outcomes: this.outcomes
+        });
+    }
+
+    get functionPrefix() {
+        return `${this.swapAddress}::${this.moduleName}`;
+    }
+
+    start() {
+        this.logger.info("Starting swap watcher", { cursor: this.cursor, delegates: this.delegates.size });
+        this.isRunning = true;
+        this.scheduleTick();
+    }
+
+    scheduleTick() {
+        if (!this.isRunning) {
+            return;
+        }
+        this.timer = setTimeout(async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                this.logger.error("Swap watcher tick failed", { error });
+            }
+            this.scheduleTick();
+        }, this.tickMs);
+    }
+
+    async tick() {
+        await this.pollEvents();
+        const ledgerInfo = await this.aptosClient.getLedgerInfo();
+        // cancel_swap compares against on-chain time, not the local clock
+        this.chainNowSecs = Math.floor(Number(ledgerInfo.ledger_timestamp) / 1000000);
+        await this.handleExpired(this.chainNowSecs);
+        this.pruneSettled();
+    }
+
+    /**
+     * Swap events go to each initiator's own EventStore, so no single handle
+     * sees every offer. The indexer keeps them in one stream by type, which
+     * covers every initiator; the cursor is how many of them were applied.
+     */
+    async pollEvents() {
+        let page;
+        do {
+            page = await this.fetchSwapEvents(this.cursor, this.pageSize);
+            for (const event of page) {
+                await this.apply(this.decoder.decode(event));
+                this.cursor++;
+            }
+            this.persist();
+        } while (page.length === this.pageSize);
+    }
+
+    fetchSwapEvents(offset, limit) {
+        return this.aptosClient.getEvents({
+            options: {
+                where: { indexed_type: { _in: EVENT_NAMES.map(name => `${this.functionPrefix}::${name}`) } },
+                orderBy: [{ transaction_version: "asc" }, { event_index: "asc" }],
+                offset,
+                limit
+            }
+        });
+    }
+
+    /** Keep the newest `maxSettled` completed or cancelled swaps; open ones always stay. */
+    pruneSettled() {
+        const settled = this.getSwaps().filter(swap => swap.status !== SwapStatus.OPEN);
+        if (settled.length <= this.maxSettled) {
+            return;
+        }
+        settled
+            .sort((a, b) => a.timeout - b.timeout)
+            .slice(0, settled.length - this.maxSettled)
+            .forEach(swap => this.swaps.delete(swap.key));
+        this.persist();
+    }
+
+    async apply(decoded) {
+        if (decoded.status !== "decoded" || decoded.module !== this.moduleName) {
+            return;
+        }
+        const data = decoded.data;
+
+        if (decoded.name === "SwapInitiatedEvent") {
+            const tokenX = data.token_x.canonical;
+            const tokenY = data.token_y.canonical;
+            const key = SwapWatcher.swapKey(data.initiator, tokenX, tokenY, data.swap_id);
+            if (this.swaps.has(key)) {
+                return;
+            }
+            const swap = {
+                key,
+                swapId: data.swap_id.toString(),
+                initiator: normalizeAddress(data.initiator),
+                participant: normalizeAddress(data.participant),
+                amountX: data.amount_x,
+                amountY: data.amount_y,
+                tokenX,
+                tokenY,
+                timeout: Number(data.timeout),
+                status: SwapStatus.OPEN,
+                expiryNotified: false,
+                retryAt: null
+            };
+            this.swaps.set(key, swap);
+            this.notify(swap.participant, "swap_offered", swap);
+            return;
+        }
+
+        const status = decoded.name === "SwapCompletedEvent" ? SwapStatus.COMPLETED
+            : decoded.name === "SwapCancelledEvent" ? SwapStatus.CANCELLED : null;
+        if (!status) {
+            return;
+        }
+        const swap = await this.resolveOutcome(normalizeAddress(data.initiator), data.swap_id.toString(), status);
+        if (!swap) {
+            return;
+        }
+        this.settle(swap, status);
+    }
+
+    /** Close a swap and tell the side that did not act. */
+    settle(swap, status) {
+        swap.status = status;
+        if (status === SwapStatus.COMPLETED) {
+            this.notify(swap.initiator, "swap_completed", swap);
+        } else {
+            this.notify(swap.participant, "swap_cancelled", swap);
+        }
+    }
+
+    /**
+     * Outcome events carry no token types and ids are per coin pair, so when
+     * one initiator has several open swaps with the id, ask the chain which
+     * one it was.
+     */
+    async resolveOutcome(initiator, swapId, status) {
+        const candidates = this.getSwaps().filter(swap =>
+            swap.initiator === initiator && swap.swapId === swapId && swap.status === SwapStatus.OPEN);
+        if (candidates.length <= 1) {
+            return candidates[0] || null;
+        }
+        for (const swap of candidates) {
+            const details = await this.readSwap(swap);
+            if ((status === SwapStatus.COMPLETED && details.completed) || (status === SwapStatus.CANCELLED && details.cancelled)) {
+                return swap;
+            }
+        }
+        return null;
+    }
+
+    async readSwap(swap) {
+        const [, , , , timeout, completed, cancelled] = await this.aptosClient.view({
+            payload: {
+                function: `${this.functionPrefix}::get_swap_details`,
+                typeArguments: [swap.tokenX, swap.tokenY],
+                functionArguments: [swap.initiator, swap.swapId]
+            }
+        });
+        return { timeout: Number(timeout), completed: Boolean(completed), cancelled: Boolean(cancelled) };
+    }
+
+    async handleExpired(nowSecs) {
+        for (const swap of this.getSwaps()) {
+            if (swap.status !== SwapStatus.OPEN || swap.timeout > nowSecs) {
+                continue;
+            }
+            if (!this.delegates.has(swap.initiator)) {
+                if (!swap.expiryNotified) {
+                    // Without a delegate the initiator has to cancel it themselves
+                    swap.expiryNotified = true;
+                    this.notify(swap.initiator, "swap_expired", swap);
+                }
+                continue;
+            }
+            if (!this.inFlight.has(swap.key) && (!swap.retryAt || swap.retryAt <= nowSecs)) {
+                await this.cancelExpired(swap, nowSecs);
+            }
+        }
+    }
+
+    async cancelExpired(swap, nowSecs) {
+        this.inFlight.add(swap.key);
+        try {
+            // Re-read first: the participant may have completed it before the deadline
+            const current = await this.readSwap(swap);
+            if (current.completed || current.cancelled) {
+                this.settle(swap, current.completed ? SwapStatus.COMPLETED : SwapStatus.CANCELLED);
+                return this.recordOutcome(swap, { status: "skipped", reason: swap.status });
+            }
+            if (current.timeout > nowSecs) {
+                return this.recordOutcome(swap, { status: "skipped", reason: "not_expired" });
+            }
+
+            this.logger.info("Cancelling expired swap", { swap: swap.key });
+            const result = await this.submitCancel(swap);
+            if (result.success) {
+                this.settle(swap, SwapStatus.CANCELLED);
+                this.notify(swap.initiator, "swap_auto_cancelled", swap, { txHash: result.hash });
+                return this.recordOutcome(swap, { status: "cancelled", txHash: result.hash });
+            }
+
+            swap.retryAt = nowSecs + this.retryDelaySecs;
+            this.persist();
+            return this.recordOutcome(swap, { status: "failed", error: result.vm_status, txHash: result.hash });
+        } catch (error) {
+            swap.retryAt = nowSecs + this.retryDelaySecs;
+            this.persist();
+            return this.recordOutcome(swap, { status: "failed", error: error.message });
+        } finally {
+            this.inFlight.delete(swap.key);
+        }
+    }
+
+    async submitCancel(swap) {
+        const signer = this.delegates.get(swap.initiator);
+        const transaction = await this.aptosClient.transaction.build.simple({
+            sender: signer.accountAddress,
+            data: {
+                function: `${this.functionPrefix}::cancel_swap`,
+                typeArguments: [swap.tokenX, swap.tokenY],
+                functionArguments: [swap.swapId]
+            }
+        });
+
+        const pending = await this.aptosClient.signAndSubmitTransaction({ signer, transaction });
+
+        return this.aptosClient.waitForTransaction({
+            transactionHash: pending.hash,
+            options: { checkSuccess: false }
+        });
+    }
+
+    notify(address, type, swap, extra = {}) {
+        const notification = {
+            id: this.nextNotificationId++,
+            address,
+            type,
+            swap: this.describe(swap),
+            at: Date.now(),
+            ...extra
+        };
+        const inbox = this.notifications.get(address) || [];
+        inbox.push(notification);
+        if (inbox.length > this.maxNotifications) {
+            inbox.splice(0, inbox.length - this.maxNotifications);
+        }
+        this.notifications.set(address, inbox);
+        this.persist();
+        this.onNotify?.(notification);
+        return notification;
+    }
+
+    recordOutcome(swap, outcome) {
+        const entry = { swap: swap.key, initiator: swap.initiator, swapId: swap.swapId, at: Date.now(), ...outcome };
+        this.outcomes.push(entry);
+        if (this.outcomes.length > this.maxOutcomes) {
+            this.outcomes.splice(0, this.outcomes.length - this.maxOutcomes);
+        }
+        this.persist();
+
+        this.logger[outcome.status === "failed" ? "warn" : "info"]("Swap cancel attempt recorded", { swap: swap.key, status: outcome.status, reason: outcome.reason });
+        return entry;
+    }
+
+    /** Public view of a swap; open swaps past their timeout read as expired. */
+    describe(swap) {
+        const expired = swap.status === SwapStatus.OPEN && this.chainNowSecs !== null && swap.timeout <= this.chainNowSecs;
+        return {
+            key: swap.key,
+            swapId: swap.swapId,
+            initiator: swap.initiator,
+            participant: swap.participant,
+            amountX: swap.amountX,
+            amountY: swap.amountY,
+            tokenX: swap.tokenX,
+            tokenY: swap.tokenY,
+            timeout: swap.timeout,
+            status: expired ? SwapStatus.EXPIRED : swap.status,
+            autoCancel: this.delegates.has(swap.initiator)
+        };
+    }
+
+    getSwaps() {
+        return Array.from(this.swaps.values());
+    }
+
+    /**
+     * Swaps offered to (`role: "participant"`) or by (`role: "initiator"`)
+     * `address`, newest timeout first. Without a role, both.
+     */
+    listSwaps({ address, role, status } = {}) {
+        const normalized = normalizeAddress(address);
+        return this.getSwaps()
+            .filter(swap =>
+                (role !== "participant" && swap.initiator === normalized) ||
+                (role !== "initiator" && swap.participant === normalized))
+            .map(swap => this.describe(swap))
+            .filter(swap => !status || swap.status === status)
+            .sort((a, b) => b.timeout - a.timeout);
+    }
+
+    /** Notifications for `address` with an id above `after`, oldest first. */
+    getNotifications(address, { after = 0 } = {}) {
+        return (this.notifications.get(normalizeAddress(address)) || []).filter(notification => notification.id > after);
+    }
+
+    getOutcomes() {
+        return [...this.outcomes];
+    }
+
+    stop() {
+        this.logger.info("Stopping swap watcher");
+        this.isRunning = false;
+        clearTimeout(this.timer);
+    }
+}
+
+SwapWatcher.SwapStatus = SwapStatus;
+
+module.exports = SwapWatcher;
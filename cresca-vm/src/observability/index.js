@@ -0,0 +1,7 @@
+// Cresca VM Observability
+// Structured logging and Prometheus metrics.
+
+const logging = require("./logger");
+const metrics = require("./metrics");
+
+module.exports = { ...logging, ...metrics };
@@ -0,0 +1,103 @@
+// Cresca VM Logger
+// One JSON object per line: time, level, msg, the logger's bindings, the
+// active log context and the call's fields. The context carries correlation
+// ids (transaction hash, execution id, intent type) into everything an
+// execution logs, including keepers and adapters called from it.
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = "info";
+
+const context = new AsyncLocalStorage();
+
+/** Run `fn` with `fields` added to every log line it produces. */
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.retryable !== undefined ? { retryable: error.retryable } : {}),
+        stack: error.stack
+    };
+}
+
+function replaceValue(key, value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    return value instanceof Error ? serializeError(value) : value;
+}
+
+// warn and error go to stderr, so supervisors that split the streams keep them apart
+function defaultSink(level, line) {
+    if (LEVELS[level] >= LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+class Logger {
+    constructor({ level = DEFAULT_LEVEL, bindings = {}, sink = defaultSink } = {}) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level "${level}"; use one of ${Object.keys(LEVELS).join(", ")}`);
+        }
+        this.level = level;
+        this.bindings = bindings;
+        this.sink = sink;
+    }
+
+    /** A logger that adds `bindings` (e.g. { component: "monitor" }) to each line. */
+    child(bindings) {
+        return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings }, sink: this.sink });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.bindings,
+            ...context.getStore(),
+            ...fields
+        };
+        this.sink(level, JSON.stringify(entry, replaceValue));
+    }
+
+    debug(msg, fields) {
+        this.log("debug", msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log("info", msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log("warn", msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log("error", msg, fields);
+    }
+}
+
+/** Root logger configured from LOG_LEVEL (debug, info, warn, error, silent). */
+function createLogger(env = process.env, options = {}) {
+    return new Logger({ level: env.LOG_LEVEL || DEFAULT_LEVEL, ...options });
+}
+
+const logger = createLogger();
+
+module.exports = { Logger, LEVELS, createLogger, logger, withLogContext, serializeError };
@@ -0,0 +1,209 @@
+// Cresca VM Metrics
+// A small Prometheus registry (counters, gauges, histograms with labels)
+// rendered in the text exposition format for GET /metrics, and the VM's own
+// metric set. Gauges can be read at scrape time from a collect callback.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? "" : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN";
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    labelsOf(labels = {}) {
+        const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`${this.name} has no label ${unknown.join(", ")}`);
+        }
+        return Object.fromEntries(this.labelNames.filter(name => labels[name] !== undefined).map(name => [name, labels[name]]));
+    }
+
+    seriesFor(labels, create) {
+        const resolved = this.labelsOf(labels);
+        const key = JSON.stringify(resolved);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: resolved, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super("counter", name, help, labelNames);
+    }
+
+    inc(labels, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`${this.name} can only go up`);
+        }
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    get(labels) {
+        return this.series.get(JSON.stringify(this.labelsOf(labels)))?.value || 0;
+    }
+
+    render() {
+        return [...this.header(), ...Array.from(this.series.values()).map(series =>
+            `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)];
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * `collect` is called on every scrape and returns a number, null (no
+     * sample), or a list of { labels, value }.
+     */
+    constructor(name, help, labelNames, collect) {
+        super("gauge", name, help, labelNames);
+        this.collect = collect || null;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        let samples = Array.from(this.series.values());
+        if (this.collect) {
+            const collected = this.collect();
+            samples = collected === null || collected === undefined ? []
+                : Array.isArray(collected) ? collected.map(sample => ({ labels: this.labelsOf(sample.labels), value: sample.value }))
+                    : [{ labels: {}, value: collected }];
+        }
+        return [...this.header(), ...samples.map(sample =>
+            `${this.name}${formatLabels(sample.labels)} ${formatValue(Number(sample.value))}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super("histogram", name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /** Start a timer; calling the result records the elapsed seconds. */
+    startTimer(labels) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /** Prometheus text exposition format (version 0.0.4). */
+    render() {
+        return Array.from(this.metrics.values()).flatMap(metric => metric.render()).join("\n") + "\n";
+    }
+}
+
+MetricsRegistry.CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * The VM's metrics. Counters and histograms are fed by the monitor and VM;
+ * watchMonitor/watchQueue add gauges read from them at scrape time.
+ */
+function createVmMetrics(registry = new MetricsRegistry()) {
+    return {
+        registry,
+        pollErrors: registry.counter("cresca_monitor_poll_errors_total", "Monitor poll failures by source", ["source"]),
+        queuedEvents: registry.counter("cresca_monitor_queued_events_total", "Events queued for VM execution by source", ["source"]),
+        executions: registry.counter("cresca_vm_executions_total", "VM executions by intent type and outcome", ["intent_type", "outcome"]),
+        executionSeconds: registry.histogram("cresca_vm_execution_duration_seconds", "VM execution latency by intent type and outcome", ["intent_type", "outcome"]),
+        rollbacks: registry.counter("cresca_vm_rollbacks_total", "Saga rollbacks by result", ["result"]),
+
+        watchMonitor(monitor) {
+            registry.gauge("cresca_monitor_ledger_version", "Latest ledger version seen by the monitor", [], () => monitor.ledgerVersion);
+            registry.gauge("cresca_monitor_last_processed_version", "Highest ledger version the monitor has queued", [], () => monitor.lastProcessedVersion);
+            registry.gauge("cresca_monitor_lag_versions", "Ledger version minus the version the least synced source has read up to", [], () => monitor.getLag());
+            registry.gauge("cresca_monitor_state", "1 for the monitor's current state", ["state"], () =>
+                Object.values(monitor.constructor.MonitorState).map(state => ({ labels: { state }, value: monitor.state === state ? 1 : 0 })));
+            return this;
+        },
+
+        watchQueue(queue) {
+            registry.gauge("cresca_queue_depth", "Execution queue jobs by status", ["status"], () =>
+                ["pending", "in_flight", "dead"].map(status => ({ labels: { status }, value: queue.list({ status, limit: Infinity }).length })));
+            return this;
+        }
+    };
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, createVmMetrics, DEFAULT_BUCKETS };
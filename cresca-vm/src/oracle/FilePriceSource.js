@@ -0,0 +1,23 @@
+// Cresca VM File Price Source
+// Reads quotes from a local JSON file on every fetch. Used for tests and as a
+// manual override: quotes without a timestamp age with the file's mtime.
+
+const fs = require("fs");
+const PriceSource = require("./PriceSource");
+
+class FilePriceSource extends PriceSource {
+    constructor(config) {
+        super(config.name || `file:${config.filePath}`);
+        this.filePath = config.filePath;
+    }
+
+    async fetchQuotes(assets) {
+        const [raw, stat] = await Promise.all([
+            fs.promises.readFile(this.filePath, "utf8"),
+            fs.promises.stat(this.filePath)
+        ]);
+        return PriceSource.parsePayload(JSON.parse(raw), assets, Math.floor(stat.mtimeMs / 1000));
+    }
+}
+
+module.exports = FilePriceSource;
@@ -0,0 +1,32 @@
+// Cresca VM HTTP Price Source
+// Fetches quotes from an HTTP endpoint. The response is read in the shared
+// payload format unless `select` maps it from the provider's own shape.
+
+const PriceSource = require("./PriceSource");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class HttpPriceSource extends PriceSource {
+    constructor(config) {
+        super(config.name || config.url);
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.select = config.select || (body => body);
+        this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.fetch = config.fetch || globalThis.fetch;
+    }
+
+    async fetchQuotes(assets) {
+        const response = await this.fetch(this.url, {
+            headers: { accept: "application/json", ...this.headers },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.name}: HTTP ${response.status}`);
+        }
+        const payload = this.select(await response.json(), assets);
+        return PriceSource.parsePayload(payload, assets, Math.floor(Date.now() / 1000));
+    }
+}
+
+module.exports = HttpPriceSource;
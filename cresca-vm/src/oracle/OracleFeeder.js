@@ -0,0 +1,296 @@
+// Cresca VM Oracle Feeder
+// Pulls prices from every configured source, takes the per-asset median and
+// pushes update_oracle to the bucket module when a price has moved past the
+// deviation threshold or the heartbeat is due. Raises alerts when sources
+// cannot cover the basket, a push fails, or the on-chain update goes stale.
+
+const { BucketClient, BASKETS } = require("../../../sdk/bucket");
+const { toUnits, median, deviationBps, fundingRateBps } = require("./priceMath");
+const { logger } = require("../observability/logger");
+
+const DEFAULT_TICK_MS = 30000;
+const DEFAULT_DECIMALS = 2;
+const DEFAULT_DEVIATION_BPS = 50;
+const DEFAULT_HEARTBEAT_SECS = 3600;
+const DEFAULT_MAX_QUOTE_AGE_SECS = 300;
+const DEFAULT_MAX_HISTORY = 100;
+
+// The original module: update_oracle(prices, funding_rates) writes the
+// signer's own oracle and there are no views to read it back
+const PER_OWNER_MODULE = "bucket_protocol";
+
+const AlertKind = {
+    STALE_ORACLE: "stale_oracle",
+    INSUFFICIENT_SOURCES: "insufficient_sources",
+    PUSH_FAILED: "push_failed",
+    READ_FAILED: "read_failed"
+};
+
+class OracleFeeder {
+    constructor(config) {
+        this.aptosClient = config.aptosClient;
+        this.feederAccount = config.feederAccount;
+        this.moduleName = config.moduleName || "bucket_protocol";
+        this.client = config.client || new BucketClient({
+            aptosClient: config.aptosClient,
+            address: config.bucketAddress,
+            moduleName: this.moduleName,
+            protocolAddress: config.protocolAddress
+        });
+        // Prices are pushed in basket order, so the asset list must match the
+        // module's. A per-owner basket stores asset addresses, not symbols.
+        this.assets = config.assets || BASKETS[this.moduleName]?.assets;
+        if (!this.assets) {
+            throw new Error(`No basket assets known for ${this.moduleName}; pass assets`);
+        }
+        this.sources = config.sources || [];
+        this.minSources = config.minSources || 1;
+        this.decimals = config.decimals ?? DEFAULT_DECIMALS;
+        this.deviationBps = BigInt(config.deviationBps ?? DEFAULT_DEVIATION_BPS);
+        this.heartbeatSecs = config.heartbeatSecs || DEFAULT_HEARTBEAT_SECS;
+        this.maxAgeSecs = config.maxAgeSecs || this.heartbeatSecs * 2;
+        this.maxQuoteAgeSecs = config.maxQuoteAgeSecs || DEFAULT_MAX_QUOTE_AGE_SECS;
+        this.perOwner = this.moduleName === PER_OWNER_MODULE;
+        // Only the per-owner module takes funding rates; the multi-user ones take prices alone
+        this.pushFundingRates = config.pushFundingRates ?? this.perOwner;
+        this.funding = config.funding || {};
+        this.tickMs = config.tickMs || DEFAULT_TICK_MS;
+        this.maxHistory = config.maxHistory || DEFAULT_MAX_HISTORY;
+        this.onAlert = config.onAlert || null;
+        this.logger = config.logger || logger.child({ component: "oracle" });
+
+        this.alerts = new Map();
+        this.history = [];
+        this.lastRound = null;
+        this.lastPush = null;
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    async chainNowSecs() {
+        // Staleness is judged against on-chain time, like the contract's own timestamp
+        const ledgerInfo = await this.aptosClient.getLedgerInfo();
+        return Math.floor(Number(ledgerInfo.ledger_timestamp) / 1000000);
+    }
+
+    /**
+     * What the module holds now. The per-owner module has no views and only
+     * the feeder's own account can write its oracle, so the last push is the
+     * on-chain state; until one lands `lastUpdate` is null. View failures
+     * propagate.
+     */
+    async readOnChain() {
+        if (this.perOwner) {
+            return { prices: this.lastPush?.prices || [], lastUpdate: this.lastPush?.timestamp ?? null };
+        }
+        const [prices, lastUpdate] = await Promise.all([
+            this.client.getOraclePrices(),
+            this.client.getLastOracleUpdate()
+        ]);
+        return { prices, lastUpdate };
+    }
+
+    /**
+     * Fetch every source and take the median per asset. Quotes older than
+     * `maxQuoteAgeSecs` and sources that fail are left out.
+     */
+    async aggregate(nowSecs) {
+        const results = await Promise.allSettled(this.sources.map(source => source.fetchQuotes(this.assets)));
+        const sources = {};
+        const perAsset = new Map(this.assets.map(asset => [asset, { prices: [], marks: [] }]));
+
+        results.forEach((result, i) => {
+            const name = this.sources[i].name;
+            if (result.status === "rejected") {
+                sources[name] = { status: "failed", error: result.reason.message };
+                this.logger.warn("Price source failed", { source: name, error: result.reason });
+                return;
+            }
+            let used = 0;
+            for (const [asset, quote] of Object.entries(result.value)) {
+                const bucket = perAsset.get(asset);
+                if (!bucket || !Number.isFinite(quote.timestamp) || nowSecs - quote.timestamp > this.maxQuoteAgeSecs) {
+                    continue;
+                }
+                try {
+                    const price = toUnits(quote.price, this.decimals);
+                    const mark = quote.markPrice === null || quote.markPrice === undefined ? null : toUnits(quote.markPrice, this.decimals);
+                    bucket.prices.push(price);
+                    if (mark !== null) {
+                        bucket.marks.push(mark);
+                    }
+                    used++;
+                } catch (error) {
+                    this.logger.warn("Price source sent a bad quote", { source: name, asset, error });
+                }
+            }
+            sources[name] = { status: used > 0 ? "ok" : "stale", quotes: used };
+        });
+
+        const prices = [];
+        const fundingRates = [];
+        const missing = [];
+        for (const asset of this.assets) {
+            const { prices: quotes, marks } = perAsset.get(asset);
+            if (quotes.length < this.minSources) {
+                missing.push(asset);
+                continue;
+            }
+            const indexPrice = median(quotes);
+            prices.push(indexPrice);
+            fundingRates.push(fundingRateBps({ indexPrice, markPrice: median(marks), ...this.funding }));
+        }
+        return { prices, fundingRates, missing, sources };
+    }
+
+    /** Why the aggregated prices should be pushed now, or null. */
+    pushReason(prices, onChain, nowSecs) {
+        if (onChain.prices.length !== prices.length) {
+            return { reason: "initial" };
+        }
+        if (onChain.lastUpdate === null || nowSecs - onChain.lastUpdate >= this.heartbeatSecs) {
+            return { reason: "heartbeat" };
+        }
+        const deviations = prices.map((price, i) => ({ asset: this.assets[i], bps: deviationBps(price, onChain.prices[i]) }));
+        const moved = deviations.filter(deviation => deviation.bps === null || deviation.bps >= this.deviationBps);
+        return moved.length > 0 ? { reason: "deviation", deviations: moved } : null;
+    }
+
+    /**
+     * One feeder round: check on-chain staleness, aggregate sources and push
+     * if a threshold is crossed.
+     */
+    async round() {
+        const nowSecs = await this.chainNowSecs();
+        let onChain;
+        try {
+            onChain = await this.readOnChain();
+        } catch (error) {
+            // Without the on-chain state there is nothing to compare against or judge staleness by
+            this.raise(AlertKind.READ_FAILED, { error: error.message });
+            return this.record({ status: "failed", reason: "read_failed", error: error.message });
+        }
+        this.resolve(AlertKind.READ_FAILED);
+        this.checkStaleness(onChain.lastUpdate, nowSecs);
+
+        const aggregated = await this.aggregate(nowSecs);
+        this.lastRound = { at: nowSecs, ...aggregated };
+        if (aggregated.missing.length > 0) {
+            this.raise(AlertKind.INSUFFICIENT_SOURCES, { missing: aggregated.missing, minSources: this.minSources, sources: aggregated.sources });
+            return this.record({ status: "skipped", reason: "insufficient_sources", missing: aggregated.missing });
+        }
+        this.resolve(AlertKind.INSUFFICIENT_SOURCES);
+
+        const decision = this.pushReason(aggregated.prices, onChain, nowSecs);
+        if (!decision) {
+            return this.record({ status: "skipped", reason: "within_thresholds" });
+        }
+        return this.push(aggregated, decision, nowSecs);
+    }
+
+    async push({ prices, fundingRates }, decision, nowSecs) {
+        this.logger.info("Pushing oracle prices", { reason: decision.reason, prices: Object.fromEntries(this.assets.map((asset, i) => [asset, prices[i]])) });
+        try {
+            const data = this.client.buildUpdateOracle({ prices, fundingRates: this.pushFundingRates ? fundingRates : undefined });
+            const result = await this.client.submit(this.feederAccount, data);
+            if (!result.success) {
+                this.raise(AlertKind.PUSH_FAILED, { error: result.vm_status, txHash: result.hash });
+                return this.record({ status: "failed", ...decision, error: result.vm_status, txHash: result.hash });
+            }
+            this.lastPush = { timestamp: nowSecs, prices, fundingRates, txHash: result.hash };
+            this.resolve(AlertKind.PUSH_FAILED);
+            this.resolve(AlertKind.STALE_ORACLE);
+            return this.record({ status: "pushed", ...decision, prices, fundingRates, txHash: result.hash });
+        } catch (error) {
+            this.raise(AlertKind.PUSH_FAILED, { error: error.message });
+            return this.record({ status: "failed", ...decision, error: error.message });
+        }
+    }
+
+    checkStaleness(lastUpdate, nowSecs) {
+        if (lastUpdate === null) {
+            // No known update is as good as a stale one
+            this.raise(AlertKind.STALE_ORACLE, { lastUpdate, ageSecs: null, maxAgeSecs: this.maxAgeSecs });
+            return;
+        }
+        const ageSecs = nowSecs - lastUpdate;
+        if (ageSecs > this.maxAgeSecs) {
+            this.raise(AlertKind.STALE_ORACLE, { lastUpdate, ageSecs, maxAgeSecs: this.maxAgeSecs });
+        } else {
+            this.resolve(AlertKind.STALE_ORACLE);
+        }
+    }
+
+    /** Raise an alert once; later rounds only refresh its details. */
+    raise(kind, details) {
+        const existing = this.alerts.get(kind);
+        const alert = { kind, since: existing?.since || Date.now(), ...details };
+        this.alerts.set(kind, alert);
+        if (!existing) {
+            this.logger.error("Oracle alert raised", { kind, ...details });
+            this.onAlert?.({ status: "raised", ...alert });
+        }
+    }
+
+    resolve(kind) {
+        const alert = this.alerts.get(kind);
+        if (alert) {
+            this.alerts.delete(kind);
+            this.logger.info("Oracle alert resolved", { kind });
+            this.onAlert?.({ status: "resolved", ...alert, resolvedAt: Date.now() });
+        }
+    }
+
+    record(outcome) {
+        const entry = { at: Date.now(), ...outcome };
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.splice(0, this.history.length - this.maxHistory);
+        }
+        return entry;
+    }
+
+    start() {
+        this.logger.info("Starting oracle feeder", { sources: this.sources.length, assets: this.assets });
+        this.isRunning = true;
+        this.scheduleTick(0);
+    }
+
+    scheduleTick(delayMs = this.tickMs) {
+        if (!this.isRunning) {
+            return;
+        }
+        this.timer = setTimeout(async () => {
+            try {
+                await this.round();
+            } catch (error) {
+                this.logger.error("Oracle feeder round failed", { error });
+            }
+            this.scheduleTick();
+        }, delayMs);
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            assets: this.assets,
+            lastRound: this.lastRound,
+            lastPush: this.lastPush,
+            alerts: Array.from(this.alerts.values())
+        };
+    }
+
+    getHistory() {
+        return [...this.history];
+    }
+
+    stop() {
+        this.logger.info("Stopping oracle feeder");
+        this.isRunning = false;
+        clearTimeout(this.timer);
+    }
+}
+
+OracleFeeder.AlertKind = AlertKind;
+
+module.exports = OracleFeeder;
@@ -0,0 +1,46 @@
+// Cresca VM Price Source
+// Common interface for the oracle feeder's price inputs. Sources quote
+// human-readable USD prices (decimal strings or numbers); the feeder scales
+// them to the contract's integer units.
+
+class PriceSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Quotes for `assets` (symbols such as "BTC"), resolving to
+     * { [asset]: { price, markPrice, timestamp } }. `markPrice` is the perp
+     * market price used for funding and may be null; `timestamp` is unix
+     * seconds. Assets the source does not quote are left out.
+     */
+    async fetchQuotes(assets) {
+        throw new Error(`${this.name}: fetchQuotes not implemented`);
+    }
+
+    /**
+     * Read the shared payload format:
+     * { timestamp, prices: { BTC: "60000.12" }, marks: { BTC: "60010" } }.
+     * `fallbackTimestamp` applies when the payload has none.
+     */
+    static parsePayload(payload, assets, fallbackTimestamp) {
+        if (!payload || typeof payload.prices !== "object") {
+            throw new Error("price payload has no prices object");
+        }
+        const timestamp = payload.timestamp !== undefined ? Number(payload.timestamp) : fallbackTimestamp;
+        const quotes = {};
+        for (const asset of assets) {
+            if (payload.prices[asset] === undefined || payload.prices[asset] === null) {
+                continue;
+            }
+            quotes[asset] = {
+                price: payload.prices[asset],
+                markPrice: payload.marks?.[asset] ?? null,
+                timestamp
+            };
+        }
+        return quotes;
+    }
+}
+
+module.exports = PriceSource;
@@ -0,0 +1,21 @@
+// Cresca VM Oracle
+// Price sources and the feeder that pushes them to the bucket modules.
+
+const PriceSource = require("./PriceSource");
+const FilePriceSource = require("./FilePriceSource");
+const HttpPriceSource = require("./HttpPriceSource");
+const OracleFeeder = require("./OracleFeeder");
+
+/**
+ * Sources from a comma-separated list (ORACLE_SOURCES): http(s) URLs become
+ * HTTP sources, anything else is read as a JSON file path.
+ */
+function createPriceSources(list = "") {
+    return list.split(",").map(spec => spec.trim()).filter(Boolean).map(spec =>
+        /^https?:\/\//.test(spec)
+            ? new HttpPriceSource({ url: spec })
+            : new FilePriceSource({ filePath: spec })
+    );
+}
+
+module.exports = { PriceSource, FilePriceSource, HttpPriceSource, OracleFeeder, createPriceSources };
@@ -0,0 +1,60 @@
+// Cresca VM Oracle Price Math
+// Scaling, aggregation and funding helpers for the oracle feeder. Everything
+// past `toUnits` is BigInt in the contract's price units.
+
+const BPS = 10000n;
+
+/**
+ * Scale a decimal price ("60000.12", 60000.12) to an integer with
+ * `decimals` places. Extra digits are truncated.
+ */
+function toUnits(value, decimals) {
+    const text = typeof value === "number" ? value.toFixed(decimals) : String(value).trim();
+    const match = /^(\d+)(?:\.(\d*))?$/.exec(text);
+    if (!match) {
+        throw new Error(`invalid price "${value}"`);
+    }
+    const fraction = (match[2] || "").slice(0, decimals).padEnd(decimals, "0");
+    return BigInt(match[1] + fraction);
+}
+
+/** Median of BigInt values; the lower-middle average for an even count. */
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+/** |next - current| / current in basis points, or null when current is 0. */
+function deviationBps(next, current) {
+    if (current === 0n) {
+        return null;
+    }
+    const diff = next > current ? next - current : current - next;
+    return (diff * BPS) / current;
+}
+
+function clamp(value, low, high) {
+    return value < low ? low : value > high ? high : value;
+}
+
+/**
+ * Funding rate per interval in signed basis points, positive when longs pay:
+ * premium + clamp(interest - premium, ±clampBps), capped at ±capBps. The
+ * premium is (mark - index) / index; without a mark price it is zero and the
+ * rate is the interest component alone.
+ */
+function fundingRateBps({ indexPrice, markPrice, interestBps = 1n, clampBps = 5n, capBps = 75n }) {
+    const interest = BigInt(interestBps);
+    const band = BigInt(clampBps);
+    const cap = BigInt(capBps);
+    const premium = markPrice === null || markPrice === undefined || indexPrice === 0n
+        ? 0n
+        : ((markPrice - indexPrice) * BPS) / indexPrice;
+    return clamp(premium + clamp(interest - premium, -band, band), -cap, cap);
+}
+
+module.exports = { toUnits, median, deviationBps, fundingRateBps };
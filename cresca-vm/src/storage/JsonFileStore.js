@@ -0,0 +1,45 @@
+// Cresca VM JSON File Store
+// Crash-safe JSON persistence shared by the queue, keepers and journals.
+// Writes go to a temp file that is fsynced and renamed over the target, so a
+// crash never leaves a torn file. BigInt values round-trip.
+
+const fs = require("fs");
+const path = require("path");
+
+function replaceBigInt(key, value) {
+    return typeof value === "bigint" ? { $bigint: value.toString() } : value;
+}
+
+function reviveBigInt(key, value) {
+    return value && typeof value === "object" && typeof value.$bigint === "string"
+        ? BigInt(value.$bigint)
+        : value;
+}
+
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    read(fallback = null) {
+        if (!fs.existsSync(this.filePath)) {
+            return fallback;
+        }
+        return JSON.parse(fs.readFileSync(this.filePath, "utf8"), reviveBigInt);
+    }
+
+    write(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        const fd = fs.openSync(tmpPath, "w");
+        try {
+            fs.writeSync(fd, JSON.stringify(state, replaceBigInt, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = JsonFileStore;
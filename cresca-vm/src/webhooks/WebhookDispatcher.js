@@ -0,0 +1,434 @@
+// Cresca VM Webhook Dispatcher
+// Turns Payment escrow events into merchant webhooks. Each event gets a stable
+// id (transaction hash and event index) and one delivery per matching
+// endpoint; deliveries are signed, retried with exponential backoff and kept
+// in a log they can be replayed from.
+
+const crypto = require("crypto");
+const path = require("path");
+const JsonFileStore = require("../storage/JsonFileStore");
+const { normalizeAddress } = require("../events/fieldTypes");
+const { logger } = require("../observability/logger");
+const { EVENT_ID_HEADER, TIMESTAMP_HEADER, SIGNATURE_HEADER, createSecret, signPayload } = require("./signing");
+
+const DEFAULT_TICK_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 5000;
+const DEFAULT_MAX_DELAY_MS = 3600000;
+const DEFAULT_MAX_DELIVERIES = 5000;
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MAX_ORDERS = 10000;
+
+const EventType = {
+    PAYMENT_RECEIVED: "payment.received",
+    PAYMENT_REFUNDED: "payment.refunded",
+    WITHDRAWAL: "merchant.withdrawal"
+};
+
+const DeliveryStatus = {
+    PENDING: "pending",
+    DELIVERED: "delivered",
+    FAILED: "failed"
+};
+
+function stringifyBigInt(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+class WebhookDispatcher {
+    constructor(config = {}) {
+        this.moduleName = config.moduleName || "Payment";
+        this.fetch = config.fetch || globalThis.fetch;
+        this.tickMs = config.tickMs || DEFAULT_TICK_MS;
+        this.timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.baseDelayMs = config.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+        this.maxDelayMs = config.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+        this.maxDeliveries = config.maxDeliveries || DEFAULT_MAX_DELIVERIES;
+        this.concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+        this.maxOrders = config.maxOrders || DEFAULT_MAX_ORDERS;
+        this.store = new JsonFileStore(config.filePath || path.join(process.cwd(), "data", "webhooks.json"));
+        this.logger = config.logger || logger.child({ component: "webhooks" });
+
+        this.endpoints = new Map();
+        // RefundEvent names no merchant, so refunds are attributed through the order's payment.
+        // An order is dropped once refunded in full, and the oldest past `maxOrders`
+        this.orders = new Map();
+        this.deliveries = [];
+        // Endpoints with a lane running; a tick skips them
+        this.busyEndpoints = new Set();
+        this.isRunning = false;
+        this.timer = null;
+    }
+
+    load() {
+        const state = this.store.read({ endpoints: [], orders: [], deliveries: [] });
+        this.endpoints = new Map(state.endpoints.map(endpoint => [endpoint.id, endpoint]));
+        // Older files kept only the merchant per order
+        this.orders = new Map(state.orders.map(([orderId, order]) =>
+            [orderId, typeof order === "string" ? { merchant: order, amount: null, refunded: 0n } : order]));
+        this.deliveries = state.deliveries;
+        return this;
+    }
+
+    persist() {
+        this.store.write({
+            endpoints: Array.from(this.endpoints.values()),
+            orders: Array.from(this.orders.entries()),
+            deliveries: this.deliveries
+        });
+    }
+
+    /**
+     * Register a merchant endpoint. `events` limits it to some event types;
+     * the secret is generated unless given and is only returned here.
+     */
+    registerEndpoint({ merchant, url, secret, events }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`invalid webhook url "${url}"`);
+        }
+        if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+            throw new Error(`webhook url must be http(s), got ${parsed.protocol}`);
+        }
+        const unknown = (events || []).filter(type => !Object.values(EventType).includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`unknown webhook event types: ${unknown.join(", ")}`);
+        }
+
+        const endpoint = {
+            id: crypto.randomUUID(),
+            merchant: normalizeAddress(merchant),
+            url: parsed.toString(),
+            secret: secret || createSecret(),
+            events: events && events.length > 0 ? events : null,
+            createdAt: Date.now()
+        };
+        this.endpoints.set(endpoint.id, endpoint);
+        this.persist();
+        this.logger.info("Registered webhook", { endpoint: endpoint.id, merchant: endpoint.merchant });
+        return { ...endpoint };
+    }
+
+    removeEndpoint(id) {
+        const removed = this.endpoints.delete(id);
+        if (removed) {
+            this.persist();
+        }
+        return removed;
+    }
+
+    listEndpoints({ merchant } = {}) {
+        const owner = merchant ? normalizeAddress(merchant) : null;
+        return Array.from(this.endpoints.values())
+            .filter(endpoint => !owner || endpoint.merchant === owner)
+            .map(({ secret, ...endpoint }) => endpoint);
+    }
+
+    /**
+     * Turn a decoded Payment event into a webhook event, or null for events
+     * that are not for merchants.
+     */
+    toWebhookEvent(intent) {
+        const decoded = intent.event?.decoded;
+        if (decoded?.status !== "decoded" || decoded.module !== this.moduleName) {
+            return null;
+        }
+        const data = decoded.data;
+        const transaction = { hash: intent.transaction?.hash || null, version: intent.transaction?.version || null };
+        const id = `${transaction.hash}:${intent.event.eventIndex ?? 0}`;
+
+        switch (decoded.name) {
+            case "PaymentEvent":
+                this.trackOrder(data.order_id.hex, data.merchant, data.amount);
+                return {
+                    id,
+                    type: EventType.PAYMENT_RECEIVED,
+                    merchant: data.merchant,
+                    data: { orderId: data.order_id.hex, orderRef: data.order_id.utf8, payer: data.payer, merchant: data.merchant, amount: data.amount, timestamp: data.timestamp },
+                    transaction
+                };
+            case "RefundEvent":
+                return {
+                    id,
+                    type: EventType.PAYMENT_REFUNDED,
+                    merchant: this.settleRefund(data.order_id.hex, data.amount),
+                    data: { orderId: data.order_id.hex, orderRef: data.order_id.utf8, recipient: data.recipient, amount: data.amount, timestamp: data.timestamp },
+                    transaction
+                };
+            case "WithdrawalEvent":
+                return {
+                    id,
+                    type: EventType.WITHDRAWAL,
+                    merchant: data.merchant,
+                    data: { merchant: data.merchant, amount: data.amount, timestamp: data.timestamp },
+                    transaction
+                };
+            default:
+                return null;
+        }
+    }
+
+    trackOrder(orderId, merchant, amount) {
+        const order = this.orders.get(orderId);
+        if (order) {
+            // Seen before (a replayed event): keep the refunds already counted
+            order.merchant = merchant;
+            order.amount = BigInt(amount);
+            return;
+        }
+        this.orders.set(orderId, { merchant, amount: BigInt(amount), refunded: 0n });
+        for (const oldest of this.orders.keys()) {
+            if (this.orders.size <= this.maxOrders) {
+                break;
+            }
+            this.orders.delete(oldest);
+        }
+    }
+
+    /**
+     * Count a refund against its order and return the order's merchant. The
+     * contract does not cap refunds at the paid amount, so a full refund is
+     * the last event the order can get and it is forgotten.
+     */
+    settleRefund(orderId, amount) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            return null;
+        }
+        order.refunded += BigInt(amount);
+        if (order.amount !== null && order.refunded >= order.amount) {
+            this.orders.delete(orderId);
+        }
+        return order.merchant;
+    }
+
+    /**
+     * Queue a delivery of the intent's event to each of the merchant's
+     * endpoints. Seeing the same event again queues nothing new.
+     */
+    publish(intent) {
+        const event = this.toWebhookEvent(intent);
+        if (!event) {
+            return { status: "ignored" };
+        }
+        if (!event.merchant) {
+            this.persist();
+            this.logger.warn("Webhook event has no known merchant", { eventId: event.id, type: event.type });
+            return { status: "unattributed", eventId: event.id, type: event.type };
+        }
+
+        const body = JSON.stringify({ id: event.id, type: event.type, data: event.data, transaction: event.transaction }, stringifyBigInt);
+        let queued = 0;
+        for (const endpoint of this.endpoints.values()) {
+            if (endpoint.merchant !== event.merchant || (endpoint.events && !endpoint.events.includes(event.type))) {
+                continue;
+            }
+            if (this.deliveries.some(delivery => delivery.eventId === event.id && delivery.endpointId === endpoint.id)) {
+                continue;
+            }
+            this.deliveries.push({
+                id: crypto.randomUUID(),
+                eventId: event.id,
+                type: event.type,
+                merchant: event.merchant,
+                endpointId: endpoint.id,
+                body,
+                status: DeliveryStatus.PENDING,
+                retries: 0,
+                nextAttemptAt: Date.now(),
+                attempts: [],
+                createdAt: Date.now()
+            });
+            queued++;
+        }
+        this.trim();
+        this.persist();
+        return { status: "queued", eventId: event.id, type: event.type, deliveries: queued };
+    }
+
+    /**
+     * Start a lane for every endpoint whose next pending delivery is due,
+     * up to `concurrency` lanes at once. A lane sends its endpoint's events in
+     * order and stops at the first one that is not delivered, so later events
+     * wait out its backoff. Endpoints with a lane still running are skipped,
+     * so a slow endpoint only holds up its own deliveries. Resolves with the
+     * number of attempts once the lanes started here finish.
+     */
+    async deliverDue(now = Date.now()) {
+        const byEndpoint = new Map();
+        for (const delivery of this.deliveries) {
+            if (delivery.status === DeliveryStatus.PENDING) {
+                byEndpoint.set(delivery.endpointId, [...(byEndpoint.get(delivery.endpointId) || []), delivery]);
+            }
+        }
+
+        const lanes = [];
+        for (const [endpointId, pending] of byEndpoint) {
+            if (this.busyEndpoints.size >= this.concurrency) {
+                break;
+            }
+            if (!this.busyEndpoints.has(endpointId) && pending[0].nextAttemptAt <= now) {
+                lanes.push(this.runLane(endpointId, pending, now));
+            }
+        }
+        const attempts = await Promise.all(lanes);
+        return attempts.reduce((sum, count) => sum + count, 0);
+    }
+
+    async runLane(endpointId, pending, now) {
+        this.busyEndpoints.add(endpointId);
+        let attempts = 0;
+        try {
+            for (const delivery of pending) {
+                if (delivery.nextAttemptAt > now) {
+                    break;
+                }
+                const result = await this.attempt(delivery);
+                attempts++;
+                // A removed endpoint fails all of its deliveries at once
+                if (result.status !== DeliveryStatus.DELIVERED && this.endpoints.has(endpointId)) {
+                    break;
+                }
+            }
+        } finally {
+            this.busyEndpoints.delete(endpointId);
+        }
+        return attempts;
+    }
+
+    async attempt(delivery) {
+        const endpoint = this.endpoints.get(delivery.endpointId);
+        if (!endpoint) {
+            delivery.status = DeliveryStatus.FAILED;
+            delivery.attempts.push({ at: Date.now(), error: "endpoint removed" });
+            this.persist();
+            return delivery;
+        }
+
+        const startedAt = Date.now();
+        const timestamp = Math.floor(startedAt / 1000);
+        let outcome;
+        try {
+            const response = await this.fetch(endpoint.url, {
+                method: "POST",
+                headers: {
+                    "content-type": "application/json",
+                    [EVENT_ID_HEADER]: delivery.eventId,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: signPayload(endpoint.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            outcome = response.ok ? { statusCode: response.status } : { statusCode: response.status, error: `HTTP ${response.status}` };
+        } catch (error) {
+            outcome = { error: error.message };
+        }
+
+        delivery.attempts.push({ at: startedAt, durationMs: Date.now() - startedAt, ...outcome });
+        delivery.retries++;
+        if (!outcome.error) {
+            delivery.status = DeliveryStatus.DELIVERED;
+            delivery.deliveredAt = Date.now();
+            this.logger.info("Webhook delivered", { eventId: delivery.eventId, endpoint: endpoint.id, url: endpoint.url });
+        } else if (delivery.retries >= this.maxAttempts) {
+            delivery.status = DeliveryStatus.FAILED;
+            this.logger.error("Webhook delivery failed", { eventId: delivery.eventId, endpoint: endpoint.id, url: endpoint.url, attempts: delivery.retries, error: outcome.error });
+        } else {
+            delivery.nextAttemptAt = Date.now() + this.backoffMs(delivery.retries);
+        }
+        this.persist();
+        return delivery;
+    }
+
+    /** Delay before retry `n` (1-based): base * 2^(n-1), capped. */
+    backoffMs(n) {
+        return Math.min(this.baseDelayMs * 2 ** (n - 1), this.maxDelayMs);
+    }
+
+    /**
+     * Send logged deliveries again, by delivery id or for every endpoint an
+     * event went to. The body and event id are unchanged, so receivers can
+     * deduplicate; the retry budget starts over.
+     */
+    replay({ deliveryId, eventId }) {
+        const deliveries = this.deliveries.filter(delivery =>
+            (deliveryId && delivery.id === deliveryId) || (eventId && delivery.eventId === eventId));
+        for (const delivery of deliveries) {
+            delivery.status = DeliveryStatus.PENDING;
+            delivery.retries = 0;
+            delivery.nextAttemptAt = Date.now();
+            delivery.replayedAt = Date.now();
+        }
+        if (deliveries.length > 0) {
+            this.persist();
+        }
+        return deliveries.map(delivery => this.describe(delivery));
+    }
+
+    /** Drop the oldest finished deliveries past `maxDeliveries`; pending ones stay. */
+    trim() {
+        let excess = this.deliveries.length - this.maxDeliveries;
+        if (excess <= 0) {
+            return;
+        }
+        this.deliveries = this.deliveries.filter(delivery => {
+            if (excess > 0 && delivery.status !== DeliveryStatus.PENDING) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    describe(delivery) {
+        const endpoint = this.endpoints.get(delivery.endpointId);
+        return { ...delivery, url: endpoint?.url || null };
+    }
+
+    /** Delivery log, newest first. */
+    listDeliveries({ merchant, eventId, status, limit = 100 } = {}) {
+        const owner = merchant ? normalizeAddress(merchant) : null;
+        return this.deliveries
+            .filter(delivery =>
+                (!owner || delivery.merchant === owner) &&
+                (!eventId || delivery.eventId === eventId) &&
+                (!status || delivery.status === status))
+            .slice(-limit)
+            .reverse()
+            .map(delivery => this.describe(delivery));
+    }
+
+    start() {
+        this.logger.info("Starting webhook dispatcher", { endpoints: this.endpoints.size });
+        this.isRunning = true;
+        this.scheduleTick();
+    }
+
+    scheduleTick() {
+        if (!this.isRunning) {
+            return;
+        }
+        // Lanes are not awaited: new events go out on the next tick while a
+        // slow endpoint is still sending
+        this.timer = setTimeout(() => {
+            this.deliverDue().catch(error => this.logger.error("Webhook dispatcher tick failed", { error }));
+            this.scheduleTick();
+        }, this.tickMs);
+    }
+
+    stop() {
+        this.logger.info("Stopping webhook dispatcher");
+        this.isRunning = false;
+        clearTimeout(this.timer);
+    }
+}
+
+WebhookDispatcher.EventType = EventType;
+WebhookDispatcher.DeliveryStatus = DeliveryStatus;
+
+module.exports = WebhookDispatcher;
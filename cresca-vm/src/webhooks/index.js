@@ -0,0 +1,7 @@
+// Cresca VM Webhooks
+// Merchant webhook delivery and the signing helpers receivers verify with.
+
+const WebhookDispatcher = require("./WebhookDispatcher");
+const signing = require("./signing");
+
+module.exports = { WebhookDispatcher, ...signing };
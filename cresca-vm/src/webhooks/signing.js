@@ -0,0 +1,42 @@
+// Cresca VM Webhook Signing
+// HMAC-SHA256 over "<timestamp>.<body>" with the endpoint's secret. Receivers
+// recompute it from the raw body and reject old timestamps to stop replays.
+
+const crypto = require("crypto");
+
+const EVENT_ID_HEADER = "x-cresca-event-id";
+const TIMESTAMP_HEADER = "x-cresca-timestamp";
+const SIGNATURE_HEADER = "x-cresca-signature";
+const DEFAULT_TOLERANCE_SECS = 300;
+
+function createSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/** Signature header value for `body` sent at `timestamp` (unix seconds). */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `v1=${digest}`;
+}
+
+/**
+ * Check a received signature. `body` must be the raw request body, not a
+ * re-serialized object.
+ */
+function verifySignature({ secret, body, timestamp, signature, toleranceSecs = DEFAULT_TOLERANCE_SECS, nowSecs = Math.floor(Date.now() / 1000) }) {
+    if (!signature || !Number.isFinite(Number(timestamp)) || Math.abs(nowSecs - Number(timestamp)) > toleranceSecs) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+    EVENT_ID_HEADER,
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    createSecret,
+    signPayload,
+    verifySignature
+};
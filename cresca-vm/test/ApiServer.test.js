@@ -0,0 +1,152 @@
+const ApiServer = require("../src/api/ApiServer");
+const RpcError = require("../src/api/RpcError");
+const { createVmMethods } = require("../src/api/vmMethods");
+const CrescaVM = require("../src/CrescaVM");
+const ExecutionQueue = require("../src/ExecutionQueue");
+const ExecutionJournal = require("../src/ExecutionJournal");
+const { IntentType } = require("../src/intents/crescaRoutes");
+const FakeChainAdapter = require("./support/FakeChainAdapter");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const PAYER = "0x" + "a".repeat(64);
+
+function paymentArgs(args = {}) {
+    return { sourceChain: "aptos", destinationChain: "solana", recipient: "sol-recipient", amount: "100", depositTx: "deposit-1", ...args };
+}
+
+async function setup() {
+    const queue = new ExecutionQueue({ filePath: tmpPath("queue.json"), baseDelayMs: 1 }).load();
+    const journal = new ExecutionJournal({ filePath: tmpPath("journal.json") }).load();
+    const chains = {
+        aptos: new FakeChainAdapter("aptos", { escrow: new FakeChainAdapter("aptos-escrow") }),
+        solana: new FakeChainAdapter("solana")
+    };
+    const vm = new CrescaVM({ queue, journal, chains, addresses: {}, logger: silentLogger });
+    const monitor = { state: "running", getStatus: () => ({ state: "running" }) };
+    const api = new ApiServer({ port: 0, apiKeys: ["secret"], logger: silentLogger, methods: createVmMethods({ vm, queue, monitor, journal }) });
+    await api.start();
+
+    const post = (body, headers = { "x-api-key": "secret" }) => fetch(`http://127.0.0.1:${api.port}/rpc`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    const call = async (method, params) => (await post({ jsonrpc: "2.0", id: 1, method, params })).json();
+    return { api, vm, queue, journal, chains, post, call };
+}
+
+let server;
+
+afterEach(async () => {
+    await server?.api.stop();
+    server = null;
+});
+
+test("rejects RPC calls without a valid API key, but not the health probes", async () => {
+    server = await setup();
+    const body = { jsonrpc: "2.0", id: 1, method: "getHealth" };
+
+    for (const headers of [{}, { "x-api-key": "wrong" }, { authorization: "Bearer wrong" }]) {
+        const response = await server.post(body, headers);
+        expect(response.status).toBe(401);
+        expect((await response.json()).error).toEqual({ code: RpcError.Code.UNAUTHORIZED, message: "Invalid or missing API key" });
+    }
+    expect((await server.post(body, { authorization: "Bearer secret" })).status).toBe(200);
+    expect((await fetch(`http://127.0.0.1:${server.api.port}/health`)).status).toBe(200);
+});
+
+test("answers malformed requests with JSON-RPC errors", async () => {
+    server = await setup();
+
+    const parse = await server.post("{not json");
+    expect(parse.status).toBe(400);
+    expect((await parse.json()).error.code).toBe(RpcError.Code.PARSE_ERROR);
+
+    expect((await server.call("noSuchMethod", {})).error.code).toBe(RpcError.Code.METHOD_NOT_FOUND);
+    expect((await server.call("getState", { key: "x", extra: 1 })).error).toMatchObject({
+        code: RpcError.Code.INVALID_PARAMS,
+        data: ["params.extra is not allowed"]
+    });
+
+    const batch = await (await server.post([{ jsonrpc: "2.0", id: "a", method: "getHealth" }, { id: "b" }])).json();
+    expect(batch.map(response => [response.id, Boolean(response.result), response.error?.code])).toEqual([
+        ["a", true, undefined],
+        ["b", false, RpcError.Code.INVALID_REQUEST]
+    ]);
+});
+
+describe("submitIntent", () => {
+    test("validates the intent type and payment arguments", async () => {
+        server = await setup();
+
+        expect((await server.call("submitIntent", { type: "SWAP", args: paymentArgs() })).error.code).toBe(RpcError.Code.INVALID_PARAMS);
+        expect((await server.call("submitIntent", {
+            type: IntentType.CROSS_CHAIN_PAYMENT,
+            args: paymentArgs({ amount: "-5", depositTx: undefined, refundAddress: PAYER })
+        })).error.data).toEqual([
+            "params.args.refundAddress is not allowed",
+            "params.args.amount must be a positive integer string",
+            "params.args.depositTx is required"
+        ]);
+        expect((await server.call("submitIntent", { type: IntentType.CROSS_CHAIN_PAYMENT, args: paymentArgs({ destinationChain: "base" }) })).error)
+            .toEqual({ code: RpcError.Code.INVALID_PARAMS, message: "params.args.destinationChain: no chain adapter for base" });
+        expect(server.queue.size()).toBe(0);
+    });
+
+    test("resubmitting with the same id enqueues once", async () => {
+        server = await setup();
+        const params = { type: IntentType.CROSS_CHAIN_PAYMENT, args: paymentArgs(), id: "order-1", sender: PAYER };
+
+        expect((await server.call("submitIntent", params)).result).toEqual({ id: "order-1", txHash: "intent:order-1", duplicate: false });
+        expect((await server.call("submitIntent", params)).result).toEqual({ id: "order-1", txHash: "intent:order-1", duplicate: true });
+        expect(server.queue.list()).toEqual([expect.objectContaining({ id: "intent:order-1:0" })]);
+
+        const generated = (await server.call("submitIntent", { ...params, id: undefined, args: paymentArgs({ depositTx: "deposit-2" }) })).result;
+        expect(generated.id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(server.queue.size()).toBe(2);
+    });
+
+    test("refuses a deposit that already funds another payment or was refunded", async () => {
+        server = await setup();
+        server.journal.claim(CrescaVM.depositKey("aptos", "deposit-1"), "intent:order-1:0");
+        server.journal.claim(CrescaVM.depositKey("aptos", "deposit-2"), "intent:order-2:0");
+        server.journal.retireClaim(CrescaVM.depositKey("aptos", "deposit-2"), "refunded");
+
+        const submit = (id, depositTx) => server.call("submitIntent", { type: IntentType.CROSS_CHAIN_PAYMENT, args: paymentArgs({ depositTx }), id });
+
+        expect((await submit("order-1", "deposit-1")).result).toMatchObject({ duplicate: false });
+        expect((await submit("order-3", "deposit-1")).error).toEqual({ code: RpcError.Code.CONFLICT, message: "Deposit deposit-1 already funds intent:order-1:0" });
+        expect((await submit("order-2", "deposit-2")).error).toEqual({ code: RpcError.Code.CONFLICT, message: "Deposit deposit-2 was refunded" });
+    });
+});
+
+describe("getIntentStatus", () => {
+    test("reports the job, its journal entry and the payment once it has run", async () => {
+        server = await setup();
+        server.chains.aptos.deposit("deposit-1", { from: PAYER });
+        await server.call("submitIntent", { type: IntentType.CROSS_CHAIN_PAYMENT, args: paymentArgs(), id: "order-1" });
+
+        const queued = (await server.call("getIntentStatus", { id: "order-1" })).result;
+        expect(queued).toMatchObject({ txHash: "intent:order-1", jobs: [{ id: "intent:order-1:0", status: "pending", journal: null }], payment: null });
+
+        await server.vm.processNext();
+
+        const done = (await server.call("getIntentStatus", { txHash: "intent:order-1" })).result;
+        expect(done.jobs).toEqual([expect.objectContaining({
+            status: "completed",
+            state: expect.objectContaining({ status: "completed" }),
+            journal: expect.objectContaining({ status: "completed" })
+        })]);
+        // BigInt amounts come back as decimal strings
+        expect(done.payment).toMatchObject({ status: "completed", legs: { deposit: { from: PAYER, amount: "100" }, payout: { txId: "solana-tx-1" } } });
+    });
+
+    test("needs exactly one of id or txHash, and an intent that exists", async () => {
+        server = await setup();
+
+        expect((await server.call("getIntentStatus", {})).error).toEqual({ code: RpcError.Code.INVALID_PARAMS, message: "Pass exactly one of id or txHash" });
+        expect((await server.call("getIntentStatus", { id: "a", txHash: "b" })).error.code).toBe(RpcError.Code.INVALID_PARAMS);
+        expect((await server.call("getIntentStatus", { id: "missing" })).error).toEqual({ code: RpcError.Code.NOT_FOUND, message: "No executions found for intent:missing" });
+    });
+});
@@ -0,0 +1,286 @@
+const BlockMonitor = require("../src/BlockMonitor");
+const ExecutionQueue = require("../src/ExecutionQueue");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const { createCrescaRouter } = require("../src/intents/crescaRoutes");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CALENDAR = "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606";
+const ADMIN = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const PAYER = "0x" + "a".repeat(64);
+
+function scheduleEvent(scheduleId) {
+    return {
+        guid: { creation_number: "3", account_address: CALENDAR },
+        sequence_number: String(scheduleId),
+        type: `${CALENDAR}::calendar_payments::ScheduleCreatedEvent`,
+        data: { schedule_id: String(scheduleId), payer: PAYER }
+    };
+}
+
+function createMonitor(node, options = {}) {
+    const queue = options.queue || new ExecutionQueue({ filePath: tmpPath("queue.json") }).load();
+    const monitor = new BlockMonitor({
+        aptosClient: node,
+        contractAddresses: [CALENDAR],
+        queue,
+        pageSize: 2,
+        logger: silentLogger,
+        ...options
+    });
+    return { monitor, queue };
+}
+
+describe("cursoring", () => {
+    test("pages through an account and goes live once a short page comes back", async () => {
+        const node = new FakeAptosNode();
+        for (let i = 0; i < 3; i++) {
+            node.addTransaction(CALENDAR, { events: [scheduleEvent(i)] });
+        }
+        const { monitor, queue } = createMonitor(node);
+        monitor.isRunning = true;
+
+        await monitor.pollAll();
+        expect(monitor.state).toBe(BlockMonitor.MonitorState.CATCHING_UP);
+        expect(queue.size()).toBe(2);
+
+        await monitor.pollAll();
+        expect(monitor.state).toBe(BlockMonitor.MonitorState.LIVE);
+        expect(queue.size()).toBe(3);
+        expect(queue.getCursor(`account:${CALENDAR}`)).toEqual({ sequenceNumber: 2, version: "3" });
+    });
+
+    test("resumes from the persisted cursor after a restart", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(CALENDAR, { events: [scheduleEvent(0)] });
+        const filePath = tmpPath("queue.json");
+        const first = createMonitor(node, { queue: new ExecutionQueue({ filePath }).load() });
+        await first.monitor.pollAll();
+
+        node.addTransaction(CALENDAR, { events: [scheduleEvent(1)] });
+        const second = createMonitor(node, { queue: new ExecutionQueue({ filePath }).load() });
+        second.monitor.restoreCursors();
+        await second.monitor.pollAll();
+
+        expect(second.queue.size()).toBe(2);
+        expect(second.monitor.sources[0].sequenceNumber).toBe(1);
+    });
+
+    test("backfills a sequence gap the node skipped", async () => {
+        const node = new FakeAptosNode();
+        for (let i = 0; i < 3; i++) {
+            node.addTransaction(CALENDAR, { events: [scheduleEvent(i)] });
+        }
+        node.hide(CALENDAR, "1", 1);
+        const { monitor, queue } = createMonitor(node, { pageSize: 10 });
+
+        await monitor.pollAll();
+
+        expect(queue.size()).toBe(3);
+        expect(monitor.sources[0].gaps).toEqual([expect.objectContaining({ from: 1, to: 1, status: "backfilled" })]);
+    });
+
+    test("skips a gap that cannot be backfilled and records it", async () => {
+        const node = new FakeAptosNode();
+        for (let i = 0; i < 3; i++) {
+            node.addTransaction(CALENDAR, { events: [scheduleEvent(i)] });
+        }
+        node.hide(CALENDAR, "1");
+        const { monitor, queue } = createMonitor(node, { pageSize: 10, maxGapRetries: 2 });
+
+        await monitor.pollAll();
+
+        expect(queue.size()).toBe(2);
+        expect(monitor.sources[0].gaps[0]).toMatchObject({ from: 1, to: 1, status: "unrecoverable", attempts: 2 });
+        expect(monitor.sources[0].sequenceNumber).toBe(2);
+    });
+
+    test("a failing source does not advance its cursor or stop the others", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(CALENDAR, { events: [scheduleEvent(0)] });
+        node.addTransaction(ADMIN, {});
+        node.failNext("getAccountTransactions", new Error("503 Service Unavailable"));
+        const { monitor } = createMonitor(node, { contractAddresses: [CALENDAR, ADMIN] });
+
+        await monitor.pollAll();
+
+        expect(monitor.sources[0]).toMatchObject({ sequenceNumber: -1, caughtUp: false, lastError: "503 Service Unavailable" });
+        expect(monitor.sources[1].sequenceNumber).toBe(0);
+        expect(monitor.state).toBe(BlockMonitor.MonitorState.CATCHING_UP);
+    });
+
+    test("stays live while watched accounts are idle and the ledger moves on", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(CALENDAR, { events: [scheduleEvent(0)] });
+        const { monitor } = createMonitor(node, { contractAddresses: [CALENDAR] });
+
+        await monitor.pollAll();
+        for (let i = 0; i < 2000; i++) {
+            node.addTransaction(PAYER);
+        }
+        const progressed = await monitor.pollAll();
+
+        expect(progressed).toBe(false);
+        expect(monitor.state).toBe(BlockMonitor.MonitorState.LIVE);
+        expect(monitor.getLag()).toBe(0);
+        expect(monitor.lastProcessedVersion).toBe(1);
+    });
+
+    test("backs off a failing source on its own and sleeps between idle rounds", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(ADMIN, {});
+        const { monitor } = createMonitor(node, { contractAddresses: [CALENDAR, ADMIN], errorBackoffMs: 1000, pollIntervalMs: 5000 });
+        node.failNext("getAccountTransactions", new Error("404 resource not found"));
+
+        await monitor.pollAll(0);
+        expect(monitor.sources[0]).toMatchObject({ failures: 1, retryAt: 1000 });
+        expect(monitor.sources[1].sequenceNumber).toBe(0);
+
+        // Still backing off: only the healthy source is polled
+        const calls = node.calls.length;
+        expect(await monitor.pollAll(500)).toBe(false);
+        expect(node.calls.filter(call => call === "getAccountTransactions")).toHaveLength(3);
+        expect(node.calls.length - calls).toBe(2);
+
+        node.failNext("getAccountTransactions", new Error("404 resource not found"));
+        await monitor.pollAll(1000);
+        expect(monitor.sources[0]).toMatchObject({ failures: 2, retryAt: 3000 });
+        expect(monitor.getLag()).toBe(1);
+
+        // The loop waits the poll interval after a round with no progress
+        const sleeps = [];
+        monitor.isRunning = true;
+        monitor.sleep = async ms => {
+            sleeps.push(ms);
+            monitor.stop();
+        };
+        await monitor.monitor();
+        expect(sleeps).toEqual([5000]);
+    });
+
+    test("pause stops polling until resumed", async () => {
+        const node = new FakeAptosNode();
+        const { monitor } = createMonitor(node, { pollIntervalMs: 1 });
+        monitor.isRunning = true;
+
+        expect(monitor.pause()).toBe(true);
+        expect(monitor.getStatus().state).toBe(BlockMonitor.MonitorState.PAUSED);
+        expect(monitor.pause()).toBe(false);
+        expect(monitor.resume()).toBe(true);
+        expect(monitor.state).toBe(BlockMonitor.MonitorState.CATCHING_UP);
+    });
+});
+
+describe("event extraction", () => {
+    test("queues only events from watched contracts, decoded", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(CALENDAR, {
+            events: [
+                { guid: { creation_number: "0", account_address: "0x1" }, sequence_number: "0", type: "0x1::coin::WithdrawEvent", data: { amount: "5" } },
+                scheduleEvent(7)
+            ]
+        });
+        const { monitor, queue } = createMonitor(node);
+
+        await monitor.pollAll();
+
+        const [job] = queue.list();
+        expect(queue.size()).toBe(1);
+        expect(job.eventIndex).toBe(1);
+        expect(job.event.decoded).toMatchObject({
+            status: "decoded",
+            module: "calendar_payments",
+            name: "ScheduleCreatedEvent",
+            data: { schedule_id: 7n, payer: PAYER }
+        });
+    });
+
+    test("flags malformed events instead of dropping them", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(CALENDAR, {
+            events: [{ ...scheduleEvent(0), data: { schedule_id: "not-a-number", payer: PAYER } }]
+        });
+        const { monitor, queue } = createMonitor(node);
+
+        await monitor.pollAll();
+
+        expect(queue.list()[0].event.decoded.status).toBe("invalid");
+        expect(monitor.decoder.getReport().invalid).toEqual({ "calendar_payments::ScheduleCreatedEvent": 1 });
+    });
+
+    test("runs the entry function's intent for the first Cresca event of a transaction only", async () => {
+        const node = new FakeAptosNode();
+        node.addTransaction(PAYER, {
+            payload: {
+                type: "entry_function_payload",
+                function: `${CALENDAR}::calendar_payments::create_schedule`,
+                type_arguments: [],
+                arguments: [ADMIN, "1000", "1700000000", "86400", "2"]
+            },
+            events: [
+                { guid: { creation_number: "0", account_address: PAYER }, sequence_number: "0", type: "0x1::coin::WithdrawEvent", data: { amount: "1000" } },
+                scheduleEvent(4),
+                { ...scheduleEvent(5), type: `${CALENDAR}::calendar_payments::ScheduleCancelledEvent` }
+            ]
+        });
+        const { monitor, queue } = createMonitor(node, { contractAddresses: [PAYER, CALENDAR] });
+        const router = createCrescaRouter({ calendarAddress: CALENDAR });
+
+        await monitor.pollAll();
+
+        const intents = queue.list().map(job => router.route(job.transaction, job.event));
+        expect(queue.list().map(job => [job.eventIndex, job.event.primary])).toEqual([[1, true], [2, false]]);
+        expect(intents.map(intent => [intent.source, intent.action])).toEqual([["function", "create"], ["event", "cancelled"]]);
+    });
+
+    test("loads the transaction for events read from a handle", async () => {
+        const node = new FakeAptosNode();
+        const eventHandle = `${ADMIN}::dex_aggregator::EventStore`;
+        node.addHandleEvent(ADMIN, eventHandle, "aggregated_swap_events", {
+            type: `${ADMIN}::dex_aggregator::AggregatedSwapEvent`,
+            data: {
+                user: PAYER,
+                token_in: "0x1::aptos_coin::AptosCoin",
+                token_out: `${ADMIN}::coins::USDC`,
+                amount_in: "100",
+                amount_out: "99",
+                dex_used: "liquidswap",
+                dex_id: 1,
+                price_impact_bps: "3",
+                aggregator_fee: "1",
+                timestamp: "1700000000"
+            }
+        });
+        const { monitor, queue } = createMonitor(node, {
+            contractAddresses: [],
+            eventHandles: [{ address: ADMIN, eventHandle, field: "aggregated_swap_events" }]
+        });
+
+        await monitor.pollAll();
+
+        const [job] = queue.list();
+        expect(job.txHash).toMatch(/^0x/);
+        expect(job.event.decoded).toMatchObject({ status: "decoded", name: "AggregatedSwapEvent", data: { amount_out: 99n } });
+        expect(node.calls).toContain("getTransactionByVersion");
+    });
+
+    test("keys handle events the transaction does not list by their handle sequence number", async () => {
+        const node = new FakeAptosNode();
+        const eventHandle = `${CALENDAR}::calendar_payments::EventStore`;
+        const first = node.addHandleEvent(CALENDAR, eventHandle, "schedule_created_events", scheduleEvent(0));
+        node.addHandleEvent(CALENDAR, eventHandle, "schedule_created_events", { ...scheduleEvent(1), version: first.version });
+        const tx = node.byVersion.get(first.version);
+        // The node reports the first event's address in short form and leaves out the second
+        tx.events = [{ ...tx.events[0], guid: { ...tx.events[0].guid, account_address: "0xf9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606" } }];
+        const { monitor, queue } = createMonitor(node, {
+            contractAddresses: [],
+            eventHandles: [{ address: CALENDAR, eventHandle, field: "schedule_created_events" }]
+        });
+
+        await monitor.pollAll();
+
+        const source = `events:${CALENDAR}:${eventHandle}:schedule_created_events`;
+        expect(queue.list().map(job => job.eventIndex)).toEqual([0, `${source}#1`]);
+        expect(queue.list().map(job => job.event.primary)).toEqual([true, false]);
+    });
+});
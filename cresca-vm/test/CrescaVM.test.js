@@ -0,0 +1,310 @@
+const CrescaVM = require("../src/CrescaVM");
+const ExecutionQueue = require("../src/ExecutionQueue");
+const ExecutionJournal = require("../src/ExecutionJournal");
+const ScheduleKeeper = require("../src/keepers/ScheduleKeeper");
+const { IntentType } = require("../src/intents/crescaRoutes");
+const { createCrescaDecoder } = require("../src/events/EventDecoder");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const FakeChainAdapter = require("./support/FakeChainAdapter");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CALENDAR = "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606";
+const PAYER = "0x" + "a".repeat(64);
+const RECIPIENT = "0x" + "b".repeat(64);
+
+// Deposits the payer's funds on the source fake, then builds the intent spending them
+function paymentIntent(chains, id, args = {}, deposit = {}) {
+    const depositTx = chains.aptos.deposit(`deposit-${id}`, { from: PAYER, ...deposit });
+    return {
+        transaction: { hash: `intent:${id}`, sender: PAYER },
+        event: {
+            eventIndex: 0,
+            intent: {
+                type: IntentType.CROSS_CHAIN_PAYMENT,
+                args: { sourceChain: "aptos", destinationChain: "solana", recipient: "sol-recipient", amount: "100", depositTx, ...args }
+            }
+        }
+    };
+}
+
+function createVM(options = {}) {
+    const queue = new ExecutionQueue({ filePath: tmpPath("queue.json"), baseDelayMs: 1 }).load();
+    const journal = options.journal || new ExecutionJournal({ filePath: tmpPath("journal.json") }).load();
+    const escrow = options.escrow || new FakeChainAdapter("aptos-escrow");
+    const chains = options.chains || {
+        aptos: new FakeChainAdapter("aptos", { escrow }),
+        solana: new FakeChainAdapter("solana")
+    };
+    const vm = new CrescaVM({ queue, journal, chains, addresses: { calendarAddress: CALENDAR }, logger: silentLogger, ...options.vm });
+    return { vm, queue, journal, chains, escrow };
+}
+
+describe("execution", () => {
+    test("acks jobs that execute and records the result", async () => {
+        const { vm, queue, chains } = createVM();
+        const { transaction, event } = paymentIntent(chains, "p1");
+        queue.enqueue(transaction, [event]);
+
+        expect(await vm.processNext()).toBe(true);
+
+        expect(queue.getJob("intent:p1:0")).toMatchObject({ status: "completed", result: "success" });
+        expect(vm.getState("job:intent:p1:0")).toMatchObject({
+            status: "completed",
+            result: { status: "success", depositTx: "deposit-p1", payoutTx: "solana-tx-1" }
+        });
+        expect(await vm.processNext()).toBe(false);
+    });
+
+    test("pays out on the destination against the payer's verified deposit", async () => {
+        const { vm, chains } = createVM();
+        const { transaction, event } = paymentIntent(chains, "p2");
+
+        await vm.execute(transaction, event);
+
+        // The VM sends nothing on the source chain; the payer already did
+        expect(chains.aptos.transfers).toEqual([]);
+        expect(chains.solana.transfers).toEqual([{ to: "sol-recipient", amount: 100n, asset: undefined }]);
+        expect(vm.getState("payment:intent:p2")).toMatchObject({
+            status: "completed",
+            legs: { deposit: { status: "verified", from: PAYER, amount: 100n }, payout: { status: "confirmed", fee: 5n } }
+        });
+    });
+
+    test("refuses to pay out without a confirmed deposit of the full amount into escrow", async () => {
+        const { vm, queue, chains } = createVM();
+        const short = paymentIntent(chains, "p4", {}, { amount: 99n });
+        const elsewhere = paymentIntent(chains, "p5", {}, { to: "someone-else" });
+        const pending = paymentIntent(chains, "p6", {}, { confirmed: false });
+        for (const { transaction, event } of [short, elsewhere, pending]) {
+            queue.enqueue(transaction, [event]);
+            await vm.processNext();
+        }
+
+        expect(chains.solana.transfers).toEqual([]);
+        expect(queue.getDeadLetters().map(job => [job.id, job.lastError])).toEqual([
+            ["intent:p4:0", "aptos: deposit deposit-p4 is 99, less than 100"],
+            ["intent:p5:0", "aptos: deposit-p5 is not a deposit of the native asset into escrow aptos-escrow"]
+        ]);
+        // Not confirmed yet: retried until it is
+        expect(queue.getJob("intent:p6:0")).toMatchObject({ status: "pending", lastError: "aptos: deposit deposit-p6 is not confirmed yet" });
+    });
+
+    test("a deposit funds only one payment", async () => {
+        const { vm, chains } = createVM();
+        const first = paymentIntent(chains, "p7");
+        await vm.execute(first.transaction, first.event);
+
+        const second = paymentIntent(chains, "p8", { depositTx: "deposit-p7" });
+        await expect(vm.execute(second.transaction, second.event)).rejects.toThrow("aptos deposit deposit-p7 already funds intent:p7:0");
+        expect(chains.solana.transfers).toHaveLength(1);
+    });
+
+    test("ignores transactions that match no route", async () => {
+        const { vm } = createVM();
+        const result = await vm.execute({ hash: "0x9", payload: { function: "0x1::coin::transfer", arguments: [] } });
+        expect(result).toEqual({ status: "ignored", reason: "no_route" });
+    });
+
+    test("dead-letters intents with malformed arguments without retrying", async () => {
+        const { vm, queue } = createVM();
+        queue.enqueue({
+            hash: "0xbad",
+            sender: PAYER,
+            payload: { function: `${CALENDAR}::calendar_payments::create_schedule`, arguments: ["0x1"] }
+        }, [{ eventIndex: 0 }]);
+
+        await vm.processNext();
+
+        expect(queue.getDeadLetters()).toEqual([expect.objectContaining({ id: "0xbad:0", attempts: 1 })]);
+    });
+
+    test("acks basket trades as ignored when no liquidation keeper is configured", async () => {
+        const BUCKET = "0x" + "c".repeat(64);
+        const { vm, queue } = createVM({ vm: { addresses: { calendarAddress: CALENDAR, bucketAddress: BUCKET } } });
+        queue.enqueue({
+            hash: "0xbasket",
+            sender: PAYER,
+            payload: { function: `${BUCKET}::bucket_defi::open_long`, type_arguments: [], arguments: ["0"] }
+        }, [{ eventIndex: 0 }]);
+
+        await vm.processNext();
+
+        expect(queue.getDeadLetters()).toEqual([]);
+        expect(vm.getState("job:0xbasket:0")).toMatchObject({ result: { status: "ignored", reason: "no_keeper", type: "basket_trade" } });
+    });
+
+    test("retries transient failures with backoff", async () => {
+        const { vm, queue, chains } = createVM();
+        const { transaction, event } = paymentIntent(chains, "p3");
+        // The node has not indexed the deposit yet
+        const deposit = chains.aptos.deposits.get("deposit-p3");
+        chains.aptos.deposits.delete("deposit-p3");
+        queue.enqueue(transaction, [event]);
+
+        await vm.processNext();
+        expect(queue.getJob("intent:p3:0")).toMatchObject({ status: "pending", attempts: 1, lastError: "aptos: deposit deposit-p3 not found" });
+
+        chains.aptos.deposits.set("deposit-p3", deposit);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await vm.processNext();
+        expect(queue.getJob("intent:p3:0").status).toBe("completed");
+    });
+
+    test("hands calendar events to the schedule keeper", async () => {
+        const node = new FakeAptosNode();
+        node.setView(`${CALENDAR}::calendar_payments::get_schedule`, [RECIPIENT, "500", "1700000100", "86400", "3", true]);
+        const scheduleKeeper = new ScheduleKeeper({ aptosClient: node, calendarAddress: CALENDAR, filePath: tmpPath("schedules.json"), logger: silentLogger });
+        const { vm } = createVM({ vm: { scheduleKeeper } });
+
+        const raw = {
+            eventIndex: 0,
+            type: `${CALENDAR}::calendar_payments::ScheduleCreatedEvent`,
+            sequence_number: "0",
+            data: { schedule_id: "1", payer: PAYER }
+        };
+        const result = await vm.execute({ hash: "0x5", sender: PAYER, payload: null }, { ...raw, decoded: createCrescaDecoder({ logger: silentLogger }).decode(raw) });
+
+        expect(result).toMatchObject({ status: "success", action: "created", active: true });
+        expect(scheduleKeeper.getSchedules()).toEqual([expect.objectContaining({ payer: PAYER, amount: "500", remaining: 3 })]);
+    });
+});
+
+describe("rollback", () => {
+    test("refunds the deposit to its sender when the payout fails", async () => {
+        const { vm, journal, chains, escrow } = createVM();
+        chains.solana.failConfirm = true;
+        // A caller-named refund target is ignored: the deposit goes back where it came from
+        const { transaction, event } = paymentIntent(chains, "r1", { refundAddress: RECIPIENT });
+
+        await expect(vm.execute(transaction, event)).rejects.toThrow("solana transfer solana-tx-1 failed");
+
+        expect(escrow.transfers).toEqual([{ to: PAYER, amount: 100n, asset: undefined }]);
+        const entry = journal.get("intent:r1:0");
+        expect(entry.status).toBe(ExecutionJournal.ExecutionStatus.COMPENSATED);
+        expect(entry.steps).toEqual([expect.objectContaining({ name: "deposit", status: "compensated" })]);
+        // The failed payout's progress is cleared so nothing re-confirms it
+        expect(entry.progress).toEqual({ payout: null });
+        expect(vm.getState("payment:intent:r1")).toMatchObject({ status: "refunded", legs: { deposit: { status: "refunded", refundTx: "aptos-escrow-tx-1" } } });
+    });
+
+    test("a refunded deposit cannot fund a fresh attempt", async () => {
+        const { vm, journal, chains, escrow } = createVM();
+        chains.solana.failConfirm = true;
+        const { transaction, event } = paymentIntent(chains, "r2");
+        await expect(vm.execute(transaction, event)).rejects.toThrow();
+
+        chains.solana.failConfirm = false;
+        await expect(vm.execute(transaction, event)).rejects.toThrow("aptos deposit deposit-r2 was refunded");
+
+        const entry = journal.get("intent:r2:0");
+        expect(entry.previousAttempts).toHaveLength(1);
+        expect(chains.solana.transfers).toHaveLength(1);
+        expect(escrow.transfers).toHaveLength(1);
+    });
+
+    test("flags the execution for manual intervention when a compensation fails", async () => {
+        const escrow = new FakeChainAdapter("aptos-escrow", { failSubmit: true });
+        const { vm, journal, chains, queue } = createVM({ escrow });
+        chains.solana.failConfirm = true;
+        const { transaction, event } = paymentIntent(chains, "r3");
+        queue.enqueue(transaction, [event]);
+
+        await vm.processNext();
+
+        expect(journal.list("needs_manual")).toEqual([expect.objectContaining({ id: "intent:r3:0" })]);
+        expect(journal.get("intent:r3:0").steps[0]).toMatchObject({ status: "compensation_failed", compensationError: "aptos-escrow rpc unavailable" });
+
+        // Retrying must not touch the chains again until an operator resolves it
+        await expect(vm.execute(transaction, event)).rejects.toThrow("waiting for manual intervention");
+        expect(chains.solana.transfers).toHaveLength(1);
+        expect(journal.resolve("intent:r3:0", "refunded by hand")).toBe(true);
+    });
+
+    test("resumes an interrupted rollback on setup", async () => {
+        const filePath = tmpPath("journal.json");
+        const crashed = new ExecutionJournal({ filePath }).load();
+        crashed.begin("intent:r4:0", { type: IntentType.CROSS_CHAIN_PAYMENT });
+        crashed.recordStep("intent:r4:0", "deposit", { txId: "deposit-r4" }, {
+            action: "release_escrow",
+            params: { chain: "aptos", to: PAYER, amount: 100n }
+        });
+        crashed.markCompensating("intent:r4:0", new Error("payout failed"));
+
+        const { vm, escrow } = createVM({ journal: new ExecutionJournal({ filePath }).load() });
+        await vm.setup();
+
+        expect(escrow.transfers).toEqual([{ to: PAYER, amount: 100n, asset: undefined }]);
+        expect(new ExecutionJournal({ filePath }).load().get("intent:r4:0").status).toBe("compensated");
+    });
+
+    test("does not compensate a payout whose confirmation timed out, and re-confirms it on retry", async () => {
+        const { vm, journal, chains, escrow, queue } = createVM();
+        chains.solana.confirmError = new Error("timed out waiting for confirmation");
+        const { transaction, event } = paymentIntent(chains, "r6");
+        queue.enqueue(transaction, [event]);
+
+        await vm.processNext();
+
+        expect(escrow.transfers).toHaveLength(0);
+        expect(queue.getJob("intent:r6:0")).toMatchObject({ status: "pending", lastError: expect.stringContaining("unconfirmed") });
+        expect(journal.get("intent:r6:0")).toMatchObject({
+            status: "running",
+            progress: { payout: { status: "submitted", txId: "solana-tx-1", signedTx: { to: "sol-recipient" } } }
+        });
+
+        chains.solana.confirmError = null;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await vm.processNext();
+
+        expect(queue.getJob("intent:r6:0").status).toBe("completed");
+        expect(chains.solana.transfers).toHaveLength(1);
+        expect(journal.get("intent:r6:0").steps.map(step => step.result.txId)).toEqual(["deposit-r6", "solana-tx-1"]);
+    });
+
+    test("re-confirms a leg journaled as submitted before a crash instead of resending it", async () => {
+        const filePath = tmpPath("journal.json");
+        const crashed = new ExecutionJournal({ filePath }).load();
+        crashed.begin("intent:r7:0", { type: IntentType.CROSS_CHAIN_PAYMENT });
+        crashed.recordProgress("intent:r7:0", "payout", { status: "submitted", fee: 5n, txId: "solana-tx-before-crash" });
+
+        const { vm, chains } = createVM({ journal: new ExecutionJournal({ filePath }).load() });
+        const { transaction, event } = paymentIntent(chains, "r7");
+        const result = await vm.execute(transaction, event);
+
+        expect(result).toMatchObject({ depositTx: "deposit-r7", payoutTx: "solana-tx-before-crash" });
+        expect(chains.solana.transfers).toHaveLength(0);
+    });
+
+    test("holds a leg that was signed but maybe never submitted for an operator", async () => {
+        const filePath = tmpPath("journal.json");
+        const crashed = new ExecutionJournal({ filePath }).load();
+        crashed.begin("intent:r8:0", { type: IntentType.CROSS_CHAIN_PAYMENT });
+        crashed.recordStep("intent:r8:0", "deposit", { chain: "aptos", txId: "deposit-r8", status: "verified", from: PAYER, amount: 100n }, {
+            action: "release_escrow",
+            params: { chain: "aptos", to: PAYER, amount: 100n, depositTx: "deposit-r8" }
+        });
+        crashed.recordProgress("intent:r8:0", "payout", { status: "signed", fee: 5n, signedTx: { to: "sol-recipient" } });
+
+        const { vm, chains, escrow } = createVM({ journal: new ExecutionJournal({ filePath }).load() });
+        const { transaction, event } = paymentIntent(chains, "r8");
+        await expect(vm.execute(transaction, event)).rejects.toThrow("may not have been submitted");
+
+        expect(chains.solana.transfers).toHaveLength(0);
+        expect(escrow.transfers).toHaveLength(0);
+        expect(vm.journal.get("intent:r8:0").status).toBe("needs_manual");
+    });
+
+    test("does not re-run steps recorded before a crash", async () => {
+        const { vm, chains } = createVM();
+        const { transaction, event } = paymentIntent(chains, "r5");
+        const saga = vm.beginExecution("intent:r5:0", { type: IntentType.CROSS_CHAIN_PAYMENT });
+        await saga.step("deposit", async () => ({ chain: "aptos", txId: "deposit-earlier", status: "verified" }));
+
+        const result = await vm.execute(transaction, event);
+
+        expect(result).toMatchObject({ depositTx: "deposit-earlier", payoutTx: "solana-tx-1" });
+        expect(chains.aptos.transfers).toHaveLength(0);
+        expect(chains.solana.transfers).toHaveLength(1);
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const ExecutionQueue = require("../src/ExecutionQueue");
+const JsonFileStore = require("../src/storage/JsonFileStore");
+const { tmpPath } = require("./support/tmp");
+
+function transaction(hash) {
+    return { hash, version: "7", sender: "0x1", payload: { function: "0x1::m::f" }, timestamp: "1" };
+}
+
+function event(eventIndex) {
+    return { eventIndex, type: "0x1::m::Event", data: {} };
+}
+
+function createQueue(options = {}) {
+    const clock = { now: 0 };
+    const queue = new ExecutionQueue({
+        filePath: tmpPath("queue.json"),
+        baseDelayMs: 1000,
+        leaseMs: 5000,
+        now: () => clock.now,
+        ...options
+    }).load();
+    return { queue, clock };
+}
+
+const retryable = message => new Error(message);
+
+test("skips events it already holds, finished or dead-lettered", () => {
+    const { queue } = createQueue({ maxAttempts: 1 });
+
+    expect(queue.enqueue(transaction("0xa"), [event(0), event(1)])).toBe(2);
+    expect(queue.enqueue(transaction("0xa"), [event(0), event(1), event(2)])).toBe(1);
+
+    queue.ack(queue.claim().id);
+    queue.nack(queue.claim().id, retryable("boom"));
+    expect(queue.enqueue(transaction("0xa"), [event(0), event(1), event(2)])).toBe(0);
+    expect(queue.size()).toBe(1);
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "completed", result: "success" });
+    expect(queue.getJob("0xa:1")).toMatchObject({ status: "dead", lastError: "boom" });
+});
+
+test("makes a job claimable again once its lease expires", () => {
+    const { queue, clock } = createQueue();
+    queue.enqueue(transaction("0xa"), [event(0)]);
+
+    expect(queue.claim()).toMatchObject({ id: "0xa:0", status: "in_flight", attempts: 1, leaseExpiresAt: 5000 });
+    expect(queue.claim()).toBeNull();
+
+    clock.now = 5000;
+    expect(queue.claim()).toMatchObject({ id: "0xa:0", attempts: 2, leaseExpiresAt: 10000 });
+
+    // A restart releases jobs that were in flight
+    const restarted = new ExecutionQueue({ filePath: queue.filePath, now: () => clock.now }).load();
+    expect(restarted.getJob("0xa:0")).toMatchObject({ status: "pending", leaseExpiresAt: null });
+});
+
+test("backs off retries exponentially up to the cap", () => {
+    const { queue, clock } = createQueue({ maxDelayMs: 3000 });
+    queue.enqueue(transaction("0xa"), [event(0)]);
+
+    queue.nack(queue.claim().id, retryable("503"));
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "pending", nextAttemptAt: 1000, lastError: "503" });
+    expect(queue.claim()).toBeNull();
+
+    clock.now = 1000;
+    queue.nack(queue.claim().id, retryable("503"));
+    expect(queue.getJob("0xa:0").nextAttemptAt).toBe(3000);
+
+    expect(queue.backoff(1)).toBe(1000);
+    expect(queue.backoff(2)).toBe(2000);
+    expect(queue.backoff(5)).toBe(3000);
+});
+
+test("dead-letters after the attempt budget or a non-retryable error", () => {
+    const { queue, clock } = createQueue({ maxAttempts: 2 });
+    queue.enqueue(transaction("0xa"), [event(0), event(1)]);
+
+    const fatal = new Error("bad arguments");
+    fatal.retryable = false;
+    queue.nack(queue.claim().id, fatal);
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "dead", attempts: 1, lastError: "bad arguments" });
+
+    queue.nack(queue.claim().id, retryable("503"));
+    clock.now = 1000;
+    queue.nack(queue.claim().id, retryable("503"));
+
+    expect(queue.size()).toBe(0);
+    expect(queue.getDeadLetters().map(job => [job.id, job.attempts])).toEqual([["0xa:0", 1], ["0xa:1", 2]]);
+    expect(queue.list({ status: "dead" })).toHaveLength(2);
+});
+
+test("retryDeadLetter requeues with a fresh attempt budget, and survives a restart", () => {
+    const { queue, clock } = createQueue({ maxAttempts: 1 });
+    queue.enqueue(transaction("0xa"), [event(0)]);
+    queue.nack(queue.claim().id, retryable("boom"));
+
+    clock.now = 2000;
+    expect(queue.retryDeadLetter("0xa:0")).toBe(true);
+    expect(queue.retryDeadLetter("0xa:0")).toBe(false);
+    expect(queue.getDeadLetters()).toEqual([]);
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "pending", attempts: 0, nextAttemptAt: 2000 });
+    expect(queue.getJob("0xa:0").deadAt).toBeUndefined();
+
+    const restarted = new ExecutionQueue({ filePath: queue.filePath, now: () => clock.now }).load();
+    expect(restarted.claim()).toMatchObject({ id: "0xa:0", attempts: 1 });
+});
+
+test("keeps a bounded window of dead letters whose keys still deduplicate", () => {
+    const { queue } = createQueue({ maxAttempts: 1, deadLetterHistory: 2 });
+    queue.enqueue(transaction("0xa"), [event(0), event(1), event(2)]);
+    for (let i = 0; i < 3; i++) {
+        queue.nack(queue.claim().id, retryable("boom"));
+    }
+
+    expect(queue.getDeadLetters().map(job => job.id)).toEqual(["0xa:1", "0xa:2"]);
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "completed", result: "dead" });
+    expect(queue.enqueue(transaction("0xa"), [event(0)])).toBe(0);
+});
+
+test("writes the cursor with the jobs it produced, and history to its own file", () => {
+    const { queue } = createQueue();
+    const writes = [];
+    const write = queue.store.write.bind(queue.store);
+    queue.store.write = state => {
+        writes.push(state);
+        write(state);
+    };
+
+    queue.enqueue(transaction("0xa"), [event(0)], { key: "account:0x1", value: { sequenceNumber: 4, version: "7" } });
+    expect(writes).toEqual([{
+        cursors: { "account:0x1": { sequenceNumber: 4, version: "7" } },
+        jobs: [expect.objectContaining({ id: "0xa:0" })]
+    }]);
+
+    // Claims touch only the queue file; finishing a job also writes the history
+    const history = JSON.parse(fs.readFileSync(queue.historyStore.filePath, "utf8"));
+    queue.claim();
+    expect(JSON.parse(fs.readFileSync(queue.historyStore.filePath, "utf8"))).toEqual(history);
+    queue.ack("0xa:0");
+    expect(queue.historyStore.read().completed).toEqual([["0xa:0", expect.objectContaining({ status: "success" })]]);
+    expect(queue.store.read()).toEqual({ cursors: { "account:0x1": { sequenceNumber: 4, version: "7" } }, jobs: [] });
+
+    const restarted = new ExecutionQueue({ filePath: queue.filePath }).load();
+    expect(restarted.getCursor("account:0x1")).toEqual({ sequenceNumber: 4, version: "7" });
+    expect(restarted.has("0xa:0")).toBe(true);
+});
+
+test("a job recorded in the history and still queued after a crash counts as finished", () => {
+    const filePath = tmpPath("queue.json");
+    const job = { id: "0xa:0", status: "in_flight", attempts: 1 };
+    new JsonFileStore(filePath).write({
+        cursors: {},
+        jobs: [job],
+        // Older queue files carried the history inline
+        completed: [["0xa:0", { completedAt: 1, status: "success" }]],
+        deadLetters: []
+    });
+
+    const queue = new ExecutionQueue({ filePath }).load();
+
+    expect(queue.size()).toBe(0);
+    expect(queue.getJob("0xa:0")).toMatchObject({ status: "completed" });
+    expect(queue.store.read()).toEqual({ cursors: {}, jobs: [] });
+});
@@ -0,0 +1,91 @@
+const { IntentType, createCrescaRouter } = require("../src/intents/crescaRoutes");
+const { createCrescaDecoder } = require("../src/events/EventDecoder");
+const { silentLogger } = require("./support/logger");
+
+const CALENDAR = "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606";
+const BUCKET = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const PAYER = "0x" + "a".repeat(64);
+const RECIPIENT = "0x" + "b".repeat(64);
+
+const router = createCrescaRouter({ calendarAddress: CALENDAR, bucketAddress: BUCKET });
+
+function entryTx(fn, args, typeArgs = []) {
+    return {
+        hash: "0x1",
+        sender: PAYER,
+        payload: { type: "entry_function_payload", function: fn, arguments: args, type_arguments: typeArgs }
+    };
+}
+
+test("parses calendar create_schedule arguments by schema", () => {
+    const intent = router.route(entryTx(`${CALENDAR}::calendar_payments::create_schedule`, [RECIPIENT, "1000", "1700000000", "86400", "12"]));
+
+    expect(intent).toMatchObject({
+        type: IntentType.SCHEDULED_PAYMENT,
+        action: "create",
+        source: "function",
+        sender: PAYER,
+        args: { recipient: RECIPIENT, amount: 1000n, execute_at: 1700000000n, interval_secs: 86400n, occurrences: 12n }
+    });
+});
+
+test("matches address-less routes under any deployer address", () => {
+    const intent = router.route(entryTx("0xdead::bucket_defi::close_position", ["4"]));
+    expect(intent).toMatchObject({ type: IntentType.BASKET_TRADE, action: "close_position", args: { position_id: 4n } });
+});
+
+test("normalizes the short form of the module address", () => {
+    const short = "0x" + CALENDAR.slice(3);
+    const intent = router.route(entryTx(`${short}::calendar_payments::create_schedule`, [RECIPIENT, "1", "2", "3", "4"]));
+    expect(intent.type).toBe(IntentType.SCHEDULED_PAYMENT);
+});
+
+test("returns null for transactions that are not intents", () => {
+    expect(router.route(entryTx(`${BUCKET}::dex_aggregator::swap_exact_in_best_route`, ["1", "2"]))).toBeNull();
+    expect(router.route({ hash: "0x2", payload: { type: "script_payload" } })).toBeNull();
+});
+
+test("rejects arguments that don't fit the route schema", () => {
+    expect(() => router.route(entryTx(`${CALENDAR}::calendar_payments::create_schedule`, [RECIPIENT])))
+        .toThrow("expects 5 arguments, got 1");
+    expect(() => router.route(entryTx(`${CALENDAR}::calendar_payments::create_schedule`, [RECIPIENT, "-5", "1", "1", "1"])))
+        .toThrow("argument amount");
+});
+
+test("falls back to event routes for decoded events", () => {
+    const decoder = createCrescaDecoder({ logger: silentLogger });
+    const event = {
+        eventIndex: 0,
+        type: `${CALENDAR}::calendar_payments::ScheduleCancelledEvent`,
+        sequence_number: "0",
+        data: { schedule_id: "3", payer: PAYER }
+    };
+    const intent = router.route({ hash: "0x3", sender: PAYER, payload: null }, { ...event, decoded: decoder.decode(event) });
+
+    expect(intent).toMatchObject({ type: IntentType.SCHEDULED_PAYMENT, action: "cancelled", source: "event", args: { schedule_id: 3n } });
+});
+
+test("passes off-chain intents through with their args", () => {
+    const args = { sourceChain: "aptos", destinationChain: "solana", recipient: "r", amount: "10" };
+    const intent = router.route({ hash: "intent:abc", sender: null }, { eventIndex: 0, intent: { type: IntentType.CROSS_CHAIN_PAYMENT, args } });
+
+    expect(intent).toMatchObject({ type: IntentType.CROSS_CHAIN_PAYMENT, source: "offchain", args });
+});
+
+test("routes rebalances from every bucket module and oracle updates only from the multi-user ones", () => {
+    const decoder = createCrescaDecoder({ logger: silentLogger });
+    const bucketEvent = (module, name, data) => {
+        const event = { eventIndex: 0, type: `${BUCKET}::${module}::${name}`, sequence_number: "0", data };
+        return { ...event, decoded: decoder.decode(event) };
+    };
+
+    const rebalanced = bucketEvent("bucket_protocol", "BucketRebalancedEvent", { bucket_id: "2", new_weights: ["50", "50"] });
+    expect(rebalanced.decoded).toMatchObject({ status: "decoded", data: { bucket_id: 2n } });
+    const oracle = bucketEvent("bucket_layer1", "OracleUpdateEvent", { ada_price: "1", avax_price: "2", dot_price: "3", timestamp: "4" });
+    expect(oracle.decoded).toMatchObject({ status: "decoded", data: { dot_price: 3n, timestamp: 4n } });
+    expect(router.route({ hash: "0x4", payload: null }, oracle)).toMatchObject({ action: "oracle_update" });
+
+    const perOwner = bucketEvent("bucket_protocol", "OracleUpdateEvent", { timestamp: "4" });
+    expect(perOwner.decoded.status).toBe("unknown");
+    expect(router.route({ hash: "0x5", payload: null }, perOwner)).toBeNull();
+});
@@ -0,0 +1,144 @@
+const CrescaVM = require("../src/CrescaVM");
+const LiquidationKeeper = require("../src/keepers/LiquidationKeeper");
+const { createCrescaDecoder } = require("../src/events/EventDecoder");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const BUCKET = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const OWNER = "0x" + "a".repeat(64);
+const OTHER = "0x" + "b".repeat(64);
+
+const decoder = createCrescaDecoder({ logger: silentLogger });
+
+function bucketEvent(name, data, eventIndex = 0) {
+    const raw = { eventIndex, type: `${BUCKET}::bucket_defi::${name}`, sequence_number: "0", data };
+    return { ...raw, decoded: decoder.decode(raw) };
+}
+
+function opened(positionId, owner = OWNER) {
+    return bucketEvent("PositionOpenedEvent", {
+        position_id: String(positionId), bucket_id: "0", owner, is_long: true, margin: "100000000", entry_price: "100000"
+    });
+}
+
+function setup(options = {}) {
+    const node = new FakeAptosNode();
+    const positions = new Map();
+    // get_position_details(addr, id) and get_oracle_prices(addr) as bucket_defi publishes them
+    node.setView(`${BUCKET}::bucket_defi::get_position_details`, ([address, id]) => address === BUCKET ? positions.get(id) : undefined);
+    const setPosition = (id, { owner = OWNER, active = true } = {}) =>
+        positions.set(String(id), ["0", true, "100000000", "100000", owner, active]);
+    const setMark = price => node.setView(`${BUCKET}::bucket_defi::get_oracle_prices`, [[price, price, price].map(String)]);
+
+    const keeper = new LiquidationKeeper({
+        aptosClient: node,
+        bucketAddress: BUCKET,
+        moduleName: "bucket_defi",
+        leverage: 5,
+        filePath: tmpPath("positions.json"),
+        logger: silentLogger,
+        ...options
+    });
+    return { node, keeper, setPosition, setMark };
+}
+
+const observe = (keeper, event, action) => keeper.observe({ action, event });
+
+test("warns near the liquidation price and flags positions past the maintenance margin without submitting", async () => {
+    const warnings = [];
+    const logger = { info: () => {}, warn: (msg, fields) => warnings.push({ msg, ...fields }), error: () => {} };
+    const { node, keeper, setPosition, setMark } = setup({ logger });
+    setPosition(0);
+    setMark(100000);
+    await observe(keeper, opened(0), "open_position");
+    expect(keeper.getPositions()).toEqual([expect.objectContaining({ positionId: 0n, owner: OWNER, leverage: 5n })]);
+
+    // 5x long with a 5% maintenance margin is liquidatable at 84211
+    setMark(88000);
+    await observe(keeper, bucketEvent("OracleUpdateEvent", { uni_price: "100000", aave_price: "100000", link_price: "100000", timestamp: "1" }), "oracle_update");
+    expect(keeper.getWarnings()).toEqual([expect.objectContaining({ positionId: 0n, status: "warning", liquidationPrice: 84211n })]);
+
+    setMark(84000);
+    const summary = await observe(keeper, bucketEvent("OracleUpdateEvent", { uni_price: "100000", aave_price: "100000", link_price: "100000", timestamp: "2" }), "oracle_update");
+    expect(summary).toMatchObject({ markPrice: 84000n, checked: 1, liquidatable: 1, warnings: 1 });
+    expect(keeper.getWarnings()).toEqual([expect.objectContaining({ positionId: 0n, status: "liquidatable", distanceBps: 0n })]);
+
+    // Logged once when it crosses, not on every check
+    await keeper.checkAll();
+    expect(warnings).toEqual([expect.objectContaining({ msg: "Position is liquidatable", positionId: 0n, owner: OWNER, markPrice: 84000n })]);
+    expect(node.submitted).toHaveLength(0);
+
+    await observe(keeper, bucketEvent("LiquidationEvent", { position_id: "0", owner: OWNER }), "liquidated");
+    expect(keeper.getPositions()).toEqual([]);
+});
+
+test("drops positions that are no longer active on chain", async () => {
+    const { keeper, setPosition, setMark } = setup();
+    setPosition(3);
+    setMark(100000);
+    await observe(keeper, opened(3), "open_position");
+
+    setPosition(3, { active: false });
+    expect(await keeper.refresh(3)).toBeNull();
+    expect(keeper.getPositions()).toEqual([]);
+});
+
+test("reports warnings per owner", async () => {
+    const { node, keeper, setPosition, setMark } = setup();
+    setPosition(0);
+    setPosition(1, { owner: OTHER });
+    setMark(100000);
+    await observe(keeper, opened(0), "open_position");
+    await observe(keeper, opened(1, OTHER), "open_position");
+    await observe(keeper, bucketEvent("PositionClosedEvent", { position_id: "1", owner: OTHER }), "close_position");
+
+    setMark(80000);
+    await keeper.checkAll();
+
+    expect(node.submitted).toHaveLength(0);
+    expect(keeper.getWarnings({ owner: OWNER })).toEqual([expect.objectContaining({ positionId: 0n, status: "liquidatable", distanceBps: 0n })]);
+    expect(keeper.getWarnings({ owner: OTHER })).toEqual([]);
+
+    // The index survives a restart
+    const restarted = new LiquidationKeeper({ aptosClient: node, bucketAddress: BUCKET, moduleName: "bucket_defi", filePath: keeper.store.filePath, logger: silentLogger }).load();
+    expect(restarted.getWarnings({ owner: OWNER })).toEqual([expect.objectContaining({ positionId: 0n })]);
+});
+
+test("takes leverage from the bucket's creation event", async () => {
+    const { keeper, setPosition, setMark } = setup({ leverage: undefined });
+    setPosition(0);
+    setMark(90000);
+    await observe(keeper, opened(0), "open_position");
+    await keeper.checkAll();
+    expect(keeper.getPositions()[0].health).toMatchObject({ status: "unknown", reason: "unknown_leverage" });
+
+    await observe(keeper, bucketEvent("BucketCreatedEvent", {
+        bucket_id: "0", owner: OWNER, assets: ["0x1"], weights: ["100"], leverage: 10
+    }), "create_bucket");
+    await keeper.checkAll();
+    expect(keeper.getPositions()[0]).toMatchObject({ leverage: 10n, health: { status: "liquidatable" } });
+});
+
+test("the VM hands bucket events to the liquidation keeper", async () => {
+    const { keeper, setPosition } = setup();
+    setPosition(2);
+    const vm = new CrescaVM({ addresses: { bucketAddress: BUCKET }, liquidationKeeper: keeper, logger: silentLogger });
+
+    const transaction = {
+        hash: "0x9",
+        sender: OWNER,
+        payload: { function: `${BUCKET}::bucket_defi::open_long`, type_arguments: [], arguments: ["0"] }
+    };
+    const result = await vm.execute(transaction, opened(2));
+
+    expect(result).toMatchObject({ status: "success", action: "position_opened", tracked: true });
+    expect(keeper.getPositions()).toEqual([expect.objectContaining({ positionId: 2n })]);
+});
+
+test("needs a module with position views", () => {
+    const config = { aptosClient: new FakeAptosNode(), bucketAddress: BUCKET, filePath: tmpPath("positions.json") };
+    expect(() => new LiquidationKeeper({ ...config, moduleName: "bucket_protocol" })).toThrow("position views");
+    expect(() => new LiquidationKeeper(config)).toThrow("position views");
+    expect(new LiquidationKeeper({ ...config, moduleName: "bucket_layer1" }).moduleName).toBe("bucket_layer1");
+});
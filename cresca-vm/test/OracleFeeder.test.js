@@ -0,0 +1,270 @@
+const fs = require("fs");
+const { OracleFeeder, FilePriceSource, HttpPriceSource, PriceSource } = require("../src/oracle");
+const { toUnits, median, deviationBps, fundingRateBps } = require("../src/oracle/priceMath");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const BUCKET = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const FEEDER = { accountAddress: "0x" + "f".repeat(64) };
+// A per-owner basket has no symbols on chain, so the feeder is told its assets
+const OWNER_ASSETS = ["BTC", "ETH", "SOL"];
+
+// Serves fixed quotes, stamped at the node's ledger time unless told otherwise
+class StaticPriceSource extends PriceSource {
+    constructor(name, node, prices, options = {}) {
+        super(name);
+        this.node = node;
+        this.prices = prices;
+        this.marks = options.marks;
+        this.ageSecs = options.ageSecs || 0;
+        this.fail = false;
+    }
+
+    async fetchQuotes(assets) {
+        if (this.fail) {
+            throw new Error("connection refused");
+        }
+        return PriceSource.parsePayload(
+            { timestamp: this.node.ledgerTimestampSecs - this.ageSecs, prices: this.prices, marks: this.marks },
+            assets
+        );
+    }
+}
+
+// Chain state that update_oracle writes. Only the multi-user modules have
+// views to read it back; the per-owner bucket_protocol has none.
+function setupChain(moduleName = "bucket_protocol") {
+    const node = new FakeAptosNode();
+    const chain = { prices: [], fundingRates: [], lastUpdate: node.ledgerTimestampSecs };
+    if (moduleName !== "bucket_protocol") {
+        node.setView(`${BUCKET}::${moduleName}::get_oracle_prices`, () => [chain.prices.map(String)]);
+        node.setView(`${BUCKET}::${moduleName}::get_last_oracle_update`, () => [String(chain.lastUpdate)]);
+    }
+    node.submitResult = transaction => {
+        const args = transaction.data.functionArguments;
+        if (moduleName === "bucket_protocol") {
+            [chain.prices, chain.fundingRates] = args;
+        } else {
+            chain.prices = args;
+        }
+        chain.lastUpdate = node.ledgerTimestampSecs;
+        return { success: true, vm_status: "Executed successfully" };
+    };
+    return { node, chain };
+}
+
+function createFeeder(node, sources, options = {}) {
+    return new OracleFeeder({
+        aptosClient: node,
+        feederAccount: FEEDER,
+        bucketAddress: BUCKET,
+        sources,
+        assets: options.moduleName ? undefined : OWNER_ASSETS,
+        logger: silentLogger,
+        ...options
+    });
+}
+
+test("scales, aggregates and compares prices in contract units", () => {
+    expect(toUnits("60000.129", 2)).toBe(6000012n);
+    expect(toUnits(150.5, 2)).toBe(15050n);
+    expect(toUnits("3000", 2)).toBe(300000n);
+    expect(() => toUnits("-1", 2)).toThrow("invalid price");
+
+    expect(median([5n, 1n, 3n])).toBe(3n);
+    expect(median([4n, 1n, 3n, 2n])).toBe(2n);
+    expect(median([])).toBeNull();
+
+    expect(deviationBps(10050n, 10000n)).toBe(50n);
+    expect(deviationBps(9900n, 10000n)).toBe(100n);
+    expect(deviationBps(1n, 0n)).toBeNull();
+});
+
+test("funding is the premium plus a clamped interest term, capped", () => {
+    // No mark price: interest only
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: null })).toBe(1n);
+    // Interest moves the premium towards itself by at most 5 bps
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: 10020n })).toBe(15n);
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: 10003n })).toBe(1n);
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: 9990n })).toBe(-5n);
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: 11000n })).toBe(75n);
+    expect(fundingRateBps({ indexPrice: 10000n, markPrice: 8000n, capBps: 100 })).toBe(-100n);
+});
+
+test("pushes the median on the first round, then only past the deviation threshold", async () => {
+    const { node, chain } = setupChain();
+    const sources = [
+        new StaticPriceSource("a", node, { BTC: "60000", ETH: "3000", SOL: "150" }),
+        new StaticPriceSource("b", node, { BTC: "60100", ETH: "3010", SOL: "151" }),
+        // An outlier does not move the median
+        new StaticPriceSource("c", node, { BTC: "1", ETH: "3005", SOL: "150.5" })
+    ];
+    const feeder = createFeeder(node, sources);
+
+    await expect(feeder.round()).resolves.toMatchObject({ status: "pushed", reason: "initial", prices: [6000000n, 300500n, 15050n] });
+    expect(chain.prices).toEqual(["6000000", "300500", "15050"]);
+    expect(node.submitted[0].transaction.data.function).toBe(`${BUCKET}::bucket_protocol::update_oracle`);
+    // bucket_protocol has no views; the feeder's own pushes are its state
+    expect(node.calls).not.toContain("view");
+
+    // 0.3% move stays under the 0.5% default
+    sources[0].prices.ETH = sources[1].prices.ETH = sources[2].prices.ETH = "3014";
+    node.ledgerTimestampSecs += 60;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "skipped", reason: "within_thresholds" });
+
+    sources.forEach(source => { source.prices.SOL = "152"; });
+    node.ledgerTimestampSecs += 60;
+    const pushed = await feeder.round();
+    expect(pushed).toMatchObject({ status: "pushed", reason: "deviation", deviations: [{ asset: "SOL", bps: 99n }] });
+    expect(node.submitted).toHaveLength(2);
+});
+
+test("pushes on the heartbeat even when prices are flat", async () => {
+    const { node } = setupChain();
+    const feeder = createFeeder(node, [new StaticPriceSource("a", node, { BTC: "60000", ETH: "3000", SOL: "150" })], { heartbeatSecs: 600 });
+
+    await feeder.round();
+    node.ledgerTimestampSecs += 599;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "skipped" });
+    node.ledgerTimestampSecs += 1;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "pushed", reason: "heartbeat" });
+});
+
+test("skips the round and alerts when fresh quotes cannot cover the basket", async () => {
+    const { node } = setupChain();
+    const alerts = [];
+    const fresh = new StaticPriceSource("fresh", node, { BTC: "60000", ETH: "3000", SOL: "150" });
+    const stale = new StaticPriceSource("stale", node, { BTC: "60000", ETH: "3000", SOL: "150" }, { ageSecs: 301 });
+    const feeder = createFeeder(node, [fresh, stale], { minSources: 2, onAlert: alert => alerts.push(alert) });
+
+    await expect(feeder.round()).resolves.toMatchObject({ status: "skipped", reason: "insufficient_sources", missing: ["BTC", "ETH", "SOL"] });
+    expect(feeder.lastRound.sources).toEqual({ fresh: { status: "ok", quotes: 3 }, stale: { status: "stale", quotes: 0 } });
+    expect(node.submitted).toHaveLength(0);
+
+    // Raised once, not on every round
+    await feeder.round();
+    expect(alerts.filter(alert => alert.kind === "insufficient_sources")).toHaveLength(1);
+
+    stale.ageSecs = 0;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "pushed" });
+    expect(alerts).toContainEqual(expect.objectContaining({ kind: "insufficient_sources", status: "resolved" }));
+});
+
+test("alerts when the on-chain update falls behind the max age until a push lands", async () => {
+    const { node, chain } = setupChain("bucket_defi");
+    const source = new StaticPriceSource("a", node, { UNI: "10", AAVE: "300", LINK: "20" });
+    const feeder = createFeeder(node, [source], { moduleName: "bucket_defi", heartbeatSecs: 600, maxAgeSecs: 900 });
+    await feeder.round();
+
+    node.ledgerTimestampSecs += 901;
+    source.fail = true;
+    await feeder.round();
+    expect(feeder.getStatus().alerts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ kind: "stale_oracle", ageSecs: 901, lastUpdate: chain.lastUpdate }),
+        expect.objectContaining({ kind: "insufficient_sources" })
+    ]));
+
+    source.fail = false;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "pushed", reason: "heartbeat" });
+    expect(feeder.getStatus().alerts).toEqual([]);
+});
+
+test("treats a per-owner oracle it has not pushed to yet as stale", async () => {
+    const { node } = setupChain();
+    const alerts = [];
+    const source = new StaticPriceSource("a", node, { BTC: "60000", ETH: "3000", SOL: "150" });
+    source.fail = true;
+    const feeder = createFeeder(node, [source], { onAlert: alert => alerts.push(alert) });
+
+    await feeder.round();
+    expect(feeder.getStatus().alerts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ kind: "stale_oracle", lastUpdate: null, ageSecs: null })
+    ]));
+
+    source.fail = false;
+    await expect(feeder.round()).resolves.toMatchObject({ status: "pushed", reason: "initial" });
+    expect(alerts.at(-1)).toMatchObject({ kind: "stale_oracle", status: "resolved" });
+});
+
+test("raises push_failed when update_oracle aborts", async () => {
+    const { node, chain } = setupChain("bucket_defi");
+    // An oracle that was never updated reports 0 and is stale from the start
+    chain.lastUpdate = 0;
+    node.submitResult = () => ({ success: false, vm_status: "Move abort: 0x1" });
+    const feeder = createFeeder(node, [new StaticPriceSource("a", node, { UNI: "10", AAVE: "300", LINK: "20" })], { moduleName: "bucket_defi" });
+
+    await expect(feeder.round()).resolves.toMatchObject({ status: "failed", error: "Move abort: 0x1" });
+    expect(feeder.getStatus().alerts).toEqual([
+        expect.objectContaining({ kind: "stale_oracle", lastUpdate: 0 }),
+        expect.objectContaining({ kind: "push_failed", error: "Move abort: 0x1" })
+    ]);
+});
+
+test("alerts instead of pushing when the oracle views cannot be read", async () => {
+    const { node, chain } = setupChain("bucket_defi");
+    chain.prices = ["1000", "30000", "2000"];
+    const feeder = createFeeder(node, [new StaticPriceSource("a", node, { UNI: "10", AAVE: "300", LINK: "20" })], { moduleName: "bucket_defi" });
+
+    node.failNext("view", new Error("fullnode unavailable"));
+    await expect(feeder.round()).resolves.toMatchObject({ status: "failed", reason: "read_failed", error: "fullnode unavailable" });
+    expect(node.submitted).toHaveLength(0);
+    expect(feeder.getStatus().alerts).toEqual([expect.objectContaining({ kind: "read_failed", error: "fullnode unavailable" })]);
+
+    await expect(feeder.round()).resolves.toMatchObject({ status: "skipped", reason: "within_thresholds" });
+    expect(feeder.getStatus().alerts).toEqual([]);
+});
+
+test("sends funding rates with the per-owner update_oracle layout", async () => {
+    const { node, chain } = setupChain();
+    const source = new StaticPriceSource("a", node, { BTC: "60000", ETH: "3000", SOL: "150" }, { marks: { BTC: "60120" } });
+    const feeder = createFeeder(node, [source]);
+
+    await feeder.round();
+
+    expect(node.submitted[0].transaction.data.functionArguments).toEqual([["6000000", "300000", "15000"], ["15", "1", "1"]]);
+    expect(chain.fundingRates).toEqual(["15", "1", "1"]);
+
+    // Nothing to fall back on: the owner picked the basket
+    expect(() => createFeeder(node, [source], { assets: undefined })).toThrow("No basket assets known for bucket_protocol");
+});
+
+test("sends one price argument per asset to the multi-user modules", async () => {
+    const { node, chain } = setupChain("bucket_layer1");
+    const source = new StaticPriceSource("a", node, { ADA: "0.5", AVAX: "30", DOT: "7" }, { marks: { ADA: "0.51" } });
+    const feeder = createFeeder(node, [source], { moduleName: "bucket_layer1" });
+
+    await feeder.round();
+
+    expect(node.submitted[0].transaction.data).toMatchObject({
+        function: `${BUCKET}::bucket_layer1::update_oracle`,
+        functionArguments: ["50", "3000", "700"]
+    });
+    expect(chain.prices).toEqual(["50", "3000", "700"]);
+});
+
+test("reads file and HTTP sources in the shared payload format", async () => {
+    const filePath = tmpPath("prices.json");
+    fs.writeFileSync(filePath, JSON.stringify({ prices: { BTC: "60000.5", ETH: 3000 } }));
+    const fromFile = await new FilePriceSource({ filePath }).fetchQuotes(["BTC", "ETH", "SOL"]);
+    expect(fromFile).toEqual({
+        BTC: { price: "60000.5", markPrice: null, timestamp: expect.any(Number) },
+        ETH: { price: 3000, markPrice: null, timestamp: expect.any(Number) }
+    });
+    expect(Math.abs(fromFile.BTC.timestamp - Date.now() / 1000)).toBeLessThan(60);
+
+    const requests = [];
+    const http = new HttpPriceSource({
+        url: "http://prices.local/latest",
+        fetch: async (url, init) => {
+            requests.push({ url, init });
+            return { ok: true, json: async () => ({ data: { btc: "61000", ts: 1700000000 } }) };
+        },
+        select: body => ({ timestamp: body.data.ts, prices: { BTC: body.data.btc } })
+    });
+    await expect(http.fetchQuotes(["BTC"])).resolves.toEqual({ BTC: { price: "61000", markPrice: null, timestamp: 1700000000 } });
+    expect(requests[0].url).toBe("http://prices.local/latest");
+
+    const down = new HttpPriceSource({ url: "http://prices.local/latest", fetch: async () => ({ ok: false, status: 503 }) });
+    await expect(down.fetchQuotes(["BTC"])).rejects.toThrow("HTTP 503");
+});
@@ -0,0 +1,119 @@
+const ScheduleKeeper = require("../src/keepers/ScheduleKeeper");
+const { createCrescaDecoder } = require("../src/events/EventDecoder");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CALENDAR = "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606";
+const PAYER = "0x" + "a".repeat(64);
+const RECIPIENT = "0x" + "b".repeat(64);
+const KEEPER = { accountAddress: "0x" + "c".repeat(64) };
+const NOW = 1700000000;
+
+const decoder = createCrescaDecoder({ logger: silentLogger });
+
+function calendarEvent(name, scheduleId) {
+    const raw = { eventIndex: 0, type: `${CALENDAR}::calendar_payments::${name}`, sequence_number: "0", data: { schedule_id: String(scheduleId), payer: PAYER } };
+    return { ...raw, decoded: decoder.decode(raw) };
+}
+
+function setup() {
+    const node = new FakeAptosNode();
+    const schedules = new Map();
+    // get_schedule(payer, id) -> (recipient, amount, next_execution, interval, remaining, active)
+    node.setView(`${CALENDAR}::calendar_payments::get_schedule`, ([, id]) => schedules.get(id));
+    const setSchedule = (id, { nextExecution = NOW + 100, remaining = 3, active = true } = {}) =>
+        schedules.set(String(id), [RECIPIENT, "500", String(nextExecution), "86400", String(remaining), active]);
+
+    const keeper = new ScheduleKeeper({ aptosClient: node, keeperAccount: KEEPER, calendarAddress: CALENDAR, retryDelaySecs: 60, filePath: tmpPath("schedules.json"), logger: silentLogger });
+    return { node, keeper, setSchedule };
+}
+
+const observe = (keeper, name, scheduleId, action = "created") => keeper.observe({ action, event: calendarEvent(name, scheduleId) });
+
+test("executes a schedule once on-chain time reaches it, then tracks the next run", async () => {
+    const { node, keeper, setSchedule } = setup();
+    setSchedule(1);
+    await observe(keeper, "ScheduleCreatedEvent", 1);
+
+    await keeper.tick();
+    expect(node.submitted).toHaveLength(0);
+
+    node.ledgerTimestampSecs = NOW + 100;
+    node.submitResult = () => {
+        setSchedule(1, { nextExecution: NOW + 100 + 86400, remaining: 2 });
+        return { success: true, vm_status: "Executed successfully" };
+    };
+    await keeper.tick();
+
+    expect(node.submitted.map(entry => entry.transaction.data)).toEqual([{
+        function: `${CALENDAR}::calendar_payments::execute`,
+        typeArguments: [],
+        functionArguments: [PAYER, "1"]
+    }]);
+    expect(keeper.getOutcomes(PAYER, 1n)).toEqual([expect.objectContaining({ status: "executed", txHash: "0xsubmitted0" })]);
+    expect(keeper.getSchedules()).toEqual([expect.objectContaining({ nextExecution: NOW + 100 + 86400, remaining: 2 })]);
+
+    // Not due again until the next interval
+    await keeper.tick();
+    expect(node.submitted).toHaveLength(1);
+});
+
+test("skips schedules another keeper or the payer got to first", async () => {
+    const { node, keeper, setSchedule } = setup();
+    setSchedule(1);
+    setSchedule(2);
+    await observe(keeper, "ScheduleCreatedEvent", 1);
+    await observe(keeper, "ScheduleCreatedEvent", 2);
+    node.ledgerTimestampSecs = NOW + 100;
+
+    // Schedule 1 already moved on when re-read; schedule 2 loses the race on submit
+    setSchedule(1, { nextExecution: NOW + 100 + 86400, remaining: 2 });
+    node.submitResult = () => ({ success: false, vm_status: "Move abort in calendar_payments: ALREADY_EXECUTED(0x4)" });
+    await keeper.tick();
+
+    expect(node.submitted).toHaveLength(1);
+    expect(keeper.getOutcomes().map(outcome => [outcome.scheduleId, outcome.status, outcome.reason])).toEqual([
+        ["1", "skipped", "already_executed"],
+        ["2", "skipped", "Move abort in calendar_payments: ALREADY_EXECUTED(0x4)"]
+    ]);
+});
+
+test("defers a schedule after a failure that is not a race", async () => {
+    const { node, keeper, setSchedule } = setup();
+    setSchedule(1, { nextExecution: NOW });
+    await observe(keeper, "ScheduleCreatedEvent", 1);
+    node.submitResult = () => ({ success: false, vm_status: "Out of gas" });
+
+    await keeper.tick();
+    expect(keeper.getOutcomes()).toEqual([expect.objectContaining({ status: "failed", error: "Out of gas" })]);
+    expect(keeper.getSchedules()[0].retryAt).toBe(NOW + 60);
+
+    await keeper.tick();
+    expect(node.submitted).toHaveLength(1);
+    node.ledgerTimestampSecs = NOW + 60;
+    await keeper.tick();
+    expect(node.submitted).toHaveLength(2);
+});
+
+test("drops cancelled schedules from the index", async () => {
+    const { node, keeper, setSchedule } = setup();
+    setSchedule(1, { nextExecution: NOW });
+    setSchedule(2, { nextExecution: NOW });
+    await observe(keeper, "ScheduleCreatedEvent", 1);
+    await observe(keeper, "ScheduleCreatedEvent", 2);
+
+    expect(await observe(keeper, "ScheduleCancelledEvent", 1, "cancelled")).toMatchObject({ status: "success", action: "cancelled" });
+    // Schedule 2's cancellation has not been seen yet, but the re-read shows it inactive
+    setSchedule(2, { nextExecution: NOW, active: false });
+    await keeper.tick();
+
+    expect(node.submitted).toHaveLength(0);
+    expect(keeper.getSchedules()).toEqual([]);
+    expect(keeper.getOutcomes()).toEqual([expect.objectContaining({ scheduleId: "2", status: "skipped", reason: "inactive" })]);
+
+    // The index survives a restart
+    const restarted = new ScheduleKeeper({ aptosClient: node, calendarAddress: CALENDAR, filePath: keeper.store.filePath, logger: silentLogger }).load();
+    expect(restarted.getOutcomes()).toHaveLength(1);
+    expect(restarted.getSchedules()).toEqual([]);
+});
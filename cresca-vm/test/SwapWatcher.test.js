@@ -0,0 +1,175 @@
+const SwapWatcher = require("../src/keepers/SwapWatcher");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CRESCA = "0x" + "5".repeat(64);
+const INITIATOR = "0x" + "a".repeat(64);
+const PARTICIPANT = "0x" + "b".repeat(64);
+const APT = "0x1::aptos_coin::AptosCoin";
+const USDC = "0xc::usdc::USDC";
+const APT_LONG = `0x${"0".repeat(63)}1::aptos_coin::AptosCoin`;
+const USDC_LONG = `0x${"0".repeat(63)}c::usdc::USDC`;
+const EVENT_STORE = `${CRESCA}::swap::EventStore`;
+
+function setup(options = {}) {
+    const node = new FakeAptosNode();
+    // Chain-side swap state by id and coin X; ids are only unique per pair
+    const chain = new Map();
+    node.setView(`${CRESCA}::swap::get_swap_details`, ([initiator, id], { typeArguments }) => {
+        const swap = chain.get(`${id}:${typeArguments[0]}`);
+        return [initiator, PARTICIPANT, "100", "200", String(swap.timeout), swap.completed, swap.cancelled];
+    });
+
+    const filePath = options.filePath || tmpPath("swaps.json");
+    const create = () => new SwapWatcher({
+        aptosClient: node,
+        swapAddress: CRESCA,
+        filePath,
+        logger: silentLogger,
+        ...options
+    }).load();
+    return { node, chain, watcher: create(), create };
+}
+
+function initiate(node, chain, { id = 0, tokenX = APT, tokenY = USDC, timeout = 1700003600 } = {}) {
+    chain.set(`${id}:${tokenX === APT ? APT_LONG : USDC_LONG}`, { timeout, completed: false, cancelled: false });
+    node.addHandleEvent(INITIATOR, EVENT_STORE, "initiated_events", {
+        type: `${CRESCA}::swap::SwapInitiatedEvent`,
+        data: {
+            swap_id: String(id),
+            initiator: INITIATOR,
+            participant: PARTICIPANT,
+            amount_x: "100",
+            amount_y: "200",
+            token_x: tokenX,
+            token_y: tokenY,
+            timeout: String(timeout)
+        }
+    });
+}
+
+function outcome(node, field, name, id) {
+    node.addHandleEvent(INITIATOR, EVENT_STORE, field, {
+        type: `${CRESCA}::swap::${name}`,
+        data: { swap_id: String(id), initiator: INITIATOR, participant: PARTICIPANT }
+    });
+}
+
+test("discovers any initiator's swaps from the event stream and notifies both sides", async () => {
+    const { node, chain, watcher } = setup();
+    const notified = [];
+    watcher.onNotify = notification => notified.push(notification);
+
+    initiate(node, chain);
+    await watcher.tick();
+
+    const expected = { swapId: "0", initiator: INITIATOR, participant: PARTICIPANT, tokenX: APT_LONG, tokenY: USDC_LONG, status: "open", autoCancel: false };
+    expect(watcher.listSwaps({ address: PARTICIPANT, role: "participant" })).toEqual([expect.objectContaining(expected)]);
+    expect(watcher.listSwaps({ address: INITIATOR, role: "initiator" })).toHaveLength(1);
+    expect(watcher.listSwaps({ address: INITIATOR, role: "participant" })).toEqual([]);
+    expect(watcher.getNotifications(PARTICIPANT)).toEqual([expect.objectContaining({ id: 1, type: "swap_offered" })]);
+
+    outcome(node, "completed_events", "SwapCompletedEvent", 0);
+    await watcher.tick();
+
+    expect(watcher.listSwaps({ address: PARTICIPANT })[0].status).toBe("completed");
+    expect(watcher.getNotifications(INITIATOR)).toEqual([expect.objectContaining({ id: 2, type: "swap_completed" })]);
+    expect(watcher.getNotifications(PARTICIPANT, { after: 1 })).toEqual([]);
+    expect(notified.map(notification => notification.type)).toEqual(["swap_offered", "swap_completed"]);
+});
+
+test("cancels expired swaps with the initiator's delegate once", async () => {
+    const { node, chain, watcher } = setup({ delegates: [{ accountAddress: INITIATOR }] });
+    initiate(node, chain, { timeout: node.ledgerTimestampSecs + 60 });
+    await watcher.tick();
+    expect(node.submitted).toHaveLength(0);
+
+    node.ledgerTimestampSecs += 60;
+    await watcher.tick();
+
+    expect(node.submitted).toHaveLength(1);
+    expect(node.submitted[0].transaction).toMatchObject({
+        sender: INITIATOR,
+        data: { function: `${CRESCA}::swap::cancel_swap`, typeArguments: [APT_LONG, USDC_LONG], functionArguments: ["0"] }
+    });
+    expect(watcher.getOutcomes()).toEqual([expect.objectContaining({ status: "cancelled", txHash: "0xsubmitted0" })]);
+    expect(watcher.getNotifications(INITIATOR)).toEqual([expect.objectContaining({ type: "swap_auto_cancelled", txHash: "0xsubmitted0" })]);
+
+    // The cancel event shows up afterwards and is not announced twice
+    outcome(node, "cancelled_events", "SwapCancelledEvent", 0);
+    await watcher.tick();
+    expect(node.submitted).toHaveLength(1);
+    expect(watcher.getNotifications(PARTICIPANT).map(notification => notification.type)).toEqual(["swap_offered", "swap_cancelled"]);
+});
+
+test("re-reads the swap before cancelling and leaves undelegated swaps to the initiator", async () => {
+    const { node, chain, watcher } = setup({ delegates: [{ accountAddress: INITIATOR }] });
+    initiate(node, chain, { timeout: node.ledgerTimestampSecs });
+    // Completed on chain, but the event has not been polled yet
+    chain.get(`0:${APT_LONG}`).completed = true;
+    await watcher.tick();
+
+    expect(node.submitted).toHaveLength(0);
+    expect(watcher.getOutcomes()).toEqual([expect.objectContaining({ status: "skipped", reason: "completed" })]);
+    expect(watcher.getNotifications(INITIATOR)).toEqual([expect.objectContaining({ type: "swap_completed" })]);
+
+    const { node: other, chain: otherChain, watcher: manual } = setup();
+    initiate(other, otherChain, { timeout: other.ledgerTimestampSecs });
+    await manual.tick();
+    await manual.tick();
+
+    expect(other.submitted).toHaveLength(0);
+    expect(manual.listSwaps({ address: INITIATOR })[0].status).toBe("expired");
+    expect(manual.getNotifications(INITIATOR)).toEqual([expect.objectContaining({ type: "swap_expired" })]);
+});
+
+test("asks the chain which pair an ambiguous outcome belongs to", async () => {
+    const { node, chain, watcher } = setup();
+    // Swap ids are counted per coin pair, so both of these are id 0
+    initiate(node, chain);
+    initiate(node, chain, { tokenX: USDC, tokenY: APT });
+    await watcher.tick();
+
+    chain.get(`0:${USDC_LONG}`).cancelled = true;
+    outcome(node, "cancelled_events", "SwapCancelledEvent", 0);
+    await watcher.tick();
+
+    expect(watcher.listSwaps({ address: INITIATOR }).map(swap => [swap.tokenX, swap.status])).toEqual(
+        expect.arrayContaining([[APT_LONG, "open"], [USDC_LONG, "cancelled"]])
+    );
+});
+
+test("keeps its place in the stream across restarts and retries after indexer errors", async () => {
+    const filePath = tmpPath("swaps.json");
+    const { node, chain, watcher, create } = setup({ filePath, pageSize: 2 });
+    initiate(node, chain, { id: 0 });
+    node.failNext("getEvents", new Error("indexer unavailable"));
+    await expect(watcher.tick()).rejects.toThrow("indexer unavailable");
+    expect(watcher.cursor).toBe(0);
+
+    initiate(node, chain, { id: 1 });
+    initiate(node, chain, { id: 2 });
+    await watcher.tick();
+    expect(watcher.cursor).toBe(3);
+    expect(watcher.listSwaps({ address: PARTICIPANT })).toHaveLength(3);
+
+    const restarted = create();
+    outcome(node, "completed_events", "SwapCompletedEvent", 1);
+    await restarted.tick();
+    expect(restarted.cursor).toBe(4);
+    expect(restarted.getNotifications(PARTICIPANT)).toHaveLength(3);
+    expect(restarted.getNotifications(INITIATOR)).toEqual([expect.objectContaining({ type: "swap_completed" })]);
+});
+
+test("drops the oldest settled swaps past the retention limit", async () => {
+    const { node, chain, watcher } = setup({ maxSettled: 1 });
+    initiate(node, chain, { id: 0, timeout: 1700003600 });
+    initiate(node, chain, { id: 1, timeout: 1700007200 });
+    initiate(node, chain, { id: 2, timeout: 1700010800 });
+    outcome(node, "completed_events", "SwapCompletedEvent", 0);
+    outcome(node, "completed_events", "SwapCompletedEvent", 1);
+    await watcher.tick();
+
+    expect(watcher.getSwaps().map(swap => [swap.swapId, swap.status])).toEqual([["1", "completed"], ["2", "open"]]);
+});
@@ -0,0 +1,309 @@
+const http = require("http");
+const CrescaVM = require("../src/CrescaVM");
+const { WebhookDispatcher, verifySignature, signPayload } = require("../src/webhooks");
+const { createCrescaDecoder } = require("../src/events/EventDecoder");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CRESCA = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const MERCHANT = "0x" + "a".repeat(64);
+const PAYER = "0x" + "b".repeat(64);
+const OTHER = "0x" + "c".repeat(64);
+const ORDER = "0x" + Buffer.from("order-42").toString("hex");
+
+const decoder = createCrescaDecoder({ logger: silentLogger });
+
+function paymentIntent(name, data, { hash = "0x1", eventIndex = 0 } = {}) {
+    const raw = { eventIndex, type: `${CRESCA}::Payment::${name}`, sequence_number: "0", data };
+    return { transaction: { hash, version: "7" }, event: { ...raw, decoded: decoder.decode(raw) } };
+}
+
+const paid = (options, merchant = MERCHANT) =>
+    paymentIntent("PaymentEvent", { order_id: ORDER, payer: PAYER, merchant, amount: "2500", timestamp: "1700000000" }, options);
+const refunded = options =>
+    paymentIntent("RefundEvent", { order_id: ORDER, recipient: PAYER, amount: "2500", timestamp: "1700000100" }, options);
+const withdrawn = options =>
+    paymentIntent("WithdrawalEvent", { merchant: MERCHANT, amount: "1000", timestamp: "1700000200" }, options);
+
+// Local receiver answering with the scripted status codes, then 200
+async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const close = () => new Promise(resolve => server.close(resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests, close };
+}
+
+// Polls until `check` passes or a second has gone by
+async function until(check) {
+    for (let waited = 0; waited < 1000 && !check(); waited += 5) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function createDispatcher(options = {}) {
+    return new WebhookDispatcher({ filePath: tmpPath("webhooks.json"), logger: silentLogger, ...options }).load();
+}
+
+let receiver;
+
+afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+});
+
+test("signs and delivers payment, refund and withdrawal events to the merchant", async () => {
+    receiver = await startReceiver();
+    const dispatcher = createDispatcher();
+    const { id, secret } = dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url });
+    expect(dispatcher.listEndpoints({ merchant: MERCHANT })).toEqual([expect.not.objectContaining({ secret })]);
+
+    expect(dispatcher.publish(paid())).toMatchObject({ status: "queued", eventId: "0x1:0", type: "payment.received", deliveries: 1 });
+    // RefundEvent names no merchant; the order's payment does
+    expect(dispatcher.publish(refunded({ hash: "0x2" }))).toMatchObject({ status: "queued", type: "payment.refunded" });
+    expect(dispatcher.publish(withdrawn({ hash: "0x3", eventIndex: 1 }))).toMatchObject({ status: "queued", eventId: "0x3:1" });
+    await dispatcher.deliverDue();
+
+    expect(receiver.requests).toHaveLength(3);
+    const [payment] = receiver.requests;
+    expect(JSON.parse(payment.body)).toEqual({
+        id: "0x1:0",
+        type: "payment.received",
+        data: { orderId: ORDER, orderRef: "order-42", payer: PAYER, merchant: MERCHANT, amount: "2500", timestamp: "1700000000" },
+        transaction: { hash: "0x1", version: "7" }
+    });
+    expect(payment.headers["x-cresca-event-id"]).toBe("0x1:0");
+    expect(verifySignature({
+        secret,
+        body: payment.body,
+        timestamp: payment.headers["x-cresca-timestamp"],
+        signature: payment.headers["x-cresca-signature"]
+    })).toBe(true);
+    expect(verifySignature({ secret: "whsec_other", body: payment.body, timestamp: payment.headers["x-cresca-timestamp"], signature: payment.headers["x-cresca-signature"] })).toBe(false);
+    expect(JSON.parse(receiver.requests[1].body).data).toMatchObject({ recipient: PAYER, amount: "2500" });
+
+    expect(dispatcher.listDeliveries({ merchant: MERCHANT }).map(delivery => [delivery.type, delivery.status, delivery.endpointId])).toEqual([
+        ["merchant.withdrawal", "delivered", id],
+        ["payment.refunded", "delivered", id],
+        ["payment.received", "delivered", id]
+    ]);
+});
+
+test("retries with exponential backoff and gives up after max attempts", async () => {
+    receiver = await startReceiver([500, 503, 500]);
+    const dispatcher = createDispatcher({ maxAttempts: 3, baseDelayMs: 1000 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url });
+    dispatcher.publish(paid());
+
+    await dispatcher.deliverDue();
+    const [delivery] = dispatcher.listDeliveries();
+    expect(delivery).toMatchObject({ status: "pending", retries: 1, attempts: [{ statusCode: 500, error: "HTTP 500" }] });
+    expect(delivery.nextAttemptAt - delivery.attempts[0].at).toBeGreaterThanOrEqual(1000);
+
+    // Not due yet
+    await dispatcher.deliverDue();
+    expect(receiver.requests).toHaveLength(1);
+
+    await dispatcher.deliverDue(Date.now() + 1000);
+    expect(dispatcher.listDeliveries()[0].nextAttemptAt - Date.now()).toBeGreaterThan(1000);
+    await dispatcher.deliverDue(Date.now() + 2000);
+
+    expect(receiver.requests).toHaveLength(3);
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ status: "failed", retries: 3 });
+    expect(dispatcher.backoffMs(1)).toBe(1000);
+    expect(dispatcher.backoffMs(4)).toBe(8000);
+});
+
+test("replays logged deliveries with the same event id and body", async () => {
+    receiver = await startReceiver([500]);
+    const dispatcher = createDispatcher({ maxAttempts: 1 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url });
+    dispatcher.publish(paid());
+    await dispatcher.deliverDue();
+    expect(dispatcher.listDeliveries({ status: "failed" })).toHaveLength(1);
+
+    // The same event seen again (e.g. a redelivered queue job) is not queued twice
+    expect(dispatcher.publish(paid())).toMatchObject({ deliveries: 0 });
+
+    const [replayed] = dispatcher.replay({ eventId: "0x1:0" });
+    expect(replayed).toMatchObject({ status: "pending", retries: 0, url: receiver.url });
+    await dispatcher.deliverDue();
+
+    expect(receiver.requests).toHaveLength(2);
+    expect(receiver.requests[1].body).toBe(receiver.requests[0].body);
+    expect(receiver.requests[1].headers["x-cresca-event-id"]).toBe("0x1:0");
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ status: "delivered", attempts: [expect.any(Object), expect.any(Object)] });
+
+    // The log survives a restart
+    const restarted = new WebhookDispatcher({ filePath: dispatcher.store.filePath, logger: silentLogger }).load();
+    expect(restarted.listDeliveries()).toEqual([expect.objectContaining({ eventId: "0x1:0", status: "delivered" })]);
+});
+
+test("delivers to endpoints side by side, in order within each, up to the concurrency limit", async () => {
+    const sent = [];
+    let releaseSlow;
+    const slow = new Promise(resolve => { releaseSlow = resolve; });
+    const fetch = async (url, init) => {
+        sent.push({ url, eventId: init.headers["x-cresca-event-id"] });
+        if (url === "http://slow.local/hooks") {
+            await slow;
+        }
+        return { ok: true, status: 200 };
+    };
+    const dispatcher = createDispatcher({ fetch, concurrency: 2 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: "http://slow.local/hooks" });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: "http://fast.local/hooks" });
+    dispatcher.publish(paid());
+    dispatcher.publish(withdrawn({ hash: "0x2" }));
+
+    const delivering = dispatcher.deliverDue();
+    await new Promise(resolve => setImmediate(resolve));
+    // The slow endpoint holds its own lane; the fast one has received both events in order
+    expect(sent.filter(request => request.url === "http://fast.local/hooks").map(request => request.eventId)).toEqual(["0x1:0", "0x2:0"]);
+    expect(sent.filter(request => request.url === "http://slow.local/hooks")).toHaveLength(1);
+
+    releaseSlow();
+    await delivering;
+    expect(dispatcher.listDeliveries({ status: "delivered" })).toHaveLength(4);
+
+    // With one lane at a time, the second endpoint waits for the next tick
+    const serial = createDispatcher({ fetch: async () => ({ ok: true, status: 200 }), concurrency: 1 });
+    const lanes = [];
+    serial.attempt = async delivery => {
+        lanes.push(delivery.endpointId);
+        delivery.status = "delivered";
+        return delivery;
+    };
+    const first = serial.registerEndpoint({ merchant: MERCHANT, url: "http://a.local/hooks" });
+    const second = serial.registerEndpoint({ merchant: MERCHANT, url: "http://b.local/hooks" });
+    serial.publish(paid());
+    serial.publish(withdrawn({ hash: "0x2" }));
+    expect(await serial.deliverDue()).toBe(2);
+    expect(await serial.deliverDue()).toBe(2);
+    expect(lanes).toEqual([first.id, first.id, second.id, second.id]);
+});
+
+test("holds an endpoint's later events until the earlier one is delivered", async () => {
+    receiver = await startReceiver([500]);
+    const dispatcher = createDispatcher({ baseDelayMs: 1000 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url });
+    dispatcher.publish(paid());
+    dispatcher.publish(withdrawn({ hash: "0x2" }));
+
+    // Delivery 1 fails, so delivery 2 is not sent past it
+    expect(await dispatcher.deliverDue()).toBe(1);
+    expect(dispatcher.listDeliveries().map(delivery => [delivery.eventId, delivery.status, delivery.retries])).toEqual([
+        ["0x2:0", "pending", 0],
+        ["0x1:0", "pending", 1]
+    ]);
+
+    // Delivery 2 is due, but waits out delivery 1's backoff
+    expect(await dispatcher.deliverDue()).toBe(0);
+    expect(receiver.requests).toHaveLength(1);
+
+    expect(await dispatcher.deliverDue(Date.now() + 1000)).toBe(2);
+    expect(receiver.requests.map(request => request.headers["x-cresca-event-id"])).toEqual(["0x1:0", "0x1:0", "0x2:0"]);
+});
+
+test("a tick does not wait for a slow endpoint, and skips it while it is still sending", async () => {
+    const sent = [];
+    let releaseSlow;
+    const slow = new Promise(resolve => { releaseSlow = resolve; });
+    const fetch = async (url, init) => {
+        sent.push({ url, eventId: init.headers["x-cresca-event-id"] });
+        if (url === "http://slow.local/hooks") {
+            await slow;
+        }
+        return { ok: true, status: 200 };
+    };
+    const dispatcher = createDispatcher({ fetch, tickMs: 5 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: "http://slow.local/hooks" });
+    dispatcher.registerEndpoint({ merchant: OTHER, url: "http://fast.local/hooks" });
+    dispatcher.publish(paid());
+
+    dispatcher.start();
+    try {
+        await until(() => sent.length === 1);
+        // A new event for the other merchant goes out while the slow endpoint is stuck
+        dispatcher.publish(paid({ hash: "0x2" }, OTHER));
+        dispatcher.publish(withdrawn({ hash: "0x3" }));
+        await until(() => sent.length === 2);
+        // Several ticks pass; the slow endpoint's lane is not started again
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(sent).toEqual([
+            { url: "http://slow.local/hooks", eventId: "0x1:0" },
+            { url: "http://fast.local/hooks", eventId: "0x2:0" }
+        ]);
+
+        releaseSlow();
+        await until(() => sent.length === 3);
+        expect(sent.map(request => request.eventId)).toEqual(["0x1:0", "0x2:0", "0x3:0"]);
+    } finally {
+        dispatcher.stop();
+    }
+});
+
+test("forgets orders once refunded in full, and keeps at most maxOrders", () => {
+    const dispatcher = createDispatcher({ maxOrders: 2 });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: "https://merchant.example/hooks" });
+    const refund = (amount, hash) =>
+        paymentIntent("RefundEvent", { order_id: ORDER, recipient: PAYER, amount, timestamp: "1700000100" }, { hash });
+
+    dispatcher.publish(paid());
+    expect(dispatcher.publish(refund("1000", "0x2"))).toMatchObject({ status: "queued" });
+    expect(dispatcher.orders.get(ORDER)).toEqual({ merchant: MERCHANT, amount: 2500n, refunded: 1000n });
+    expect(dispatcher.publish(refund("1500", "0x3"))).toMatchObject({ status: "queued" });
+    expect(dispatcher.orders.size).toBe(0);
+    expect(dispatcher.publish(refund("1", "0x4"))).toMatchObject({ status: "unattributed" });
+
+    const order = n => "0x" + Buffer.from(`order-${n}`).toString("hex");
+    for (const n of [1, 2, 3]) {
+        dispatcher.publish(paymentIntent("PaymentEvent", { order_id: order(n), payer: PAYER, merchant: MERCHANT, amount: "10", timestamp: "1" }, { hash: `0x1${n}` }));
+    }
+    expect(Array.from(dispatcher.orders.keys())).toEqual([order(2), order(3)]);
+
+    // Refund progress survives a restart
+    dispatcher.publish(paymentIntent("RefundEvent", { order_id: order(3), recipient: PAYER, amount: "4", timestamp: "2" }, { hash: "0x20" }));
+    const restarted = new WebhookDispatcher({ filePath: dispatcher.store.filePath, logger: silentLogger }).load();
+    expect(restarted.orders.get(order(3))).toEqual({ merchant: MERCHANT, amount: 10n, refunded: 4n });
+});
+
+test("only delivers to the merchant's endpoints and their subscribed event types", async () => {
+    receiver = await startReceiver();
+    const dispatcher = createDispatcher();
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url, events: ["merchant.withdrawal"] });
+    dispatcher.registerEndpoint({ merchant: OTHER, url: receiver.url });
+    expect(() => dispatcher.registerEndpoint({ merchant: MERCHANT, url: "ftp://example.com" })).toThrow("http(s)");
+    expect(() => dispatcher.registerEndpoint({ merchant: MERCHANT, url: receiver.url, events: ["payment.lost"] })).toThrow("payment.lost");
+
+    expect(dispatcher.publish(paid())).toMatchObject({ deliveries: 0 });
+    expect(dispatcher.publish(withdrawn({ hash: "0x2" }))).toMatchObject({ deliveries: 1 });
+    // A refund for an order this dispatcher never saw paid has no merchant
+    expect(new WebhookDispatcher({ filePath: tmpPath("webhooks.json"), logger: silentLogger }).load().publish(refunded())).toMatchObject({ status: "unattributed" });
+
+    await dispatcher.deliverDue();
+    expect(receiver.requests.map(request => JSON.parse(request.body).type)).toEqual(["merchant.withdrawal"]);
+});
+
+test("the VM routes Payment events to the dispatcher", async () => {
+    const dispatcher = createDispatcher({ fetch: async () => ({ ok: true, status: 200 }) });
+    dispatcher.registerEndpoint({ merchant: MERCHANT, url: "https://merchant.example/hooks", secret: "whsec_test" });
+    const vm = new CrescaVM({ addresses: { paymentAddress: CRESCA }, webhooks: dispatcher, logger: silentLogger });
+
+    const { event } = paid();
+    const transaction = { hash: "0x9", version: "12", sender: PAYER, payload: { function: `${CRESCA}::Payment::create_payment`, type_arguments: [], arguments: [] } };
+    await expect(vm.execute(transaction, event)).resolves.toMatchObject({ status: "queued", eventId: "0x9:0" });
+
+    const [delivery] = dispatcher.listDeliveries();
+    expect(delivery.body).toContain("\"version\":\"12\"");
+    expect(signPayload("whsec_test", 1700000000, delivery.body)).toMatch(/^v1=[0-9a-f]{64}$/);
+});
@@ -0,0 +1,151 @@
+// Tests for sdk/bucket. The SDK has no package.json of its own, so its tests
+// run here with cresca-vm's Jest, its main consumer.
+
+const {
+    BucketClient,
+    BucketMathError,
+    FALLBACK_PRICE,
+    basketPrice,
+    closeValue,
+    isLiquidatable,
+    liquidationPrice,
+    marginRatioBps,
+    unrealizedPnl,
+    validateBasket
+} = require("../../sdk/bucket");
+const FakeAptosNode = require("./support/FakeAptosNode");
+
+const BUCKET = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
+const OWNER = "0x" + "a".repeat(64);
+const ONE_APT = 100000000n;
+
+const long5x = { entryPrice: 100000n, margin: ONE_APT, leverage: 5n, isLong: true };
+const short5x = { ...long5x, isLong: false };
+
+test("prices the basket with the contract's weighted integer average", () => {
+    expect(basketPrice([50, 30, 20], [6000000, 300000, 15000])).toBe(3093000n);
+    expect(basketPrice([40n, 35n, 25n], ["101", "0", "0"])).toBe(40n);
+    expect(basketPrice([50, 30, 20], [6000000])).toBeNull();
+    expect(basketPrice([50, 30, 20], [], { fallback: FALLBACK_PRICE })).toBe(100000n);
+});
+
+test("computes signed PnL and close value like calculate_pnl", () => {
+    expect(unrealizedPnl(long5x, 110000n)).toBe(50000000n);
+    expect(unrealizedPnl(short5x, 110000n)).toBe(-50000000n);
+    expect(unrealizedPnl(short5x, 99999n)).toBe(5000n);
+    expect(closeValue(long5x, 110000n)).toBe(150000000n);
+    // Losses stop at the margin
+    expect(closeValue(long5x, 70000n)).toBe(0n);
+});
+
+test("reports u64 overflow as the abort the contract would hit", () => {
+    const huge = { ...long5x, entryPrice: 1n, leverage: 20n };
+    expect(() => unrealizedPnl(huge, 1n << 40n)).toThrow(BucketMathError);
+    expect(() => unrealizedPnl(huge, 1n << 40n)).toThrow("overflows u64");
+    expect(() => basketPrice([50, 50], [1n << 63n, 1n])).toThrow("overflows u64");
+});
+
+test("margin ratio starts at 1/leverage and falls with losses", () => {
+    expect(marginRatioBps(long5x, 100000n)).toBe(2000n);
+    expect(marginRatioBps(long5x, 90000n)).toBeLessThan(2000n);
+    expect(marginRatioBps(long5x, 80000n)).toBe(0n);
+});
+
+test("liquidation price is where equity reaches the maintenance margin", () => {
+    expect(liquidationPrice(long5x)).toBe(80000n);
+    expect(liquidationPrice(short5x)).toBe(120000n);
+    expect(liquidationPrice({ ...long5x, leverage: 1n })).toBe(0n);
+
+    // e(L-1)/(L(1-r)) = 84210.5..., rounded towards entry
+    expect(liquidationPrice(long5x, { maintenanceMarginBps: 500 })).toBe(84211n);
+    expect(liquidationPrice(short5x, { maintenanceMarginBps: 500 })).toBe(114285n);
+
+    expect(isLiquidatable(long5x, 80000n)).toBe(true);
+    expect(isLiquidatable(long5x, 80001n)).toBe(false);
+    expect(isLiquidatable(short5x, 120000n)).toBe(true);
+    expect(closeValue(short5x, 120000n)).toBe(0n);
+    expect(() => liquidationPrice(long5x, { maintenanceMarginBps: 10000 })).toThrow("maintenanceMarginBps");
+});
+
+test("validates baskets like create_bucket", () => {
+    expect(() => validateBasket({ assets: ["0x1", "0x2"], weights: [60, 40], leverage: 20 })).not.toThrow();
+    expect(() => validateBasket({ assets: ["0x1"], weights: [60, 40] })).toThrow("same length");
+    expect(() => validateBasket({ assets: ["0x1", "0x2"], weights: [60, 30] })).toThrow("sum to 100");
+    expect(() => validateBasket({ assets: ["0x1"], weights: [100], leverage: 21 })).toThrow("leverage");
+});
+
+test("builds entry function payloads for both module generations", () => {
+    const client = new BucketClient({ aptosClient: new FakeAptosNode(), address: BUCKET });
+
+    expect(client.buildCreateBucket({ assets: ["0x1", "0x2"], weights: [70, 30], leverage: 3 })).toEqual({
+        function: `${BUCKET}::bucket_protocol::create_bucket`,
+        typeArguments: [],
+        functionArguments: [["0x1", "0x2"], ["70", "30"], 3]
+    });
+    expect(client.buildOpenPosition({ bucketId: 0, isLong: false, margin: ONE_APT }).functionArguments).toEqual(["0", false, "100000000"]);
+    expect(client.buildOpenLong(2n).function).toBe(`${BUCKET}::bucket_protocol::open_long`);
+    expect(client.buildClosePosition(7).functionArguments).toEqual(["7"]);
+    expect(client.buildRebalanceBucket({ bucketId: 1, weights: [50, 50] }).functionArguments).toEqual(["1", ["50", "50"]]);
+    expect(() => client.buildRebalanceBucket({ bucketId: 1, weights: [50, 40] })).toThrow(BucketMathError);
+});
+
+test("reads position details with or without the owner field", async () => {
+    const node = new FakeAptosNode();
+    const client = new BucketClient({ aptosClient: node, address: BUCKET });
+
+    node.setView(`${BUCKET}::bucket_protocol::get_position_details`, ([, id]) =>
+        id === "0" ? ["0", true, "100000000", "100000", OWNER, true] : ["0", "false", "100000000", "100000", "false"]);
+
+    await expect(client.getPositionDetails(0)).resolves.toEqual({
+        positionId: 0n, bucketId: 0n, isLong: true, margin: ONE_APT, entryPrice: 100000n, owner: OWNER, active: true
+    });
+    await expect(client.getPositionDetails(1)).resolves.toMatchObject({ isLong: false, owner: null, active: false });
+});
+
+test("reads a per-owner bucket's basket from its owner's Buckets resource", async () => {
+    const node = new FakeAptosNode();
+    const client = new BucketClient({ aptosClient: node, address: BUCKET });
+    const assets = ["0x" + "1".repeat(64), "0x" + "2".repeat(64)];
+    node.setResource(OWNER, `${BUCKET}::bucket_protocol::Buckets`, {
+        buckets: [{ assets, weights: ["60", "40"], leverage: 3, owner: OWNER }]
+    });
+
+    expect(await client.getBucket(OWNER, 0)).toEqual({ bucketId: 0n, assets, weights: [60n, 40n], leverage: 3n, owner: OWNER });
+    await expect(client.getBucket(OWNER, 1)).rejects.toThrow(`${OWNER} has no bucket 1`);
+    expect(await client.getBuckets("0x" + "b".repeat(64))).toEqual([]);
+
+    // No basket is hardcoded for the per-owner module
+    await expect(client.getMarkPrice()).rejects.toThrow("No basket weights known for bucket_protocol");
+});
+
+test("values a position at the oracle's basket price", async () => {
+    const node = new FakeAptosNode();
+    const client = new BucketClient({ aptosClient: node, address: BUCKET, moduleName: "bucket_defi" });
+    node.setView(`${BUCKET}::bucket_defi::get_position_details`, ["0", true, "100000000", "100000", OWNER, true]);
+    node.setView(`${BUCKET}::bucket_defi::get_oracle_prices`, [["90000", "90000", "90000"]]);
+
+    const valued = await client.valuePosition(0, { leverage: 5 });
+
+    expect(valued).toMatchObject({
+        markPrice: 90000n,
+        pnl: -50000000n,
+        closeValue: 50000000n,
+        liquidationPrice: 80000n,
+        liquidatable: false
+    });
+    await expect(client.valuePosition(0, { leverage: 5, maintenanceMarginBps: 2000 })).resolves.toMatchObject({ liquidatable: true });
+
+    // Until every asset has a price the module uses its fallback
+    node.setView(`${BUCKET}::bucket_defi::get_oracle_prices`, [[]]);
+    await expect(client.getMarkPrice()).resolves.toBe(FALLBACK_PRICE);
+});
+
+test("submits a payload with the given account", async () => {
+    const node = new FakeAptosNode();
+    const client = new BucketClient({ aptosClient: node, address: BUCKET, moduleName: "bucket_defi" });
+
+    const result = await client.submit({ accountAddress: OWNER }, client.buildOpenShort(0));
+
+    expect(result.success).toBe(true);
+    expect(node.submitted[0].transaction.data.function).toBe(`${BUCKET}::bucket_defi::open_short`);
+});
@@ -0,0 +1,176 @@
+const { Keypair, SystemProgram } = require("@solana/web3.js");
+const { Interface, Wallet, getAddress, zeroPadValue } = require("ethers");
+const AptosAdapter = require("../src/chains/AptosAdapter");
+const EvmAdapter = require("../src/chains/EvmAdapter");
+const SolanaAdapter = require("../src/chains/SolanaAdapter");
+const FakeAptosNode = require("./support/FakeAptosNode");
+
+const APTOS_PAYER = "0x" + "a".repeat(64);
+const APTOS_ESCROW = "0x" + "e".repeat(64);
+
+describe("AptosAdapter", () => {
+    function setup() {
+        const node = new FakeAptosNode();
+        const signer = { accountAddress: { toString: () => APTOS_ESCROW }, publicKey: "pk" };
+        const adapter = new AptosAdapter({ client: node, signer, escrowAddress: APTOS_ESCROW });
+        return { node, adapter };
+    }
+
+    test("sends a transfer_coins transaction and confirms it", async () => {
+        const { node, adapter } = setup();
+
+        const receipt = await adapter.transfer({ to: APTOS_PAYER, amount: 250n });
+
+        expect(receipt).toEqual({ txId: "0xsubmitted0", confirmed: true, error: null, fee: 1000n });
+        expect(node.submitted[0].transaction.data).toEqual({
+            function: "0x1::aptos_account::transfer_coins",
+            typeArguments: ["0x1::aptos_coin::AptosCoin"],
+            functionArguments: [APTOS_PAYER, "250"]
+        });
+
+        node.submitResult = () => ({ success: false, vm_status: "EINSUFFICIENT_BALANCE" });
+        expect(await adapter.transfer({ to: APTOS_PAYER, amount: 250n })).toMatchObject({ confirmed: false, error: "EINSUFFICIENT_BALANCE" });
+    });
+
+    test("verifies a deposit into escrow, however the address is written", async () => {
+        const { node, adapter } = setup();
+        const { hash } = node.addTransaction(APTOS_PAYER, {
+            payload: { function: "0x1::aptos_account::transfer", type_arguments: [], arguments: ["0x" + "e".repeat(64), "100"] }
+        });
+        const { hash: failed } = node.addTransaction(APTOS_PAYER, {
+            success: false,
+            vm_status: "Out of gas",
+            payload: { function: "0x1::aptos_account::transfer", type_arguments: [], arguments: [APTOS_ESCROW, "100"] }
+        });
+
+        expect(await adapter.verifyDeposit(hash, { amount: 100n })).toEqual({
+            txId: hash, from: APTOS_PAYER, to: APTOS_ESCROW, amount: 100n, asset: "0x1::aptos_coin::AptosCoin"
+        });
+        await expect(adapter.verifyDeposit(hash, { amount: 100n, asset: "0x1::usdc::USDC" })).rejects.toMatchObject({ retryable: false });
+        await expect(adapter.verifyDeposit(failed, { amount: 100n })).rejects.toMatchObject({ message: expect.stringContaining("Out of gas"), retryable: false });
+        await expect(adapter.verifyDeposit("0xunknown", { amount: 100n })).rejects.toMatchObject({ retryable: true });
+    });
+});
+
+describe("EvmAdapter", () => {
+    const ESCROW = "0x" + "e".repeat(40);
+    const TOKEN = "0x" + "7".repeat(40);
+    const erc20 = new Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+
+    function setup(options = {}) {
+        const sent = [];
+        const provider = {
+            receipts: new Map(),
+            transactions: new Map(),
+            getNetwork: async () => ({ chainId: 31337n }),
+            getTransactionCount: async () => 0,
+            estimateGas: async () => 21000n,
+            getFeeData: async () => ({ gasPrice: null, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n }),
+            broadcastTransaction: async raw => {
+                sent.push(raw);
+                return { hash: `0xhash${sent.length}` };
+            },
+            waitForTransaction: async hash => provider.receipts.get(hash) || null,
+            getTransaction: async hash => provider.transactions.get(hash) || null,
+            getTransactionReceipt: async hash => provider.receipts.get(hash) || null
+        };
+        const wallet = Wallet.createRandom();
+        const signer = new Wallet(wallet.privateKey, provider);
+        const adapter = new EvmAdapter({ provider, signer, escrowAddress: ESCROW, ...options });
+        return { provider, adapter, signer, sent };
+    }
+
+    const receipt = (status, logs = [], confirmations = 1) => ({ status, logs, confirmations: async () => confirmations });
+
+    test("sends a signed native transfer and confirms it", async () => {
+        const { provider, adapter, sent } = setup();
+        provider.receipts.set("0xhash1", receipt(1));
+
+        const result = await adapter.transfer({ to: ESCROW, amount: 5n });
+
+        expect(result).toEqual({ txId: "0xhash1", confirmed: true, error: null, fee: 42000n });
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatch(/^0x02/);
+
+        provider.receipts.set("0xhash2", receipt(0));
+        expect(await adapter.transfer({ to: ESCROW, amount: 5n })).toMatchObject({ confirmed: false, error: "transaction reverted" });
+    });
+
+    test("verifies native and ERC-20 deposits, waiting for confirmations", async () => {
+        const { provider, adapter } = setup({ confirmations: 2 });
+        const payer = Wallet.createRandom().address;
+        const transferLog = erc20.encodeEventLog("Transfer", [payer, ESCROW, 300n]);
+        // An ERC-721 Transfer shares the topic but has no data
+        const nftLog = { address: TOKEN, topics: [...transferLog.topics, zeroPadValue("0x01", 32)], data: "0x" };
+
+        provider.transactions.set("0xnative", { from: payer, to: ESCROW, value: 100n });
+        provider.receipts.set("0xnative", receipt(1, [], 1));
+        provider.transactions.set("0xtoken", { from: payer, to: TOKEN, value: 0n });
+        provider.receipts.set("0xtoken", receipt(1, [nftLog, { address: TOKEN, ...transferLog }], 2));
+
+        await expect(adapter.verifyDeposit("0xnative", { amount: 100n })).rejects.toMatchObject({ message: expect.stringContaining("not confirmed yet"), retryable: true });
+        provider.receipts.set("0xnative", receipt(1, [], 2));
+        expect(await adapter.verifyDeposit("0xnative", { amount: 100n })).toMatchObject({ from: payer, amount: 100n });
+
+        // The log carries the checksummed escrow address; the configured one is lowercase
+        expect(await adapter.verifyDeposit("0xtoken", { amount: 300n, asset: TOKEN }))
+            .toMatchObject({ from: payer, to: getAddress(ESCROW), amount: 300n, asset: TOKEN });
+        await expect(adapter.verifyDeposit("0xtoken", { amount: 300n })).rejects.toMatchObject({ retryable: false });
+    });
+});
+
+describe("SolanaAdapter", () => {
+    const payer = Keypair.generate().publicKey.toBase58();
+    const escrow = Keypair.generate().publicKey.toBase58();
+
+    function setup() {
+        const connection = {
+            statuses: [],
+            parsed: new Map(),
+            getLatestBlockhash: async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 50 }),
+            getFeeForMessage: async () => ({ value: 5000 }),
+            sendRawTransaction: async () => "sig1",
+            confirmTransaction: jest.fn(async () => ({ value: { err: null } })),
+            getSignatureStatuses: jest.fn(async () => ({ value: [connection.statuses.shift() || null] })),
+            getParsedTransaction: async signature => connection.parsed.get(signature) || null
+        };
+        const adapter = new SolanaAdapter({ connection, signer: Keypair.generate(), escrowAddress: escrow, signaturePollMs: 1, confirmTimeoutMs: 50 });
+        return { connection, adapter };
+    }
+
+    test("sends a system transfer and confirms it against its blockhash", async () => {
+        const { connection, adapter } = setup();
+
+        const built = await adapter.buildTransfer({ to: payer, amount: 10n });
+        expect(built.transaction.instructions[0].programId.equals(SystemProgram.programId)).toBe(true);
+
+        expect(await adapter.transfer({ to: payer, amount: 10n })).toEqual({ txId: "sig1", confirmed: true, error: null, fee: 5000n });
+        expect(connection.confirmTransaction).toHaveBeenCalledWith(expect.objectContaining({ signature: "sig1", lastValidBlockHeight: 50 }), "confirmed");
+        expect(connection.getSignatureStatuses).not.toHaveBeenCalled();
+    });
+
+    test("falls back to polling the signature when resuming without the signed transaction", async () => {
+        const { connection, adapter } = setup();
+        connection.statuses.push(null, { confirmationStatus: "processed", err: null }, { confirmationStatus: "confirmed", err: { InstructionError: [0, "Custom"] } });
+
+        expect(await adapter.confirm("sig1")).toEqual({ txId: "sig1", confirmed: false, error: '{"InstructionError":[0,"Custom"]}' });
+        expect(connection.getSignatureStatuses).toHaveBeenCalledTimes(3);
+        expect(connection.confirmTransaction).not.toHaveBeenCalled();
+
+        // Never confirmed: gives up after the timeout
+        await expect(adapter.confirm("sig2")).rejects.toThrow("solana: sig2 not confirmed within 50ms");
+    });
+
+    test("verifies a SOL deposit from the parsed transaction", async () => {
+        const { connection, adapter } = setup();
+        const transfer = to => ({ program: "system", parsed: { type: "transfer", info: { source: payer, destination: to, lamports: 100 } } });
+        connection.parsed.set("sigDeposit", { meta: { err: null }, transaction: { message: { instructions: [transfer(escrow)] } } });
+        connection.parsed.set("sigElsewhere", { meta: { err: null }, transaction: { message: { instructions: [transfer(payer)] } } });
+        connection.parsed.set("sigFailed", { meta: { err: { InstructionError: [0, "Custom"] } }, transaction: { message: { instructions: [transfer(escrow)] } } });
+
+        expect(await adapter.verifyDeposit("sigDeposit", { amount: 100n })).toEqual({ txId: "sigDeposit", from: payer, to: escrow, amount: 100n, asset: undefined });
+        await expect(adapter.verifyDeposit("sigElsewhere", { amount: 100n })).rejects.toMatchObject({ retryable: false });
+        await expect(adapter.verifyDeposit("sigFailed", { amount: 100n })).rejects.toMatchObject({ retryable: false });
+        await expect(adapter.verifyDeposit("sigMissing", { amount: 100n })).rejects.toMatchObject({ retryable: true });
+    });
+});
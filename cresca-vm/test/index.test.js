@@ -0,0 +1,44 @@
+const path = require("path");
+const { loadConfig, createSystem } = require("../src");
+const { tmpPath } = require("./support/tmp");
+
+function storeEnv(env = {}) {
+    const dir = path.dirname(tmpPath("queue.json"));
+    return {
+        VM_QUEUE_PATH: path.join(dir, "queue.json"),
+        VM_JOURNAL_PATH: path.join(dir, "journal.json"),
+        VM_SCHEDULES_PATH: path.join(dir, "schedules.json"),
+        VM_POSITIONS_PATH: path.join(dir, "positions.json"),
+        VM_WEBHOOKS_PATH: path.join(dir, "webhooks.json"),
+        VM_SWAPS_PATH: path.join(dir, "swaps.json"),
+        ...env
+    };
+}
+
+test("reads the configuration from the env it is given", () => {
+    const config = loadConfig({ BUCKET_KEEPER_MODULE: "bucket_defi", VM_API_KEYS: " a, ,b", WEBHOOK_CONCURRENCY: "2" });
+
+    expect(config.network.profile).toBe("testnet");
+    expect(config.bucketKeeperModule).toBe("bucket_defi");
+    // The oracle feeds the keeper's module unless told otherwise
+    expect(config.oracle.moduleName).toBe("bucket_defi");
+    expect(loadConfig({ BUCKET_KEEPER_MODULE: "bucket_defi", ORACLE_MODULE: "bucket_layer1" }).oracle.moduleName).toBe("bucket_layer1");
+    expect(loadConfig({}).oracle.moduleName).toBeNull();
+    expect(config.api.apiKeys).toEqual(["a", "b"]);
+    expect(config.webhooks).toEqual({ maxAttempts: 8, concurrency: 2 });
+
+    expect(() => loadConfig({ ORACLE_MODULE: "bucket_protocol" })).toThrow("ORACLE_MODULE must be one of bucket_defi, bucket_layer1, got bucket_protocol");
+});
+
+test("builds the components without starting any, leaving optional ones off", () => {
+    const system = createSystem(loadConfig(storeEnv()), {});
+
+    expect(system.vm.isRunning).toBe(false);
+    expect(system.monitor.isRunning).toBe(false);
+    expect([system.keeperAccount, system.scheduleKeeper, system.liquidationKeeper, system.oracleFeeder, system.api]).toEqual([null, null, null, null, null]);
+    expect(Object.keys(system.chains)).toEqual([]);
+
+    const withKeys = createSystem(loadConfig(storeEnv({ BUCKET_KEEPER_MODULE: "bucket_layer1", VM_API_KEYS: "secret" })), {});
+    expect(withKeys.liquidationKeeper.moduleName).toBe("bucket_layer1");
+    expect(withKeys.api.port).toBe(8787);
+});
@@ -0,0 +1,45 @@
+const {
+    NetworkConfigError,
+    loadNetworkConfig,
+    requireAddress,
+    moduleId,
+    aptosSettings
+} = require("../../config");
+const fs = require("fs");
+const path = require("path");
+const { tmpPath } = require("./support/tmp");
+
+test("defaults to the testnet profile with its deployed addresses", () => {
+    const network = loadNetworkConfig({ env: {} });
+
+    expect(network.profile).toBe("testnet");
+    expect(moduleId(network, "dexAggregator")).toBe("0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b::dex_aggregator");
+    expect(aptosSettings(network)).toEqual({ network: "testnet", fullnode: "https://api.testnet.aptoslabs.com/v1", faucet: undefined });
+});
+
+test("selects the profile from CRESCA_NETWORK and applies overrides", () => {
+    const network = loadNetworkConfig({ env: { CRESCA_NETWORK: "local", CRESCA_ADDRESS: "0xcafe", CRESCA_FULLNODE_URL: "http://10.0.2.2:8080/v1" } });
+
+    expect(network.fullnodeUrl).toBe("http://10.0.2.2:8080/v1");
+    expect(requireAddress(network, "cresca")).toBe("0xcafe");
+    expect(() => requireAddress(network, "calendarPayments")).toThrow("set CRESCA_CALENDAR_ADDRESS");
+});
+
+test("custom profiles need a fullnode URL", () => {
+    expect(() => loadNetworkConfig({ env: { CRESCA_NETWORK: "custom" } })).toThrow(NetworkConfigError);
+    expect(loadNetworkConfig({ env: { CRESCA_NETWORK: "custom", CRESCA_FULLNODE_URL: "https://node.example/v1" } }).network).toBe("custom");
+});
+
+test("rejects unknown profiles and malformed addresses", () => {
+    expect(() => loadNetworkConfig({ env: { CRESCA_NETWORK: "staging" } })).toThrow('Unknown network profile "staging"');
+    expect(() => loadNetworkConfig({ env: { CRESCA_ADDRESS: "cresca" } })).toThrow("addresses.cresca is not an account address");
+});
+
+test("picks up addresses from the deployment manifest, below env overrides", () => {
+    const dir = path.dirname(tmpPath("local.json"));
+    fs.writeFileSync(path.join(dir, "local.json"), JSON.stringify({ profile: "local", addresses: { cresca: "0xd1" } }));
+    const env = { CRESCA_NETWORK: "local", CRESCA_DEPLOYMENTS_DIR: dir };
+
+    expect(requireAddress(loadNetworkConfig({ env }), "cresca")).toBe("0xd1");
+    expect(requireAddress(loadNetworkConfig({ env: { ...env, CRESCA_ADDRESS: "0xcafe" } }), "cresca")).toBe("0xcafe");
+});
@@ -0,0 +1,155 @@
+const CrescaVM = require("../src/CrescaVM");
+const BlockMonitor = require("../src/BlockMonitor");
+const ExecutionQueue = require("../src/ExecutionQueue");
+const ExecutionJournal = require("../src/ExecutionJournal");
+const ApiServer = require("../src/api/ApiServer");
+const { Logger, MetricsRegistry, createVmMetrics, withLogContext } = require("../src/observability");
+const { IntentType } = require("../src/intents/crescaRoutes");
+const FakeAptosNode = require("./support/FakeAptosNode");
+const FakeChainAdapter = require("./support/FakeChainAdapter");
+const { tmpPath } = require("./support/tmp");
+const { silentLogger } = require("./support/logger");
+
+const CALENDAR = "0x0f9713e3c42951dbc4f05cc2e7ea211c1851b00a9d077e7e71f5d2a73041d606";
+const PAYER = "0x" + "a".repeat(64);
+
+function capture(level = "debug") {
+    const lines = [];
+    const logger = new Logger({ level, sink: (lineLevel, line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+function paymentIntent(chains, id) {
+    const depositTx = chains.aptos.deposit(`deposit-${id}`, { from: PAYER });
+    return {
+        transaction: { hash: `intent:${id}`, sender: PAYER },
+        event: {
+            eventIndex: 0,
+            intent: {
+                type: IntentType.CROSS_CHAIN_PAYMENT,
+                args: { sourceChain: "aptos", destinationChain: "solana", recipient: "sol-recipient", amount: "100", depositTx }
+            }
+        }
+    };
+}
+
+test("logs JSON lines with bindings, context and serialized errors above the level", async () => {
+    const { logger, lines } = capture("info");
+    const log = logger.child({ component: "monitor" });
+
+    log.debug("hidden");
+    await withLogContext({ correlationId: "0x1:0" }, async () => {
+        log.info("queued", { events: 2, amount: 5n });
+        log.error("failed", { error: new Error("node down") });
+    });
+    log.warn("outside");
+
+    expect(lines).toEqual([
+        { time: expect.any(String), level: "info", msg: "queued", component: "monitor", correlationId: "0x1:0", events: 2, amount: "5" },
+        {
+            time: expect.any(String), level: "error", msg: "failed", component: "monitor", correlationId: "0x1:0",
+            error: { name: "Error", message: "node down", stack: expect.stringContaining("node down") }
+        },
+        { time: expect.any(String), level: "warn", msg: "outside", component: "monitor" }
+    ]);
+    expect(() => new Logger({ level: "loud" })).toThrow("Unknown log level");
+});
+
+test("renders counters, collected gauges and histograms in the Prometheus text format", () => {
+    const registry = new MetricsRegistry();
+    const errors = registry.counter("errors_total", "Errors", ["source"]);
+    registry.gauge("lag", "Lag", [], () => 12);
+    registry.gauge("unknown_lag", "Lag before the first poll", [], () => null);
+    const latency = registry.histogram("latency_seconds", "Latency", ["type"], [0.1, 1]);
+
+    errors.inc({ source: "account:\"x\"" });
+    errors.inc({ source: "account:\"x\"" }, 2);
+    latency.observe({ type: "a" }, 0.05);
+    latency.observe({ type: "a" }, 0.5);
+    expect(() => errors.inc({ chain: "aptos" })).toThrow("no label chain");
+
+    expect(registry.render()).toBe([
+        "# HELP errors_total Errors",
+        "# TYPE errors_total counter",
+        "errors_total{source=\"account:\\\"x\\\"\"} 3",
+        "# HELP lag Lag",
+        "# TYPE lag gauge",
+        "lag 12",
+        "# HELP unknown_lag Lag before the first poll",
+        "# TYPE unknown_lag gauge",
+        "# HELP latency_seconds Latency",
+        "# TYPE latency_seconds histogram",
+        "latency_seconds_bucket{type=\"a\",le=\"0.1\"} 1",
+        "latency_seconds_bucket{type=\"a\",le=\"1\"} 2",
+        "latency_seconds_bucket{type=\"a\",le=\"+Inf\"} 2",
+        "latency_seconds_sum{type=\"a\"} 0.55",
+        "latency_seconds_count{type=\"a\"} 2",
+        ""
+    ].join("\n"));
+});
+
+test("the VM counts executions and rollbacks and tags its logs with the execution id", async () => {
+    const metrics = createVmMetrics();
+    const { logger, lines } = capture();
+    const journal = new ExecutionJournal({ filePath: tmpPath("journal.json") }).load();
+    const chains = {
+        aptos: new FakeChainAdapter("aptos", { escrow: new FakeChainAdapter("aptos-escrow") }),
+        solana: new FakeChainAdapter("solana")
+    };
+    const vm = new CrescaVM({ journal, chains, metrics, logger, addresses: { calendarAddress: CALENDAR } });
+
+    const ok = paymentIntent(chains, "m1");
+    await vm.execute(ok.transaction, ok.event);
+    await vm.execute({ hash: "0x2", payload: { function: "0x1::coin::transfer", arguments: [] } }, { eventIndex: 0 });
+    chains.solana.failConfirm = true;
+    const failing = paymentIntent(chains, "m2");
+    await expect(vm.execute(failing.transaction, failing.event)).rejects.toThrow();
+
+    expect(metrics.executions.get({ intent_type: IntentType.CROSS_CHAIN_PAYMENT, outcome: "success" })).toBe(1);
+    expect(metrics.executions.get({ intent_type: IntentType.CROSS_CHAIN_PAYMENT, outcome: "failed" })).toBe(1);
+    expect(metrics.executions.get({ intent_type: "unknown", outcome: "ignored" })).toBe(1);
+    expect(metrics.rollbacks.get({ result: "compensated" })).toBe(1);
+    expect(metrics.registry.render()).toMatch(/cresca_vm_execution_duration_seconds_count\{intent_type="CROSS_CHAIN_PAYMENT",outcome="success"\} 1/);
+
+    const legLog = lines.find(line => line.msg === "Transfer leg confirmed");
+    expect(legLog).toMatchObject({ correlationId: "intent:m1:0", txHash: "intent:m1", intentType: IntentType.CROSS_CHAIN_PAYMENT, chain: "solana" });
+    expect(lines.find(line => line.msg === "Execution failed")).toMatchObject({
+        level: "error",
+        correlationId: "intent:m2:0",
+        error: { message: expect.stringContaining("solana transfer"), stack: expect.any(String) }
+    });
+});
+
+test("exposes monitor lag, poll errors and queue depth on /metrics", async () => {
+    const node = new FakeAptosNode();
+    const metrics = createVmMetrics();
+    const queue = new ExecutionQueue({ filePath: tmpPath("queue.json") }).load();
+    const monitor = new BlockMonitor({ aptosClient: node, contractAddresses: [CALENDAR], queue, metrics, logger: silentLogger });
+    metrics.watchMonitor(monitor).watchQueue(queue);
+
+    node.addTransaction(CALENDAR, {
+        events: [{ type: `${CALENDAR}::calendar_payments::ScheduleCreatedEvent`, sequence_number: "0", data: { schedule_id: "0", payer: PAYER } }]
+    });
+    await monitor.pollAll();
+    node.addTransaction(PAYER);
+    node.addTransaction(PAYER);
+    node.failNext("getAccountTransactions", new Error("503 from fullnode"));
+    await monitor.pollAll();
+
+    const api = new ApiServer({ port: 0, apiKeys: ["secret"], methods: {}, metrics: metrics.registry, logger: silentLogger });
+    await api.start();
+    try {
+        const response = await fetch(`http://127.0.0.1:${api.port}/metrics`);
+        const body = await response.text();
+
+        expect(response.headers.get("content-type")).toBe(MetricsRegistry.CONTENT_TYPE);
+        expect(body).toContain(`cresca_monitor_poll_errors_total{source="account:${CALENDAR}"} 1`);
+        expect(body).toContain("cresca_monitor_last_processed_version 1\n");
+        expect(body).toContain("cresca_monitor_lag_versions 2\n");
+        expect(body).toContain("cresca_monitor_state{state=\"catching_up\"} 1");
+        expect(body).toContain(`cresca_monitor_queued_events_total{source="account:${CALENDAR}"} 1`);
+        expect(body).toContain("cresca_queue_depth{status=\"pending\"} 1");
+    } finally {
+        await api.stop();
+    }
+});
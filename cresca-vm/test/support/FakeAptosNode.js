@@ -0,0 +1,266 @@
+// In-memory stand-in for the Aptos client used by the monitor, keepers, the
+// bucket SDK and the Aptos chain adapter. Transactions, event handles, view
+// results and account resources are scripted by the test; failures and
+// latency can be injected per method.
+
+const DEFAULT_LEDGER_TIMESTAMP_SECS = 1700000000;
+
+class FakeAptosNode {
+    constructor() {
+        this.accounts = new Map();
+        this.handles = new Map();
+        this.byVersion = new Map();
+        this.views = new Map();
+        this.resources = new Map();
+        this.failures = new Map();
+        this.hidden = new Map();
+        this.latencyMs = 0;
+        this.nextVersion = 1;
+        this.ledgerTimestampSecs = DEFAULT_LEDGER_TIMESTAMP_SECS;
+        this.submitted = [];
+        this.submitResult = () => ({ success: true, vm_status: "Executed successfully" });
+        this.calls = [];
+
+        this.transaction = {
+            build: {
+                simple: args => this.call("build", () => ({ ...args, rawTransaction: true }))
+            },
+            simulate: {
+                simple: () => this.call("simulate", () => [{ success: true, gas_used: "10", gas_unit_price: "100", vm_status: "Executed successfully" }])
+            },
+            sign: ({ transaction }) => ({ signed: transaction }),
+            submit: {
+                simple: ({ transaction }) => this.call("submit", () => this.recordSubmission(transaction))
+            }
+        };
+    }
+
+    // --- scripting -------------------------------------------------------
+
+    /**
+     * Append a committed transaction sent by `sender`. Sequence number,
+     * version and hash are assigned unless given.
+     */
+    addTransaction(sender, tx = {}) {
+        const list = this.accounts.get(sender) || [];
+        const version = tx.version ?? String(this.nextVersion++);
+        const committed = {
+            type: "user_transaction",
+            hash: tx.hash || `0x${Number(version).toString(16).padStart(64, "0")}`,
+            sender,
+            sequence_number: String(tx.sequence_number ?? list.length),
+            success: true,
+            timestamp: String(this.ledgerTimestampSecs * 1000000),
+            payload: { type: "entry_function_payload", function: "0x1::aptos_account::transfer", type_arguments: [], arguments: [] },
+            events: [],
+            ...tx,
+            version
+        };
+        list.push(committed);
+        this.accounts.set(sender, list);
+        this.byVersion.set(version, committed);
+        return committed;
+    }
+
+    /**
+     * Append an event to a handle (address + struct + field) and to the
+     * transaction at `version`, which is created if needed.
+     */
+    addHandleEvent(address, eventHandle, field, event) {
+        const key = `${address}/${eventHandle}/${field}`;
+        const list = this.handles.get(key) || [];
+        const tx = event.version && this.byVersion.get(String(event.version))
+            ? this.byVersion.get(String(event.version))
+            : this.addTransaction(event.sender || address, {});
+        const stored = {
+            guid: { creation_number: String(list.length === 0 ? 0 : list[0].guid.creation_number), account_address: address },
+            sequence_number: String(event.sequence_number ?? list.length),
+            type: event.type,
+            data: event.data,
+            version: tx.version
+        };
+        list.push(stored);
+        this.handles.set(key, list);
+        tx.events.push({ guid: stored.guid, sequence_number: stored.sequence_number, type: stored.type, data: stored.data });
+        return stored;
+    }
+
+    /** Hide a sequence number from page queries to simulate a node gap. */
+    hide(sourceKey, sequenceNumber, times = Infinity) {
+        this.hidden.set(`${sourceKey}#${sequenceNumber}`, times);
+    }
+
+    setView(fn, result) {
+        this.views.set(fn, result);
+    }
+
+    setResource(address, resourceType, data) {
+        this.resources.set(`${address}/${resourceType}`, data);
+    }
+
+    /** Make the next `times` calls of `method` throw `error`. */
+    failNext(method, error = new Error(`${method} failed`), times = 1) {
+        this.failures.set(method, { error, times });
+    }
+
+    setLatency(ms) {
+        this.latencyMs = ms;
+    }
+
+    // --- Aptos client surface -------------------------------------------
+
+    async call(method, run) {
+        this.calls.push(method);
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+        const failure = this.failures.get(method);
+        if (failure && failure.times > 0) {
+            failure.times--;
+            throw failure.error;
+        }
+        return run();
+    }
+
+    visible(sourceKey, items) {
+        return items.filter(item => {
+            const key = `${sourceKey}#${item.sequence_number}`;
+            const remaining = this.hidden.get(key);
+            if (!remaining) {
+                return true;
+            }
+            this.hidden.set(key, remaining - 1);
+            return false;
+        });
+    }
+
+    getAccountTransactions({ accountAddress, options = {} }) {
+        return this.call("getAccountTransactions", () => {
+            const start = options.offset ?? 0;
+            const limit = options.limit ?? 25;
+            const page = (this.accounts.get(accountAddress) || [])
+                .filter(tx => Number(tx.sequence_number) >= start)
+                .slice(0, limit);
+            return this.visible(accountAddress, page);
+        });
+    }
+
+    getEventsByEventHandle({ accountAddress, eventHandle, fieldName, options = {} }) {
+        return this.call("getEventsByEventHandle", () => {
+            const key = `${accountAddress}/${eventHandle}/${fieldName}`;
+            const start = options.start ?? 0;
+            const limit = options.limit ?? 25;
+            const page = (this.handles.get(key) || [])
+                .filter(event => Number(event.sequence_number) >= start)
+                .slice(0, limit);
+            return this.visible(key, page);
+        });
+    }
+
+    /**
+     * Indexer `events` rows for every handle event, in (version, index)
+     * order. Supports `indexed_type` `_eq` / `_in` filters and offset paging.
+     */
+    getEvents({ options = {} } = {}) {
+        return this.call("getEvents", () => {
+            const filter = options.where?.indexed_type || {};
+            const types = filter._in || (filter._eq ? [filter._eq] : null);
+            const rows = Array.from(this.byVersion.values())
+                .sort((a, b) => Number(a.version) - Number(b.version))
+                .flatMap(tx => tx.events.map((event, eventIndex) => ({
+                    account_address: event.guid.account_address,
+                    creation_number: Number(event.guid.creation_number),
+                    sequence_number: Number(event.sequence_number),
+                    type: event.type,
+                    indexed_type: event.type,
+                    data: event.data,
+                    transaction_version: Number(tx.version),
+                    event_index: eventIndex
+                })))
+                .filter(row => !types || types.includes(row.indexed_type));
+            const offset = options.offset ?? 0;
+            return rows.slice(offset, offset + (options.limit ?? 100));
+        });
+    }
+
+    getTransactionByVersion({ ledgerVersion }) {
+        return this.call("getTransactionByVersion", () => {
+            const tx = this.byVersion.get(String(ledgerVersion));
+            if (!tx) {
+                throw new Error(`Transaction not found: version ${ledgerVersion}`);
+            }
+            return tx;
+        });
+    }
+
+    getTransactionByHash({ transactionHash }) {
+        return this.call("getTransactionByHash", () => {
+            const tx = Array.from(this.byVersion.values()).find(entry => entry.hash === transactionHash);
+            if (!tx) {
+                const error = new Error(`Transaction not found: ${transactionHash}`);
+                error.status = 404;
+                throw error;
+            }
+            return tx;
+        });
+    }
+
+    getLedgerInfo() {
+        return this.call("getLedgerInfo", () => ({
+            ledger_version: String(this.nextVersion - 1),
+            ledger_timestamp: String(this.ledgerTimestampSecs * 1000000)
+        }));
+    }
+
+    view({ payload }) {
+        return this.call("view", () => {
+            const result = this.views.get(payload.function);
+            if (result === undefined) {
+                throw new Error(`No view scripted for ${payload.function}`);
+            }
+            return typeof result === "function" ? result(payload.functionArguments, payload) : result;
+        });
+    }
+
+    getAccountResource({ accountAddress, resourceType }) {
+        return this.call("getAccountResource", () => {
+            const data = this.resources.get(`${accountAddress}/${resourceType}`);
+            if (!data) {
+                const error = new Error(`Resource not found: ${resourceType} at ${accountAddress}`);
+                error.status = 404;
+                throw error;
+            }
+            return data;
+        });
+    }
+
+    getAccountAPTAmount() {
+        return this.call("getAccountAPTAmount", () => 100000000);
+    }
+
+    getAccountCoinAmount() {
+        return this.call("getAccountCoinAmount", () => 100000000);
+    }
+
+    signAndSubmitTransaction({ transaction }) {
+        return this.call("submit", () => this.recordSubmission(transaction));
+    }
+
+    recordSubmission(transaction) {
+        const hash = `0xsubmitted${this.submitted.length}`;
+        this.submitted.push({ hash, transaction, result: this.submitResult(transaction) });
+        return { hash };
+    }
+
+    waitForTransaction({ transactionHash }) {
+        return this.call("waitForTransaction", () => {
+            const submission = this.submitted.find(entry => entry.hash === transactionHash);
+            if (!submission) {
+                throw new Error(`Unknown transaction ${transactionHash}`);
+            }
+            return { hash: transactionHash, ...submission.result };
+        });
+    }
+}
+
+module.exports = FakeAptosNode;
@@ -0,0 +1,70 @@
+// Scriptable chain adapter for cross-chain payment and rollback tests.
+
+const ChainAdapter = require("../../src/chains/ChainAdapter");
+
+class FakeChainAdapter extends ChainAdapter {
+    constructor(name, config = {}) {
+        super(name, { escrowAddress: `${name}-escrow`, ...config });
+        this.transfers = [];
+        // Transactions getTransfers can see, keyed by id (see deposit())
+        this.deposits = new Map();
+        this.failConfirm = config.failConfirm || false;
+        this.failSubmit = config.failSubmit || false;
+        // Makes confirm reject, like a timeout, instead of reporting a result
+        this.confirmError = config.confirmError || null;
+    }
+
+    /** Record a payer's transfer into escrow (or elsewhere, via `to`). */
+    deposit(txId, { from = "payer", to = this.escrowAddress, amount = 100n, asset, confirmed = true, error = null } = {}) {
+        this.deposits.set(txId, { txId, confirmed, error, transfers: [{ from, to, amount: BigInt(amount), asset }] });
+        return txId;
+    }
+
+    async getTransfers(txId) {
+        return this.deposits.get(txId) || null;
+    }
+
+    getSignerAddress() {
+        return `${this.name}-vm`;
+    }
+
+    async getBalance() {
+        return 0n;
+    }
+
+    async buildTransfer(request) {
+        return { ...request };
+    }
+
+    async estimateFee() {
+        return 5n;
+    }
+
+    async sign(built) {
+        return built;
+    }
+
+    encodeSigned(signed) {
+        return { ...signed };
+    }
+
+    async submit(signed) {
+        if (this.failSubmit) {
+            throw new Error(`${this.name} rpc unavailable`);
+        }
+        this.transfers.push(signed);
+        return `${this.name}-tx-${this.transfers.length}`;
+    }
+
+    async confirm(txId) {
+        if (this.confirmError) {
+            throw this.confirmError;
+        }
+        if (this.failConfirm) {
+            return { txId, confirmed: false, error: "reverted" };
+        }
+        return { txId, confirmed: true, error: null };
+    }
+}
+
+module.exports = FakeChainAdapter;
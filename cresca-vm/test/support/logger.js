@@ -0,0 +1,8 @@
+// Components take this through `logger` so tests run without console output.
+// Tests that check log lines build their own Logger with a capturing sink.
+
+const { Logger } = require("../../src/observability/logger");
+
+const silentLogger = new Logger({ level: "silent" });
+
+module.exports = { silentLogger };
@@ -0,0 +1,12 @@
+// Throwaway directories for the file-backed stores.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function tmpPath(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cresca-vm-"));
+    return path.join(dir, name);
+}
+
+module.exports = { tmpPath };
@@ -0,0 +1,383 @@
+/**
+ * Cresca package publisher
+ *
+ * Publishes every module in build/AptPays/bytecode_modules with its package
+ * metadata, runs the module initializers and writes a deployment manifest to
+ * config/deployments/<profile>.json for the other tools to read.
+ *
+ * Usage:
+ *   node deploy.js [--network <profile>] [--key-file <path> | --profile <aptos-cli-profile>]
+ *                  [--package-dir <dir>] [--dry-run] [--skip-init]
+ *
+ * The deployer key comes from, in order: --key-file, CRESCA_DEPLOYER_PRIVATE_KEY,
+ * or an Aptos CLI profile (--profile, default "default") in .aptos/config.yaml.
+ *
+ * Compile first with metadata and the deployer as the named address:
+ *   aptos move compile --save-metadata --named-addresses cresca=<addr>,aptpays_addr=<addr>
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { loadNetworkConfig, aptosSettings, explorerTxUrl, deploymentManifestPath } = require('../config');
+
+const DEFAULT_PACKAGE_DIR = path.join(__dirname, 'build', 'AptPays');
+
+// Initializers run after publish. Each is skipped when its marker resource
+// already exists, so re-running a deploy is safe.
+const INITIALIZERS = [
+    { moduleKey: 'dexAggregator', fn: 'initialize', marker: 'AggregatorRegistry' },
+    { moduleKey: 'swap', fn: 'initialize', marker: 'EventStore' },
+    { moduleKey: 'escrowSwap', fn: 'initialize', marker: 'EscrowRegistry' }
+];
+
+function parseArgs(argv) {
+    const options = { dryRun: false, skipInit: false, packageDir: DEFAULT_PACKAGE_DIR };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} needs a value`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--network': options.network = next(); break;
+            case '--key-file': options.keyFile = next(); break;
+            case '--profile': options.cliProfile = next(); break;
+            case '--package-dir': options.packageDir = path.resolve(next()); break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--skip-init': options.skipInit = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Accepts plain hex, AIP-80 ("ed25519-priv-0x...") or a JSON file with private_key
+function normalizePrivateKey(raw) {
+    let value = raw.trim();
+    if (value.startsWith('{')) {
+        value = JSON.parse(value).private_key || '';
+    }
+    value = value.replace(/^"|"$/g, '').replace(/^ed25519-priv-/, '');
+    if (!value.startsWith('0x')) {
+        value = `0x${value}`;
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error('Deployer key is not a 32-byte ed25519 private key');
+    }
+    return value;
+}
+
+/**
+ * Minimal reader for the Aptos CLI config: returns the key/value pairs of one
+ * profile under `profiles:`.
+ */
+function readCliProfile(name) {
+    const candidates = [
+        path.join(process.cwd(), '.aptos', 'config.yaml'),
+        path.join(__dirname, '.aptos', 'config.yaml'),
+        path.join(os.homedir(), '.aptos', 'config.yaml')
+    ];
+    const configPath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!configPath) {
+        return null;
+    }
+
+    const lines = fs.readFileSync(configPath, 'utf8').split(/\r?\n/);
+    const profile = {};
+    let inProfile = false;
+    let profileIndent = 0;
+    for (const line of lines) {
+        const match = line.match(/^(\s*)([A-Za-z0-9_-]+):\s*(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const [, indent, key, value] = match;
+        if (!inProfile) {
+            if (key === name && value === '' && indent.length > 0) {
+                inProfile = true;
+                profileIndent = indent.length;
+            }
+            continue;
+        }
+        if (indent.length <= profileIndent) {
+            break;
+        }
+        profile[key] = value.replace(/^["']|["']$/g, '');
+    }
+
+    return inProfile ? { ...profile, configPath } : null;
+}
+
+function loadDeployerKey(options) {
+    if (options.keyFile) {
+        return { key: normalizePrivateKey(fs.readFileSync(options.keyFile, 'utf8')), source: `key file ${options.keyFile}` };
+    }
+    if (process.env.CRESCA_DEPLOYER_PRIVATE_KEY) {
+        return { key: normalizePrivateKey(process.env.CRESCA_DEPLOYER_PRIVATE_KEY), source: 'CRESCA_DEPLOYER_PRIVATE_KEY' };
+    }
+
+    const profileName = options.cliProfile || 'default';
+    const profile = readCliProfile(profileName);
+    if (profile && profile.private_key) {
+        return { key: normalizePrivateKey(profile.private_key), source: `Aptos CLI profile "${profileName}" (${profile.configPath})`, restUrl: profile.rest_url };
+    }
+
+    throw new Error('No deployer key: pass --key-file, set CRESCA_DEPLOYER_PRIVATE_KEY, or configure an Aptos CLI profile');
+}
+
+function sha3(bytes) {
+    return `0x${crypto.createHash('sha3-256').update(bytes).digest('hex')}`;
+}
+
+/**
+ * Read the compiled package. Test-only modules are left out; modules are
+ * ordered so that dependencies are published before their dependents.
+ */
+function loadPackage(packageDir) {
+    const bytecodeDir = path.join(packageDir, 'bytecode_modules');
+    const metadataPath = path.join(packageDir, 'package-metadata.bcs');
+
+    if (!fs.existsSync(bytecodeDir)) {
+        throw new Error(`${bytecodeDir} not found, compile first with: aptos move compile --save-metadata`);
+    }
+    if (!fs.existsSync(metadataPath)) {
+        throw new Error(`${metadataPath} not found, recompile with: aptos move compile --save-metadata`);
+    }
+
+    const sourcesDir = path.join(packageDir, 'sources');
+    const readSource = name => {
+        const sourcePath = path.join(sourcesDir, `${name}.move`);
+        return fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf8') : '';
+    };
+
+    const modules = fs.readdirSync(bytecodeDir)
+        .filter(file => file.endsWith('.mv'))
+        .map(file => {
+            const name = path.basename(file, '.mv');
+            const bytes = fs.readFileSync(path.join(bytecodeDir, file));
+            const source = readSource(name);
+            return {
+                name,
+                bytes,
+                hash: sha3(bytes),
+                size: bytes.length,
+                testOnly: /#\[test_only\]\s*module/.test(source),
+                uses: [...source.matchAll(/use\s+cresca::(\w+)/g)].map(match => match[1])
+            };
+        })
+        .filter(module => !module.testOnly);
+
+    if (modules.length === 0) {
+        throw new Error(`No modules found in ${bytecodeDir}`);
+    }
+
+    const metadata = fs.readFileSync(metadataPath);
+    return { modules: orderByDependencies(modules), metadata, metadataHash: sha3(metadata) };
+}
+
+function orderByDependencies(modules) {
+    const byName = new Map(modules.map(module => [module.name, module]));
+    const ordered = [];
+    const visiting = new Set();
+    const visit = module => {
+        if (ordered.includes(module)) {
+            return;
+        }
+        if (visiting.has(module.name)) {
+            throw new Error(`Module dependency cycle at ${module.name}`);
+        }
+        visiting.add(module.name);
+        module.uses.filter(name => byName.has(name)).forEach(name => visit(byName.get(name)));
+        visiting.delete(module.name);
+        ordered.push(module);
+    };
+    modules.sort((a, b) => a.name.localeCompare(b.name)).forEach(visit);
+    return ordered;
+}
+
+async function simulate(aptos, account, transaction) {
+    const [result] = await aptos.transaction.simulate.simple({
+        signerPublicKey: account.publicKey,
+        transaction
+    });
+    return {
+        success: result.success,
+        vmStatus: result.vm_status,
+        gasUsed: Number(result.gas_used),
+        gasUnitPrice: Number(result.gas_unit_price),
+        feeOctas: Number(result.gas_used) * Number(result.gas_unit_price)
+    };
+}
+
+async function submit(aptos, account, transaction) {
+    const pending = await aptos.signAndSubmitTransaction({ signer: account, transaction });
+    const executed = await aptos.waitForTransaction({
+        transactionHash: pending.hash,
+        options: { checkSuccess: false }
+    });
+    if (!executed.success) {
+        throw new Error(`Transaction ${pending.hash} failed: ${executed.vm_status}`);
+    }
+    return { hash: pending.hash, gasUsed: Number(executed.gas_used), version: executed.version };
+}
+
+async function resourceExists(aptos, address, resourceType) {
+    try {
+        await aptos.getAccountResource({ accountAddress: address, resourceType });
+        return true;
+    } catch (error) {
+        if (error.status === 404 || /resource_not_found|not found/i.test(error.message)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function runInitializers(aptos, account, network) {
+    const address = account.accountAddress.toString();
+    const results = [];
+
+    for (const initializer of INITIALIZERS) {
+        const moduleName = network.modules[initializer.moduleKey];
+        const fn = `${address}::${moduleName}::${initializer.fn}`;
+
+        if (await resourceExists(aptos, address, `${address}::${moduleName}::${initializer.marker}`)) {
+            console.log(`   ⏭️  ${moduleName}::${initializer.fn} already done`);
+            results.push({ function: fn, status: 'skipped' });
+            continue;
+        }
+
+        const transaction = await aptos.transaction.build.simple({
+            sender: account.accountAddress,
+            data: { function: fn, typeArguments: [], functionArguments: [] }
+        });
+        const dryRun = await simulate(aptos, account, transaction);
+        if (!dryRun.success) {
+            throw new Error(`${fn} would fail: ${dryRun.vmStatus}`);
+        }
+
+        const executed = await submit(aptos, account, transaction);
+        console.log(`   ✅ ${moduleName}::${initializer.fn} (${executed.hash})`);
+        results.push({ function: fn, status: 'executed', txHash: executed.hash });
+    }
+
+    return results;
+}
+
+function writeManifest(network, manifest) {
+    const manifestPath = deploymentManifestPath(network.profile);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifestPath;
+}
+
+function printUsage() {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^\/\*\*|^ \* ?/gm, ''));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    const { Aptos, AptosConfig, Account, Ed25519PrivateKey } = require('@aptos-labs/ts-sdk');
+
+    const network = loadNetworkConfig({ profile: options.network });
+    const deployer = loadDeployerKey(options);
+    const account = Account.fromPrivateKey({ privateKey: new Ed25519PrivateKey(deployer.key) });
+    const address = account.accountAddress.toString();
+    const aptos = new Aptos(new AptosConfig(aptosSettings(network)));
+
+    console.log(`🔨 Cresca package publisher - ${network.profile}`);
+    console.log('━'.repeat(60));
+    console.log(`   Network:  ${network.profile} (${network.fullnodeUrl})`);
+    console.log(`   Deployer: ${address}`);
+    console.log(`   Key:      ${deployer.source}`);
+    if (deployer.restUrl && deployer.restUrl.replace(/\/$/, '') !== network.fullnodeUrl.replace(/\/$/, '')) {
+        console.log(`   ⚠️  CLI profile points at ${deployer.restUrl}, publishing to ${network.fullnodeUrl}`);
+    }
+
+    const pkg = loadPackage(options.packageDir);
+    console.log(`\n📦 ${pkg.modules.length} module(s):`);
+    pkg.modules.forEach(module => console.log(`   - ${module.name} (${module.size} bytes, ${module.hash.slice(0, 18)}…)`));
+
+    const transaction = await aptos.transaction.build.simple({
+        sender: account.accountAddress,
+        data: {
+            function: '0x1::code::publish_package_txn',
+            functionArguments: [pkg.metadata, pkg.modules.map(module => module.bytes)]
+        }
+    });
+
+    console.log('\n🧪 Simulating publish...');
+    const dryRun = await simulate(aptos, account, transaction);
+    console.log(`   Gas: ${dryRun.gasUsed} units × ${dryRun.gasUnitPrice} = ${(dryRun.feeOctas / 1e8).toFixed(6)} APT`);
+    if (!dryRun.success) {
+        console.log(`   ❌ Publish would fail: ${dryRun.vmStatus}`);
+        if (/MODULE_ADDRESS_DOES_NOT_MATCH_SENDER/.test(dryRun.vmStatus)) {
+            console.log(`   Recompile for this account: aptos move compile --save-metadata --named-addresses cresca=${address},aptpays_addr=${address}`);
+        }
+        process.exitCode = 1;
+        return;
+    }
+    console.log('   ✅ Simulation passed');
+
+    if (options.dryRun) {
+        console.log('\n🛑 Dry run, nothing submitted');
+        return;
+    }
+
+    console.log('\n🚀 Publishing...');
+    const published = await submit(aptos, account, transaction);
+    console.log(`   ✅ ${published.hash}`);
+
+    let initializers = [];
+    if (!options.skipInit) {
+        console.log('\n🔧 Running initializers...');
+        initializers = await runInitializers(aptos, account, network);
+    }
+
+    const manifestPath = writeManifest(network, {
+        profile: network.profile,
+        network: network.network,
+        fullnodeUrl: network.fullnodeUrl,
+        deployedAt: new Date().toISOString(),
+        addresses: { cresca: address },
+        publish: { txHash: published.hash, version: published.version, gasUsed: published.gasUsed },
+        metadataHash: pkg.metadataHash,
+        modules: pkg.modules.map(module => ({ name: module.name, hash: module.hash, size: module.size })),
+        initializers
+    });
+
+    console.log(`\n${'━'.repeat(60)}`);
+    console.log('✅ Deployment complete');
+    console.log(`   Manifest: ${path.relative(process.cwd(), manifestPath)}`);
+    const explorerUrl = explorerTxUrl(network, published.hash);
+    if (explorerUrl) {
+        console.log(`   Explorer: ${explorerUrl}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`\n❌ Deployment failed: ${error.message}`);
+        if (error.code === 'MODULE_NOT_FOUND' && /@aptos-labs\/ts-sdk/.test(error.message)) {
+            console.error('   Install the SDK first: npm install @aptos-labs/ts-sdk');
+        }
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, normalizePrivateKey, readCliProfile, loadPackage, orderByDependencies };
@@ -0,0 +1,372 @@
+/**
+ * Cresca Move scenario runner
+ *
+ * Runs the scenarios in ./scenarios against a node (local by default). Each
+ * scenario is plain data: the accounts to create and fund, then a list of
+ * steps. Every scenario gets fresh accounts, so runs never depend on state
+ * left over from a previous run.
+ *
+ * Usage:
+ *   node integration/runner.js [--network <profile>] [scenario-file ...]
+ *
+ * Step kinds:
+ *   { tx: 'alice', fn: 'swap::initiate_swap', typeArgs, args, events, capture, abort }
+ *   { view: 'swap::get_swap_details', typeArgs, args, expect, capture, abort }
+ *   { sleep: 2000 }
+ *
+ * Values:
+ *   '$alice'          address of a scenario account
+ *   '$swapId'         value captured by an earlier step
+ *   'APT'             in typeArgs, the coin type from the network config
+ *   { bytes: 'x' }    UTF-8 bytes for vector<u8> arguments and event fields
+ *   '*'               in expectations, matches anything
+ *   { length: n }     in expectations, matches a vector of n elements
+ *
+ * Aborts are declared as { module, name, code } and match on the module plus
+ * either the constant name or its reason code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadNetworkConfig, requireAddress, aptosSettings } = require('../../config');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_FUNDING = 100000000; // 1 APT
+
+class ScenarioFailure extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioFailure';
+    }
+}
+
+function normalizeAddress(value) {
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]+$/.test(value) && value.length > 4) {
+        return `0x${value.slice(2).toLowerCase().replace(/^0+(?=.)/, '')}`;
+    }
+    return value;
+}
+
+function bytesToHex(text) {
+    return `0x${Buffer.from(text, 'utf8').toString('hex')}`;
+}
+
+/**
+ * Replace $references with account addresses or captured values.
+ */
+function resolve(value, context) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+        const name = value.slice(1);
+        if (context.accounts[name]) {
+            return context.accounts[name].accountAddress.toString();
+        }
+        if (name in context.captures) {
+            return context.captures[name];
+        }
+        throw new ScenarioFailure(`Unknown reference ${value}`);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolve(item, context));
+    }
+    if (value && typeof value === 'object' && !('bytes' in value) && !('length' in value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, context)]));
+    }
+    return value;
+}
+
+function toArgument(value) {
+    if (value && typeof value === 'object' && 'bytes' in value) {
+        return new Uint8Array(Buffer.from(value.bytes, 'utf8'));
+    }
+    return value;
+}
+
+/**
+ * Compare an on-chain value with an expectation. Scalars are compared as
+ * strings, objects as subsets. Returns a description of the first mismatch.
+ */
+function mismatch(actual, expected, where = 'value') {
+    if (expected === '*') {
+        return null;
+    }
+    if (expected && typeof expected === 'object' && 'bytes' in expected) {
+        return actual === bytesToHex(expected.bytes) ? null : `${where}: expected bytes "${expected.bytes}", got ${actual}`;
+    }
+    if (expected && typeof expected === 'object' && 'length' in expected && !Array.isArray(expected)) {
+        const length = Array.isArray(actual) ? actual.length : undefined;
+        return length === expected.length ? null : `${where}: expected ${expected.length} elements, got ${length}`;
+    }
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(actual)) {
+            return `${where}: expected a vector, got ${JSON.stringify(actual)}`;
+        }
+        for (let i = 0; i < expected.length; i++) {
+            const problem = mismatch(actual[i], expected[i], `${where}[${i}]`);
+            if (problem) {
+                return problem;
+            }
+        }
+        return null;
+    }
+    if (expected && typeof expected === 'object') {
+        for (const [key, item] of Object.entries(expected)) {
+            const problem = mismatch(actual ? actual[key] : undefined, item, `${where}.${key}`);
+            if (problem) {
+                return problem;
+            }
+        }
+        return null;
+    }
+    return String(normalizeAddress(actual)) === String(normalizeAddress(expected))
+        ? null
+        : `${where}: expected ${expected}, got ${JSON.stringify(actual)}`;
+}
+
+/**
+ * Pull the abort location out of a vm_status such as
+ * "Move abort in 0x1::swap: ENOT_PARTICIPANT(0x50004): ...".
+ */
+function parseAbort(vmStatus) {
+    const match = /Move abort in (0x[0-9a-fA-F]+)::(\w+): (?:(\w+)\()?(0x[0-9a-fA-F]+|\d+)/.exec(vmStatus || '');
+    if (!match) {
+        return null;
+    }
+    const reason = Number(match[4]);
+    return { address: match[1], module: match[2], name: match[3] || null, code: reason & 0xffff };
+}
+
+function abortMatches(abort, expected) {
+    return Boolean(abort)
+        && abort.module === expected.module
+        && (abort.name === expected.name || abort.code === expected.code);
+}
+
+function describeAbort(expected) {
+    return `${expected.module}::${expected.name} (${expected.code})`;
+}
+
+/** Matches a step event name like "swap::SwapInitiatedEvent" against a full event type. */
+function eventMatches(event, name) {
+    return event.type.split('<')[0].endsWith(`::${name}`);
+}
+
+class ScenarioRunner {
+    constructor({ aptos, network, sdk, log = console.log }) {
+        this.aptos = aptos;
+        this.network = network;
+        this.sdk = sdk;
+        this.log = log;
+        this.moduleAddress = requireAddress(network, 'cresca');
+    }
+
+    functionId(name) {
+        return name.split('::').length === 3 ? name : `${this.moduleAddress}::${name}`;
+    }
+
+    typeArgs(typeArgs = []) {
+        return typeArgs.map(type => (this.network.coins[type] ? this.network.coins[type].type : type));
+    }
+
+    async assertDeployed() {
+        try {
+            await this.aptos.getAccountModule({ accountAddress: this.moduleAddress, moduleName: this.network.modules.swap });
+        } catch (error) {
+            throw new ScenarioFailure(
+                `cresca package not found at ${this.moduleAddress} on ${this.network.profile}; publish it first with: node deploy.js --network ${this.network.profile}`
+            );
+        }
+    }
+
+    async createAccounts(accounts) {
+        const created = {};
+        for (const [name, amount] of Object.entries(accounts)) {
+            const account = this.sdk.Account.generate();
+            await this.aptos.fundAccount({ accountAddress: account.accountAddress, amount: amount || DEFAULT_FUNDING });
+            created[name] = account;
+        }
+        return created;
+    }
+
+    async run(scenario) {
+        const started = Date.now();
+        const context = { accounts: {}, captures: {} };
+
+        try {
+            context.accounts = await this.createAccounts(scenario.accounts || {});
+            for (const [index, step] of scenario.steps.entries()) {
+                try {
+                    await this.runStep(step, context);
+                } catch (error) {
+                    const label = step.name || step.fn || step.view || `sleep ${step.sleep}`;
+                    throw new ScenarioFailure(`step ${index + 1} (${label}): ${error.message}`);
+                }
+            }
+            return { name: scenario.name, passed: true, durationMs: Date.now() - started };
+        } catch (error) {
+            return { name: scenario.name, passed: false, error: error.message, durationMs: Date.now() - started };
+        }
+    }
+
+    async runStep(step, context) {
+        if (step.sleep !== undefined) {
+            await new Promise(resolve => setTimeout(resolve, step.sleep));
+        } else if (step.tx) {
+            await this.runTransaction(step, context);
+        } else if (step.view) {
+            await this.runView(step, context);
+        } else {
+            throw new ScenarioFailure('step needs one of tx, view or sleep');
+        }
+    }
+
+    async runTransaction(step, context) {
+        const signer = context.accounts[step.tx];
+        if (!signer) {
+            throw new ScenarioFailure(`unknown account "${step.tx}"`);
+        }
+
+        const transaction = await this.aptos.transaction.build.simple({
+            sender: signer.accountAddress,
+            data: {
+                function: this.functionId(step.fn),
+                typeArguments: this.typeArgs(step.typeArgs),
+                functionArguments: resolve(step.args || [], context).map(toArgument)
+            }
+        });
+        const pending = await this.aptos.signAndSubmitTransaction({ signer, transaction });
+        const executed = await this.aptos.waitForTransaction({
+            transactionHash: pending.hash,
+            options: { checkSuccess: false }
+        });
+
+        if (step.abort) {
+            if (executed.success) {
+                throw new ScenarioFailure(`expected abort ${describeAbort(step.abort)}, but ${pending.hash} succeeded`);
+            }
+            if (!abortMatches(parseAbort(executed.vm_status), step.abort)) {
+                throw new ScenarioFailure(`expected abort ${describeAbort(step.abort)}, got: ${executed.vm_status}`);
+            }
+            return;
+        }
+        if (!executed.success) {
+            throw new ScenarioFailure(`${pending.hash} failed: ${executed.vm_status}`);
+        }
+
+        for (const expected of step.events || []) {
+            const data = resolve(expected.data || {}, context);
+            const candidates = executed.events.filter(event => eventMatches(event, expected.type));
+            if (candidates.length === 0) {
+                throw new ScenarioFailure(`no ${expected.type} event emitted`);
+            }
+            const problems = candidates.map(event => mismatch(event.data, data, expected.type)).filter(Boolean);
+            if (problems.length === candidates.length) {
+                throw new ScenarioFailure(problems[0]);
+            }
+        }
+
+        for (const [name, source] of Object.entries(step.capture || {})) {
+            const [eventName, field] = [source.slice(0, source.lastIndexOf('.')), source.slice(source.lastIndexOf('.') + 1)];
+            const event = executed.events.find(candidate => eventMatches(candidate, eventName));
+            if (!event || event.data[field] === undefined) {
+                throw new ScenarioFailure(`cannot capture ${name}: no ${source} in the transaction events`);
+            }
+            context.captures[name] = event.data[field];
+        }
+    }
+
+    async runView(step, context) {
+        let result;
+        try {
+            result = await this.aptos.view({
+                payload: {
+                    function: this.functionId(step.view),
+                    typeArguments: this.typeArgs(step.typeArgs),
+                    functionArguments: resolve(step.args || [], context).map(toArgument)
+                }
+            });
+        } catch (error) {
+            if (step.abort && abortMatches(parseAbort(error.message), step.abort)) {
+                return;
+            }
+            throw error;
+        }
+
+        if (step.abort) {
+            throw new ScenarioFailure(`expected abort ${describeAbort(step.abort)}, but the view returned ${JSON.stringify(result)}`);
+        }
+        if (step.expect) {
+            const problem = mismatch(result, resolve(step.expect, context), step.view);
+            if (problem) {
+                throw new ScenarioFailure(problem);
+            }
+        }
+        for (const [name, index] of Object.entries(step.capture || {})) {
+            context.captures[name] = result[index];
+        }
+    }
+}
+
+function parseArgs(argv) {
+    const options = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--network') {
+            options.network = argv[++i];
+        } else {
+            options.files.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+function loadScenarios(files) {
+    const selected = files.length > 0
+        ? files.map(file => path.resolve(SCENARIO_DIR, file.endsWith('.js') ? file : `${file}.js`))
+        : fs.readdirSync(SCENARIO_DIR).filter(file => file.endsWith('.js')).sort().map(file => path.join(SCENARIO_DIR, file));
+    return selected.flatMap(file => require(file));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const network = loadNetworkConfig({ profile: options.network || process.env.CRESCA_NETWORK || 'local' });
+    if (network.network === 'mainnet') {
+        throw new Error('Refusing to run integration scenarios against mainnet');
+    }
+    if (!network.faucetUrl) {
+        throw new Error(`Profile "${network.profile}" has no faucet; scenario accounts cannot be funded`);
+    }
+
+    const sdk = require('@aptos-labs/ts-sdk');
+    const aptos = new sdk.Aptos(new sdk.AptosConfig(aptosSettings(network)));
+    const runner = new ScenarioRunner({ aptos, network, sdk });
+    const scenarios = loadScenarios(options.files);
+
+    console.log(`🧪 Cresca Move scenarios - ${network.profile} (${network.fullnodeUrl})`);
+    console.log('═'.repeat(60));
+    await runner.assertDeployed();
+
+    const results = [];
+    for (const scenario of scenarios) {
+        const result = await runner.run(scenario);
+        results.push(result);
+        console.log(`${result.passed ? '✅' : '❌'} ${result.name} (${result.durationMs} ms)`);
+        if (!result.passed) {
+            console.log(`   ${result.error}`);
+        }
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.log('═'.repeat(60));
+    console.log(`${results.length - failed.length} passed, ${failed.length} failed`);
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { ScenarioRunner, ScenarioFailure, mismatch, parseAbort, resolve };
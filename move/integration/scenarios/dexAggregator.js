@@ -0,0 +1,41 @@
+// DEX aggregator (cresca::dex_aggregator) against a registry owned by a fresh
+// admin account. Quotes are the contract's placeholder spreads, so the best
+// route for 1,000,000 is Cetus (id 4) at 0.2%, then Thala (id 3) at 0.3%.
+// Swaps abort with EDEX_NOT_AVAILABLE until real DEX integrations land.
+
+const ENOT_INITIALIZED = { module: 'dex_aggregator', name: 'ENOT_INITIALIZED', code: 1 };
+
+module.exports = [
+    {
+        name: 'dex_aggregator: routing and admin controls',
+        accounts: { admin: 100000000, trader: 100000000 },
+        steps: [
+            { tx: 'admin', fn: 'dex_aggregator::initialize' },
+            { tx: 'admin', fn: 'dex_aggregator::initialize', abort: ENOT_INITIALIZED },
+            { view: 'dex_aggregator::get_supported_dexs', args: ['$admin'], expect: [{ length: 5 }] },
+            { view: 'dex_aggregator::find_best_route', typeArgs: ['APT', 'APT'], args: ['$admin', '1000000'], expect: ['4', '998000', '20'] },
+            { view: 'dex_aggregator::get_all_routes', typeArgs: ['APT', 'APT'], args: ['$admin', '1000000'], expect: [{ length: 5 }] },
+            { view: 'dex_aggregator::compare_prices', typeArgs: ['APT', 'APT'], args: ['$admin', '1000000'], expect: ['4', '998000', '994000', '*'] },
+            { view: 'dex_aggregator::find_best_route', typeArgs: ['APT', 'APT'], args: ['$trader', '1000000'], abort: ENOT_INITIALIZED },
+            { tx: 'trader', fn: 'dex_aggregator::toggle_dex', args: [4, false], abort: ENOT_INITIALIZED },
+            { tx: 'admin', fn: 'dex_aggregator::toggle_dex', args: [4, false] },
+            { view: 'dex_aggregator::get_dex_stats', args: ['$admin', 4], expect: ['0', '0', false] },
+            { view: 'dex_aggregator::find_best_route', typeArgs: ['APT', 'APT'], args: ['$admin', '1000000'], expect: ['3', '997000', '30'] },
+            {
+                tx: 'trader',
+                fn: 'dex_aggregator::swap_exact_in_best_route',
+                typeArgs: ['APT', 'APT'],
+                args: ['1000000', '990000', '$admin'],
+                abort: { module: 'dex_aggregator', name: 'EDEX_NOT_AVAILABLE', code: 6 }
+            },
+            {
+                tx: 'trader',
+                fn: 'dex_aggregator::swap_exact_in_best_route',
+                typeArgs: ['APT', 'APT'],
+                args: ['1000000', '999000', '$admin'],
+                abort: { module: 'dex_aggregator', name: 'ESLIPPAGE_EXCEEDED', code: 5 }
+            },
+            { view: 'dex_aggregator::get_aggregator_stats', args: ['$admin'], expect: ['0', '0', '0'] }
+        ]
+    }
+];
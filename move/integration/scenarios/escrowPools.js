@@ -0,0 +1,53 @@
+// Escrow liquidity pools (cresca::escrow_swap). A fresh admin seeds an
+// APT/APT pool; a trader swaps against it at the quoted price.
+
+const ENOT_ADMIN = { module: 'escrow_swap', name: 'ENOT_ADMIN', code: 4 };
+const EPOOL_ALREADY_EXISTS = { module: 'escrow_swap', name: 'EPOOL_ALREADY_EXISTS', code: 5 };
+const ESLIPPAGE_EXCEEDED = { module: 'escrow_swap', name: 'ESLIPPAGE_EXCEEDED', code: 7 };
+
+module.exports = [
+    {
+        name: 'escrow_swap: pool lifecycle and swaps',
+        accounts: { admin: 100000000, trader: 100000000 },
+        steps: [
+            { tx: 'admin', fn: 'escrow_swap::initialize' },
+            { tx: 'admin', fn: 'escrow_swap::initialize', abort: EPOOL_ALREADY_EXISTS },
+            { tx: 'admin', fn: 'escrow_swap::create_pool', typeArgs: ['APT', 'APT'], args: ['10000000', '20000000'] },
+            { tx: 'admin', fn: 'escrow_swap::create_pool', typeArgs: ['APT', 'APT'], args: ['1', '1'], abort: EPOOL_ALREADY_EXISTS },
+            { view: 'escrow_swap::get_pool_liquidity', typeArgs: ['APT', 'APT'], args: ['$admin'], expect: ['10000000', '20000000'] },
+            { view: 'escrow_swap::calculate_price', typeArgs: ['APT', 'APT'], args: ['$admin'], expect: ['200000000'] },
+            {
+                view: 'escrow_swap::get_quote_x_to_y',
+                typeArgs: ['APT', 'APT'],
+                args: ['$admin', '1000000'],
+                expect: ['*', '3000'],
+                capture: { quoteOut: 0 }
+            },
+            {
+                tx: 'trader',
+                fn: 'escrow_swap::swap_x_to_y',
+                typeArgs: ['APT', 'APT'],
+                args: ['1000000', '$quoteOut', '$admin'],
+                events: [{ type: 'escrow_swap::SwapExecutedEvent', data: { user: '$trader', amount_in: '1000000', amount_out: '$quoteOut', fee_collected: '3000' } }]
+            },
+            {
+                tx: 'trader',
+                fn: 'escrow_swap::swap_y_to_x',
+                typeArgs: ['APT', 'APT'],
+                args: ['1000000', '1000000', '$admin'],
+                abort: ESLIPPAGE_EXCEEDED
+            },
+            { view: 'escrow_swap::get_pool_info', typeArgs: ['APT', 'APT'], args: ['$admin'], expect: ['11000000', '*', '3000', '0', '1'] },
+            { tx: 'trader', fn: 'escrow_swap::add_liquidity', typeArgs: ['APT', 'APT'], args: ['1000', '1000', '$admin'], abort: ENOT_ADMIN },
+            {
+                tx: 'admin',
+                fn: 'escrow_swap::add_liquidity',
+                typeArgs: ['APT', 'APT'],
+                args: ['1000000', '1000000', '$admin'],
+                events: [{ type: 'escrow_swap::LiquidityAddedEvent', data: { provider: '$admin', amount_x: '1000000', amount_y: '1000000' } }]
+            },
+            { tx: 'admin', fn: 'escrow_swap::collect_fees', typeArgs: ['APT', 'APT'] },
+            { view: 'escrow_swap::get_pool_info', typeArgs: ['APT', 'APT'], args: ['$admin'], expect: ['11997000', '*', '0', '0', '1'] }
+        ]
+    }
+];
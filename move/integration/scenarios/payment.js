@@ -0,0 +1,47 @@
+// Merchant payments (aptpays_addr::Payment, published alongside cresca). A
+// payer pays a merchant through a fresh escrow account, which refunds part of
+// the order before the merchant withdraws the rest.
+
+const EINSUFFICIENT_BALANCE = { module: 'Payment', name: 'EINSUFFICIENT_BALANCE', code: 2 };
+
+module.exports = [
+    {
+        name: 'Payment: pay, refund and withdraw',
+        accounts: { escrow: 100000000, merchant: 100000000, payer: 100000000 },
+        steps: [
+            { tx: 'escrow', fn: 'Payment::initialize' },
+            { tx: 'merchant', fn: 'Payment::register_merchant' },
+            { tx: 'payer', fn: 'Payment::create_payment', args: [{ bytes: 'order-0' }, '$merchant', '0', '$escrow'], abort: { module: 'Payment', name: 'EINVALID_AMOUNT', code: 5 } },
+            {
+                tx: 'payer',
+                fn: 'Payment::create_payment',
+                args: [{ bytes: 'order-1' }, '$merchant', '1000000', '$escrow'],
+                events: [{ type: 'Payment::PaymentEvent', data: { order_id: { bytes: 'order-1' }, payer: '$payer', merchant: '$merchant', amount: '1000000' } }]
+            },
+            { view: 'Payment::get_escrow_balance', args: ['$escrow'], expect: ['1000000'] },
+            { view: 'Payment::get_merchant_balance', args: ['$merchant'], expect: ['1000000'] },
+            {
+                tx: 'payer',
+                fn: 'Payment::refund',
+                args: [{ bytes: 'order-1' }, '$payer', '400000', '$escrow'],
+                abort: { module: 'Payment', name: 'ENOT_AUTHORIZED', code: 1 }
+            },
+            {
+                tx: 'escrow',
+                fn: 'Payment::refund',
+                args: [{ bytes: 'order-1' }, '$payer', '400000', '$escrow'],
+                events: [{ type: 'Payment::RefundEvent', data: { order_id: { bytes: 'order-1' }, recipient: '$payer', amount: '400000' } }]
+            },
+            { view: 'Payment::get_escrow_balance', args: ['$escrow'], expect: ['600000'] },
+            { tx: 'merchant', fn: 'Payment::withdraw', args: ['$escrow', '1000000'], abort: EINSUFFICIENT_BALANCE },
+            {
+                tx: 'merchant',
+                fn: 'Payment::withdraw',
+                args: ['$escrow', '600000'],
+                events: [{ type: 'Payment::WithdrawalEvent', data: { merchant: '$merchant', amount: '600000' } }]
+            },
+            { view: 'Payment::get_escrow_balance', args: ['$escrow'], expect: ['0'] },
+            { view: 'Payment::get_merchant_balance', args: ['$merchant'], expect: ['400000'] }
+        ]
+    }
+];
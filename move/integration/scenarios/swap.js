@@ -0,0 +1,80 @@
+// Atomic swaps (cresca::swap): Alice offers APT to Bob, who either
+// completes the swap or lets it expire so Alice can cancel.
+
+const ENOT_PARTICIPANT = { module: 'swap', name: 'ENOT_PARTICIPANT', code: 4 };
+const ESWAP_NOT_EXPIRED = { module: 'swap', name: 'ESWAP_NOT_EXPIRED', code: 7 };
+const ESWAP_ALREADY_COMPLETED = { module: 'swap', name: 'ESWAP_ALREADY_COMPLETED', code: 8 };
+
+module.exports = [
+    {
+        name: 'swap: initiate and complete',
+        accounts: { alice: 100000000, bob: 100000000, mallory: 10000000 },
+        steps: [
+            { tx: 'alice', fn: 'swap::initialize' },
+            { view: 'swap::get_next_swap_id', typeArgs: ['APT', 'APT'], args: ['$alice'], expect: ['0'] },
+            {
+                tx: 'alice',
+                fn: 'swap::initiate_swap',
+                typeArgs: ['APT', 'APT'],
+                args: ['$bob', '1000000', '2000000', '3600'],
+                events: [{ type: 'swap::SwapInitiatedEvent', data: { initiator: '$alice', participant: '$bob', amount_x: '1000000', amount_y: '2000000' } }],
+                capture: { swapId: 'swap::SwapInitiatedEvent.swap_id' }
+            },
+            {
+                view: 'swap::get_swap_details',
+                typeArgs: ['APT', 'APT'],
+                args: ['$alice', '$swapId'],
+                expect: ['$alice', '$bob', '1000000', '2000000', '*', false, false]
+            },
+            { view: 'swap::is_swap_expired', typeArgs: ['APT', 'APT'], args: ['$alice', '$swapId'], expect: [false] },
+            { tx: 'mallory', fn: 'swap::complete_swap', typeArgs: ['APT', 'APT'], args: ['$alice', '$swapId'], abort: ENOT_PARTICIPANT },
+            { tx: 'alice', fn: 'swap::cancel_swap', typeArgs: ['APT', 'APT'], args: ['$swapId'], abort: ESWAP_NOT_EXPIRED },
+            {
+                tx: 'bob',
+                fn: 'swap::complete_swap',
+                typeArgs: ['APT', 'APT'],
+                args: ['$alice', '$swapId'],
+                events: [{ type: 'swap::SwapCompletedEvent', data: { swap_id: '$swapId', initiator: '$alice', participant: '$bob' } }]
+            },
+            {
+                view: 'swap::get_swap_details',
+                typeArgs: ['APT', 'APT'],
+                args: ['$alice', '$swapId'],
+                expect: ['*', '*', '*', '*', '*', true, false]
+            },
+            { tx: 'bob', fn: 'swap::complete_swap', typeArgs: ['APT', 'APT'], args: ['$alice', '$swapId'], abort: ESWAP_ALREADY_COMPLETED },
+            { view: 'swap::get_next_swap_id', typeArgs: ['APT', 'APT'], args: ['$alice'], expect: ['1'] }
+        ]
+    },
+    {
+        name: 'swap: cancel after expiry',
+        accounts: { alice: 100000000, bob: 10000000 },
+        steps: [
+            { tx: 'alice', fn: 'swap::initialize' },
+            {
+                tx: 'alice',
+                fn: 'swap::initiate_swap',
+                typeArgs: ['APT', 'APT'],
+                args: ['$bob', '1000000', '1000000', '1'],
+                capture: { swapId: 'swap::SwapInitiatedEvent.swap_id' }
+            },
+            { sleep: 2500 },
+            { tx: 'bob', fn: 'swap::complete_swap', typeArgs: ['APT', 'APT'], args: ['$alice', '$swapId'], abort: { module: 'swap', name: 'ESWAP_EXPIRED', code: 6 } },
+            // The aborted transaction above moved the ledger clock past the timeout
+            { view: 'swap::is_swap_expired', typeArgs: ['APT', 'APT'], args: ['$alice', '$swapId'], expect: [true] },
+            {
+                tx: 'alice',
+                fn: 'swap::cancel_swap',
+                typeArgs: ['APT', 'APT'],
+                args: ['$swapId'],
+                events: [{ type: 'swap::SwapCancelledEvent', data: { swap_id: '$swapId', initiator: '$alice' } }]
+            },
+            {
+                view: 'swap::get_swap_details',
+                typeArgs: ['APT', 'APT'],
+                args: ['$alice', '$swapId'],
+                expect: ['*', '*', '*', '*', '*', false, true]
+            }
+        ]
+    }
+];
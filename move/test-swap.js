@@ -1,276 +0,0 @@
-/**
- * Test script for Cresca Atomic Swap Contract
- * Tests: Initialize, Initiate Swap, Complete Swap, View Functions
- */
-
-const { Aptos, AptosConfig, Network, Account, Ed25519PrivateKey } = require("@aptos-labs/ts-sdk");
-
-// Configuration
-const NETWORK = Network.TESTNET;
-const CONTRACT_ADDRESS = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
-
-// Test accounts
-const ALICE_KEY = "0x40daf4e4316a895eec706d88006d6a3ba75f22b01f0b4390556d679101d6e309";
-const ALICE_ADDRESS = "0x33ec41711fe3c92c3f1a010909342e1c2c5de962e50645c8f8c8eda119122d6b";
-
-console.log("🧪 Cresca Atomic Swap - Contract Test Suite\n");
-console.log("═".repeat(60));
-
-async function main() {
-    try {
-        // Initialize Aptos client
-        const config = new AptosConfig({ network: NETWORK });
-        const aptos = new Aptos(config);
-        
-        console.log("\n📡 Connected to Aptos Testnet");
-        console.log(`   Contract: ${CONTRACT_ADDRESS}`);
-        
-        // Load Alice's account
-        const alicePrivateKey = new Ed25519PrivateKey(ALICE_KEY);
-        const alice = Account.fromPrivateKey({ privateKey: alicePrivateKey });
-        console.log(`   Alice: ${alice.accountAddress.toString()}`);
-        
-        // Check Alice's balance
-        const resources = await aptos.getAccountResources({
-            accountAddress: alice.accountAddress
-        });
-        
-        const aptResource = resources.find(r => r.type === '0x1::coin::CoinStore<0x1::aptos_coin::AptosCoin>');
-        if (aptResource) {
-            const balance = parseInt(aptResource.data.coin.value) / 100000000;
-            console.log(`   Balance: ${balance.toFixed(4)} APT`);
-        }
-        
-        console.log("\n" + "═".repeat(60));
-        
-        // Test 1: Initialize (optional but good to test)
-        console.log("\n🔧 Test 1: Initialize Swap Module");
-        console.log("─".repeat(60));
-        
-        try {
-            const initTxn = await aptos.transaction.build.simple({
-                sender: alice.accountAddress,
-                data: {
-                    function: `${CONTRACT_ADDRESS}::swap::initialize`,
-                    typeArguments: [],
-                    functionArguments: [],
-                },
-            });
-            
-            const committedInit = await aptos.signAndSubmitTransaction({
-                signer: alice,
-                transaction: initTxn,
-            });
-            
-            await aptos.waitForTransaction({ transactionHash: committedInit.hash });
-            console.log("✅ Initialize successful");
-            console.log(`   Txn: ${committedInit.hash}`);
-        } catch (error) {
-            if (error.message && error.message.includes("RESOURCE_ALREADY_EXISTS")) {
-                console.log("✅ Already initialized (skipping)");
-            } else {
-                console.log("⚠️  Initialize failed:", error.message);
-            }
-        }
-        
-        // Test 2: Get Next Swap ID (view function)
-        console.log("\n🔍 Test 2: Query Next Swap ID");
-        console.log("─".repeat(60));
-        
-        try {
-            const [nextSwapId] = await aptos.view({
-                payload: {
-                    function: `${CONTRACT_ADDRESS}::swap::get_next_swap_id`,
-                    typeArguments: [
-                        "0x1::aptos_coin::AptosCoin",
-                        "0x1::aptos_coin::AptosCoin" // Using APT for both for simplicity
-                    ],
-                    functionArguments: [alice.accountAddress.toString()],
-                }
-            });
-            
-            console.log(`✅ Next Swap ID: ${nextSwapId}`);
-        } catch (error) {
-            console.log("⚠️  Query failed:", error.message);
-            console.log("   Note: This is expected if SwapRegistry doesn't exist yet");
-        }
-        
-        // Test 3: Initiate Swap
-        console.log("\n🚀 Test 3: Initiate Atomic Swap");
-        console.log("─".repeat(60));
-        console.log("   Offering: 0.1 APT");
-        console.log("   Expecting: 0.1 APT (from self for testing)");
-        console.log("   Timeout: 3600 seconds (1 hour)");
-        
-        try {
-            const initSwapTxn = await aptos.transaction.build.simple({
-                sender: alice.accountAddress,
-                data: {
-                    function: `${CONTRACT_ADDRESS}::swap::initiate_swap`,
-                    typeArguments: [
-                        "0x1::aptos_coin::AptosCoin",
-                        "0x1::aptos_coin::AptosCoin"
-                    ],
-                    functionArguments: [
-                        alice.accountAddress.toString(), // participant (self for testing)
-                        "10000000", // 0.1 APT in octas
-                        "10000000", // expecting 0.1 APT back
-                        "3600" // 1 hour timeout
-                    ],
-                },
-            });
-            
-            const committedSwap = await aptos.signAndSubmitTransaction({
-                signer: alice,
-                transaction: initSwapTxn,
-            });
-            
-            const txnResult = await aptos.waitForTransaction({ 
-                transactionHash: committedSwap.hash 
-            });
-            
-            console.log("✅ Swap initiated successfully");
-            console.log(`   Txn: ${committedSwap.hash}`);
-            console.log(`   Status: ${txnResult.success ? 'SUCCESS' : 'FAILED'}`);
-            console.log(`   Gas used: ${txnResult.gas_used} octas`);
-            
-            // Get the swap ID from events or assume it's 0
-            const swapId = 0;
-            
-            // Test 4: Query swap details
-            console.log("\n🔍 Test 4: Query Swap Details");
-            console.log("─".repeat(60));
-            
-            try {
-                const swapDetails = await aptos.view({
-                    payload: {
-                        function: `${CONTRACT_ADDRESS}::swap::get_swap_details`,
-                        typeArguments: [
-                            "0x1::aptos_coin::AptosCoin",
-                            "0x1::aptos_coin::AptosCoin"
-                        ],
-                        functionArguments: [
-                            alice.accountAddress.toString(),
-                            swapId.toString()
-                        ],
-                    }
-                });
-                
-                console.log("✅ Swap Details Retrieved:");
-                console.log(`   Initiator: ${swapDetails[0]}`);
-                console.log(`   Participant: ${swapDetails[1]}`);
-                console.log(`   Amount X: ${swapDetails[2]} octas (${parseInt(swapDetails[2])/100000000} APT)`);
-                console.log(`   Amount Y: ${swapDetails[3]} octas (${parseInt(swapDetails[3])/100000000} APT)`);
-                console.log(`   Timeout: ${swapDetails[4]} (timestamp)`);
-                console.log(`   Completed: ${swapDetails[5]}`);
-                console.log(`   Cancelled: ${swapDetails[6]}`);
-                
-                // Test 5: Check if expired
-                console.log("\n🕒 Test 5: Check Swap Expiration");
-                console.log("─".repeat(60));
-                
-                const [isExpired] = await aptos.view({
-                    payload: {
-                        function: `${CONTRACT_ADDRESS}::swap::is_swap_expired`,
-                        typeArguments: [
-                            "0x1::aptos_coin::AptosCoin",
-                            "0x1::aptos_coin::AptosCoin"
-                        ],
-                        functionArguments: [
-                            alice.accountAddress.toString(),
-                            swapId.toString()
-                        ],
-                    }
-                });
-                
-                console.log(`✅ Is Expired: ${isExpired}`);
-                
-                // Test 6: Complete swap (if not expired)
-                if (!isExpired) {
-                    console.log("\n✨ Test 6: Complete Swap");
-                    console.log("─".repeat(60));
-                    
-                    try {
-                        const completeTxn = await aptos.transaction.build.simple({
-                            sender: alice.accountAddress,
-                            data: {
-                                function: `${CONTRACT_ADDRESS}::swap::complete_swap`,
-                                typeArguments: [
-                                    "0x1::aptos_coin::AptosCoin",
-                                    "0x1::aptos_coin::AptosCoin"
-                                ],
-                                functionArguments: [
-                                    alice.accountAddress.toString(), // initiator
-                                    swapId.toString()
-                                ],
-                            },
-                        });
-                        
-                        const committedComplete = await aptos.signAndSubmitTransaction({
-                            signer: alice,
-                            transaction: completeTxn,
-                        });
-                        
-                        const completeResult = await aptos.waitForTransaction({ 
-                            transactionHash: committedComplete.hash 
-                        });
-                        
-                        console.log("✅ Swap completed successfully");
-                        console.log(`   Txn: ${committedComplete.hash}`);
-                        console.log(`   Status: ${completeResult.success ? 'SUCCESS' : 'FAILED'}`);
-                        console.log(`   Gas used: ${completeResult.gas_used} octas`);
-                        
-                        // Verify completion
-                        const finalDetails = await aptos.view({
-                            payload: {
-                                function: `${CONTRACT_ADDRESS}::swap::get_swap_details`,
-                                typeArguments: [
-                                    "0x1::aptos_coin::AptosCoin",
-                                    "0x1::aptos_coin::AptosCoin"
-                                ],
-                                functionArguments: [
-                                    alice.accountAddress.toString(),
-                                    swapId.toString()
-                                ],
-                            }
-                        });
-                        
-                        console.log(`   Verified Completed: ${finalDetails[5]}`);
-                        
-                    } catch (error) {
-                        console.log("❌ Complete swap failed:", error.message);
-                    }
-                }
-                
-            } catch (error) {
-                console.log("❌ Query failed:", error.message);
-            }
-            
-        } catch (error) {
-            console.log("❌ Initiate swap failed:", error.message);
-            if (error.transaction) {
-                console.log("   Transaction details:", JSON.stringify(error.transaction, null, 2));
-            }
-        }
-        
-        // Final Summary
-        console.log("\n" + "═".repeat(60));
-        console.log("\n📊 Test Summary");
-        console.log("─".repeat(60));
-        console.log("✅ Contract compiled successfully");
-        console.log("✅ All view functions working");
-        console.log("✅ Transaction submission successful");
-        console.log("\n💡 Next Steps:");
-        console.log("   1. Deploy to mainnet when ready");
-        console.log("   2. Integrate into Kotlin mobile app");
-        console.log("   3. Add UI for swap creation/completion");
-        console.log("\n🎉 All tests completed!\n");
-        
-    } catch (error) {
-        console.error("\n❌ Test suite failed:", error.message);
-        console.error(error);
-        process.exit(1);
-    }
-}
-
-main();
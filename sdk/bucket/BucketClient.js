@@ -0,0 +1,251 @@
+// Cresca Bucket Client
+// Entry function payloads and typed view calls for the bucket perps modules.
+// Two generations are published: the original per-owner `bucket_protocol`
+// (create_bucket, open_position, rebalance_bucket) and the multi-user
+// modules with one shared Protocol (open_long / open_short against a fixed
+// basket). Pick the calls that match the module at `address`.
+
+const {
+    BASKETS,
+    BucketMathError,
+    FALLBACK_PRICE,
+    basketPrice,
+    closeValue,
+    isLiquidatable,
+    liquidationPrice,
+    marginRatioBps,
+    unrealizedPnl,
+    validateBasket
+} = require("./math");
+
+// View results arrive as JSON; some nodes and wrappers stringify bools
+const toBool = value => value === true || value === "true";
+
+class BucketClient {
+    constructor(config) {
+        if (!config.address) {
+            throw new Error("BucketClient needs the module address");
+        }
+        this.aptosClient = config.aptosClient;
+        this.address = config.address;
+        this.moduleName = config.moduleName || "bucket_protocol";
+        // Multi-user modules keep Protocol at a hardcoded address, usually the publisher
+        this.protocolAddress = config.protocolAddress || config.address;
+    }
+
+    get functionPrefix() {
+        return `${this.address}::${this.moduleName}`;
+    }
+
+    entry(name, functionArguments) {
+        return {
+            function: `${this.functionPrefix}::${name}`,
+            typeArguments: [],
+            functionArguments
+        };
+    }
+
+    // --- entry functions (payloads for any signer) ----------------------
+
+    buildCreateBucket({ assets, weights, leverage }) {
+        validateBasket({ assets, weights, leverage });
+        return this.entry("create_bucket", [assets, weights.map(String), Number(leverage)]);
+    }
+
+    buildDepositCollateral(amount) {
+        return this.entry("deposit_collateral", [amount.toString()]);
+    }
+
+    /** Per-owner module: margin is taken from deposited collateral. */
+    buildOpenPosition({ bucketId, isLong, margin }) {
+        return this.entry("open_position", [bucketId.toString(), Boolean(isLong), margin.toString()]);
+    }
+
+    /** Multi-user modules: locks the module's fixed margin (1 APT) from the signer. */
+    buildOpenLong(bucketId) {
+        return this.entry("open_long", [bucketId.toString()]);
+    }
+
+    buildOpenShort(bucketId) {
+        return this.entry("open_short", [bucketId.toString()]);
+    }
+
+    buildClosePosition(positionId) {
+        return this.entry("close_position", [positionId.toString()]);
+    }
+
+    buildRebalanceBucket({ bucketId, weights }) {
+        if (weights.reduce((sum, weight) => sum + BigInt(weight), 0n) !== 100n) {
+            throw new BucketMathError("INVALID_ARGUMENT", "weights must sum to 100");
+        }
+        return this.entry("rebalance_bucket", [bucketId.toString(), weights.map(String)]);
+    }
+
+    /**
+     * Push oracle prices in basket order. With `fundingRates` this is the
+     * per-owner `update_oracle(prices, funding_rates)`; without, the
+     * multi-user form that takes one price argument per basket asset.
+     */
+    buildUpdateOracle({ prices, fundingRates }) {
+        if (fundingRates) {
+            if (fundingRates.length !== prices.length) {
+                throw new BucketMathError("INVALID_ARGUMENT", "one funding rate per price");
+            }
+            return this.entry("update_oracle", [prices.map(String), fundingRates.map(String)]);
+        }
+        return this.entry("update_oracle", prices.map(String));
+    }
+
+    /**
+     * Per-owner module: the signer must hold the positions. `reason` is
+     * stored in the LiquidationEvent as UTF-8 bytes.
+     */
+    buildLiquidatePosition(positionId, reason) {
+        return this.entry("liquidate_position", [positionId.toString(), Buffer.from(reason, "utf8")]);
+    }
+
+    /**
+     * Build, sign with `account` and wait. Resolves with the committed
+     * transaction whether or not it succeeded; check `success`/`vm_status`.
+     */
+    async submit(account, data) {
+        const transaction = await this.aptosClient.transaction.build.simple({
+            sender: account.accountAddress,
+            data
+        });
+        const pending = await this.aptosClient.signAndSubmitTransaction({ signer: account, transaction });
+        return this.aptosClient.waitForTransaction({
+            transactionHash: pending.hash,
+            options: { checkSuccess: false }
+        });
+    }
+
+    // --- views -----------------------------------------------------------
+
+    view(name, functionArguments) {
+        return this.aptosClient.view({
+            payload: {
+                function: `${this.functionPrefix}::${name}`,
+                typeArguments: [],
+                functionArguments
+            }
+        });
+    }
+
+    /**
+     * Per-owner module: the buckets `owner` created, in id order, from the
+     * Buckets resource at their address. Empty if they have none.
+     */
+    async getBuckets(owner) {
+        let resource;
+        try {
+            resource = await this.aptosClient.getAccountResource({
+                accountAddress: owner,
+                resourceType: `${this.functionPrefix}::Buckets`
+            });
+        } catch (error) {
+            if (error.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+        return resource.buckets.map((bucket, index) => ({
+            bucketId: BigInt(index),
+            assets: bucket.assets,
+            weights: bucket.weights.map(weight => BigInt(weight)),
+            leverage: BigInt(bucket.leverage),
+            owner: bucket.owner
+        }));
+    }
+
+    async getBucket(owner, bucketId) {
+        const bucket = (await this.getBuckets(owner))[Number(bucketId)];
+        if (!bucket) {
+            throw new Error(`${owner} has no bucket ${bucketId}`);
+        }
+        return bucket;
+    }
+
+    /**
+     * Position by id. Older deployments return five values without the
+     * owner; `owner` is null for those.
+     */
+    async getPositionDetails(positionId, { address = this.protocolAddress } = {}) {
+        const result = await this.view("get_position_details", [address, positionId.toString()]);
+        const [bucketId, isLong, margin, entryPrice] = result;
+        const withOwner = result.length >= 6;
+        return {
+            positionId: BigInt(positionId),
+            bucketId: BigInt(bucketId),
+            isLong: toBool(isLong),
+            margin: BigInt(margin),
+            entryPrice: BigInt(entryPrice),
+            owner: withOwner ? result[4] : null,
+            active: toBool(withOwner ? result[5] : result[4])
+        };
+    }
+
+    async getOraclePrices() {
+        const [prices] = await this.view("get_oracle_prices", [this.protocolAddress]);
+        return prices.map(price => BigInt(price));
+    }
+
+    async getLastOracleUpdate() {
+        const [timestamp] = await this.view("get_last_oracle_update", [this.protocolAddress]);
+        return Number(timestamp);
+    }
+
+    async getCollateralBalance() {
+        const [balance] = await this.view("get_collateral_balance", [this.protocolAddress]);
+        return BigInt(balance);
+    }
+
+    async getPositionCount() {
+        const [count] = await this.view("get_position_count", [this.protocolAddress]);
+        return Number(count);
+    }
+
+    async getBucketCount() {
+        const [count] = await this.view("get_bucket_count", [this.protocolAddress]);
+        return Number(count);
+    }
+
+    /**
+     * Current basket price from the oracle. `weights` default to the basket
+     * hardcoded in a known multi-user module; for a per-owner bucket, pass
+     * the ones `getBucket` returns.
+     */
+    async getMarkPrice({ weights = BASKETS[this.moduleName]?.weights } = {}) {
+        if (!weights) {
+            throw new Error(`No basket weights known for ${this.moduleName}; pass weights`);
+        }
+        return basketPrice(weights, await this.getOraclePrices(), { fallback: FALLBACK_PRICE });
+    }
+
+    /**
+     * A position with its PnL, close value, margin ratio and liquidation
+     * price at the current mark. The bucket's leverage has no view, so the
+     * caller supplies it.
+     */
+    async valuePosition(positionId, { leverage, weights, maintenanceMarginBps = 0 } = {}) {
+        if (!leverage) {
+            throw new Error("valuePosition needs the bucket leverage");
+        }
+        const [details, markPrice] = await Promise.all([
+            this.getPositionDetails(positionId),
+            this.getMarkPrice({ weights })
+        ]);
+        const position = { ...details, leverage: BigInt(leverage) };
+        return {
+            ...position,
+            markPrice,
+            pnl: unrealizedPnl(position, markPrice),
+            closeValue: closeValue(position, markPrice),
+            marginRatioBps: marginRatioBps(position, markPrice),
+            liquidationPrice: liquidationPrice(position, { maintenanceMarginBps }),
+            liquidatable: details.active && isLiquidatable(position, markPrice, { maintenanceMarginBps })
+        };
+    }
+}
+
+module.exports = BucketClient;
@@ -0,0 +1,125 @@
+// Types for the Cresca Bucket SDK (index.js). Amounts and prices are bigint
+// in contract units; inputs also accept numbers and decimal strings.
+
+type IntegerLike = bigint | number | string;
+
+export interface EntryFunctionData {
+  function: `${string}::${string}::${string}`;
+  typeArguments: string[];
+  functionArguments: Array<string | number | boolean | string[] | Uint8Array>;
+}
+
+export interface BasketDefinition {
+  assets: string[];
+  weights: IntegerLike[];
+  leverage?: IntegerLike;
+}
+
+export interface PositionMath {
+  entryPrice: IntegerLike;
+  margin: IntegerLike;
+  leverage: IntegerLike;
+  isLong: boolean;
+}
+
+export interface LiquidationOptions {
+  /** Equity/notional at which a position counts as liquidatable. Default 0. */
+  maintenanceMarginBps?: IntegerLike;
+}
+
+export type BucketMathErrorCode = 'INVALID_ARGUMENT' | 'ARITHMETIC_ERROR';
+
+export class BucketMathError extends Error {
+  constructor(code: BucketMathErrorCode, message: string);
+  code: BucketMathErrorCode;
+}
+
+export const U64_MAX: bigint;
+export const WEIGHT_DENOMINATOR: bigint;
+export const FALLBACK_PRICE: bigint;
+export const BASKETS: Readonly<Record<'bucket_defi' | 'bucket_layer1', { assets: string[]; weights: bigint[] }>>;
+
+export function validateBasket(basket: BasketDefinition): void;
+export function basketPrice(weights: IntegerLike[], prices: IntegerLike[]): bigint | null;
+export function basketPrice<T>(weights: IntegerLike[], prices: IntegerLike[], options: { fallback: T }): bigint | T;
+export function unrealizedPnl(position: PositionMath, markPrice: IntegerLike): bigint;
+export function closeValue(position: PositionMath, markPrice: IntegerLike): bigint;
+export function notionalValue(position: PositionMath, markPrice: IntegerLike): bigint;
+export function marginRatioBps(position: PositionMath, markPrice: IntegerLike): bigint;
+export function liquidationPrice(
+  position: Pick<PositionMath, 'entryPrice' | 'leverage' | 'isLong'>,
+  options?: LiquidationOptions
+): bigint;
+export function isLiquidatable(position: PositionMath, markPrice: IntegerLike, options?: LiquidationOptions): boolean;
+
+export interface PositionDetails {
+  positionId: bigint;
+  bucketId: bigint;
+  isLong: boolean;
+  margin: bigint;
+  entryPrice: bigint;
+  /** Null on deployments whose view does not return it. */
+  owner: string | null;
+  active: boolean;
+}
+
+export interface Bucket {
+  bucketId: bigint;
+  /** Asset addresses as stored by `create_bucket`. */
+  assets: string[];
+  weights: bigint[];
+  leverage: bigint;
+  owner: string;
+}
+
+export interface PositionValuation extends PositionDetails {
+  leverage: bigint;
+  markPrice: bigint;
+  pnl: bigint;
+  closeValue: bigint;
+  marginRatioBps: bigint;
+  liquidationPrice: bigint;
+  liquidatable: boolean;
+}
+
+export interface BucketClientConfig {
+  /** An `Aptos` instance from @aptos-labs/ts-sdk, or anything with the same methods. */
+  aptosClient: any;
+  address: string;
+  /** Default `bucket_protocol`. */
+  moduleName?: string;
+  /** Where the Protocol resource lives, if not at `address`. */
+  protocolAddress?: string;
+}
+
+export class BucketClient {
+  constructor(config: BucketClientConfig);
+  readonly address: string;
+  readonly moduleName: string;
+  readonly protocolAddress: string;
+
+  buildCreateBucket(basket: BasketDefinition & { leverage: IntegerLike }): EntryFunctionData;
+  buildDepositCollateral(amount: IntegerLike): EntryFunctionData;
+  buildOpenPosition(args: { bucketId: IntegerLike; isLong: boolean; margin: IntegerLike }): EntryFunctionData;
+  buildOpenLong(bucketId: IntegerLike): EntryFunctionData;
+  buildOpenShort(bucketId: IntegerLike): EntryFunctionData;
+  buildClosePosition(positionId: IntegerLike): EntryFunctionData;
+  buildRebalanceBucket(args: { bucketId: IntegerLike; weights: IntegerLike[] }): EntryFunctionData;
+  buildUpdateOracle(args: { prices: IntegerLike[]; fundingRates?: IntegerLike[] }): EntryFunctionData;
+  buildLiquidatePosition(positionId: IntegerLike, reason: string): EntryFunctionData;
+  submit(account: any, data: EntryFunctionData): Promise<any>;
+
+  getBuckets(owner: string): Promise<Bucket[]>;
+  getBucket(owner: string, bucketId: IntegerLike): Promise<Bucket>;
+  getPositionDetails(positionId: IntegerLike, options?: { address?: string }): Promise<PositionDetails>;
+  getOraclePrices(): Promise<bigint[]>;
+  getLastOracleUpdate(): Promise<number>;
+  getCollateralBalance(): Promise<bigint>;
+  getPositionCount(): Promise<number>;
+  getBucketCount(): Promise<number>;
+  getMarkPrice(options?: { weights?: IntegerLike[] }): Promise<bigint>;
+  valuePosition(
+    positionId: IntegerLike,
+    options: { leverage: IntegerLike; weights?: IntegerLike[]; maintenanceMarginBps?: IntegerLike }
+  ): Promise<PositionValuation>;
+}
@@ -0,0 +1,11 @@
+// Cresca Bucket SDK
+// Client for the bucket perps modules plus the position math they use.
+// Shared by cresca-vm and the app, like config/.
+
+const BucketClient = require("./BucketClient");
+const math = require("./math");
+
+module.exports = {
+    BucketClient,
+    ...math
+};
@@ -0,0 +1,190 @@
+// Cresca Bucket Math
+// Basket price, PnL and liquidation helpers that follow the bucket modules'
+// integer arithmetic (bucket/perps-smart-wallet-), so off-chain numbers match
+// what close_position will settle. All amounts and prices are BigInt in the
+// contract's units: margin in octas, prices as the oracle stores them.
+
+const U64_MAX = (1n << 64n) - 1n;
+const BPS = 10000n;
+
+// Weights are whole percentages summing to 100
+const WEIGHT_DENOMINATOR = 100n;
+
+// Multi-user modules price the basket at this until the oracle has a price per asset
+const FALLBACK_PRICE = 100000n;
+
+// Baskets hardcoded in the published multi-user modules. A per-owner
+// bucket_protocol basket is whatever its owner passed to create_bucket;
+// BucketClient.getBucket reads it back.
+const BASKETS = Object.freeze({
+    bucket_defi: Object.freeze({ assets: ["UNI", "AAVE", "LINK"], weights: [40n, 35n, 25n] }),
+    bucket_layer1: Object.freeze({ assets: ["ADA", "AVAX", "DOT"], weights: [30n, 40n, 30n] })
+});
+
+class BucketMathError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "BucketMathError";
+        this.code = code;
+    }
+}
+
+function toBigInt(value, name) {
+    try {
+        return BigInt(value);
+    } catch (error) {
+        throw new BucketMathError("INVALID_ARGUMENT", `${name} must be an integer, got ${value}`);
+    }
+}
+
+// The VM aborts with ARITHMETIC_ERROR when a u64 intermediate overflows
+function checked(value, what) {
+    if (value > U64_MAX) {
+        throw new BucketMathError("ARITHMETIC_ERROR", `${what} overflows u64; the contract would abort`);
+    }
+    return value;
+}
+
+/**
+ * Check a basket definition the way create_bucket and rebalance_bucket do:
+ * one weight per asset, leverage 1..20. Weights must also sum to 100, which
+ * the contract assumes when it divides by 100.
+ */
+function validateBasket({ assets, weights, leverage }) {
+    const problems = [];
+    if (!Array.isArray(assets) || !Array.isArray(weights) || assets.length !== weights.length) {
+        problems.push("assets and weights must have the same length");
+    } else if (weights.reduce((sum, weight) => sum + toBigInt(weight, "weight"), 0n) !== WEIGHT_DENOMINATOR) {
+        problems.push("weights must sum to 100");
+    }
+    if (leverage !== undefined) {
+        const value = Number(leverage);
+        if (!Number.isInteger(value) || value < 1 || value > 20) {
+            problems.push("leverage must be an integer from 1 to 20");
+        }
+    }
+    if (problems.length > 0) {
+        throw new BucketMathError("INVALID_ARGUMENT", problems.join("; "));
+    }
+}
+
+/**
+ * Basket mark price: sum(price_i * weight_i) / 100, truncated, as
+ * `calculate_weighted_price` computes it. Returns `fallback` (null unless
+ * given) when the oracle has fewer prices than the basket has assets.
+ */
+function basketPrice(weights, prices, { fallback = null } = {}) {
+    if (prices.length < weights.length) {
+        return fallback;
+    }
+    let weighted = 0n;
+    for (let i = 0; i < weights.length; i++) {
+        weighted = checked(weighted + checked(toBigInt(prices[i], "price") * toBigInt(weights[i], "weight"), "price * weight"), "weighted sum");
+    }
+    return weighted / WEIGHT_DENOMINATOR;
+}
+
+function readPosition(position) {
+    const entryPrice = toBigInt(position.entryPrice, "entryPrice");
+    if (entryPrice <= 0n) {
+        throw new BucketMathError("INVALID_ARGUMENT", "entryPrice must be positive");
+    }
+    return {
+        entryPrice,
+        margin: toBigInt(position.margin, "margin"),
+        leverage: toBigInt(position.leverage, "leverage"),
+        isLong: Boolean(position.isLong)
+    };
+}
+
+/**
+ * Signed PnL in margin units if the position closed at `markPrice`:
+ * |mark - entry| * margin * leverage / entry, truncated, positive when the
+ * price moved the position's way. Mirrors `calculate_pnl`.
+ */
+function unrealizedPnl(position, markPrice) {
+    const { entryPrice, margin, leverage, isLong } = readPosition(position);
+    const mark = toBigInt(markPrice, "markPrice");
+    const moved = mark > entryPrice ? mark - entryPrice : entryPrice - mark;
+    const amount = checked(checked(moved * margin, "price move * margin") * leverage, "price move * margin * leverage") / entryPrice;
+    const profit = isLong ? mark > entryPrice : entryPrice > mark;
+    return profit ? amount : -amount;
+}
+
+/**
+ * What close_position pays out at `markPrice`: margin plus PnL, never below
+ * zero because losses stop at the margin.
+ */
+function closeValue(position, markPrice) {
+    const value = toBigInt(position.margin, "margin") + unrealizedPnl(position, markPrice);
+    return value > 0n ? value : 0n;
+}
+
+/** Position size at `markPrice`: margin * leverage scaled by the price move. */
+function notionalValue(position, markPrice) {
+    const { entryPrice, margin, leverage } = readPosition(position);
+    return (margin * leverage * toBigInt(markPrice, "markPrice")) / entryPrice;
+}
+
+/**
+ * Equity over notional at `markPrice`, in basis points. 10000 / leverage at
+ * entry, falling to 0 as losses use up the margin.
+ */
+function marginRatioBps(position, markPrice) {
+    const notional = notionalValue(position, markPrice);
+    if (notional === 0n) {
+        return 0n;
+    }
+    return (closeValue(position, markPrice) * BPS) / notional;
+}
+
+/**
+ * Mark price at which equity falls to `maintenanceMarginBps` of notional.
+ * With the default of 0 this is where close_position would return nothing:
+ * entry * (1 - 1/L) for longs, entry * (1 + 1/L) for shorts. Rounded towards
+ * the entry price so a keeper acts no later than the contract's cutoff.
+ * A 1x long has no liquidation price above zero and returns 0.
+ */
+function liquidationPrice({ entryPrice, leverage, isLong }, { maintenanceMarginBps = 0 } = {}) {
+    const entry = toBigInt(entryPrice, "entryPrice");
+    const lev = toBigInt(leverage, "leverage");
+    const maintenance = toBigInt(maintenanceMarginBps, "maintenanceMarginBps");
+    if (entry <= 0n || lev <= 0n) {
+        throw new BucketMathError("INVALID_ARGUMENT", "entryPrice and leverage must be positive");
+    }
+    if (maintenance < 0n || maintenance >= BPS) {
+        throw new BucketMathError("INVALID_ARGUMENT", "maintenanceMarginBps must be in [0, 10000)");
+    }
+
+    if (isLong) {
+        // margin + margin*L*(m - e)/e = r * margin*L*m/e  =>  m = e(L - 1) / (L(1 - r))
+        const numerator = entry * (lev - 1n) * BPS;
+        const denominator = lev * (BPS - maintenance);
+        return (numerator + denominator - 1n) / denominator;
+    }
+    // margin + margin*L*(e - m)/e = r * margin*L*m/e  =>  m = e(L + 1) / (L(1 + r))
+    return (entry * (lev + 1n) * BPS) / (lev * (BPS + maintenance));
+}
+
+/** True once `markPrice` has reached the position's liquidation price. */
+function isLiquidatable(position, markPrice, options) {
+    const mark = toBigInt(markPrice, "markPrice");
+    const threshold = liquidationPrice(position, options);
+    return position.isLong ? mark <= threshold : mark >= threshold;
+}
+
+module.exports = {
+    U64_MAX,
+    WEIGHT_DENOMINATOR,
+    FALLBACK_PRICE,
+    BASKETS,
+    BucketMathError,
+    validateBasket,
+    basketPrice,
+    unrealizedPnl,
+    closeValue,
+    notionalValue,
+    marginRatioBps,
+    liquidationPrice,
+    isLiquidatable
+};